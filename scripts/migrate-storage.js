@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Script untuk memindahkan file upload antar storage backend
+ * URL file (/uploads/...) tidak berubah, jadi data di database tidak perlu diupdate
+ *
+ * Usage:
+ *   node scripts/migrate-storage.js --from local --to s3 [--prefix media/] [--dry-run] [--delete-source]
+ */
+
+require('dotenv').config();
+const StorageService = require('../src/services/StorageService');
+
+function parseArgs(argv) {
+  const args = { prefix: '', dryRun: false, deleteSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--prefix':
+        args.prefix = argv[++i] || '';
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--delete-source':
+        args.deleteSource = true;
+        break;
+      default:
+        throw new Error(`Argumen tidak dikenal: ${argv[i]}`);
+    }
+  }
+
+  if (!args.from || !args.to) {
+    throw new Error('--from dan --to wajib diisi (local atau s3)');
+  }
+
+  if (args.from === args.to) {
+    throw new Error('--from dan --to tidak boleh sama');
+  }
+
+  return args;
+}
+
+async function migrateStorage() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    console.log('Usage: node scripts/migrate-storage.js --from local --to s3 [--prefix media/] [--dry-run] [--delete-source]');
+    process.exit(1);
+  }
+
+  console.log(`📦 Migrating storage ${args.from} → ${args.to}${args.dryRun ? ' (dry run)' : ''}...\n`);
+
+  const source = StorageService.createAdapter(args.from);
+  const target = StorageService.createAdapter(args.to);
+
+  const result = await StorageService.migrate(source, target, {
+    prefix: args.prefix,
+    dryRun: args.dryRun,
+    deleteSource: args.deleteSource,
+    onProgress: (key, status) => {
+      const icon = { copied: '✅', skipped: '⏭️ ', failed: '❌' }[status];
+      console.log(`   ${icon} ${key}`);
+    }
+  });
+
+  console.log(`\nTotal: ${result.total}, copied: ${result.copied}, skipped: ${result.skipped}, failed: ${result.failed}, deleted: ${result.deleted}`);
+
+  if (result.failed > 0) {
+    console.log('\n❌ Sebagian file gagal dipindahkan, jalankan ulang untuk mencoba lagi');
+    process.exit(1);
+  }
+
+  console.log('\n🎉 Storage migration finished!');
+  if (!args.dryRun) {
+    console.log(`Set STORAGE_DRIVER=${args.to} lalu restart aplikasi.`);
+  }
+  process.exit(0);
+}
+
+migrateStorage().catch(error => {
+  console.error('❌ Storage migration failed:', error.message);
+  process.exit(1);
+});
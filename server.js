@@ -14,7 +14,6 @@ const config = require('./src/config/database');
 const logger = require('./src/config/logger');
 
 // Import middleware
-const errorHandler = require('./src/middleware/errorHandler');
 const notFound = require('./src/middleware/notFound');
 const initializeData = require('./src/middleware/initializeData');
 
@@ -22,6 +21,8 @@ const initializeData = require('./src/middleware/initializeData');
 const authRoutes = require('./src/routes/auth');
 const socialAuthRoutes = require('./src/routes/social-auth');
 const blogRoutes = require('./src/routes/blog');
+const commentRoutes = require('./src/routes/comment');
+const categoryRoutes = require('./src/routes/category');
 const userRoutes = require('./src/routes/user');
 const adminRoutes = require('./src/routes/admin');
 const subscriptionRoutes = require('./src/routes/subscription');
@@ -30,6 +31,13 @@ const dashboardRoutes = require('./src/routes/dashboard');
 const notificationRoutes = require('./src/routes/notification');
 const searchRoutes = require('./src/routes/search');
 const monitoringRoutes = require('./src/routes/monitoring');
+const feedRoutes = require('./src/routes/feed');
+const previewRoutes = require('./src/routes/preview');
+const mediaRoutes = require('./src/routes/media');
+const analyticsRoutes = require('./src/routes/analytics');
+
+// Import services
+const StorageService = require('./src/services/StorageService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -55,11 +63,19 @@ app.use(limiter);
 // CORS is now handled by security middleware stack
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Raw body dibutuhkan untuk verifikasi signature webhook payment
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', StorageService.serve());
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
 // View engine setup
@@ -112,6 +128,8 @@ app.use(initializeData);
 app.use('/api/auth', authRoutes);
 app.use('/api/auth/social', socialAuthRoutes);
 app.use('/api/blog', blogRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/subscription', subscriptionRoutes);
@@ -120,6 +138,14 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/monitoring', monitoringRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/media', mediaRoutes);
+
+// Syndication feeds (RSS, Atom, JSON Feed)
+app.use('/', feedRoutes);
+
+// Article preview pages (signed preview links, noindex)
+app.use('/blog/preview', previewRoutes);
 
 // API Documentation
 if (process.env.NODE_ENV !== 'production') {
@@ -231,6 +257,38 @@ if (process.env.NODE_ENV !== 'test') {
   } catch (e) {
     logger.error('Failed to start SocialSchedulerService', e);
   }
+
+  // Initialize autosave of collaborative editing sessions
+  try {
+    const CollaborativeEditingService = require('./src/services/CollaborativeEditingService');
+    CollaborativeEditingService.start();
+  } catch (e) {
+    logger.error('Failed to start CollaborativeEditingService', e);
+  }
+
+  // Initialize Scheduled Article Publisher
+  try {
+    const ArticlePublisherService = require('./src/services/ArticlePublisherService');
+    ArticlePublisherService.start();
+  } catch (e) {
+    logger.error('Failed to start ArticlePublisherService', e);
+  }
+
+  // Initialize cleanup of media no longer referenced by articles
+  try {
+    const MediaService = require('./src/services/MediaService');
+    MediaService.start();
+  } catch (e) {
+    logger.error('Failed to start MediaService', e);
+  }
+
+  // Initialize anonymization of old search logs
+  try {
+    const SearchService = require('./src/services/SearchService');
+    SearchService.start();
+  } catch (e) {
+    logger.error('Failed to start SearchService', e);
+  }
 }
 
 module.exports = app;
\ No newline at end of file
@@ -1,9 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Article = require('../models/Article');
 const Comment = require('../models/Comment');
 const Category = require('../models/Category');
+const AuditLog = require('../models/AuditLog');
 const JwtService = require('../services/JwtService');
 const EmailService = require('../services/EmailService');
+const AuditService = require('../services/AuditService');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -266,7 +269,7 @@ class AdminController {
       await user.save();
       
       // Revoke all refresh tokens to force re-login with new role
-      await JwtService.revokeAllRefreshTokens(user._id);
+      await JwtService.revokeAllRefreshTokens(user._id, 'security');
       
       // Log role change
       logger.info('User role updated', {
@@ -276,6 +279,16 @@ class AdminController {
         newRole: role
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: 'user.role_changed',
+        category: 'admin',
+        resource: { type: 'user', id: user._id, label: user.username },
+        before: { role: oldRole },
+        after: { role },
+        req
+      });
+      
       // Send notification email
       try {
         await EmailService.sendRoleChangeNotification(
@@ -333,7 +346,7 @@ class AdminController {
         });
       }
       
-      const user = await User.findById(id);
+      const user = await User.findById(id).select('+lockUntil');
       
       if (!user) {
         return res.status(404).json({
@@ -367,6 +380,7 @@ class AdminController {
         });
       }
       
+      const before = { isActive: user.isActive, isLocked: user.isLocked };
       let message;
       
       switch (action) {
@@ -403,7 +417,7 @@ class AdminController {
       await user.save();
       
       // Revoke all refresh tokens
-      await JwtService.revokeAllRefreshTokens(user._id);
+      await JwtService.revokeAllRefreshTokens(user._id, 'security');
       
       // Log admin action
       logger.info('User status changed', {
@@ -413,6 +427,17 @@ class AdminController {
         reason
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: `user.${action}`,
+        category: 'admin',
+        resource: { type: 'user', id: user._id, label: user.username },
+        before,
+        after: { isActive: user.isActive, isLocked: user.isLocked },
+        metadata: { reason },
+        req
+      });
+      
       // Send notification email
       try {
         await EmailService.sendAccountStatusNotification(
@@ -526,7 +551,7 @@ class AdminController {
       }
       
       // Revoke all refresh tokens
-      await JwtService.revokeAllRefreshTokens(user._id);
+      await JwtService.revokeAllRefreshTokens(user._id, 'security');
       
       // Delete user
       await User.findByIdAndDelete(id);
@@ -539,6 +564,21 @@ class AdminController {
         targetUserId
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: 'user.deleted',
+        category: 'admin',
+        resource: { type: 'user', id: user._id, label: user.username },
+        before: {
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive
+        },
+        metadata: { transferContent, targetUserId },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Pengguna berhasil dihapus'
@@ -774,7 +814,7 @@ class AdminController {
       
       // Revoke refresh tokens for affected users
       for (const userId of userIds) {
-        await JwtService.revokeAllRefreshTokens(userId);
+        await JwtService.revokeAllRefreshTokens(userId, 'security');
       }
       
       // Log bulk action
@@ -786,6 +826,14 @@ class AdminController {
         modifiedCount: result.modifiedCount
       });
       
+      await AuditService.recordMany({
+        actor: req.user,
+        action: `user.${action}`,
+        category: 'admin',
+        metadata: { reason, bulk: true, totalRequested: userIds.length },
+        req
+      }, users.map(user => ({ type: 'user', id: user._id, label: user.username })));
+      
       res.json({
         success: true,
         message: `${result.modifiedCount} pengguna berhasil di-${action}`,
@@ -819,7 +867,7 @@ class AdminController {
       const {
         page = 1,
         limit = 20,
-        type = 'all' // all, articles, comments, login
+        type = 'all' // all, articles, comments, audit
       } = req.query;
       
       const user = await User.findById(id);
@@ -880,6 +928,28 @@ class AdminController {
         });
       }
       
+      // Get audit trail (aksi oleh user maupun terhadap akun user), termasuk login
+      if (type === 'all' || type === 'audit') {
+        const auditLogs = await AuditLog.find({
+          $or: [
+            { actor: id },
+            { 'resource.type': 'user', 'resource.id': id }
+          ]
+        })
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .lean();
+        
+        auditLogs.forEach(log => {
+          activities.push({
+            type: 'audit',
+            action: log.action,
+            data: log,
+            timestamp: log.createdAt
+          });
+        });
+      }
+      
       // Sort activities by timestamp
       activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
       
@@ -917,6 +987,135 @@ class AdminController {
       });
     }
   }
+  
+  /**
+   * Get audit logs (admin only)
+   * Filter: actor, action (prefix dengan titik, contoh "user."), category,
+   * resourceType, resourceId, status, ipAddress, startDate, endDate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const { page = 1, limit = 50, ...filters } = req.query;
+      
+      const result = await AuditService.query(filters, { page, limit });
+      
+      res.json({
+        success: true,
+        data: {
+          logs: result.logs,
+          categories: AuditLog.getCategories(),
+          pagination: result.pagination
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get audit logs error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_AUDIT_LOGS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil audit log'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get audit log detail (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLog(req, res) {
+    try {
+      const log = mongoose.isValidObjectId(req.params.id)
+        ? await AuditLog.findById(req.params.id).populate('actor', 'username email role')
+        : null;
+      
+      if (!log) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'AUDIT_LOG_NOT_FOUND',
+            message: 'Audit log tidak ditemukan'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: { log }
+      });
+      
+    } catch (error) {
+      logger.error('Get audit log error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_AUDIT_LOG_ERROR',
+          message: 'Terjadi kesalahan saat mengambil audit log'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Export audit logs as CSV or JSON (admin only)
+   * Memakai filter yang sama dengan getAuditLogs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async exportAuditLogs(req, res) {
+    try {
+      const { format = 'csv', ...filters } = req.query;
+      
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FORMAT',
+            message: 'Format harus json atau csv'
+          }
+        });
+      }
+      
+      const logs = await AuditService.getExportLogs(filters);
+      
+      // Export juga dicatat karena berisi data sensitif
+      await AuditService.record({
+        actor: req.user,
+        action: 'audit_log.exported',
+        category: 'admin',
+        resource: { type: 'audit_log' },
+        metadata: { format, filters, count: logs.length },
+        req
+      });
+      
+      const fileName = `audit-logs-${new Date().toISOString().split('T')[0]}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(AuditService.toCSV(logs));
+      } else {
+        res.json(logs);
+      }
+      
+    } catch (error) {
+      logger.error('Export audit logs error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'EXPORT_AUDIT_LOGS_ERROR',
+          message: 'Terjadi kesalahan saat export audit log'
+        }
+      });
+    }
+  }
 }
 
 module.exports = AdminController;
\ No newline at end of file
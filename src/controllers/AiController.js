@@ -30,7 +30,7 @@ class AiController {
       }
       
       // Check if user has AI feature access
-      if (!req.user.hasFeature('ai_content_generation')) {
+      if (!(await req.user.hasFeature('ai_content_generation'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -154,7 +154,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_content_generation')) {
+      if (!(await req.user.hasFeature('ai_content_generation'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -221,7 +221,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_content_improvement')) {
+      if (!(await req.user.hasFeature('ai_content_improvement'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -318,7 +318,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_seo_optimization')) {
+      if (!(await req.user.hasFeature('ai_seo_optimization'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -380,7 +380,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_content_ideas')) {
+      if (!(await req.user.hasFeature('ai_content_ideas'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -454,10 +454,10 @@ class AiController {
           },
           usage: usageStats,
           userFeatures: {
-            aiContentGeneration: req.user.hasFeature('ai_content_generation'),
-            aiContentImprovement: req.user.hasFeature('ai_content_improvement'),
-            aiSeoOptimization: req.user.hasFeature('ai_seo_optimization'),
-            aiContentIdeas: req.user.hasFeature('ai_content_ideas')
+            aiContentGeneration: await req.user.hasFeature('ai_content_generation'),
+            aiContentImprovement: await req.user.hasFeature('ai_content_improvement'),
+            aiSeoOptimization: await req.user.hasFeature('ai_seo_optimization'),
+            aiContentIdeas: await req.user.hasFeature('ai_content_ideas')
           }
         }
       });
@@ -496,7 +496,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_image_generation')) {
+      if (!(await req.user.hasFeature('ai_image_generation'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -583,7 +583,7 @@ class AiController {
       }
       
       // Check feature access
-      if (!req.user.hasFeature('ai_image_generation')) {
+      if (!(await req.user.hasFeature('ai_image_generation'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -1,4 +1,5 @@
 const AnalyticsService = require('../services/AnalyticsService');
+const PermissionService = require('../services/PermissionService');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -14,7 +15,7 @@ class AnalyticsController {
    */
   static async trackView(req, res) {
     try {
-      const { articleId, referrer } = req.body;
+      const { articleId, referrer, sessionId } = req.body;
       
       // Extract visitor information
       const ipAddress = req.ip;
@@ -31,6 +32,7 @@ class AnalyticsController {
         userId: req.user?._id || null,
         ipAddress,
         userAgent,
+        sessionId,
         referrer: referrer || 'direct',
         country,
         device
@@ -59,7 +61,7 @@ class AnalyticsController {
    */
   static async trackEngagement(req, res) {
     try {
-      const { type, articleId, value = 1 } = req.body;
+      const { type, articleId } = req.body;
       
       if (!['like', 'share', 'comment', 'bookmark'].includes(type)) {
         return res.status(400).json({
@@ -75,7 +77,8 @@ class AnalyticsController {
         type,
         articleId,
         userId: req.user._id,
-        value
+        // Satu request satu engagement, nilai dari client tidak dipakai
+        value: 1
       });
       
       res.json({
@@ -148,8 +151,8 @@ class AnalyticsController {
         start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
       }
       
-      // For non-admin users, filter by their content only
-      const userId = req.user.role === 'admin' ? null : req.user._id;
+      // Without analytics.view_all, filter by user's own content only
+      const userId = PermissionService.has(req.permissions, 'analytics.view_all') ? null : req.user._id;
       
       const dashboardData = await AnalyticsService.getDashboardData({
         startDate: start,
@@ -222,6 +225,56 @@ class AnalyticsController {
     }
   }
   
+  /**
+   * Get engagement trends (admin/author)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getEngagementTrends(req, res) {
+    try {
+      const {
+        startDate,
+        endDate,
+        period = '30d'
+      } = req.query;
+      
+      let start, end;
+      
+      if (startDate && endDate) {
+        start = new Date(startDate);
+        end = new Date(endDate);
+      } else {
+        const days = parseInt(period.replace('d', '')) || 30;
+        end = new Date();
+        start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      }
+      
+      // Without analytics.view_all, filter by user's own content only
+      const userId = PermissionService.has(req.permissions, 'analytics.view_all') ? null : req.user._id;
+      
+      const trends = await AnalyticsService.getEngagementTrends(start, end, userId);
+      
+      res.json({
+        success: true,
+        data: {
+          trends,
+          period: { startDate: start, endDate: end }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get engagement trends error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ENGAGEMENT_TRENDS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil tren engagement'
+        }
+      });
+    }
+  }
+  
   /**
    * Get article analytics (author/admin)
    * @param {Object} req - Express request object
@@ -272,6 +325,8 @@ class AnalyticsController {
         start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
       }
       
+      const timeSeries = await AnalyticsService.getArticleTimeSeries(article._id, start, end);
+      
       // Get article-specific analytics
       const analytics = {
         article: {
@@ -291,12 +346,12 @@ class AnalyticsController {
           engagementRate: article.engagementRate
         },
         analytics: {
-          dailyViews: article.analytics.dailyViews.filter(dv => 
-            dv.date >= start && dv.date <= end
-          ),
-          referrers: article.analytics.referrers,
-          countries: article.analytics.countries,
-          devices: article.analytics.devices
+          totals: timeSeries.totals,
+          daily: timeSeries.daily,
+          dailyViews: timeSeries.daily.map(day => ({ date: day.date, views: day.views })),
+          referrers: timeSeries.referrers,
+          countries: timeSeries.countries,
+          devices: timeSeries.devices
         },
         period: { startDate: start, endDate: end },
         generatedAt: new Date()
@@ -354,7 +409,7 @@ class AnalyticsController {
         start = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       }
       
-      const userId = req.user.role === 'admin' ? null : req.user._id;
+      const userId = PermissionService.has(req.permissions, 'analytics.view_all') ? null : req.user._id;
       
       let data;
       
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const AuditService = require('../services/AuditService');
+const logger = require('../config/logger');
+
+const API_KEY_MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER || '10', 10);
+// Masa berlaku key lama setelah rotate, maksimal 24 jam
+const API_KEY_MAX_GRACE_MINUTES = 24 * 60;
+
+/**
+ * API Key Controller untuk akses API paket Pro (fitur api_access)
+ */
+class ApiKeyController {
+
+  /**
+   * Get API keys of current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const query = { user: req.user._id };
+      if (req.query.includeRevoked !== 'true') {
+        query.revokedAt = null;
+      }
+
+      const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys,
+          availableScopes: ApiKey.getScopes(),
+          limit: API_KEY_MAX_PER_USER
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get API keys error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_API_KEYS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar API key'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create API key
+   * Key lengkap hanya dikembalikan sekali di response ini
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createApiKey(req, res) {
+    try {
+      const {
+        name,
+        scopes = ['articles:read'],
+        rateLimit,
+        expiresInDays
+      } = req.body;
+
+      const activeCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+      if (activeCount >= API_KEY_MAX_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'API_KEY_LIMIT_REACHED',
+            message: `Maksimal ${API_KEY_MAX_PER_USER} API key aktif per akun`
+          }
+        });
+      }
+
+      const { key, prefix, keyHash } = ApiKey.generateKey();
+
+      const apiKey = await ApiKey.create({
+        user: req.user._id,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        rateLimit,
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null
+      });
+
+      logger.info('API key created', {
+        userId: req.user._id,
+        apiKeyId: apiKey._id,
+        prefix,
+        scopes: apiKey.scopes
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'api_key.created',
+        category: 'auth',
+        resource: { type: 'api_key', id: apiKey._id, label: apiKey.name },
+        after: { prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+        req
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key berhasil dibuat. Simpan key ini, key tidak akan ditampilkan lagi.',
+        data: {
+          apiKey,
+          key
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+          }
+        });
+      }
+
+      logger.error('Create API key error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'CREATE_API_KEY_ERROR',
+          message: 'Terjadi kesalahan saat membuat API key'
+        }
+      });
+    }
+  }
+
+  /**
+   * Rotate API key
+   * Membuat key baru dengan pengaturan yang sama, key lama dicabut
+   * (atau tetap berlaku selama gracePeriodMinutes)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async rotateApiKey(req, res) {
+    try {
+      const oldKey = await ApiKeyController.findOwnApiKey(req, res);
+      if (!oldKey) return;
+
+      if (!oldKey.isUsable()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'API_KEY_NOT_ACTIVE',
+            message: 'Hanya API key aktif yang dapat di-rotate'
+          }
+        });
+      }
+
+      const gracePeriodMinutes = Math.min(
+        Math.max(parseInt(req.body.gracePeriodMinutes) || 0, 0),
+        API_KEY_MAX_GRACE_MINUTES
+      );
+
+      const { key, prefix, keyHash } = ApiKey.generateKey();
+
+      const apiKey = await ApiKey.create({
+        user: oldKey.user,
+        name: oldKey.name,
+        prefix,
+        keyHash,
+        scopes: oldKey.scopes,
+        rateLimit: oldKey.rateLimit,
+        expiresAt: oldKey.expiresAt,
+        rotatedFrom: oldKey._id
+      });
+
+      if (gracePeriodMinutes > 0) {
+        const graceEnd = new Date(Date.now() + gracePeriodMinutes * 60 * 1000);
+        oldKey.expiresAt = oldKey.expiresAt && oldKey.expiresAt < graceEnd ? oldKey.expiresAt : graceEnd;
+      } else {
+        oldKey.revokedAt = new Date();
+      }
+      await oldKey.save();
+
+      logger.info('API key rotated', {
+        userId: req.user._id,
+        oldApiKeyId: oldKey._id,
+        apiKeyId: apiKey._id,
+        gracePeriodMinutes
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'api_key.rotated',
+        category: 'auth',
+        resource: { type: 'api_key', id: apiKey._id, label: apiKey.name },
+        metadata: { previousApiKeyId: oldKey._id, gracePeriodMinutes },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'API key berhasil di-rotate. Simpan key baru, key tidak akan ditampilkan lagi.',
+        data: {
+          apiKey,
+          key,
+          previousKey: {
+            id: oldKey._id,
+            status: oldKey.status,
+            expiresAt: oldKey.expiresAt
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ROTATE_API_KEY_ERROR',
+          message: 'Terjadi kesalahan saat rotate API key'
+        }
+      });
+    }
+  }
+
+  /**
+   * Revoke API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const apiKey = await ApiKeyController.findOwnApiKey(req, res);
+      if (!apiKey) return;
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+
+        logger.info('API key revoked', {
+          userId: req.user._id,
+          apiKeyId: apiKey._id
+        });
+
+        await AuditService.record({
+          actor: req.user,
+          action: 'api_key.revoked',
+          category: 'auth',
+          resource: { type: 'api_key', id: apiKey._id, label: apiKey.name },
+          req
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key berhasil dicabut',
+        data: { apiKey }
+      });
+
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVOKE_API_KEY_ERROR',
+          message: 'Terjadi kesalahan saat mencabut API key'
+        }
+      });
+    }
+  }
+
+  /**
+   * Helper method to find API key owned by current user
+   * Mengirim response 404 jika tidak ditemukan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} ApiKey
+   */
+  static async findOwnApiKey(req, res) {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await ApiKey.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!apiKey) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'API_KEY_NOT_FOUND',
+          message: 'API key tidak ditemukan'
+        }
+      });
+      return null;
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyController;
@@ -1,7 +1,14 @@
 const Article = require('../models/Article');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const ArticleDraft = require('../models/ArticleDraft');
+const ArticlePreviewLink = require('../models/ArticlePreviewLink');
 const ArticleUtils = require('../utils/article');
+const DiffUtils = require('../utils/diff');
+const SocketService = require('../services/SocketService');
+const EditorialWorkflowService = require('../services/EditorialWorkflowService');
+const AuditService = require('../services/AuditService');
+const MediaService = require('../services/MediaService');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 const multer = require('multer');
@@ -69,10 +76,12 @@ class ArticleController {
         .sort(options.sort);
       }
       
-      // Get total count for pagination
+      // Get total count for pagination (filter penulis mencakup co-author)
+      const { penulis: authorId, ...filters } = query;
+      const countQuery = { status: 'published', ...filters, ...(authorId && Article.authorQuery(authorId)) };
       const totalQuery = search 
-        ? Article.find({ $text: { $search: search }, status: 'published', ...query })
-        : Article.find({ status: 'published', ...query });
+        ? Article.find({ $text: { $search: search }, ...countQuery })
+        : Article.find(countQuery);
       
       const total = await totalQuery.countDocuments();
       
@@ -122,6 +131,7 @@ class ArticleController {
         publishedAt: { $lte: new Date() }
       })
       .populate('penulis', 'username profile.nama profile.foto')
+      .populate('byline', 'username profile.nama profile.foto')
       .populate('kategori', 'nama slug');
       
       if (!article) {
@@ -135,7 +145,7 @@ class ArticleController {
       }
       
       // Check if premium article and user has access
-      if (article.premium && (!req.user || !req.user.hasFeature('premium_content'))) {
+      if (article.premium && (!req.user || !(await req.user.hasFeature('premium_content')))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -217,11 +227,22 @@ class ArticleController {
         status = 'draft',
         featured = false,
         premium = false,
-        scheduledAt,
         seo = {},
-        socialMedia = {}
+        socialMedia = {},
+        thumbnailMedia
       } = req.body;
       
+      // Artikel baru hanya bisa disimpan sebagai draft atau langsung dikirim untuk review
+      if (!['draft', 'review'].includes(status)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'INVALID_WORKFLOW_TRANSITION',
+            message: 'Artikel baru hanya dapat disimpan sebagai draft atau dikirim untuk review'
+          }
+        });
+      }
+      
       // Verify category exists
       const categoryExists = await Category.findById(kategori);
       if (!categoryExists) {
@@ -235,7 +256,7 @@ class ArticleController {
       }
       
       // Check if user can create premium articles
-      if (premium && !req.user.hasFeature('premium_content')) {
+      if (premium && !(await req.user.hasFeature('premium_content'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -253,36 +274,35 @@ class ArticleController {
         kategori,
         tags: tags.filter(tag => tag.trim()),
         penulis: req.user._id,
-        status,
+        status: 'draft',
         featured: req.user.role === 'admin' ? featured : false, // Only admin can set featured
         premium,
         seo,
         socialMedia
       };
       
-      // Handle thumbnail upload if present
+      // Handle thumbnail upload if present, atau pakai ulang gambar dari media library
       if (req.file) {
-        articleData.thumbnail = `/uploads/${req.file.filename}`;
-      }
-      
-      // Handle scheduling
-      if (status === 'scheduled' && scheduledAt) {
-        const scheduleDate = new Date(scheduledAt);
-        if (scheduleDate <= new Date()) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              code: 'INVALID_SCHEDULE_DATE',
-              message: 'Tanggal jadwal harus di masa depan'
-            }
-          });
+        articleData.thumbnail = (await MediaService.registerUpload(req.file, req.user._id)).url;
+      } else if (thumbnailMedia) {
+        const media = await MediaService.findForUser(thumbnailMedia, req.user);
+        if (!media || media.type !== 'image') {
+          return ArticleController.sendThumbnailMediaNotFound(res);
         }
-        articleData.scheduledAt = scheduleDate;
+        articleData.thumbnail = media.url;
       }
       
       // Create article
       const article = new Article(articleData);
       await article.save();
+      await MediaService.syncArticleUsage(article);
+      
+      // Submit for review directly if requested
+      if (status === 'review') {
+        await EditorialWorkflowService.applyTransition(article, req.user, 'submit', {
+          ipAddress: req.ip
+        });
+      }
       
       // Update user stats
       await req.user.updateStats('articlesPublished', 1);
@@ -338,6 +358,8 @@ class ArticleController {
    * @param {Object} res - Express response object
    */
   static async updateArticle(req, res) {
+    let uploadedThumbnail = null;
+    
     try {
       // Check validation errors
       const errors = validationResult(req);
@@ -381,8 +403,8 @@ class ArticleController {
         });
       }
       
-      // Check ownership (only author or admin can edit)
-      if (article.penulis.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      // Check access (owner, co-author or admin can edit)
+      if (!article.canEdit(req.user)) {
         return res.status(403).json({
           success: false,
           error: {
@@ -392,6 +414,60 @@ class ArticleController {
         });
       }
       
+      // Optimistic concurrency: versi dari If-Match header atau field version
+      const expectedVersion = ArticleUtils.parseExpectedVersion(req.get('If-Match'), req.body.version);
+      
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_VERSION',
+            message: 'Versi artikel tidak valid'
+          }
+        });
+      }
+      
+      if (expectedVersion !== null && expectedVersion !== article.version) {
+        return ArticleController.sendVersionConflict(res, article, expectedVersion);
+      }
+      
+      // Approved content changed by the author must be reviewed again,
+      // dicabut sebelum transisi agar konten baru tidak ikut dipublikasikan
+      const previousStatus = article.status;
+      const contentChanged = (konten !== undefined && konten !== article.konten) ||
+        (judul !== undefined && judul !== article.judul);
+      const approvalRevoked = contentChanged && await EditorialWorkflowService.revokeApprovalIfNeeded(article, req.user);
+      
+      // Validate workflow transition if status changed
+      let workflowAction = null;
+      if (status !== undefined && status !== previousStatus && status !== article.status) {
+        const { action, validation } = await EditorialWorkflowService.resolveTransition(
+          article, req.user, status, { comment: changeNote, scheduledAt }
+        );
+        
+        if (!validation.allowed && approvalRevoked) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'REVIEW_REQUIRED',
+              message: 'Konten artikel berubah setelah disetujui dan harus direview ulang sebelum status diubah'
+            }
+          });
+        }
+        
+        if (!validation.allowed) {
+          return res.status(validation.status).json({
+            success: false,
+            error: {
+              code: validation.code,
+              message: validation.message
+            }
+          });
+        }
+        
+        workflowAction = action;
+      }
+      
       // Verify category if changed
       if (kategori && kategori !== article.kategori.toString()) {
         const categoryExists = await Category.findById(kategori);
@@ -407,7 +483,7 @@ class ArticleController {
       }
       
       // Check premium feature access
-      if (premium && !req.user.hasFeature('premium_content')) {
+      if (premium && !(await req.user.hasFeature('premium_content'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -417,11 +493,6 @@ class ArticleController {
         });
       }
       
-      // Create version if content changed
-      if (konten && konten !== article.konten) {
-        article.createVersion(req.user._id, changeNote || 'Content updated');
-      }
-      
       // Update fields
       const updateData = {};
       if (judul !== undefined) updateData.judul = judul;
@@ -429,7 +500,6 @@ class ArticleController {
       if (ringkasan !== undefined) updateData.ringkasan = ringkasan;
       if (kategori !== undefined) updateData.kategori = kategori;
       if (tags !== undefined) updateData.tags = tags.filter(tag => tag.trim());
-      if (status !== undefined) updateData.status = status;
       if (premium !== undefined) updateData.premium = premium;
       if (seo !== undefined) updateData.seo = { ...article.seo, ...seo };
       if (socialMedia !== undefined) updateData.socialMedia = { ...article.socialMedia, ...socialMedia };
@@ -439,38 +509,68 @@ class ArticleController {
         updateData.featured = featured;
       }
       
-      // Handle thumbnail upload
+      // Handle thumbnail upload, atau pakai ulang gambar dari media library
       if (req.file) {
-        updateData.thumbnail = `/uploads/${req.file.filename}`;
-      }
-      
-      // Handle scheduling
-      if (status === 'scheduled' && scheduledAt) {
-        const scheduleDate = new Date(scheduledAt);
-        if (scheduleDate <= new Date()) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              code: 'INVALID_SCHEDULE_DATE',
-              message: 'Tanggal jadwal harus di masa depan'
-            }
-          });
+        // Cek ulang versi sebelum upload didaftarkan ke media library
+        const current = expectedVersion !== null ? await Article.findById(article._id) : null;
+        if (current && current.version !== expectedVersion) {
+          return ArticleController.sendVersionConflict(res, current, expectedVersion);
         }
-        updateData.scheduledAt = scheduleDate;
+        
+        uploadedThumbnail = await MediaService.registerUpload(req.file, req.user._id);
+        updateData.thumbnail = uploadedThumbnail.url;
+      } else if (req.body.thumbnailMedia) {
+        const media = await MediaService.findForUser(req.body.thumbnailMedia, req.user);
+        if (!media || media.type !== 'image') {
+          return ArticleController.sendThumbnailMediaNotFound(res);
+        }
+        updateData.thumbnail = media.url;
       }
       
       // Update article
+      const previousKonten = article.konten;
       Object.assign(article, updateData);
-      await article.save();
+      
+      // Setiap update menaikkan versi (bukan hanya perubahan konten)
+      // agar If-Match juga mendeteksi edit bersamaan pada judul, tags, kategori, dll.
+      if (article.isModified() || workflowAction) {
+        article.createVersion(
+          req.user._id,
+          changeNote || (contentChanged ? 'Content updated' : 'Article details updated'),
+          previousKonten
+        );
+      }
+      
+      // Simpan hanya jika versi belum diubah request lain sejak dicek di atas
+      if (expectedVersion !== null) {
+        article.$where = { version: expectedVersion };
+      }
+      
+      if (workflowAction) {
+        await EditorialWorkflowService.applyTransition(article, req.user, workflowAction, {
+          comment: changeNote,
+          scheduledAt,
+          ipAddress: req.ip
+        });
+      } else {
+        await article.save();
+      }
       
       // Log article update
       logger.info('Article updated', {
         articleId: article._id,
         userId: req.user._id,
         title: article.judul,
-        changes: Object.keys(updateData)
+        changes: Object.keys(updateData),
+        workflowAction
       });
       
+      await MediaService.syncArticleUsage(article);
+      
+      // Draft autosave user sudah tersimpan ke artikel
+      await ArticleDraft.deleteOne({ article: article._id, user: req.user._id });
+      
+      res.set('ETag', ArticleUtils.getVersionETag(article));
       res.json({
         success: true,
         message: 'Artikel berhasil diperbarui',
@@ -480,6 +580,18 @@ class ArticleController {
       });
       
     } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        // Thumbnail dari request yang ditolak tidak dipakai artikel mana pun
+        if (uploadedThumbnail) {
+          await MediaService.deleteMedia(uploadedThumbnail)
+            .catch(deleteError => logger.error('Delete rejected thumbnail error:', deleteError));
+        }
+        
+        if (await ArticleController.sendRejectedSaveConflict(res, req.params.id, error.query?.version)) {
+          return;
+        }
+      }
+      
       logger.error('Update article error:', error);
       
       res.status(500).json({
@@ -514,8 +626,8 @@ class ArticleController {
         });
       }
       
-      // Check ownership (only author or admin can delete)
-      if (article.penulis.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      // Check ownership (only owner or admin can delete)
+      if (article.getCollaboratorRole(req.user) !== 'owner' && req.user.role !== 'admin') {
         return res.status(403).json({
           success: false,
           error: {
@@ -527,9 +639,12 @@ class ArticleController {
       
       // Delete article
       await Article.findByIdAndDelete(id);
+      await ArticleDraft.deleteMany({ article: article._id });
+      await ArticlePreviewLink.deleteMany({ article: article._id });
+      await MediaService.releaseArticleUsage(article._id);
       
-      // Update user stats
-      await req.user.updateStats('articlesPublished', -1);
+      // Update stats semua penulis yang dikreditkan (owner dan co-author)
+      await User.updateStatsMany(article.getAuthorIds(), 'articlesPublished', -1);
       
       // Update category stats
       const category = await Category.findById(article.kategori);
@@ -544,6 +659,15 @@ class ArticleController {
         title: article.judul
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: 'article.deleted',
+        category: 'content',
+        resource: { type: 'article', id: article._id, label: article.judul },
+        before: { judul: article.judul, slug: article.slug, status: article.status, penulis: article.penulis },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Artikel berhasil dihapus'
@@ -585,7 +709,8 @@ class ArticleController {
       
       options.sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
       
-      const query = { penulis: req.user._id };
+      // Termasuk artikel dimana user menjadi co-author
+      const query = Article.authorQuery(req.user._id);
       if (status) query.status = status;
       
       const articles = await Article.find(query)
@@ -687,6 +812,11 @@ class ArticleController {
       // For now, just increment likes (in real app, track user likes)
       await article.incrementEngagement('likes');
       
+      // Notify article author (stored in inbox + real-time)
+      SocketService.notifyArticleLike(req.user, article).catch(error => {
+        logger.error('Notify article like error:', error);
+      });
+      
       res.json({
         success: true,
         message: 'Like berhasil',
@@ -751,6 +881,706 @@ class ArticleController {
       });
     }
   }
+  
+  /**
+   * Get article revision history (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      
+      const article = await Article.findById(id)
+        .populate('penulis', 'username profile.nama profile.foto')
+        .populate('previousVersions.updatedBy', 'username profile.nama profile.foto');
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check access (collaborators or admin can see revisions)
+      if (!article.canView(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki izin untuk melihat riwayat artikel ini'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          articleId: article._id,
+          currentVersion: article.version,
+          revisions: article.getRevisionHistory()
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get article revisions error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_REVISIONS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil riwayat artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get content of a single revision (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRevision(req, res) {
+    try {
+      const { id, version } = req.params;
+      
+      const article = await Article.findById(id);
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check access (collaborators or admin can see revisions)
+      if (!article.canView(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki izin untuk melihat riwayat artikel ini'
+          }
+        });
+      }
+      
+      const snapshot = article.getVersionSnapshot(version);
+      
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'REVISION_NOT_FOUND',
+            message: 'Versi artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          articleId: article._id,
+          revision: snapshot
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get article revision error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_REVISION_ERROR',
+          message: 'Terjadi kesalahan saat mengambil versi artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Compare two revisions (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async compareRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const { mode = 'line' } = req.query;
+      
+      if (!['line', 'word'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DIFF_MODE',
+            message: 'Mode diff harus line atau word'
+          }
+        });
+      }
+      
+      const article = await Article.findById(id);
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check access (collaborators or admin can see revisions)
+      if (!article.canView(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki izin untuk melihat riwayat artikel ini'
+          }
+        });
+      }
+      
+      // Default: compare previous version with current version
+      const to = parseInt(req.query.to) || article.version;
+      const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+      
+      const fromSnapshot = article.getVersionSnapshot(from);
+      const toSnapshot = article.getVersionSnapshot(to);
+      
+      if (!fromSnapshot || !toSnapshot) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'REVISION_NOT_FOUND',
+            message: 'Versi artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          articleId: article._id,
+          from: fromSnapshot.version,
+          to: toSnapshot.version,
+          diff: DiffUtils.diff(fromSnapshot.konten, toSnapshot.konten, mode)
+        }
+      });
+      
+    } catch (error) {
+      if (error.code === 'DIFF_TOO_LARGE') {
+        return res.status(413).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Compare article revisions error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'COMPARE_REVISIONS_ERROR',
+          message: 'Terjadi kesalahan saat membandingkan versi artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Restore older revision as a new revision (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreRevision(req, res) {
+    try {
+      const { id, version } = req.params;
+      const { changeNote } = req.body;
+      
+      const article = await Article.findById(id);
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check access (owner, co-author or admin can restore)
+      if (!article.canEdit(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki izin untuk mengedit artikel ini'
+          }
+        });
+      }
+      
+      // Optimistic concurrency seperti updateArticle (If-Match header atau field version)
+      const expectedVersion = ArticleUtils.parseExpectedVersion(req.get('If-Match'), req.body.version);
+      
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_VERSION',
+            message: 'Versi artikel tidak valid'
+          }
+        });
+      }
+      
+      if (expectedVersion !== null && expectedVersion !== article.version) {
+        return ArticleController.sendVersionConflict(res, article, expectedVersion);
+      }
+      
+      const snapshot = article.getVersionSnapshot(version);
+      
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'REVISION_NOT_FOUND',
+            message: 'Versi artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      if (snapshot.current) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'REVISION_ALREADY_CURRENT',
+            message: 'Versi tersebut adalah versi aktif'
+          }
+        });
+      }
+      
+      // Konten yang dikembalikan belum direview, persetujuan dicabut seperti edit biasa
+      if (snapshot.konten !== article.konten) {
+        await EditorialWorkflowService.revokeApprovalIfNeeded(article, req.user);
+      }
+      
+      // Simpan hanya jika artikel tidak diubah request lain sejak dimuat
+      article.$where = { version: article.version };
+      
+      await article.restoreVersion(snapshot.version, req.user._id, changeNote);
+      await MediaService.syncArticleUsage(article);
+      
+      // Log article restore
+      logger.info('Article revision restored', {
+        articleId: article._id,
+        userId: req.user._id,
+        restoredVersion: snapshot.version,
+        newVersion: article.version
+      });
+      
+      res.set('ETag', ArticleUtils.getVersionETag(article));
+      res.json({
+        success: true,
+        message: `Artikel berhasil dikembalikan ke versi ${snapshot.version}`,
+        data: {
+          article: ArticleUtils.formatForResponse(article, true),
+          version: article.version
+        }
+      });
+      
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError' &&
+        await ArticleController.sendRejectedSaveConflict(res, req.params.id, error.query?.version)) {
+        return;
+      }
+      
+      logger.error('Restore article revision error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'RESTORE_REVISION_ERROR',
+          message: 'Terjadi kesalahan saat mengembalikan versi artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get autosaved draft of current user (authenticated)
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async getDraft(req, res) {
+    try {
+      const article = req.article;
+      const draft = await ArticleDraft.findOne({ article: article._id, user: req.user._id });
+      
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'DRAFT_NOT_FOUND',
+            message: 'Draft tidak ditemukan'
+          }
+        });
+      }
+      
+      res.set('ETag', ArticleUtils.getVersionETag(article));
+      res.json({
+        success: true,
+        data: {
+          draft,
+          currentVersion: article.version,
+          stale: draft.baseVersion < article.version
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get article draft error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_DRAFT_ERROR',
+          message: 'Terjadi kesalahan saat mengambil draft artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Autosave draft of current user without changing the article (authenticated)
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async saveDraft(req, res) {
+    try {
+      const article = req.article;
+      const { judul, konten, ringkasan, tags, baseVersion } = req.body;
+      
+      const fields = {};
+      if (judul !== undefined) fields.judul = judul;
+      if (konten !== undefined) fields.konten = konten;
+      if (ringkasan !== undefined) fields.ringkasan = ringkasan;
+      if (tags !== undefined) fields.tags = tags.filter(tag => tag.trim());
+      
+      // Versi dasar tetap dari autosave pertama kecuali dikirim ulang oleh client
+      if (baseVersion !== undefined) {
+        fields.baseVersion = baseVersion;
+      } else {
+        const existing = await ArticleDraft.findOne({ article: article._id, user: req.user._id })
+          .select('baseVersion');
+        fields.baseVersion = existing ? existing.baseVersion : article.version;
+      }
+      
+      const draft = await ArticleDraft.saveForUser(article._id, req.user._id, fields);
+      
+      res.set('ETag', ArticleUtils.getVersionETag(article));
+      res.json({
+        success: true,
+        message: 'Draft berhasil disimpan',
+        data: {
+          draft,
+          currentVersion: article.version,
+          stale: draft.baseVersion < article.version
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Save article draft error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SAVE_DRAFT_ERROR',
+          message: 'Terjadi kesalahan saat menyimpan draft artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Discard autosaved draft of current user (authenticated)
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async discardDraft(req, res) {
+    try {
+      await ArticleDraft.deleteOne({ article: req.article._id, user: req.user._id });
+      
+      res.json({
+        success: true,
+        message: 'Draft berhasil dihapus'
+      });
+      
+    } catch (error) {
+      logger.error('Discard article draft error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DISCARD_DRAFT_ERROR',
+          message: 'Terjadi kesalahan saat menghapus draft artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get article workflow state (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+      
+      const article = await Article.findById(id)
+        .select('judul slug status penulis collaborators flags workflow scheduledAt publishedAt')
+        .populate('workflow.history.by', 'username profile.nama profile.foto');
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      // Only author, collaborator or reviewer can see workflow
+      if (!article.canView(req.user) && !(await EditorialWorkflowService.isReviewer(req.user))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki izin untuk melihat workflow artikel ini'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          articleId: article._id,
+          status: article.status,
+          scheduledAt: article.scheduledAt,
+          publishedAt: article.publishedAt,
+          lastComment: article.workflow.lastComment,
+          availableActions: await EditorialWorkflowService.getAvailableActions(article, req.user),
+          history: [...article.workflow.history].reverse()
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get article workflow error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_WORKFLOW_ERROR',
+          message: 'Terjadi kesalahan saat mengambil workflow artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Perform editorial workflow action (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async transitionArticle(req, res) {
+    try {
+      const { id, action } = req.params;
+      const { comment, scheduledAt } = req.body;
+      
+      const article = await Article.findById(id);
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      const validation = await EditorialWorkflowService.validateTransition(article, req.user, action, {
+        comment,
+        scheduledAt
+      });
+      
+      if (!validation.allowed) {
+        return res.status(validation.status).json({
+          success: false,
+          error: {
+            code: validation.code,
+            message: validation.message
+          }
+        });
+      }
+      
+      await EditorialWorkflowService.applyTransition(article, req.user, action, {
+        comment,
+        scheduledAt,
+        ipAddress: req.ip
+      });
+      
+      res.json({
+        success: true,
+        message: `Status artikel berhasil diubah menjadi ${article.status}`,
+        data: {
+          article: ArticleUtils.formatForResponse(article, false),
+          availableActions: await EditorialWorkflowService.getAvailableActions(article, req.user)
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Article workflow transition error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WORKFLOW_TRANSITION_ERROR',
+          message: 'Terjadi kesalahan saat mengubah status artikel'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get articles waiting for review (reviewer only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getReviewQueue(req, res) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+      
+      const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50)
+      };
+      
+      const query = { status: 'review' };
+      
+      const articles = await Article.find(query)
+        .populate('penulis', 'username profile.nama profile.foto')
+        .populate('kategori', 'nama slug')
+        .sort({ 'workflow.submittedAt': 1 })
+        .limit(options.limit)
+        .skip((options.page - 1) * options.limit);
+      
+      const total = await Article.countDocuments(query);
+      
+      res.json({
+        success: true,
+        data: {
+          articles: articles.map(article => ({
+            ...ArticleUtils.formatForResponse(article, false),
+            submittedAt: article.workflow.submittedAt
+          })),
+          pagination: {
+            page: options.page,
+            limit: options.limit,
+            total,
+            pages: Math.ceil(total / options.limit)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get review queue error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_REVIEW_QUEUE_ERROR',
+          message: 'Terjadi kesalahan saat mengambil antrian review'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Send 409 response for a save rejected by version check (article.$where)
+   * Gagal memuat versi terbaru tidak dilempar, pemanggil mengirim response 500 biasa
+   * @param {Object} res - Express response object
+   * @param {String} articleId - Article ID
+   * @param {Number} expectedVersion - Version the client edited
+   * @returns {Promise<Boolean>} Whether the conflict response was sent
+   */
+  static async sendRejectedSaveConflict(res, articleId, expectedVersion) {
+    try {
+      const current = await Article.findById(articleId);
+      if (!current) return false;
+      
+      ArticleController.sendVersionConflict(res, current, expectedVersion);
+      return true;
+    } catch (error) {
+      logger.error('Load conflicting article error:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Send 409 response with the current (conflicting) revision
+   * @param {Object} res - Express response object
+   * @param {Object} article - Current article
+   * @param {Number} expectedVersion - Version the client edited
+   */
+  static sendVersionConflict(res, article, expectedVersion) {
+    const lastVersion = article.previousVersions[article.previousVersions.length - 1];
+    
+    res.set('ETag', ArticleUtils.getVersionETag(article));
+    res.status(409).json({
+      success: false,
+      error: {
+        code: 'VERSION_CONFLICT',
+        message: 'Artikel sudah diubah sejak versi yang Anda edit',
+        details: {
+          expectedVersion,
+          currentVersion: article.version,
+          current: {
+            version: article.version,
+            judul: article.judul,
+            konten: article.konten,
+            ringkasan: article.ringkasan,
+            tags: article.tags,
+            updatedAt: article.updatedAt,
+            updatedBy: lastVersion ? lastVersion.updatedBy : article.penulis
+          }
+        }
+      }
+    });
+  }
+  
+  /**
+   * Send 400 response for thumbnailMedia yang tidak ditemukan atau bukan gambar
+   * @param {Object} res - Express response object
+   */
+  static sendThumbnailMediaNotFound(res) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'MEDIA_NOT_FOUND',
+        message: 'Media thumbnail tidak ditemukan atau bukan gambar'
+      }
+    });
+  }
 }
 
 module.exports = ArticleController;
\ No newline at end of file
@@ -1,5 +1,11 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
 const JwtService = require('../services/JwtService');
+const TwoFactorService = require('../services/TwoFactorService');
+const PasswordlessLoginService = require('../services/PasswordlessLoginService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
 const EmailService = require('../services/EmailService');
 const AuthUtils = require('../utils/auth');
 const { validationResult } = require('express-validator');
@@ -82,7 +88,7 @@ class AuthController {
       const tokens = JwtService.generateTokenPair(user);
       
       // Store refresh token
-      await JwtService.storeRefreshToken(user._id, tokens.refreshToken);
+      await JwtService.storeRefreshToken(user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
       
       // Log registration
       logger.info('User registered', {
@@ -168,6 +174,8 @@ class AuthController {
         .select('+password +loginAttempts +lockUntil');
       
       if (!user) {
+        await AuthController.recordLoginFailure(req, { identifier, reason: 'unknown_user' });
+        
         return res.status(401).json({
           success: false,
           error: {
@@ -179,6 +187,8 @@ class AuthController {
       
       // Check if account is locked
       if (user.isLocked) {
+        await AuthController.recordLoginFailure(req, { user, identifier, reason: 'account_locked' });
+        
         return res.status(423).json({
           success: false,
           error: {
@@ -190,6 +200,8 @@ class AuthController {
       
       // Check if account is active
       if (!user.isActive) {
+        await AuthController.recordLoginFailure(req, { user, identifier, reason: 'account_inactive' });
+        
         return res.status(401).json({
           success: false,
           error: {
@@ -205,6 +217,7 @@ class AuthController {
       if (!isPasswordValid) {
         // Increment login attempts
         await user.incLoginAttempts();
+        await AuthController.recordLoginFailure(req, { user, identifier, reason: 'invalid_password' });
         
         return res.status(401).json({
           success: false,
@@ -215,53 +228,263 @@ class AuthController {
         });
       }
       
-      // Reset login attempts on successful login
-      await user.resetLoginAttempts();
+      // Password valid, minta kode authenticator sebelum token diterbitkan
+      if (user.twoFactor?.enabled) {
+        return AuthController.sendMfaChallenge(user, req, res, { rememberMe });
+      }
       
-      // Generate auth tokens
-      const tokens = JwtService.generateTokenPair(user);
+      await AuthController.completeLogin(user, req, res, { rememberMe });
       
-      // Store refresh token
-      await JwtService.storeRefreshToken(user._id, tokens.refreshToken);
+    } catch (error) {
+      logger.error('Login error:', error);
       
-      // Set cookie for remember me
-      if (rememberMe) {
-        res.cookie('refreshToken', tokens.refreshToken, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOGIN_ERROR',
+          message: 'Terjadi kesalahan saat login'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Verify two-factor code and complete login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async verifyTwoFactorLogin(req, res) {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+      
+      let decoded;
+      try {
+        decoded = JwtService.verifyMfaToken(mfaToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'INVALID_MFA_TOKEN',
+            message: 'Sesi login telah kedaluwarsa, silakan login ulang'
+          }
         });
       }
       
-      // Log login
-      logger.info('User logged in', {
-        userId: user._id,
-        username: user.username,
-        email: user.email,
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
+      const user = await User.findById(decoded.id).select('+loginAttempts +lockUntil');
+      
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'INVALID_MFA_TOKEN',
+            message: 'Sesi login telah kedaluwarsa, silakan login ulang'
+          }
+        });
+      }
+      
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_LOCKED',
+            message: 'Akun terkunci karena terlalu banyak percobaan login yang gagal'
+          }
+        });
+      }
+      
+      let verification;
+      try {
+        verification = await TwoFactorService.verify(user._id, { code, recoveryCode });
+      } catch (error) {
+        if (error.code !== 'INVALID_TWO_FACTOR_CODE') throw error;
+        
+        // Kode salah dihitung sebagai percobaan login gagal
+        await user.incLoginAttempts();
+        await AuthController.recordLoginFailure(req, { user, reason: 'invalid_two_factor_code' });
+        
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      await AuthController.completeLogin(user, req, res, {
+        rememberMe: decoded.rememberMe,
+        twoFactor: verification,
+        method: decoded.method
       });
       
+    } catch (error) {
+      logger.error('Two-factor login error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOGIN_ERROR',
+          message: 'Terjadi kesalahan saat login'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Request passwordless login (magic link dan kode OTP via email)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async requestPasswordlessLogin(req, res) {
+    try {
+      const { email } = req.body;
+      
+      const challenge = await PasswordlessLoginService.createChallenge(email);
+      
+      if (challenge) {
+        const { user, token, code } = challenge;
+        
+        try {
+          await EmailService.sendPasswordlessLoginEmail(
+            user.email,
+            token,
+            code,
+            user.profile.nama,
+            PasswordlessLoginService.getExpireMinutes()
+          );
+        } catch (emailError) {
+          logger.error('Failed to send passwordless login email:', emailError);
+        }
+        
+        logger.info('Passwordless login requested', {
+          userId: user._id,
+          ip: req.ip
+        });
+        
+        await AuditService.record({
+          action: 'auth.passwordless_login_requested',
+          category: 'auth',
+          resource: { type: 'user', id: user._id, label: user.username },
+          req
+        });
+      }
+      
+      // Don't reveal if user exists or not
       res.json({
         success: true,
-        message: 'Login berhasil',
+        message: 'Jika email terdaftar, link dan kode login akan dikirim',
         data: {
-          user: {
-            id: user._id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            emailVerified: user.emailVerified,
-            profile: user.profile,
-            subscription: user.subscription
-          },
-          tokens
+          expiresInMinutes: PasswordlessLoginService.getExpireMinutes()
         }
       });
       
     } catch (error) {
-      logger.error('Login error:', error);
+      logger.error('Passwordless login request error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PASSWORDLESS_LOGIN_ERROR',
+          message: 'Terjadi kesalahan saat memproses permintaan login'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Login with magic link token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async loginWithMagicLink(req, res) {
+    const { token, rememberMe = false } = req.body;
+    
+    await AuthController.completePasswordlessLogin(req, res, {
+      method: 'magic_link',
+      rememberMe,
+      consume: () => PasswordlessLoginService.consumeToken(token)
+    });
+  }
+  
+  /**
+   * Login with emailed 6 digit code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async loginWithCode(req, res) {
+    const { email, code, rememberMe = false } = req.body;
+    
+    await AuthController.completePasswordlessLogin(req, res, {
+      method: 'email_code',
+      rememberMe,
+      identifier: email,
+      consume: () => PasswordlessLoginService.consumeCode(email, code)
+    });
+  }
+  
+  /**
+   * Verify passwordless challenge and complete login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { method, rememberMe, identifier, consume }
+   */
+  static async completePasswordlessLogin(req, res, { method, rememberMe, identifier = null, consume }) {
+    try {
+      let user;
+      try {
+        user = await consume();
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) throw error;
+        
+        await AuthController.recordLoginFailure(req, { identifier, reason: error.code.toLowerCase() });
+        
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      if (user.isLocked) {
+        await AuthController.recordLoginFailure(req, { user, identifier, reason: 'account_locked' });
+        
+        return res.status(423).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_LOCKED',
+            message: 'Akun terkunci karena terlalu banyak percobaan login yang gagal'
+          }
+        });
+      }
+      
+      if (!user.isActive) {
+        await AuthController.recordLoginFailure(req, { user, identifier, reason: 'account_inactive' });
+        
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_INACTIVE',
+            message: 'Akun telah dinonaktifkan'
+          }
+        });
+      }
+      
+      // Link atau kode dari email membuktikan kepemilikan email
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        await User.updateOne({ _id: user._id }, { $set: { emailVerified: true } });
+      }
+      
+      if (user.twoFactor?.enabled) {
+        return AuthController.sendMfaChallenge(user, req, res, { rememberMe, method });
+      }
+      
+      await AuthController.completeLogin(user, req, res, { rememberMe, method });
+      
+    } catch (error) {
+      logger.error('Passwordless login error:', error);
       
       res.status(500).json({
         success: false,
@@ -273,6 +496,111 @@ class AuthController {
     }
   }
   
+  /**
+   * Send two-factor challenge instead of tokens
+   * @param {Object} user - User with 2FA enabled
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { rememberMe, method }
+   */
+  static sendMfaChallenge(user, req, res, { rememberMe = false, method = 'password' } = {}) {
+    logger.info('Login awaiting two-factor verification', {
+      userId: user._id,
+      ip: req.ip
+    });
+    
+    return res.json({
+      success: true,
+      message: 'Masukkan kode verifikasi dari aplikasi authenticator',
+      data: {
+        mfaRequired: true,
+        mfaToken: JwtService.generateMfaToken(user._id, { rememberMe, method }),
+        methods: ['totp', 'recovery_code']
+      }
+    });
+  }
+  
+  /**
+   * Issue tokens and send login response
+   * @param {Object} user - Authenticated user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { rememberMe, twoFactor, method }
+   */
+  static async completeLogin(user, req, res, { rememberMe = false, twoFactor = null, method = 'password' } = {}) {
+    // Reset login attempts on successful login
+    await user.resetLoginAttempts();
+    
+    // Generate auth tokens
+    const tokens = JwtService.generateTokenPair(user);
+    
+    // Store refresh token
+    await JwtService.storeRefreshToken(user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
+    
+    // Set cookie for remember me
+    if (rememberMe) {
+      res.cookie('refreshToken', tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+      });
+    }
+    
+    // Log login
+    logger.info('User logged in', {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      twoFactorMethod: twoFactor?.method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    await AuditService.record({
+      actor: user,
+      action: 'auth.login',
+      category: 'auth',
+      resource: { type: 'user', id: user._id, label: user.username },
+      metadata: { method, twoFactorMethod: twoFactor?.method || null },
+      req
+    });
+    
+    res.json({
+      success: true,
+      message: 'Login berhasil',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+          profile: user.profile,
+          subscription: user.subscription
+        },
+        tokens,
+        ...(twoFactor && { remainingRecoveryCodes: twoFactor.remainingRecoveryCodes })
+      }
+    });
+  }
+  
+  /**
+   * Record failed login attempt to audit log
+   * @param {Object} req - Express request object
+   * @param {Object} details - { user, identifier, reason }
+   */
+  static async recordLoginFailure(req, { user = null, identifier = null, reason }) {
+    await AuditService.record({
+      action: 'auth.login_failed',
+      category: 'auth',
+      status: 'failure',
+      resource: user ? { type: 'user', id: user._id, label: user.username } : { type: 'user' },
+      metadata: { identifier, reason },
+      req
+    });
+  }
+  
   /**
    * Refresh access token
    * @param {Object} req - Express request object
@@ -296,7 +624,7 @@ class AuthController {
       }
       
       // Refresh the token
-      const newTokens = await JwtService.refreshAccessToken(token);
+      const newTokens = await JwtService.refreshAccessToken(token, AuthUtils.getClientInfo(req));
       
       // Update cookie if it was used
       if (cookieRefreshToken) {
@@ -322,6 +650,16 @@ class AuthController {
       // Clear cookie on error
       res.clearCookie('refreshToken');
       
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'REFRESH_TOKEN_REUSED',
+            message: 'Refresh token sudah pernah dipakai, sesi diakhiri demi keamanan. Silakan login ulang'
+          }
+        });
+      }
+      
       res.status(401).json({
         success: false,
         error: {
@@ -347,6 +685,12 @@ class AuthController {
       if (token) {
         // Revoke refresh token
         await JwtService.revokeRefreshToken(token);
+      } else if (req.user && req.token) {
+        // Tanpa refresh token, akhiri session dari access token
+        const sessionId = JwtService.decodeToken(req.token)?.sessionId;
+        if (sessionId) {
+          await UserSession.revoke({ user: req.user._id, sessionId }, 'logout');
+        }
       }
       
       // Blacklist current access token
@@ -409,6 +753,14 @@ class AuthController {
         ip: req.ip
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: 'auth.logout_all',
+        category: 'auth',
+        resource: { type: 'user', id: req.user._id, label: req.user.username },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Logout dari semua perangkat berhasil'
@@ -652,6 +1004,13 @@ class AuthController {
         ip: req.ip
       });
       
+      await AuditService.record({
+        action: 'auth.password_reset_requested',
+        category: 'auth',
+        resource: { type: 'user', id: user._id, label: user.username },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Link reset password telah dikirim ke email Anda'
@@ -712,7 +1071,7 @@ class AuthController {
       await user.save();
       
       // Revoke all refresh tokens (force re-login)
-      await JwtService.revokeAllRefreshTokens(user._id);
+      await JwtService.revokeAllRefreshTokens(user._id, 'security');
       
       // Log password reset
       logger.info('Password reset completed', {
@@ -721,6 +1080,14 @@ class AuthController {
         ip: req.ip
       });
       
+      await AuditService.record({
+        actor: user,
+        action: 'auth.password_reset',
+        category: 'auth',
+        resource: { type: 'user', id: user._id, label: user.username },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Password berhasil direset. Silakan login dengan password baru.'
@@ -789,11 +1156,11 @@ class AuthController {
       await user.save();
       
       // Revoke all other refresh tokens (keep current session)
-      await JwtService.revokeAllRefreshTokens(user._id);
+      await JwtService.revokeAllRefreshTokens(user._id, 'security');
       
       // Generate new tokens for current session
       const tokens = JwtService.generateTokenPair(user);
-      await JwtService.storeRefreshToken(user._id, tokens.refreshToken);
+      await JwtService.storeRefreshToken(user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
       
       // Log password change
       logger.info('Password changed', {
@@ -802,6 +1169,14 @@ class AuthController {
         ip: req.ip
       });
       
+      await AuditService.record({
+        actor: user,
+        action: 'auth.password_changed',
+        category: 'auth',
+        resource: { type: 'user', id: user._id, label: user.username },
+        req
+      });
+      
       res.json({
         success: true,
         message: 'Password berhasil diubah',
@@ -838,10 +1213,13 @@ class AuthController {
             username: req.user.username,
             email: req.user.email,
             role: req.user.role,
+            staffRoles: req.user.staffRoles,
+            permissions: await PermissionService.getUserPermissions(req.user),
             emailVerified: req.user.emailVerified,
             profile: req.user.profile,
             subscription: req.user.subscription,
             stats: req.user.stats,
+            twoFactorEnabled: !!req.user.twoFactor?.enabled,
             createdAt: req.user.createdAt
           }
         }
@@ -858,6 +1236,358 @@ class AuthController {
       });
     }
   }
+  
+  /**
+   * Get active login sessions of current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await UserSession.findActiveByUser(req.user._id);
+      
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session._id,
+            deviceName: session.deviceName,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            lastSeenAt: session.lastSeenAt,
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt,
+            current: session.sessionId === req.sessionId
+          }))
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_SESSIONS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar sesi login'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Revoke a single login session (logout perangkat tertentu)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeSession(req, res) {
+    try {
+      const session = mongoose.isValidObjectId(req.params.id)
+        ? await UserSession.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+        : null;
+      
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SESSION_NOT_FOUND',
+            message: 'Sesi login tidak ditemukan'
+          }
+        });
+      }
+      
+      await UserSession.revoke({ _id: session._id }, 'user_revoked');
+      
+      logger.info('Session revoked', {
+        userId: req.user._id,
+        sessionId: session._id,
+        deviceName: session.deviceName,
+        ip: req.ip
+      });
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'auth.session_revoked',
+        category: 'auth',
+        resource: { type: 'session', id: session._id, label: session.deviceName },
+        metadata: { ipAddress: session.ipAddress },
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Sesi login berhasil diakhiri',
+        data: {
+          current: session.sessionId === req.sessionId
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVOKE_SESSION_ERROR',
+          message: 'Terjadi kesalahan saat mengakhiri sesi login'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get two-factor authentication status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTwoFactorStatus(req, res) {
+    try {
+      const status = await TwoFactorService.getStatus(req.user._id);
+      
+      res.json({
+        success: true,
+        data: status
+      });
+      
+    } catch (error) {
+      logger.error('Get two-factor status error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_STATUS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil status two-factor authentication'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Start two-factor setup
+   * Mengembalikan secret dan otpauth URI untuk ditampilkan sebagai QR code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setupTwoFactor(req, res) {
+    try {
+      const { secret, otpauthUri } = await TwoFactorService.beginSetup(req.user._id);
+      
+      res.json({
+        success: true,
+        message: 'Scan QR code dengan aplikasi authenticator, lalu konfirmasi dengan kode verifikasi',
+        data: {
+          secret,
+          otpauthUri
+        }
+      });
+      
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Two-factor setup error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_SETUP_ERROR',
+          message: 'Terjadi kesalahan saat setup two-factor authentication'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Enable two-factor authentication after verifying first code
+   * Recovery code hanya ditampilkan sekali di response ini
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async enableTwoFactor(req, res) {
+    try {
+      const recoveryCodes = await TwoFactorService.enable(req.user._id, req.body.code);
+      
+      // Sesi lain yang login tanpa 2FA dicabut, sesi ini mendapat token baru
+      await JwtService.revokeAllRefreshTokens(req.user._id, 'security');
+      
+      const tokens = JwtService.generateTokenPair(req.user);
+      await JwtService.storeRefreshToken(req.user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'auth.2fa_enabled',
+        category: 'auth',
+        resource: { type: 'user', id: req.user._id, label: req.user.username },
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Two-factor authentication berhasil diaktifkan. Simpan recovery code di tempat yang aman.',
+        data: {
+          recoveryCodes,
+          tokens
+        }
+      });
+      
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Enable two-factor error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_ENABLE_ERROR',
+          message: 'Terjadi kesalahan saat mengaktifkan two-factor authentication'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Disable two-factor authentication
+   * Memerlukan password dan kode authenticator atau recovery code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async disableTwoFactor(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      
+      if (TwoFactorService.isRequiredFor(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TWO_FACTOR_REQUIRED',
+            message: 'Akun admin dan staff wajib mengaktifkan two-factor authentication'
+          }
+        });
+      }
+      
+      const user = await User.findById(req.user._id).select('+password');
+      const isPasswordValid = await user.comparePassword(password);
+      
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_CURRENT_PASSWORD',
+            message: 'Password saat ini salah'
+          }
+        });
+      }
+      
+      await TwoFactorService.verify(user._id, { code, recoveryCode });
+      await TwoFactorService.disable(user._id);
+      
+      logger.info('Two-factor authentication disabled by user', {
+        userId: user._id,
+        ip: req.ip
+      });
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'auth.2fa_disabled',
+        category: 'auth',
+        resource: { type: 'user', id: user._id, label: user.username },
+        metadata: { method: recoveryCode ? 'recovery_code' : 'totp' },
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Two-factor authentication berhasil dinonaktifkan'
+      });
+      
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Disable two-factor error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_DISABLE_ERROR',
+          message: 'Terjadi kesalahan saat menonaktifkan two-factor authentication'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Regenerate recovery codes
+   * Recovery code lama tidak berlaku lagi
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      await TwoFactorService.verify(req.user._id, { code: req.body.code });
+      
+      const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id);
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'auth.2fa_recovery_codes_regenerated',
+        category: 'auth',
+        resource: { type: 'user', id: req.user._id, label: req.user.username },
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Recovery code baru berhasil dibuat. Simpan di tempat yang aman.',
+        data: {
+          recoveryCodes
+        }
+      });
+      
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Regenerate recovery codes error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'RECOVERY_CODES_ERROR',
+          message: 'Terjadi kesalahan saat membuat recovery code'
+        }
+      });
+    }
+  }
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const Category = require('../models/Category');
 const Article = require('../models/Article');
+const AuditService = require('../services/AuditService');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -430,6 +431,16 @@ class CategoryController {
         articlesMovedTo: moveArticlesTo
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: 'category.deleted',
+        category: 'content',
+        resource: { type: 'category', id: category._id, label: category.nama },
+        before: { nama: category.nama, slug: category.slug, articleCount },
+        metadata: { articlesMovedTo: moveArticlesTo || null },
+        req
+      });
+      
       res.json({
         success: true,
         message: articleCount > 0 
@@ -0,0 +1,478 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const User = require('../models/User');
+const SocketService = require('../services/SocketService');
+const logger = require('../config/logger');
+
+const COLLABORATOR_USER_FIELDS = 'username profile.nama profile.foto';
+
+/**
+ * Collaboration Controller untuk co-author dan reviewer per artikel
+ * Akses ke artikel dicek lewat requireOwnership (req.article, req.articleRole)
+ */
+class CollaborationController {
+
+  /**
+   * Get owner, collaborators and byline of article
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCollaborators(req, res) {
+    try {
+      const article = await req.article.populate([
+        { path: 'penulis', select: COLLABORATOR_USER_FIELDS },
+        { path: 'collaborators.user', select: COLLABORATOR_USER_FIELDS },
+        { path: 'collaborators.invitedBy', select: 'username' },
+        { path: 'byline', select: COLLABORATOR_USER_FIELDS }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          owner: article.penulis,
+          collaborators: article.collaborators,
+          byline: article.byline,
+          role: req.articleRole
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get collaborators error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_COLLABORATORS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil kolaborator artikel'
+        }
+      });
+    }
+  }
+
+  /**
+   * Invite collaborator by username (owner atau admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async inviteCollaborator(req, res) {
+    try {
+      const article = req.article;
+      const { username, role = 'co-author' } = req.body;
+
+      const invitee = await User.findOne({ username, isActive: true })
+        .select('username profile.nama');
+
+      if (!invitee) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'Pengguna tidak ditemukan'
+          }
+        });
+      }
+
+      if (invitee._id.equals(article.penulis)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'CANNOT_INVITE_OWNER',
+            message: 'Pemilik artikel tidak dapat diundang sebagai kolaborator'
+          }
+        });
+      }
+
+      // Atomik supaya undangan ganda dari request bersamaan tidak tersimpan
+      const result = await Article.updateOne(
+        { _id: article._id, 'collaborators.user': { $ne: invitee._id } },
+        {
+          $push: {
+            collaborators: {
+              user: invitee._id,
+              role,
+              status: 'pending',
+              invitedBy: req.user._id,
+              invitedAt: new Date()
+            }
+          }
+        },
+        { runValidators: true }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'COLLABORATOR_EXISTS',
+            message: 'Pengguna sudah menjadi atau diundang sebagai kolaborator'
+          }
+        });
+      }
+
+      logger.info('Article collaborator invited', {
+        articleId: article._id,
+        userId: invitee._id,
+        role,
+        invitedBy: req.user._id
+      });
+
+      await SocketService.sendToUser(invitee._id.toString(), 'collaboration-invite', {
+        articleId: article._id,
+        articleTitle: article.judul,
+        role,
+        inviterName: req.user.profile?.nama || req.user.username
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Undangan kolaborasi berhasil dikirim',
+        data: {
+          collaborator: {
+            user: { _id: invitee._id, username: invitee.username, profile: { nama: invitee.profile?.nama } },
+            role,
+            status: 'pending'
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Invite collaborator error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INVITE_COLLABORATOR_ERROR',
+          message: 'Terjadi kesalahan saat mengundang kolaborator'
+        }
+      });
+    }
+  }
+
+  /**
+   * Accept collaboration invitation
+   * Co-author ditambahkan ke akhir byline dan dikreditkan di stats
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async acceptInvitation(req, res) {
+    try {
+      const invitation = await CollaborationController.findInvitation(req, res);
+      if (!invitation) return;
+
+      const { article, collaborator } = invitation;
+      const update = {
+        $set: {
+          'collaborators.$.status': 'accepted',
+          'collaborators.$.respondedAt': new Date()
+        }
+      };
+
+      if (collaborator.role === 'co-author') {
+        update.$addToSet = { byline: req.user._id };
+      }
+
+      const result = await Article.updateOne(
+        {
+          _id: article._id,
+          collaborators: { $elemMatch: { user: req.user._id, status: 'pending' } }
+        },
+        update
+      );
+
+      if (result.modifiedCount === 0) {
+        return CollaborationController.sendInvitationNotFound(res);
+      }
+
+      if (collaborator.role === 'co-author') {
+        await User.updateStatsMany([req.user._id], 'articlesPublished', 1);
+      }
+
+      logger.info('Article collaboration accepted', {
+        articleId: article._id,
+        userId: req.user._id,
+        role: collaborator.role
+      });
+
+      res.json({
+        success: true,
+        message: 'Undangan kolaborasi diterima',
+        data: {
+          articleId: article._id,
+          role: collaborator.role
+        }
+      });
+
+    } catch (error) {
+      logger.error('Accept collaboration error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'ACCEPT_COLLABORATION_ERROR',
+          message: 'Terjadi kesalahan saat menerima undangan kolaborasi'
+        }
+      });
+    }
+  }
+
+  /**
+   * Decline collaboration invitation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async declineInvitation(req, res) {
+    try {
+      const invitation = await CollaborationController.findInvitation(req, res);
+      if (!invitation) return;
+
+      await Article.updateOne(
+        { _id: invitation.article._id },
+        { $pull: { collaborators: { user: req.user._id, status: 'pending' } } }
+      );
+
+      logger.info('Article collaboration declined', {
+        articleId: invitation.article._id,
+        userId: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: 'Undangan kolaborasi ditolak'
+      });
+
+    } catch (error) {
+      logger.error('Decline collaboration error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DECLINE_COLLABORATION_ERROR',
+          message: 'Terjadi kesalahan saat menolak undangan kolaborasi'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove collaborator (owner atau admin) atau keluar dari kolaborasi (kolaborator sendiri)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeCollaborator(req, res) {
+    try {
+      const { id, userId } = req.params;
+
+      const article = mongoose.isValidObjectId(id) ? await Article.findById(id) : null;
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+
+      const isSelf = req.user._id.toString() === userId;
+      const isOwner = article.getCollaboratorRole(req.user) === 'owner';
+
+      if (!isSelf && !isOwner && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Hanya pemilik artikel yang dapat menghapus kolaborator'
+          }
+        });
+      }
+
+      const collaborator = article.collaborators.find(c => c.user.toString() === userId);
+
+      if (!collaborator) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COLLABORATOR_NOT_FOUND',
+            message: 'Kolaborator tidak ditemukan'
+          }
+        });
+      }
+
+      const result = await Article.updateOne(
+        { _id: article._id, 'collaborators._id': collaborator._id },
+        { $pull: { collaborators: { _id: collaborator._id }, byline: collaborator.user } }
+      );
+
+      if (result.modifiedCount > 0 && collaborator.role === 'co-author' && collaborator.status === 'accepted') {
+        await User.updateStatsMany([collaborator.user], 'articlesPublished', -1);
+      }
+
+      logger.info('Article collaborator removed', {
+        articleId: article._id,
+        userId,
+        removedBy: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: isSelf ? 'Anda telah keluar dari kolaborasi artikel' : 'Kolaborator berhasil dihapus'
+      });
+
+    } catch (error) {
+      logger.error('Remove collaborator error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REMOVE_COLLABORATOR_ERROR',
+          message: 'Terjadi kesalahan saat menghapus kolaborator'
+        }
+      });
+    }
+  }
+
+  /**
+   * Update byline order (owner atau admin)
+   * Byline harus berisi tepat pemilik dan semua co-author yang sudah menerima
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateByline(req, res) {
+    try {
+      const article = req.article;
+      const authors = req.body.authors.map(id => id.toString());
+      const authorIds = article.getAuthorIds().map(id => id.toString());
+
+      const isPermutation = authors.length === authorIds.length &&
+        new Set(authors).size === authors.length &&
+        authors.every(id => authorIds.includes(id));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_BYLINE',
+            message: 'Byline harus berisi pemilik dan semua co-author artikel tepat satu kali'
+          }
+        });
+      }
+
+      article.byline = authors;
+      await article.save();
+      await article.populate('byline', COLLABORATOR_USER_FIELDS);
+
+      res.json({
+        success: true,
+        message: 'Byline berhasil diperbarui',
+        data: {
+          byline: article.byline
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update byline error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_BYLINE_ERROR',
+          message: 'Terjadi kesalahan saat memperbarui byline'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get pending collaboration invitations of current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMyInvitations(req, res) {
+    try {
+      const articles = await Article.find({
+        collaborators: { $elemMatch: { user: req.user._id, status: 'pending' } }
+      })
+        .select('judul slug status penulis collaborators')
+        .populate('penulis', COLLABORATOR_USER_FIELDS)
+        .populate('collaborators.invitedBy', COLLABORATOR_USER_FIELDS)
+        .sort({ updatedAt: -1 })
+        .limit(100);
+
+      const invitations = articles.map(article => {
+        const collaborator = article.collaborators.find(c =>
+          c.user.toString() === req.user._id.toString() && c.status === 'pending'
+        );
+
+        return {
+          article: {
+            _id: article._id,
+            judul: article.judul,
+            slug: article.slug,
+            status: article.status,
+            penulis: article.penulis
+          },
+          role: collaborator.role,
+          invitedBy: collaborator.invitedBy,
+          invitedAt: collaborator.invitedAt
+        };
+      });
+
+      res.json({
+        success: true,
+        data: { invitations }
+      });
+
+    } catch (error) {
+      logger.error('Get collaboration invitations error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_INVITATIONS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil undangan kolaborasi'
+        }
+      });
+    }
+  }
+
+  /**
+   * Helper method to find pending invitation of current user
+   * Mengirim response 404 jika tidak ditemukan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} { article, collaborator }
+   */
+  static async findInvitation(req, res) {
+    const article = mongoose.isValidObjectId(req.params.id)
+      ? await Article.findById(req.params.id).select('judul penulis collaborators')
+      : null;
+
+    const collaborator = article && article.collaborators.find(c =>
+      c.user.toString() === req.user._id.toString() && c.status === 'pending'
+    );
+
+    if (!collaborator) {
+      CollaborationController.sendInvitationNotFound(res);
+      return null;
+    }
+
+    return { article, collaborator };
+  }
+
+  /**
+   * Send invitation not found response
+   * @param {Object} res - Express response object
+   */
+  static sendInvitationNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'INVITATION_NOT_FOUND',
+        message: 'Undangan kolaborasi tidak ditemukan'
+      }
+    });
+  }
+}
+
+module.exports = CollaborationController;
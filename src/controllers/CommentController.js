@@ -1,6 +1,9 @@
 const Comment = require('../models/Comment');
 const Article = require('../models/Article');
 const User = require('../models/User');
+const SocketService = require('../services/SocketService');
+const AuditService = require('../services/AuditService');
+const PermissionService = require('../services/PermissionService');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -114,7 +117,7 @@ class CommentController {
       }
       
       // Only show approved comments to public
-      if (comment.status !== 'approved' && (!req.user || req.user.role !== 'admin')) {
+      if (comment.status !== 'approved' && !(await PermissionService.hasPermission(req.user, 'comments.moderate'))) {
         return res.status(404).json({
           success: false,
           error: {
@@ -230,6 +233,11 @@ class CommentController {
       // Populate comment for response
       await comment.populate('penulis', 'username profile.nama profile.foto');
       
+      // Notify article author (stored in inbox + real-time)
+      SocketService.notifyNewComment(comment, article).catch(error => {
+        logger.error('Notify new comment error:', error);
+      });
+      
       // Log comment creation
       logger.info('Comment created', {
         commentId: comment._id,
@@ -378,8 +386,9 @@ class CommentController {
         });
       }
       
-      // Check ownership (author or admin can delete)
-      if (comment.penulis.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      // Check ownership (author or moderator can delete)
+      if (comment.penulis.toString() !== req.user._id.toString() &&
+          !(await PermissionService.hasPermission(req.user, 'comments.moderate'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -417,6 +426,19 @@ class CommentController {
         articleId: comment.artikel
       });
       
+      // Penghapusan komentar milik orang lain dicatat sebagai moderasi
+      if (comment.penulis.toString() !== req.user._id.toString()) {
+        await AuditService.record({
+          actor: req.user,
+          action: 'comment.deleted',
+          category: 'moderation',
+          resource: { type: 'comment', id: comment._id },
+          before: { konten: comment.konten, status: comment.status, penulis: comment.penulis },
+          metadata: { articleId: comment.artikel },
+          req
+        });
+      }
+      
       res.json({
         success: true,
         message: 'Komentar berhasil dihapus'
@@ -629,6 +651,8 @@ class CommentController {
         });
       }
       
+      const previousStatus = comment.status;
+      
       // Perform moderation action
       switch (action) {
         case 'approve':
@@ -650,6 +674,17 @@ class CommentController {
         note
       });
       
+      await AuditService.record({
+        actor: req.user,
+        action: `comment.${action}`,
+        category: 'moderation',
+        resource: { type: 'comment', id: comment._id },
+        before: { status: previousStatus },
+        after: { status: comment.status },
+        metadata: { note, articleId: comment.artikel },
+        req
+      });
+      
       res.json({
         success: true,
         message: `Komentar berhasil di-${action}`,
@@ -711,6 +746,14 @@ class CommentController {
         modifiedCount: result.modifiedCount
       });
       
+      await AuditService.recordMany({
+        actor: req.user,
+        action: `comment.${action}`,
+        category: 'moderation',
+        metadata: { note, bulk: true, totalRequested: commentIds.length },
+        req
+      }, commentIds.map(commentId => ({ type: 'comment', id: commentId })));
+      
       res.json({
         success: true,
         message: `${result.modifiedCount} komentar berhasil di-${action}`,
@@ -0,0 +1,96 @@
+const FeedService = require('../services/FeedService');
+const logger = require('../config/logger');
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+/**
+ * Feed Controller
+ */
+class FeedController {
+
+  /**
+   * Serve feed for the resolved scope with conditional GET support
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {String} format - Feed format (rss, atom, json)
+   * @param {String} type - Scope type (site, category, author)
+   * @param {String} value - Category slug or author username
+   */
+  static async sendFeed(req, res, format, type = 'site', value = null) {
+    try {
+      const scope = await FeedService.resolveScope(type, value);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: type === 'category' ? 'CATEGORY_NOT_FOUND' : 'AUTHOR_NOT_FOUND',
+            message: type === 'category' ? 'Kategori tidak ditemukan' : 'Penulis tidak ditemukan'
+          }
+        });
+      }
+
+      const { etag, lastModified } = await FeedService.getValidators(scope, format);
+
+      res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'Cache-Control': 'public, max-age=300',
+        'ETag': etag,
+        'Last-Modified': lastModified.toUTCString()
+      });
+
+      // Express compares If-None-Match / If-Modified-Since against the headers above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const content = await FeedService.generateFeed(scope, format);
+
+      res.send(format === 'json' ? JSON.stringify(content) : content);
+
+    } catch (error) {
+      logger.error('Get feed error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_FEED_ERROR',
+          message: 'Terjadi kesalahan saat membuat feed'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get site-wide feed (public)
+   * @param {String} format - Feed format (rss, atom, json)
+   * @returns {Function} Express handler
+   */
+  static siteFeed(format) {
+    return (req, res) => FeedController.sendFeed(req, res, format);
+  }
+
+  /**
+   * Get category feed by category slug (public)
+   * @param {String} format - Feed format (rss, atom, json)
+   * @returns {Function} Express handler
+   */
+  static categoryFeed(format) {
+    return (req, res) => FeedController.sendFeed(req, res, format, 'category', req.params.slug);
+  }
+
+  /**
+   * Get author feed by username (public)
+   * @param {String} format - Feed format (rss, atom, json)
+   * @returns {Function} Express handler
+   */
+  static authorFeed(format) {
+    return (req, res) => FeedController.sendFeed(req, res, format, 'author', req.params.username);
+  }
+}
+
+module.exports = FeedController;
@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const MediaService = require('../services/MediaService');
+const PermissionService = require('../services/PermissionService');
+const StorageService = require('../services/StorageService');
+const { uploadUtils } = require('../middleware/upload');
+const logger = require('../config/logger');
+
+/**
+ * Media Controller untuk media library (browse, search, tag, reuse, delete)
+ */
+class MediaController {
+
+  /**
+   * Get media list
+   * Default hanya media milik user, scope=all untuk user dengan permission media.manage
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listMedia(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 24,
+        q,
+        type,
+        tag,
+        unused,
+        scope
+      } = req.query;
+
+      const options = {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 24, 1), 100)
+      };
+
+      const query = {};
+
+      if (scope !== 'all' || !(await PermissionService.hasPermission(req.user, 'media.manage'))) {
+        query.owner = req.user._id;
+      }
+
+      if (q) query.$text = { $search: String(q) };
+      if (type && ['image', 'document'].includes(type)) query.type = type;
+      if (tag) query.tags = String(tag).toLowerCase();
+      if (unused === 'true') query.usage = { $size: 0 };
+
+      const media = await Media.find(query)
+        .populate('owner', 'username profile.nama')
+        .sort({ createdAt: -1 })
+        .limit(options.limit)
+        .skip((options.page - 1) * options.limit);
+
+      const total = await Media.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          media,
+          pagination: {
+            page: options.page,
+            limit: options.limit,
+            total,
+            pages: Math.ceil(total / options.limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get media list error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_MEDIA_LIST_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get single media with its variants and usage
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMedia(req, res) {
+    try {
+      const media = await MediaService.findForUser(req.params.id, req.user);
+
+      if (!media) {
+        return MediaController.sendMediaNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: { media }
+      });
+
+    } catch (error) {
+      logger.error('Get media error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_MEDIA_ERROR',
+          message: 'Terjadi kesalahan saat mengambil media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Upload media files into library
+   * @param {Object} req - Express request object (req.files dari uploadConfigs.media)
+   * @param {Object} res - Express response object
+   */
+  static async uploadMedia(req, res) {
+    const files = req.files || [];
+    const media = [];
+
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NO_FILE_UPLOADED',
+            message: 'Tidak ada file yang diupload'
+          }
+        });
+      }
+
+      const premium = req.body.premium === true || req.body.premium === 'true';
+
+      // Media premium disimpan private, hanya untuk paket dengan konten premium
+      if (premium && !(await req.user.hasFeature('premium_content'))) {
+        files.forEach(file => uploadUtils.deleteFile(file.path));
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'PREMIUM_FEATURE_REQUIRED',
+            message: 'Fitur media premium tidak tersedia dalam paket Anda'
+          }
+        });
+      }
+
+      const fields = {
+        altText: req.body.altText,
+        caption: req.body.caption,
+        tags: MediaController.parseTags(req.body.tags),
+        premium
+      };
+
+      for (const file of files) {
+        media.push(await MediaService.registerUpload(file, req.user._id, fields));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Media berhasil diupload',
+        data: { media }
+      });
+
+    } catch (error) {
+      logger.error('Upload media error:', error);
+
+      // File yang belum tercatat dihapus agar tidak menjadi file liar
+      files.slice(media.length).forEach(file => uploadUtils.deleteFile(file.path));
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Data media tidak valid',
+            details: Object.values(error.errors).map(err => err.message)
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPLOAD_MEDIA_ERROR',
+          message: 'Terjadi kesalahan saat mengupload media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Update media metadata (alt text, caption, tags)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateMedia(req, res) {
+    try {
+      const media = await MediaService.findForUser(req.params.id, req.user);
+
+      if (!media) {
+        return MediaController.sendMediaNotFound(res);
+      }
+
+      const { altText, caption, tags } = req.body;
+
+      if (altText !== undefined) media.altText = altText;
+      if (caption !== undefined) media.caption = caption;
+      if (tags !== undefined) media.tags = [...new Set(tags.map(t => t.toLowerCase()))];
+
+      await media.save();
+
+      res.json({
+        success: true,
+        message: 'Media berhasil diperbarui',
+        data: { media }
+      });
+
+    } catch (error) {
+      logger.error('Update media error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_MEDIA_ERROR',
+          message: 'Terjadi kesalahan saat memperbarui media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete media and its variants
+   * Media yang masih dipakai artikel hanya bisa dihapus dengan force=true
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteMedia(req, res) {
+    try {
+      const media = await MediaService.findForUser(req.params.id, req.user);
+
+      if (!media) {
+        return MediaController.sendMediaNotFound(res);
+      }
+
+      if (media.usage.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'MEDIA_IN_USE',
+            message: 'Media masih digunakan oleh artikel',
+            details: { usage: media.usage }
+          }
+        });
+      }
+
+      await MediaService.deleteMedia(media);
+
+      logger.info('Media deleted by user', {
+        mediaId: media._id,
+        userId: req.user._id,
+        forced: media.usage.length > 0
+      });
+
+      res.json({
+        success: true,
+        message: 'Media berhasil dihapus'
+      });
+
+    } catch (error) {
+      logger.error('Delete media error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DELETE_MEDIA_ERROR',
+          message: 'Terjadi kesalahan saat menghapus media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Open media file (public, optional auth)
+   * Media premium diarahkan ke signed URL yang berlaku singkat
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMediaFile(req, res) {
+    try {
+      const file = await MediaController.findMediaFile(req, res);
+      if (!file) return;
+
+      if (!file.media.premium) {
+        return res.redirect(302, StorageService.getUrl(file.key));
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      res.redirect(302, StorageService.getSignedUrl(file.key));
+
+    } catch (error) {
+      logger.error('Get media file error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_MEDIA_FILE_ERROR',
+          message: 'Terjadi kesalahan saat membuka file media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get signed URL of media file (untuk client yang memasang URL di <img> sendiri)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSignedUrl(req, res) {
+    try {
+      const file = await MediaController.findMediaFile(req, res);
+      if (!file) return;
+
+      const expiresIn = StorageService.signedUrlTtl;
+      const url = file.media.premium
+        ? StorageService.getSignedUrl(file.key, expiresIn)
+        : StorageService.getUrl(file.key);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.json({
+        success: true,
+        data: {
+          url,
+          expiresAt: file.media.premium ? new Date(Date.now() + expiresIn * 1000) : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get media signed URL error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_MEDIA_SIGNED_URL_ERROR',
+          message: 'Terjadi kesalahan saat membuat URL media'
+        }
+      });
+    }
+  }
+
+  /**
+   * Find media file for request and check premium access
+   * Mengirim respons error dan mengembalikan null jika tidak bisa diakses
+   * @param {Object} req - Express request object (params id, variant)
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} { media, key }
+   */
+  static async findMediaFile(req, res) {
+    const variant = req.params.variant || req.query.variant || null;
+    const media = mongoose.isValidObjectId(req.params.id)
+      ? await Media.findById(req.params.id)
+      : null;
+    const key = media && MediaService.getFileKey(media, variant);
+
+    if (!key) {
+      MediaController.sendMediaNotFound(res);
+      return null;
+    }
+
+    if (!(await MediaService.canAccessFile(media, req.user))) {
+      res.status(403).json({
+        success: false,
+        error: {
+          code: 'PREMIUM_CONTENT',
+          message: 'Media ini hanya tersedia untuk pengguna premium'
+        }
+      });
+      return null;
+    }
+
+    return { media, key };
+  }
+
+  /**
+   * Parse tags from multipart form (array atau string dipisah koma)
+   * @param {Array|String} value - Raw tags
+   * @returns {Array} Tags
+   */
+  static parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+
+    return [...new Set(tags
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean))]
+      .slice(0, 20);
+  }
+
+  /**
+   * Send media not found response
+   * Media milik user lain mendapat respons yang sama agar keberadaannya tidak bocor
+   * @param {Object} res - Express response object
+   */
+  static sendMediaNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'MEDIA_NOT_FOUND',
+        message: 'Media tidak ditemukan'
+      }
+    });
+  }
+}
+
+module.exports = MediaController;
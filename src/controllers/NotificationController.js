@@ -2,6 +2,7 @@ const NotificationService = require('../services/NotificationService');
 const User = require('../models/User');
 const Article = require('../models/Article');
 const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -372,6 +373,207 @@ class NotificationController {
       });
     }
   }
+  
+  /**
+   * Get user notification inbox
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInbox(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        unread,
+        type
+      } = req.query;
+      
+      const options = {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50),
+        unreadOnly: unread === 'true',
+        type
+      };
+      
+      const query = { recipient: req.user._id };
+      if (options.unreadOnly) query.isRead = false;
+      if (type) query.type = type;
+      
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.getInbox(req.user._id, options),
+        Notification.countDocuments(query),
+        Notification.countUnread(req.user._id)
+      ]);
+      
+      res.json({
+        success: true,
+        data: {
+          notifications,
+          unreadCount,
+          pagination: {
+            page: options.page,
+            limit: options.limit,
+            total,
+            pages: Math.ceil(total / options.limit)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get notification inbox error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_INBOX_ERROR',
+          message: 'Failed to get notifications'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get unread notification count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await Notification.countUnread(req.user._id);
+      
+      res.json({
+        success: true,
+        data: {
+          unreadCount
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_UNREAD_COUNT_ERROR',
+          message: 'Failed to get unread notification count'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Mark single notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async markAsRead(req, res) {
+    try {
+      const notification = await Notification.markAsRead(req.params.id, req.user._id);
+      
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOTIFICATION_NOT_FOUND',
+            message: 'Notification not found'
+          }
+        });
+      }
+      
+      const unreadCount = await Notification.countUnread(req.user._id);
+      
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: {
+          notification,
+          unreadCount
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Mark notification as read error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'MARK_READ_ERROR',
+          message: 'Failed to mark notification as read'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Mark all notifications as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async markAllAsRead(req, res) {
+    try {
+      const result = await Notification.markAllAsRead(req.user._id);
+      
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: {
+          modifiedCount: result.modifiedCount,
+          unreadCount: 0
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Mark all notifications as read error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'MARK_ALL_READ_ERROR',
+          message: 'Failed to mark all notifications as read'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Delete notification from inbox
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteNotification(req, res) {
+    try {
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        recipient: req.user._id
+      });
+      
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOTIFICATION_NOT_FOUND',
+            message: 'Notification not found'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+      
+    } catch (error) {
+      logger.error('Delete notification error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DELETE_NOTIFICATION_ERROR',
+          message: 'Failed to delete notification'
+        }
+      });
+    }
+  }
 }
 
 module.exports = NotificationController;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const PaymentService = require('../services/PaymentService');
+const AuditService = require('../services/AuditService');
 const UserSubscription = require('../models/UserSubscription');
 const Subscription = require('../models/Subscription');
 const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -30,4 +32,509 @@ class PaymentController {
         });
       }
       
-      const {\n        subscriptionId,\n        gateway = 'midtrans'\n      } = req.body;\n      \n      // Get user subscription\n      const userSubscription = await UserSubscription.findById(subscriptionId)\n        .populate('subscription')\n        .populate('user');\n      \n      if (!userSubscription) {\n        return res.status(404).json({\n          success: false,\n          error: {\n            code: 'SUBSCRIPTION_NOT_FOUND',\n            message: 'Subscription tidak ditemukan'\n          }\n        });\n      }\n      \n      // Check if user owns this subscription\n      if (userSubscription.user._id.toString() !== req.user._id.toString()) {\n        return res.status(403).json({\n          success: false,\n          error: {\n            code: 'ACCESS_DENIED',\n            message: 'Akses ditolak'\n          }\n        });\n      }\n      \n      // Check if subscription is already paid\n      if (userSubscription.status === 'active') {\n        return res.status(400).json({\n          success: false,\n          error: {\n            code: 'ALREADY_PAID',\n            message: 'Subscription sudah aktif'\n          }\n        });\n      }\n      \n      // Create payment\n      const paymentResult = await PaymentService.createSubscriptionPayment({\n        userSubscription,\n        user: userSubscription.user,\n        plan: userSubscription.subscription\n      }, gateway);\n      \n      res.json({\n        success: true,\n        message: 'Payment berhasil dibuat',\n        data: paymentResult\n      });\n      \n    } catch (error) {\n      logger.error('Create payment error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'CREATE_PAYMENT_ERROR',\n          message: 'Terjadi kesalahan saat membuat pembayaran'\n        }\n      });\n    }\n  }\n  \n  /**\n   * Get payment status\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async getPaymentStatus(req, res) {\n    try {\n      const { subscriptionId } = req.params;\n      \n      // Get user subscription\n      const userSubscription = await UserSubscription.findById(subscriptionId)\n        .populate('user');\n      \n      if (!userSubscription) {\n        return res.status(404).json({\n          success: false,\n          error: {\n            code: 'SUBSCRIPTION_NOT_FOUND',\n            message: 'Subscription tidak ditemukan'\n          }\n        });\n      }\n      \n      // Check if user owns this subscription\n      if (userSubscription.user._id.toString() !== req.user._id.toString()) {\n        return res.status(403).json({\n          success: false,\n          error: {\n            code: 'ACCESS_DENIED',\n            message: 'Akses ditolak'\n          }\n        });\n      }\n      \n      // Get payment status from gateway\n      let gatewayStatus = null;\n      \n      if (userSubscription.payment.transactionId && userSubscription.payment.gateway) {\n        try {\n          gatewayStatus = await PaymentService.getPaymentStatus(\n            userSubscription.payment.transactionId,\n            userSubscription.payment.gateway\n          );\n        } catch (gatewayError) {\n          logger.error('Gateway status check error:', gatewayError);\n        }\n      }\n      \n      res.json({\n        success: true,\n        data: {\n          subscription: {\n            id: userSubscription._id,\n            status: userSubscription.status,\n            amount: userSubscription.payment.amount,\n            currency: userSubscription.payment.currency,\n            method: userSubscription.payment.method,\n            gateway: userSubscription.payment.gateway,\n            transactionId: userSubscription.payment.transactionId\n          },\n          gatewayStatus\n        }\n      });\n      \n    } catch (error) {\n      logger.error('Get payment status error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'GET_PAYMENT_STATUS_ERROR',\n          message: 'Terjadi kesalahan saat mengambil status pembayaran'\n        }\n      });\n    }\n  }\n  \n  /**\n   * Handle Midtrans webhook\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async handleMidtransWebhook(req, res) {\n    try {\n      const notification = req.body;\n      \n      const result = await PaymentService.handleMidtransWebhook(notification);\n      \n      res.json({\n        success: true,\n        message: 'Webhook processed successfully',\n        data: result\n      });\n      \n    } catch (error) {\n      logger.error('Midtrans webhook error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'WEBHOOK_ERROR',\n          message: 'Terjadi kesalahan saat memproses webhook'\n        }\n      });\n    }\n  }\n  \n  /**\n   * Handle Xendit webhook\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async handleXenditWebhook(req, res) {\n    try {\n      const notification = req.body;\n      \n      const result = await PaymentService.handleXenditWebhook(notification);\n      \n      res.json({\n        success: true,\n        message: 'Webhook processed successfully',\n        data: result\n      });\n      \n    } catch (error) {\n      logger.error('Xendit webhook error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'WEBHOOK_ERROR',\n          message: 'Terjadi kesalahan saat memproses webhook'\n        }\n      });\n    }\n  }\n  \n  /**\n   * Handle Stripe webhook\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async handleStripeWebhook(req, res) {\n    try {\n      const event = req.body;\n      \n      const result = await PaymentService.handleStripeWebhook(event);\n      \n      res.json({\n        success: true,\n        message: 'Webhook processed successfully',\n        data: result\n      });\n      \n    } catch (error) {\n      logger.error('Stripe webhook error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'WEBHOOK_ERROR',\n          message: 'Terjadi kesalahan saat memproses webhook'\n        }\n      });\n    }\n  }\n  \n  /**\n   * Payment success page\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async paymentSuccess(req, res) {\n    try {\n      const { order_id, transaction_status } = req.query;\n      \n      // Find subscription by transaction ID\n      const userSubscription = await UserSubscription.findOne({\n        'payment.transactionId': order_id\n      }).populate('subscription').populate('user');\n      \n      if (!userSubscription) {\n        return res.redirect('/payment/error?message=Subscription tidak ditemukan');\n      }\n      \n      res.render('payment/success', {\n        title: 'Pembayaran Berhasil',\n        subscription: userSubscription,\n        plan: userSubscription.subscription,\n        transactionStatus: transaction_status\n      });\n      \n    } catch (error) {\n      logger.error('Payment success page error:', error);\n      res.redirect('/payment/error?message=Terjadi kesalahan');\n    }\n  }\n  \n  /**\n   * Payment error page\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async paymentError(req, res) {\n    try {\n      const { message = 'Pembayaran gagal' } = req.query;\n      \n      res.render('payment/error', {\n        title: 'Pembayaran Gagal',\n        message\n      });\n      \n    } catch (error) {\n      logger.error('Payment error page error:', error);\n      res.status(500).send('Terjadi kesalahan');\n    }\n  }\n  \n  /**\n   * Payment pending page\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async paymentPending(req, res) {\n    try {\n      const { order_id } = req.query;\n      \n      // Find subscription by transaction ID\n      const userSubscription = await UserSubscription.findOne({\n        'payment.transactionId': order_id\n      }).populate('subscription');\n      \n      res.render('payment/pending', {\n        title: 'Pembayaran Pending',\n        subscription: userSubscription,\n        plan: userSubscription?.subscription\n      });\n      \n    } catch (error) {\n      logger.error('Payment pending page error:', error);\n      res.redirect('/payment/error?message=Terjadi kesalahan');\n    }\n  }\n  \n  /**\n   * Get available payment methods\n   * @param {Object} req - Express request object\n   * @param {Object} res - Express response object\n   */\n  static async getPaymentMethods(req, res) {\n    try {\n      const paymentMethods = {\n        midtrans: {\n          name: 'Midtrans',\n          description: 'Pembayaran melalui Midtrans (Credit Card, Bank Transfer, E-Wallet)',\n          available: !!process.env.MIDTRANS_SERVER_KEY,\n          methods: ['credit_card', 'bank_transfer', 'gopay', 'ovo', 'dana']\n        },\n        xendit: {\n          name: 'Xendit',\n          description: 'Pembayaran melalui Xendit (Bank Transfer, E-Wallet, Retail)',\n          available: !!process.env.XENDIT_SECRET_KEY,\n          methods: ['bank_transfer', 'ovo', 'dana', 'linkaja', 'retail']\n        },\n        stripe: {\n          name: 'Stripe',\n          description: 'Pembayaran internasional melalui Stripe (Credit Card)',\n          available: !!process.env.STRIPE_SECRET_KEY,\n          methods: ['credit_card']\n        }\n      };\n      \n      // Filter only available methods\n      const availableMethods = Object.keys(paymentMethods)\n        .filter(key => paymentMethods[key].available)\n        .reduce((obj, key) => {\n          obj[key] = paymentMethods[key];\n          return obj;\n        }, {});\n      \n      res.json({\n        success: true,\n        data: {\n          paymentMethods: availableMethods\n        }\n      });\n      \n    } catch (error) {\n      logger.error('Get payment methods error:', error);\n      \n      res.status(500).json({\n        success: false,\n        error: {\n          code: 'GET_PAYMENT_METHODS_ERROR',\n          message: 'Terjadi kesalahan saat mengambil metode pembayaran'\n        }\n      });\n    }\n  }\n}\n\nmodule.exports = PaymentController;
\ No newline at end of file
+      const {
+        subscriptionId,
+        gateway = 'midtrans'
+      } = req.body;
+      
+      // Get user subscription
+      const userSubscription = await UserSubscription.findById(subscriptionId)
+        .populate('subscription')
+        .populate('user');
+      
+      if (!userSubscription) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SUBSCRIPTION_NOT_FOUND',
+            message: 'Subscription tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check if user owns this subscription
+      if (userSubscription.user._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Akses ditolak'
+          }
+        });
+      }
+      
+      // Check if subscription is already paid
+      if (userSubscription.status === 'active') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ALREADY_PAID',
+            message: 'Subscription sudah aktif'
+          }
+        });
+      }
+      
+      // Create payment
+      const paymentResult = await PaymentService.createSubscriptionPayment({
+        userSubscription,
+        user: userSubscription.user,
+        plan: userSubscription.subscription
+      }, gateway);
+      
+      res.json({
+        success: true,
+        message: 'Payment berhasil dibuat',
+        data: paymentResult
+      });
+      
+    } catch (error) {
+      // Kupon sudah tidak berlaku sejak checkout
+      if (error.code && error.code.startsWith('COUPON_')) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Create payment error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'CREATE_PAYMENT_ERROR',
+          message: 'Terjadi kesalahan saat membuat pembayaran'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get payment status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPaymentStatus(req, res) {
+    try {
+      const { subscriptionId } = req.params;
+      
+      // Get user subscription
+      const userSubscription = await UserSubscription.findById(subscriptionId)
+        .populate('user');
+      
+      if (!userSubscription) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SUBSCRIPTION_NOT_FOUND',
+            message: 'Subscription tidak ditemukan'
+          }
+        });
+      }
+      
+      // Check if user owns this subscription
+      if (userSubscription.user._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Akses ditolak'
+          }
+        });
+      }
+      
+      // Get payment status from gateway
+      let gatewayStatus = null;
+      
+      if (userSubscription.payment.transactionId && userSubscription.payment.gateway) {
+        try {
+          gatewayStatus = await PaymentService.getPaymentStatus(
+            userSubscription.payment.transactionId,
+            userSubscription.payment.gateway
+          );
+        } catch (gatewayError) {
+          logger.error('Gateway status check error:', gatewayError);
+        }
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          subscription: {
+            id: userSubscription._id,
+            status: userSubscription.status,
+            amount: userSubscription.payment.amount,
+            currency: userSubscription.payment.currency,
+            method: userSubscription.payment.method,
+            gateway: userSubscription.payment.gateway,
+            transactionId: userSubscription.payment.transactionId
+          },
+          gatewayStatus
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get payment status error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_PAYMENT_STATUS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil status pembayaran'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Process webhook delivery of a gateway
+   * @param {String} gateway - Payment gateway
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async processWebhook(gateway, req, res) {
+    try {
+      const result = await PaymentService.processWebhook(gateway, {
+        payload: req.body,
+        headers: req.headers,
+        rawBody: req.rawBody,
+        ipAddress: req.ip
+      });
+      
+      res.json({
+        success: true,
+        message: result.duplicate
+          ? 'Webhook sudah diterima sebelumnya'
+          : 'Webhook processed successfully',
+        data: result
+      });
+      
+    } catch (error) {
+      logger.error(`${gateway} webhook error:`, error);
+      
+      if (error.code === 'INVALID_SIGNATURE') {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'INVALID_SIGNATURE',
+            message: 'Signature webhook tidak valid'
+          }
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_ERROR',
+          message: 'Terjadi kesalahan saat memproses webhook'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Handle Midtrans webhook
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async handleMidtransWebhook(req, res) {
+    return PaymentController.processWebhook('midtrans', req, res);
+  }
+  
+  /**
+   * Handle Xendit webhook
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async handleXenditWebhook(req, res) {
+    return PaymentController.processWebhook('xendit', req, res);
+  }
+  
+  /**
+   * Handle Stripe webhook
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async handleStripeWebhook(req, res) {
+    return PaymentController.processWebhook('stripe', req, res);
+  }
+  
+  /**
+   * Get stored webhook events (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getWebhookEvents(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        gateway,
+        status,
+        reference
+      } = req.query;
+      
+      const pageNumber = parseInt(page);
+      const pageLimit = Math.min(parseInt(limit), 100);
+      
+      const query = {};
+      if (gateway) query.gateway = gateway;
+      if (status) query.status = status;
+      if (reference) query.reference = reference;
+      
+      const [events, total] = await Promise.all([
+        WebhookEvent.find(query)
+          .select('-payload -rawBody -headers')
+          .sort({ createdAt: -1 })
+          .skip((pageNumber - 1) * pageLimit)
+          .limit(pageLimit),
+        WebhookEvent.countDocuments(query)
+      ]);
+      
+      res.json({
+        success: true,
+        data: {
+          events,
+          pagination: {
+            page: pageNumber,
+            limit: pageLimit,
+            total,
+            pages: Math.ceil(total / pageLimit)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get webhook events error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_WEBHOOK_EVENTS_ERROR',
+          message: 'Gagal mengambil webhook events'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get stored webhook event with raw payload (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getWebhookEvent(req, res) {
+    try {
+      const event = await WebhookEvent.findById(req.params.id)
+        .populate('reprocessHistory.by', 'username profile.nama');
+      
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'WEBHOOK_EVENT_NOT_FOUND',
+            message: 'Webhook event tidak ditemukan'
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: { event }
+      });
+      
+    } catch (error) {
+      logger.error('Get webhook event error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_WEBHOOK_EVENT_ERROR',
+          message: 'Gagal mengambil webhook event'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Re-process stored webhook event (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reprocessWebhookEvent(req, res) {
+    try {
+      const result = await PaymentService.reprocessWebhookEvent(req.params.id, req.user._id);
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'webhook_event.reprocessed',
+        category: 'billing',
+        resource: { type: 'webhook_event', id: req.params.id },
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Webhook event berhasil diproses ulang',
+        data: result
+      });
+      
+    } catch (error) {
+      logger.error('Reprocess webhook event error:', error);
+      
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REPROCESS_WEBHOOK_ERROR',
+          message: 'Gagal memproses ulang webhook event'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Payment success page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async paymentSuccess(req, res) {
+    try {
+      const { order_id, transaction_status } = req.query;
+      
+      // Find subscription by transaction ID
+      const userSubscription = await UserSubscription.findOne({
+        'payment.transactionId': order_id
+      }).populate('subscription').populate('user');
+      
+      if (!userSubscription) {
+        return res.redirect('/payment/error?message=Subscription tidak ditemukan');
+      }
+      
+      res.render('payment/success', {
+        title: 'Pembayaran Berhasil',
+        subscription: userSubscription,
+        plan: userSubscription.subscription,
+        transactionStatus: transaction_status
+      });
+      
+    } catch (error) {
+      logger.error('Payment success page error:', error);
+      res.redirect('/payment/error?message=Terjadi kesalahan');
+    }
+  }
+  
+  /**
+   * Payment error page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async paymentError(req, res) {
+    try {
+      const { message = 'Pembayaran gagal' } = req.query;
+      
+      res.render('payment/error', {
+        title: 'Pembayaran Gagal',
+        message
+      });
+      
+    } catch (error) {
+      logger.error('Payment error page error:', error);
+      res.status(500).send('Terjadi kesalahan');
+    }
+  }
+  
+  /**
+   * Payment pending page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async paymentPending(req, res) {
+    try {
+      const { order_id } = req.query;
+      
+      // Find subscription by transaction ID
+      const userSubscription = await UserSubscription.findOne({
+        'payment.transactionId': order_id
+      }).populate('subscription');
+      
+      res.render('payment/pending', {
+        title: 'Pembayaran Pending',
+        subscription: userSubscription,
+        plan: userSubscription?.subscription
+      });
+      
+    } catch (error) {
+      logger.error('Payment pending page error:', error);
+      res.redirect('/payment/error?message=Terjadi kesalahan');
+    }
+  }
+  
+  /**
+   * Get available payment methods
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPaymentMethods(req, res) {
+    try {
+      const paymentMethods = {
+        midtrans: {
+          name: 'Midtrans',
+          description: 'Pembayaran melalui Midtrans (Credit Card, Bank Transfer, E-Wallet)',
+          available: !!process.env.MIDTRANS_SERVER_KEY,
+          methods: ['credit_card', 'bank_transfer', 'gopay', 'ovo', 'dana']
+        },
+        xendit: {
+          name: 'Xendit',
+          description: 'Pembayaran melalui Xendit (Bank Transfer, E-Wallet, Retail)',
+          available: !!process.env.XENDIT_SECRET_KEY,
+          methods: ['bank_transfer', 'ovo', 'dana', 'linkaja', 'retail']
+        },
+        stripe: {
+          name: 'Stripe',
+          description: 'Pembayaran internasional melalui Stripe (Credit Card)',
+          available: !!process.env.STRIPE_SECRET_KEY,
+          methods: ['credit_card']
+        }
+      };
+      
+      // Filter only available methods
+      const availableMethods = Object.keys(paymentMethods)
+        .filter(key => paymentMethods[key].available)
+        .reduce((obj, key) => {
+          obj[key] = paymentMethods[key];
+          return obj;
+        }, {});
+      
+      res.json({
+        success: true,
+        data: {
+          paymentMethods: availableMethods
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get payment methods error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_PAYMENT_METHODS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil metode pembayaran'
+        }
+      });
+    }
+  }
+}
+
+module.exports = PaymentController;
\ No newline at end of file
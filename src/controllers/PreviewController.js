@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const ArticlePreviewLink = require('../models/ArticlePreviewLink');
+const JwtService = require('../services/JwtService');
+const logger = require('../config/logger');
+
+const PREVIEW_LINK_DEFAULT_HOURS = parseInt(process.env.PREVIEW_LINK_DEFAULT_HOURS || '72', 10);
+
+// Halaman pratinjau tidak boleh diindeks, di-cache atau membocorkan token lewat Referer
+const PREVIEW_HEADERS = {
+  'X-Robots-Tag': 'noindex, nofollow, noarchive',
+  'Cache-Control': 'private, no-store',
+  'Referrer-Policy': 'no-referrer'
+};
+
+/**
+ * Preview Controller untuk link pratinjau artikel yang belum dipublikasikan
+ */
+class PreviewController {
+
+  /**
+   * Get preview links of article (owner atau co-author)
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async getPreviewLinks(req, res) {
+    try {
+      const links = await ArticlePreviewLink.find({ article: req.article._id })
+        .populate('createdBy', 'username profile.nama')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: { links }
+      });
+
+    } catch (error) {
+      logger.error('Get preview links error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_PREVIEW_LINKS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil link pratinjau'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create signed, expiring preview link (owner atau co-author)
+   * Token hanya ditampilkan sekali saat dibuat
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async createPreviewLink(req, res) {
+    try {
+      const article = req.article;
+      const { expiresInHours = PREVIEW_LINK_DEFAULT_HOURS, note } = req.body;
+
+      const link = await ArticlePreviewLink.create({
+        article: article._id,
+        createdBy: req.user._id,
+        note,
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      });
+
+      const token = JwtService.generatePreviewToken(article._id, link._id, link.expiresAt);
+
+      logger.info('Article preview link created', {
+        articleId: article._id,
+        linkId: link._id,
+        userId: req.user._id,
+        expiresAt: link.expiresAt
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Link pratinjau berhasil dibuat',
+        data: {
+          link,
+          token,
+          url: `${process.env.APP_URL}/blog/preview/${token}`
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create preview link error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'CREATE_PREVIEW_LINK_ERROR',
+          message: 'Terjadi kesalahan saat membuat link pratinjau'
+        }
+      });
+    }
+  }
+
+  /**
+   * Revoke preview link (owner atau co-author)
+   * @param {Object} req - Express request object (req.article dari requireOwnership)
+   * @param {Object} res - Express response object
+   */
+  static async revokePreviewLink(req, res) {
+    try {
+      const { linkId } = req.params;
+
+      const link = mongoose.isValidObjectId(linkId)
+        ? await ArticlePreviewLink.findOneAndUpdate(
+          { _id: linkId, article: req.article._id, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+          { new: true }
+        )
+        : null;
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PREVIEW_LINK_NOT_FOUND',
+            message: 'Link pratinjau tidak ditemukan atau sudah dicabut'
+          }
+        });
+      }
+
+      logger.info('Article preview link revoked', {
+        articleId: req.article._id,
+        linkId: link._id,
+        userId: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: 'Link pratinjau berhasil dicabut',
+        data: { link }
+      });
+
+    } catch (error) {
+      logger.error('Revoke preview link error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REVOKE_PREVIEW_LINK_ERROR',
+          message: 'Terjadi kesalahan saat mencabut link pratinjau'
+        }
+      });
+    }
+  }
+
+  /**
+   * Render article preview page from token (public, tanpa login)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async renderPreview(req, res) {
+    res.set(PREVIEW_HEADERS);
+
+    try {
+      let decoded;
+      try {
+        decoded = JwtService.verifyPreviewToken(req.params.token);
+      } catch (error) {
+        return PreviewController.sendInvalidPreview(res);
+      }
+
+      if (!mongoose.isValidObjectId(decoded.jti) || !mongoose.isValidObjectId(decoded.articleId)) {
+        return PreviewController.sendInvalidPreview(res);
+      }
+
+      const link = await ArticlePreviewLink.findActive(decoded.jti, decoded.articleId);
+      const article = link && await Article.findById(decoded.articleId)
+        .populate('penulis', 'username profile')
+        .populate('byline', 'username profile.nama profile.foto')
+        .populate('kategori', 'nama slug');
+
+      if (!article) {
+        return PreviewController.sendInvalidPreview(res);
+      }
+
+      // Artikel yang sudah terbit diarahkan ke halaman publik
+      if (article.isPublished) {
+        return res.redirect(`/blog/${article.slug}`);
+      }
+
+      await ArticlePreviewLink.updateOne(
+        { _id: link._id },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+      );
+
+      res.render('blog/article', {
+        title: article.judul,
+        article: {
+          ...article.toObject({ virtuals: true }),
+          author: article.penulis,
+          views: article.metadata.views
+        },
+        comments: [],
+        relatedArticles: [],
+        user: null,
+        preview: {
+          status: article.status,
+          expiresAt: link.expiresAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Render article preview error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'PREVIEW_ERROR',
+          message: 'Terjadi kesalahan saat menampilkan pratinjau artikel'
+        }
+      });
+    }
+  }
+
+  /**
+   * Send invalid preview response
+   * Token salah, kedaluwarsa dan dicabut mendapat respons yang sama
+   * @param {Object} res - Express response object
+   */
+  static sendInvalidPreview(res) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'PREVIEW_LINK_INVALID',
+        message: 'Link pratinjau tidak valid, sudah kedaluwarsa atau dicabut'
+      }
+    });
+  }
+}
+
+module.exports = PreviewController;
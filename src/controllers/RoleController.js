@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const logger = require('../config/logger');
+
+/**
+ * Role Controller untuk role staff dan permission (admin)
+ */
+class RoleController {
+
+  /**
+   * Get staff roles, system roles and permission catalog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRoles(req, res) {
+    try {
+      const [roles, userCounts] = await Promise.all([
+        Role.find().sort({ name: 1 }).lean(),
+        User.aggregate([
+          { $unwind: '$staffRoles' },
+          { $group: { _id: '$staffRoles', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countByRole = new Map(userCounts.map(item => [item._id, item.count]));
+
+      res.json({
+        success: true,
+        data: {
+          roles: roles.map(role => ({ ...role, userCount: countByRole.get(role.name) || 0 })),
+          systemRoles: ['admin', 'penulis', 'pembaca'].map(name => ({
+            name,
+            permissions: Role.getSystemRolePermissions(name)
+          })),
+          permissions: Role.getPermissionCatalog()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get roles error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_ROLES_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create staff role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createRole(req, res) {
+    try {
+      const { name, displayName, description, permissions = [] } = req.body;
+
+      const role = await Role.create({
+        name,
+        displayName,
+        description,
+        permissions,
+        createdBy: req.user._id
+      });
+
+      PermissionService.invalidate(role.name);
+
+      logger.info('Role created', {
+        roleId: role._id,
+        name: role.name,
+        adminId: req.user._id
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'role.created',
+        category: 'admin',
+        resource: { type: 'role', id: role._id, label: role.name },
+        after: { permissions: role.permissions },
+        req
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role berhasil dibuat',
+        data: { role }
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ROLE_EXISTS',
+            message: 'Nama role sudah digunakan'
+          }
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+          }
+        });
+      }
+
+      logger.error('Create role error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'CREATE_ROLE_ERROR',
+          message: 'Terjadi kesalahan saat membuat role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Update staff role (nama role tidak bisa diubah)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateRole(req, res) {
+    try {
+      const role = await RoleController.findRole(req, res);
+      if (!role) return;
+
+      const before = { displayName: role.displayName, description: role.description, permissions: [...role.permissions] };
+
+      ['displayName', 'description', 'permissions'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          role[field] = req.body[field];
+        }
+      });
+      await role.save();
+
+      PermissionService.invalidate(role.name);
+
+      logger.info('Role updated', {
+        roleId: role._id,
+        name: role.name,
+        adminId: req.user._id
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'role.updated',
+        category: 'admin',
+        resource: { type: 'role', id: role._id, label: role.name },
+        before,
+        after: { displayName: role.displayName, description: role.description, permissions: role.permissions },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'Role berhasil diperbarui',
+        data: { role }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+          }
+        });
+      }
+
+      logger.error('Update role error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_ROLE_ERROR',
+          message: 'Terjadi kesalahan saat memperbarui role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete staff role and remove it from all users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteRole(req, res) {
+    try {
+      const role = await RoleController.findRole(req, res);
+      if (!role) return;
+
+      await Role.deleteOne({ _id: role._id });
+      const result = await User.updateMany(
+        { staffRoles: role.name },
+        { $pull: { staffRoles: role.name } }
+      );
+
+      PermissionService.invalidate(role.name);
+
+      logger.info('Role deleted', {
+        roleId: role._id,
+        name: role.name,
+        affectedUsers: result.modifiedCount,
+        adminId: req.user._id
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'role.deleted',
+        category: 'admin',
+        resource: { type: 'role', id: role._id, label: role.name },
+        before: { displayName: role.displayName, permissions: role.permissions },
+        metadata: { affectedUsers: result.modifiedCount },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'Role berhasil dihapus',
+        data: {
+          affectedUsers: result.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      logger.error('Delete role error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DELETE_ROLE_ERROR',
+          message: 'Terjadi kesalahan saat menghapus role'
+        }
+      });
+    }
+  }
+
+  /**
+   * Set staff roles of user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateUserStaffRoles(req, res) {
+    try {
+      const { id } = req.params;
+      const staffRoles = [...new Set(req.body.staffRoles)];
+
+      const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'Pengguna tidak ditemukan'
+          }
+        });
+      }
+
+      const existingRoles = await Role.find({ name: { $in: staffRoles } }).select('name').lean();
+      const existingNames = new Set(existingRoles.map(role => role.name));
+      const unknownRoles = staffRoles.filter(name => !existingNames.has(name));
+
+      if (unknownRoles.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ROLE_NOT_FOUND',
+            message: `Role tidak ditemukan: ${unknownRoles.join(', ')}`
+          }
+        });
+      }
+
+      const before = [...user.staffRoles];
+      user.staffRoles = staffRoles;
+      await user.save();
+
+      logger.info('User staff roles updated', {
+        userId: user._id,
+        adminId: req.user._id,
+        staffRoles
+      });
+
+      await AuditService.record({
+        actor: req.user,
+        action: 'user.staff_roles_changed',
+        category: 'admin',
+        resource: { type: 'user', id: user._id, label: user.username },
+        before: { staffRoles: before },
+        after: { staffRoles },
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'Role staff pengguna berhasil diperbarui',
+        data: {
+          user: {
+            _id: user._id,
+            username: user.username,
+            role: user.role,
+            staffRoles: user.staffRoles
+          },
+          permissions: await PermissionService.getUserPermissions(user)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update user staff roles error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_STAFF_ROLES_ERROR',
+          message: 'Terjadi kesalahan saat memperbarui role staff pengguna'
+        }
+      });
+    }
+  }
+
+  /**
+   * Helper method to find role by id
+   * Mengirim response 404 jika tidak ditemukan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} Role
+   */
+  static async findRole(req, res) {
+    const role = mongoose.isValidObjectId(req.params.id)
+      ? await Role.findById(req.params.id)
+      : null;
+
+    if (!role) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'ROLE_NOT_FOUND',
+          message: 'Role tidak ditemukan'
+        }
+      });
+    }
+
+    return role;
+  }
+}
+
+module.exports = RoleController;
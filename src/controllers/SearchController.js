@@ -7,6 +7,21 @@ const logger = require('../config/logger');
  */
 class SearchController {
   
+  /**
+   * Build search log options from request
+   * @param {Object} req - Express request object
+   * @param {String} source - Search source (articles, advanced, global)
+   * @returns {Object} Log options
+   */
+  static getLogOptions(req, source) {
+    return {
+      source,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      doNotTrack: req.get('DNT') === '1'
+    };
+  }
+  
   /**
    * Search articles
    * @param {Object} req - Express request object
@@ -58,15 +73,19 @@ class SearchController {
       const results = await SearchService.searchArticles(searchOptions);
       
       // Log search for analytics
-      await SearchService.logSearch(
+      const searchLog = await SearchService.logSearch(
         query,
         req.user?._id,
-        results.pagination.total
+        results.pagination.total,
+        SearchController.getLogOptions(req, 'articles')
       );
       
       res.json({
         success: true,
-        data: results
+        data: {
+          ...results,
+          searchId: searchLog ? searchLog._id : null
+        }
       });
       
     } catch (error) {
@@ -97,7 +116,8 @@ class SearchController {
           data: {
             articles: [],
             tags: [],
-            categories: []
+            categories: [],
+            didYouMean: null
           }
         });
       }
@@ -179,11 +199,19 @@ class SearchController {
         return sum + (result.pagination?.total || result.users?.length || result.categories?.length || 0);
       }, 0);
       
-      await SearchService.logSearch(query, req.user?._id, totalResults);
+      const searchLog = await SearchService.logSearch(
+        query,
+        req.user?._id,
+        totalResults,
+        SearchController.getLogOptions(req, 'advanced')
+      );
       
       res.json({
         success: true,
-        data: results
+        data: {
+          ...results,
+          searchId: searchLog ? searchLog._id : null
+        }
       });
       
     } catch (error) {
@@ -342,6 +370,52 @@ class SearchController {
     }
   }
   
+  /**
+   * Record clicked search result
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async trackClick(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid click parameters',
+            details: errors.array()
+          }
+        });
+      }
+      
+      const { searchId, articleId, position = null } = req.body;
+      
+      const recorded = await SearchService.logClick(searchId, {
+        articleId,
+        position: position === null ? null : parseInt(position)
+      });
+      
+      res.json({
+        success: true,
+        data: {
+          recorded
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Track search click error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SEARCH_CLICK_ERROR',
+          message: 'Terjadi kesalahan saat mencatat klik hasil pencarian'
+        }
+      });
+    }
+  }
+  
   /**
    * Get search analytics (admin only)
    * @param {Object} req - Express request object
@@ -349,12 +423,27 @@ class SearchController {
    */
   static async getSearchAnalytics(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid analytics parameters',
+            details: errors.array()
+          }
+        });
+      }
+      
       const {
         startDate = null,
-        endDate = null
+        endDate = null,
+        limit = 20
       } = req.query;
       
-      const options = {};
+      const options = {
+        limit: Math.min(parseInt(limit), 100)
+      };
       
       if (startDate) {
         options.startDate = new Date(startDate);
@@ -422,7 +511,12 @@ class SearchController {
       
       // Log search
       const totalResults = articles.pagination.total + categories.pagination.total;
-      await SearchService.logSearch(query, req.user?._id, totalResults);
+      const searchLog = await SearchService.logSearch(
+        query,
+        req.user?._id,
+        totalResults,
+        SearchController.getLogOptions(req, 'global')
+      );
       
       res.json({
         success: true,
@@ -430,7 +524,9 @@ class SearchController {
           articles: articles.articles,
           categories: categories.categories,
           suggestions: suggestions.articles.concat(suggestions.tags, suggestions.categories),
-          totalResults
+          didYouMean: suggestions.didYouMean,
+          totalResults,
+          searchId: searchLog ? searchLog._id : null
         }
       });
       
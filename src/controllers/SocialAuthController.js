@@ -1,6 +1,9 @@
 const User = require('../models/User');
 const JwtService = require('../services/JwtService');
+const AuthController = require('./AuthController');
+const AuditService = require('../services/AuditService');
 const EmailService = require('../services/EmailService');
+const AuthUtils = require('../utils/auth');
 const logger = require('../config/logger');
 const axios = require('axios');
 
@@ -58,9 +61,14 @@ class SocialAuthController {
         emailVerified: googleUser.email_verified || true
       });
       
+      // Akun dengan 2FA tetap harus memasukkan kode authenticator
+      if (result.user.twoFactor?.enabled) {
+        return AuthController.sendMfaChallenge(result.user, req, res, { method: 'google' });
+      }
+      
       // Generate tokens
       const tokens = JwtService.generateTokenPair(result.user);
-      await JwtService.storeRefreshToken(result.user._id, tokens.refreshToken);
+      await JwtService.storeRefreshToken(result.user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
       
       // Log social login
       logger.info('Google OAuth login', {
@@ -71,6 +79,15 @@ class SocialAuthController {
         userAgent: req.get('User-Agent')
       });
       
+      await AuditService.record({
+        actor: result.user,
+        action: 'auth.login',
+        category: 'auth',
+        resource: { type: 'user', id: result.user._id, label: result.user.username },
+        metadata: { method: 'google', isNewUser: result.isNewUser },
+        req
+      });
+      
       // Send welcome email for new users
       if (result.isNewUser) {
         try {
@@ -153,9 +170,14 @@ class SocialAuthController {
         emailVerified: true // Facebook emails are considered verified
       });
       
+      // Akun dengan 2FA tetap harus memasukkan kode authenticator
+      if (result.user.twoFactor?.enabled) {
+        return AuthController.sendMfaChallenge(result.user, req, res, { method: 'facebook' });
+      }
+      
       // Generate tokens
       const tokens = JwtService.generateTokenPair(result.user);
-      await JwtService.storeRefreshToken(result.user._id, tokens.refreshToken);
+      await JwtService.storeRefreshToken(result.user._id, tokens.refreshToken, AuthUtils.getClientInfo(req));
       
       // Log social login
       logger.info('Facebook OAuth login', {
@@ -166,6 +188,15 @@ class SocialAuthController {
         userAgent: req.get('User-Agent')
       });
       
+      await AuditService.record({
+        actor: result.user,
+        action: 'auth.login',
+        category: 'auth',
+        resource: { type: 'user', id: result.user._id, label: result.user.username },
+        metadata: { method: 'facebook', isNewUser: result.isNewUser },
+        req
+      });
+      
       // Send welcome email for new users
       if (result.isNewUser) {
         try {
@@ -1,5 +1,12 @@
+const mongoose = require('mongoose');
 const SubscriptionService = require('../services/SubscriptionService');
+const InvoiceService = require('../services/InvoiceService');
+const CouponService = require('../services/CouponService');
+const AuditService = require('../services/AuditService');
+const PermissionService = require('../services/PermissionService');
 const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Coupon = require('../models/Coupon');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
 
@@ -15,7 +22,7 @@ class SubscriptionController {
    */
   static async getPlans(req, res) {
     try {
-      const plans = SubscriptionService.getAvailablePlans();
+      const plans = await SubscriptionService.getAvailablePlans();
       
       res.json({
         success: true,
@@ -56,25 +63,22 @@ class SubscriptionController {
         });
       }
       
-      const plan = SubscriptionService.getPlan(user.subscription.plan);
-      
-      // Check if subscription is expired
-      const now = new Date();
-      let isExpired = false;
-      
-      if (user.subscription.expiryDate && user.subscription.expiryDate <= now) {
-        isExpired = true;
-      }
+      const userSubscription = await SubscriptionService.getCurrentSubscription(user._id);
+      const plan = userSubscription ? userSubscription.subscription : await SubscriptionService.getPlan(user.subscription.plan);
       
       res.json({
         success: true,
         data: {
           subscription: {
-            ...user.subscription,
-            isExpired,
-            daysRemaining: user.subscription.expiryDate ? 
-              Math.max(0, Math.ceil((user.subscription.expiryDate - now) / (1000 * 60 * 60 * 24))) : 
-              null
+            plan: user.subscription.plan,
+            id: userSubscription ? userSubscription._id : null,
+            status: userSubscription ? userSubscription.status : 'free',
+            billingCycle: userSubscription ? userSubscription.billingCycle : null,
+            startDate: userSubscription ? userSubscription.startDate : null,
+            endDate: userSubscription ? userSubscription.endDate : null,
+            autoRenew: userSubscription ? userSubscription.autoRenew : false,
+            isExpired: userSubscription ? userSubscription.isExpired : false,
+            daysRemaining: userSubscription ? userSubscription.daysRemaining : null
           },
           plan,
           features: plan ? plan.features : [],
@@ -117,13 +121,14 @@ class SubscriptionController {
       
       const {
         planId,
+        billingCycle,
         paymentMethod,
-        transactionId,
-        autoRenew = false
+        autoRenew = false,
+        couponCode
       } = req.body;
       
       // Validate plan
-      const plan = SubscriptionService.getPlan(planId);
+      const plan = await SubscriptionService.getPlan(planId);
       if (!plan) {
         return res.status(400).json({
           success: false,
@@ -134,9 +139,19 @@ class SubscriptionController {
         });
       }
       
+      if (billingCycle && plan.getPrice(billingCycle) === null) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_BILLING_CYCLE',
+            message: `Paket ${plan.name} tidak tersedia untuk siklus ${billingCycle}`
+          }
+        });
+      }
+      
       // Check if user is already on this plan
-      const user = await User.findById(req.user._id);
-      if (user.subscription.plan === planId && user.subscription.status === 'active') {
+      const current = await SubscriptionService.getCurrentSubscription(req.user._id);
+      if (current && current.subscription.slug === planId && current.status === 'active') {
         return res.status(400).json({
           success: false,
           error: {
@@ -151,9 +166,10 @@ class SubscriptionController {
         req.user._id,
         planId,
         {
+          billingCycle,
           paymentMethod,
-          transactionId,
-          autoRenew
+          autoRenew,
+          couponCode
         }
       );
       
@@ -161,17 +177,31 @@ class SubscriptionController {
       logger.info('Subscription upgraded', {
         userId: req.user._id,
         planId,
+        billingCycle,
         paymentMethod,
-        transactionId
+        couponCode
       });
       
       res.json({
         success: true,
-        message: `Berhasil upgrade ke paket ${plan.name}`,
+        message: result.requiresPayment ?
+          `Langganan paket ${plan.name} dibuat, silakan lanjutkan pembayaran` :
+          `Berhasil upgrade ke paket ${plan.name}`,
         data: result
       });
       
     } catch (error) {
+      // Kupon tidak valid
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
       logger.error('Upgrade subscription error:', error);
       
       res.status(500).json({
@@ -193,9 +223,9 @@ class SubscriptionController {
     try {
       const { reason = '' } = req.body;
       
-      const user = await User.findById(req.user._id);
+      const current = await SubscriptionService.getCurrentSubscription(req.user._id);
       
-      if (user.subscription.plan === 'free') {
+      if (!current || current.subscription.slug === 'free') {
         return res.status(400).json({
           success: false,
           error: {
@@ -205,7 +235,7 @@ class SubscriptionController {
         });
       }
       
-      if (user.subscription.status === 'cancelled') {
+      if (current.status === 'cancelled') {
         return res.status(400).json({
           success: false,
           error: {
@@ -252,14 +282,11 @@ class SubscriptionController {
    */
   static async renewSubscription(req, res) {
     try {
-      const {
-        paymentMethod,
-        transactionId
-      } = req.body;
+      const { paymentMethod } = req.body;
       
-      const user = await User.findById(req.user._id);
+      const current = await SubscriptionService.getCurrentSubscription(req.user._id);
       
-      if (user.subscription.plan === 'free') {
+      if (!current || current.subscription.slug === 'free') {
         return res.status(400).json({
           success: false,
           error: {
@@ -272,21 +299,20 @@ class SubscriptionController {
       const result = await SubscriptionService.renewSubscription(
         req.user._id,
         {
-          paymentMethod,
-          transactionId
+          paymentMethod
         }
       );
       
       // Log renewal
-      logger.info('Subscription renewed', {
+      logger.info('Subscription renewal requested', {
         userId: req.user._id,
         paymentMethod,
-        transactionId
+        userSubscriptionId: result.subscription._id
       });
       
       res.json({
         success: true,
-        message: 'Langganan berhasil diperpanjang',
+        message: 'Perpanjangan langganan dibuat, silakan lanjutkan pembayaran',
         data: result
       });
       
@@ -324,8 +350,8 @@ class SubscriptionController {
         });
       }
       
-      const hasAccess = SubscriptionService.hasFeatureAccess(user, feature);
-      const plan = SubscriptionService.getPlan(user.subscription.plan);
+      const hasAccess = await SubscriptionService.hasFeatureAccess(user, feature);
+      const plan = await SubscriptionService.getPlan(user.subscription.plan);
       
       res.json({
         success: true,
@@ -334,7 +360,7 @@ class SubscriptionController {
           hasAccess,
           currentPlan: user.subscription.plan,
           planFeatures: plan ? plan.features : [],
-          requiredPlans: this.getPlansWithFeature(feature)
+          requiredPlans: await SubscriptionController.getPlansWithFeature(feature)
         }
       });
       
@@ -351,6 +377,67 @@ class SubscriptionController {
     }
   }
   
+  /**
+   * Get usage summary of current period (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUsage(req, res) {
+    try {
+      const usage = await SubscriptionService.getUsageSummary(req.user);
+      
+      res.json({
+        success: true,
+        data: {
+          usage,
+          currentPlan: req.user.subscription.plan
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get usage error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'USAGE_ERROR',
+          message: 'Terjadi kesalahan saat mengambil penggunaan paket'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get storage quota usage (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getStorageUsage(req, res) {
+    try {
+      const usage = await SubscriptionService.getStorageUsage(req.user);
+      
+      res.json({
+        success: true,
+        data: {
+          limitType: 'storage',
+          ...usage,
+          currentPlan: req.user.subscription.plan
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get storage usage error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'STORAGE_USAGE_ERROR',
+          message: 'Terjadi kesalahan saat mengambil penggunaan penyimpanan'
+        }
+      });
+    }
+  }
+  
   /**
    * Check usage limits (authenticated)
    * @param {Object} req - Express request object
@@ -373,10 +460,11 @@ class SubscriptionController {
         });
       }
       
-      const limitCheck = SubscriptionService.checkUsageLimit(
+      // Limit bulanan dihitung server, nilai dari client hanya dipakai untuk limit lainnya
+      const limitCheck = await SubscriptionService.checkUsageLimit(
         user,
         limitType,
-        parseInt(currentUsage)
+        SubscriptionService.isMeteredLimit(limitType) ? undefined : parseInt(currentUsage)
       );
       
       res.json({
@@ -484,13 +572,444 @@ class SubscriptionController {
     }
   }
   
+  /**
+   * Get invoices of current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInvoices(req, res) {
+    return SubscriptionController.listInvoices(req, res, { user: req.user._id });
+  }
+  
+  /**
+   * Get all invoices (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllInvoices(req, res) {
+    const query = {};
+    if (req.query.user) query.user = req.query.user;
+    if (req.query.status) query.status = req.query.status;
+    
+    return SubscriptionController.listInvoices(req, res, query);
+  }
+  
+  /**
+   * Get invoice detail
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInvoice(req, res) {
+    try {
+      const invoice = await SubscriptionController.findAccessibleInvoice(req, res);
+      if (!invoice) return;
+      
+      res.json({
+        success: true,
+        data: {
+          invoice,
+          formatted: {
+            subtotal: InvoiceService.formatCurrency(invoice.subtotal),
+            tax: InvoiceService.formatCurrency(invoice.tax.amount),
+            total: InvoiceService.formatCurrency(invoice.total)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get invoice error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_INVOICE_ERROR',
+          message: 'Terjadi kesalahan saat mengambil invoice'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Download invoice receipt as HTML or PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadInvoice(req, res) {
+    try {
+      const invoice = await SubscriptionController.findAccessibleInvoice(req, res);
+      if (!invoice) return;
+      
+      if (req.params.format === 'pdf') {
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="${InvoiceService.getFileName(invoice, 'pdf')}"`
+        });
+        return res.send(InvoiceService.generatePdf(invoice));
+      }
+      
+      res.type('html').send(InvoiceService.generateHtml(invoice));
+      
+    } catch (error) {
+      logger.error('Download invoice error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DOWNLOAD_INVOICE_ERROR',
+          message: 'Terjadi kesalahan saat mengunduh invoice'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Validate coupon code for a plan (authenticated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async validateCoupon(req, res) {
+    try {
+      const { code, planId, billingCycle } = req.body;
+      
+      const plan = await SubscriptionService.getPlan(planId);
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PLAN',
+            message: 'Paket langganan tidak valid'
+          }
+        });
+      }
+      
+      const cycle = billingCycle || plan.billingCycles[0];
+      const result = await CouponService.validateCoupon(code, {
+        userId: req.user._id,
+        plan,
+        billingCycle: cycle
+      });
+      
+      res.json({
+        success: true,
+        data: {
+          code: result.coupon.code,
+          description: result.coupon.description,
+          type: result.coupon.type,
+          value: result.coupon.value,
+          planId: plan.slug,
+          billingCycle: cycle,
+          originalAmount: result.originalAmount,
+          discount: result.discount,
+          finalAmount: result.finalAmount,
+          expiresAt: result.coupon.expiresAt
+        }
+      });
+      
+    } catch (error) {
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+      
+      logger.error('Validate coupon error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'VALIDATE_COUPON_ERROR',
+          message: 'Terjadi kesalahan saat memvalidasi kupon'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Get coupons (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCoupons(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      
+      const query = {};
+      if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+      
+      const [coupons, total] = await Promise.all([
+        Coupon.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Coupon.countDocuments(query)
+      ]);
+      
+      res.json({
+        success: true,
+        data: {
+          coupons,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get coupons error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_COUPONS_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar kupon'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Create coupon (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCoupon(req, res) {
+    try {
+      const coupon = await Coupon.create({
+        ...SubscriptionController.pickCouponFields(req.body),
+        createdBy: req.user._id
+      });
+      
+      logger.info('Coupon created', {
+        couponId: coupon._id,
+        code: coupon.code,
+        adminId: req.user._id
+      });
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'coupon.created',
+        category: 'billing',
+        resource: { type: 'coupon', id: coupon._id, label: coupon.code },
+        after: coupon.toObject(),
+        req
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Kupon berhasil dibuat',
+        data: { coupon }
+      });
+      
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'COUPON_EXISTS',
+            message: 'Kode kupon sudah digunakan'
+          }
+        });
+      }
+      
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+          }
+        });
+      }
+      
+      logger.error('Create coupon error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'CREATE_COUPON_ERROR',
+          message: 'Terjadi kesalahan saat membuat kupon'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Update or deactivate coupon (admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateCoupon(req, res) {
+    try {
+      const coupon = mongoose.isValidObjectId(req.params.id)
+        ? await Coupon.findById(req.params.id)
+        : null;
+      
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COUPON_NOT_FOUND',
+            message: 'Kupon tidak ditemukan'
+          }
+        });
+      }
+      
+      // Kode kupon tidak bisa diubah setelah dipakai
+      const updates = SubscriptionController.pickCouponFields(req.body);
+      delete updates.code;
+      
+      const before = Object.fromEntries(Object.keys(updates).map(field => [field, coupon.get(field)]));
+      
+      coupon.set(updates);
+      await coupon.save();
+      
+      await AuditService.record({
+        actor: req.user,
+        action: 'coupon.updated',
+        category: 'billing',
+        resource: { type: 'coupon', id: coupon._id, label: coupon.code },
+        before,
+        after: Object.fromEntries(Object.keys(updates).map(field => [field, coupon.get(field)])),
+        req
+      });
+      
+      res.json({
+        success: true,
+        message: 'Kupon berhasil diperbarui',
+        data: { coupon }
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+          }
+        });
+      }
+      
+      logger.error('Update coupon error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_COUPON_ERROR',
+          message: 'Terjadi kesalahan saat memperbarui kupon'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Helper method to pick editable coupon fields from request body
+   * @param {Object} body - Request body
+   * @returns {Object} Coupon fields
+   */
+  static pickCouponFields(body) {
+    const fields = [
+      'code', 'description', 'type', 'value', 'maxDiscount', 'plans', 'billingCycles',
+      'startsAt', 'expiresAt', 'maxUses', 'perUserLimit', 'isActive'
+    ];
+    
+    return fields.reduce((picked, field) => {
+      if (body[field] !== undefined) picked[field] = body[field];
+      return picked;
+    }, {});
+  }
+  
+  /**
+   * Helper method to list invoices with pagination
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} query - Invoice query
+   */
+  static async listInvoices(req, res, query) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      
+      const [invoices, total] = await Promise.all([
+        Invoice.find(query)
+          .sort({ issuedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Invoice.countDocuments(query)
+      ]);
+      
+      res.json({
+        success: true,
+        data: {
+          invoices,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get invoices error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'GET_INVOICES_ERROR',
+          message: 'Terjadi kesalahan saat mengambil daftar invoice'
+        }
+      });
+    }
+  }
+  
+  /**
+   * Helper method to find invoice owned by user (or any invoice with subscriptions.manage)
+   * Mengirim response 404 jika tidak ditemukan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} Invoice
+   */
+  static async findAccessibleInvoice(req, res) {
+    const query = { _id: req.params.id };
+    if (!(await PermissionService.hasPermission(req.user, 'subscriptions.manage'))) {
+      query.user = req.user._id;
+    }
+    
+    const invoice = mongoose.isValidObjectId(req.params.id)
+      ? await Invoice.findOne(query)
+      : null;
+    
+    if (!invoice) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'INVOICE_NOT_FOUND',
+          message: 'Invoice tidak ditemukan'
+        }
+      });
+      return null;
+    }
+    
+    return invoice;
+  }
+  
   /**
    * Helper method to get plans that include a specific feature
    * @param {String} feature - Feature name
-   * @returns {Array} Plans with the feature
+   * @returns {Promise<Array>} Plans with the feature
    */
-  static getPlansWithFeature(feature) {
-    const plans = SubscriptionService.getAvailablePlans();
+  static async getPlansWithFeature(feature) {
+    const plans = await SubscriptionService.getAvailablePlans();
     const plansWithFeature = [];
     
     for (const [planId, plan] of Object.entries(plans)) {
@@ -3,8 +3,8 @@ const Article = require('../models/Article');
 const Comment = require('../models/Comment');
 const { validationResult } = require('express-validator');
 const logger = require('../config/logger');
-const path = require('path');
-const fs = require('fs').promises;
+const StorageService = require('../services/StorageService');
+const { uploadUtils } = require('../middleware/upload');
 
 /**
  * User Controller
@@ -33,10 +33,10 @@ class UserController {
       
       // Get user statistics
       const [articleCount, commentCount, totalViews] = await Promise.all([
-        Article.countDocuments({ penulis: user._id }),
+        Article.countDocuments(Article.authorQuery(user._id)),
         Comment.countDocuments({ penulis: user._id, status: 'approved' }),
         Article.aggregate([
-          { $match: { penulis: user._id } },
+          { $match: Article.authorQuery(user._id) },
           { $group: { _id: null, totalViews: { $sum: '$metadata.views' } } }
         ])
       ]);
@@ -161,17 +161,17 @@ class UserController {
       
       // Handle avatar upload
       if (req.file) {
+        const oldAvatar = user.profile.foto;
+        user.profile.foto = (await uploadUtils.storeFile(req.file)).url;
+        
         // Delete old avatar if exists
-        if (user.profile.foto && user.profile.foto !== '/images/default-avatar.png') {
+        if (oldAvatar && oldAvatar !== '/images/default-avatar.png') {
           try {
-            const oldAvatarPath = path.join(process.cwd(), 'public', user.profile.foto);
-            await fs.unlink(oldAvatarPath);
+            await StorageService.deleteByUrl(oldAvatar);
           } catch (unlinkError) {
             logger.warn('Failed to delete old avatar:', unlinkError);
           }
         }
-        
-        user.profile.foto = `/uploads/${req.file.filename}`;
       }
       
       await user.save();
@@ -240,18 +240,19 @@ class UserController {
         });
       }
       
+      const oldAvatar = user.profile.foto;
+      
+      // Update avatar
+      user.profile.foto = (await uploadUtils.storeFile(req.file)).url;
+      
       // Delete old avatar if exists
-      if (user.profile.foto && user.profile.foto !== '/images/default-avatar.png') {
+      if (oldAvatar && oldAvatar !== '/images/default-avatar.png') {
         try {
-          const oldAvatarPath = path.join(process.cwd(), 'public', user.profile.foto);
-          await fs.unlink(oldAvatarPath);
+          await StorageService.deleteByUrl(oldAvatar);
         } catch (unlinkError) {
           logger.warn('Failed to delete old avatar:', unlinkError);
         }
       }
-      
-      // Update avatar
-      user.profile.foto = `/uploads/${req.file.filename}`;
       await user.save();
       
       // Log avatar upload
@@ -303,8 +304,7 @@ class UserController {
       // Delete avatar file if exists
       if (user.profile.foto && user.profile.foto !== '/images/default-avatar.png') {
         try {
-          const avatarPath = path.join(process.cwd(), 'public', user.profile.foto);
-          await fs.unlink(avatarPath);
+          await StorageService.deleteByUrl(user.profile.foto);
         } catch (unlinkError) {
           logger.warn('Failed to delete avatar file:', unlinkError);
         }
@@ -376,11 +376,11 @@ class UserController {
       // Get public statistics
       const [articleCount, totalViews, recentArticles] = await Promise.all([
         Article.countDocuments({ 
-          penulis: user._id, 
+          ...Article.authorQuery(user._id), 
           status: 'published' 
         }),
         Article.aggregate([
-          { $match: { penulis: user._id, status: 'published' } },
+          { $match: { ...Article.authorQuery(user._id), status: 'published' } },
           { $group: { _id: null, totalViews: { $sum: '$metadata.views' } } }
         ]),
         Article.findPublished({ penulis: user._id })
@@ -452,23 +452,23 @@ class UserController {
         topArticles,
         recentComments
       ] = await Promise.all([
-        Article.countDocuments({ penulis: userId }),
-        Article.countDocuments({ penulis: userId, status: 'published' }),
-        Article.countDocuments({ penulis: userId, status: 'draft' }),
+        Article.countDocuments(Article.authorQuery(userId)),
+        Article.countDocuments({ ...Article.authorQuery(userId), status: 'published' }),
+        Article.countDocuments({ ...Article.authorQuery(userId), status: 'draft' }),
         Comment.countDocuments({ penulis: userId, status: 'approved' }),
         Article.aggregate([
-          { $match: { penulis: userId } },
+          { $match: Article.authorQuery(userId) },
           { $group: { _id: null, total: { $sum: '$metadata.views' } } }
         ]),
         Article.aggregate([
-          { $match: { penulis: userId } },
+          { $match: Article.authorQuery(userId) },
           { $group: { _id: null, total: { $sum: '$metadata.likes' } } }
         ]),
         Article.aggregate([
-          { $match: { penulis: userId, publishedAt: { $gte: startDate } } },
+          { $match: { ...Article.authorQuery(userId), publishedAt: { $gte: startDate } } },
           { $group: { _id: null, total: { $sum: '$metadata.views' } } }
         ]),
-        Article.find({ penulis: userId, status: 'published' })
+        Article.find({ ...Article.authorQuery(userId), status: 'published' })
           .sort({ 'metadata.views': -1 })
           .limit(5)
           .select('judul slug metadata.views publishedAt'),
@@ -674,7 +674,7 @@ class UserController {
       
       // Get recent articles
       if (type === 'all' || type === 'articles') {
-        const recentArticles = await Article.find({ penulis: userId })
+        const recentArticles = await Article.find(Article.authorQuery(userId))
           .sort({ createdAt: -1 })
           .limit(parseInt(limit))
           .select('judul slug status createdAt publishedAt');
@@ -1,5 +1,12 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Article = require('../models/Article');
+const ApiKey = require('../models/ApiKey');
+const UserSession = require('../models/UserSession');
+const SubscriptionService = require('../services/SubscriptionService');
+const TwoFactorService = require('../services/TwoFactorService');
+const PermissionService = require('../services/PermissionService');
 const AuthUtils = require('../utils/auth');
 const logger = require('../config/logger');
 
@@ -25,6 +32,35 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = AuthUtils.verifyToken(token);
     
+    // Token MFA, verifikasi email, reset password tidak bisa dipakai sebagai token akses
+    if (decoded.type && decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Token tidak valid'
+        }
+      });
+    }
+    
+    // Session yang sudah dicabut tidak bisa dipakai lagi walau access token belum kedaluwarsa
+    if (decoded.sessionId) {
+      const session = await UserSession.findOne({ sessionId: decoded.sessionId }).select('revokedAt lastSeenAt');
+      
+      if (session?.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'SESSION_REVOKED',
+            message: 'Sesi login telah berakhir, silakan login ulang'
+          }
+        });
+      }
+      
+      session?.touch(req.ip);
+      req.sessionId = decoded.sessionId;
+    }
+    
     // Get user from database
     const user = await User.findById(decoded.id).select('+emailVerified +isActive');
     
@@ -113,7 +149,11 @@ const optionalAuth = async (req, res, next) => {
     }
     
     const decoded = AuthUtils.verifyToken(token);
-    const user = await User.findById(decoded.id).select('+emailVerified +isActive');
+    const isRevoked = decoded.sessionId
+      && await UserSession.exists({ sessionId: decoded.sessionId, revokedAt: { $ne: null } });
+    const user = (decoded.type && decoded.type !== 'access') || isRevoked
+      ? null
+      : await User.findById(decoded.id).select('+emailVerified +isActive');
     
     if (user && user.isActive && !user.isLocked) {
       req.user = user;
@@ -158,10 +198,79 @@ const authorize = (roles) => {
       });
     }
     
+    // Akun admin wajib mengaktifkan two-factor authentication
+    if (allowedRoles.includes('admin') && TwoFactorService.isRequiredFor(req.user) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_REQUIRED',
+          message: 'Akun admin wajib mengaktifkan two-factor authentication'
+        }
+      });
+    }
+    
     next();
   };
 };
 
+/**
+ * Permission middleware, user cukup memiliki salah satu permission
+ * Permission berasal dari role dasar (User.role) dan role staff (User.staffRoles)
+ * @param {String|Array} permissions - Required permission(s)
+ */
+const requirePermission = (permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication diperlukan'
+          }
+        });
+      }
+      
+      const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
+      const userPermissions = await PermissionService.getUserPermissions(req.user);
+      
+      if (!requiredPermissions.some(permission => PermissionService.has(userPermissions, permission))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_PERMISSIONS',
+            message: 'Anda tidak memiliki izin untuk mengakses resource ini'
+          }
+        });
+      }
+      
+      // Akun admin dan staff wajib mengaktifkan two-factor authentication
+      if (TwoFactorService.isRequiredFor(req.user) && !req.user.twoFactor?.enabled) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TWO_FACTOR_REQUIRED',
+            message: 'Akun admin dan staff wajib mengaktifkan two-factor authentication'
+          }
+        });
+      }
+      
+      req.permissions = userPermissions;
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_CHECK_ERROR',
+          message: 'Terjadi kesalahan saat memeriksa izin'
+        }
+      });
+    }
+  };
+};
+
 /**
  * Email verification middleware
  */
@@ -191,40 +300,60 @@ const requireEmailVerification = (req, res, next) => {
 
 /**
  * Subscription-based authorization middleware
- * @param {String} feature - Required feature
+ * Fitur diperiksa terhadap katalog paket (SubscriptionService)
+ * @param {String} feature - Required plan feature
  */
 const requireFeature = (feature) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'NOT_AUTHENTICATED',
-          message: 'Authentication diperlukan'
-        }
-      });
-    }
-    
-    if (!req.user.hasFeature(feature)) {
-      return res.status(403).json({
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication diperlukan'
+          }
+        });
+      }
+      
+      if (!(await req.user.hasFeature(feature))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FEATURE_NOT_AVAILABLE',
+            message: `Fitur ${feature} tidak tersedia dalam paket langganan Anda`
+          }
+        });
+      }
+      
+      next();
+    } catch (error) {
+      logger.error('Plan feature check error:', error);
+      
+      return res.status(500).json({
         success: false,
         error: {
-          code: 'FEATURE_NOT_AVAILABLE',
-          message: `Fitur ${feature} tidak tersedia dalam paket langganan Anda`
+          code: 'FEATURE_CHECK_ERROR',
+          message: 'Terjadi kesalahan saat memeriksa fitur langganan'
         }
       });
     }
-    
-    next();
   };
 };
 
 /**
  * Owner authorization middleware
  * Memastikan user hanya bisa mengakses resource miliknya sendiri
- * @param {String} paramName - Parameter name yang berisi user ID
+ * Dengan options.resource = 'article', parameter berisi ID artikel dan akses
+ * diberikan ke owner serta kolaborator dengan role di options.roles
+ * @param {String} paramName - Parameter name yang berisi user ID (atau article ID)
+ * @param {Object} options - { resource, roles }
  */
-const requireOwnership = (paramName = 'userId') => {
+const requireOwnership = (paramName = 'userId', options = {}) => {
+  if (options.resource === 'article') {
+    return requireArticleRole(paramName, options.roles);
+  }
+  
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -268,6 +397,72 @@ const requireOwnership = (paramName = 'userId') => {
   };
 };
 
+/**
+ * Article collaborator authorization (dipakai requireOwnership)
+ * Artikel yang ditemukan disimpan di req.article dan role user di req.articleRole
+ * @param {String} paramName - Parameter name yang berisi article ID
+ * @param {Array} roles - Role artikel yang diizinkan (owner, co-author, reviewer)
+ */
+const requireArticleRole = (paramName, roles = ['owner', 'co-author']) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'NOT_AUTHENTICATED',
+          message: 'Authentication diperlukan'
+        }
+      });
+    }
+    
+    try {
+      const articleId = req.params[paramName];
+      const article = mongoose.isValidObjectId(articleId)
+        ? await Article.findById(articleId)
+        : null;
+      
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ARTICLE_NOT_FOUND',
+            message: 'Artikel tidak ditemukan'
+          }
+        });
+      }
+      
+      const articleRole = article.getCollaboratorRole(req.user);
+      
+      // Admin dapat mengakses semua artikel
+      if (req.user.role !== 'admin' && !roles.includes(articleRole)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Anda tidak memiliki akses ke artikel ini'
+          }
+        });
+      }
+      
+      req.article = article;
+      req.articleRole = articleRole;
+      
+      next();
+      
+    } catch (error) {
+      logger.error('Article ownership check error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'OWNERSHIP_CHECK_ERROR',
+          message: 'Terjadi kesalahan saat memeriksa akses artikel'
+        }
+      });
+    }
+  };
+};
+
 /**
  * Rate limiting middleware berdasarkan user
  * @param {Number} maxRequests - Maximum requests per window
@@ -323,15 +518,53 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   };
 };
 
+// Request counter per API key (fixed window 1 menit)
+const API_KEY_RATE_WINDOW_MS = 60 * 1000;
+const apiKeyRequests = new Map();
+
+/**
+ * Count request against API key rate limit
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Limit state (allowed, limit, remaining, resetAt)
+ */
+const consumeApiKeyRateLimit = (apiKey) => {
+  const keyId = apiKey._id.toString();
+  const now = Date.now();
+  let bucket = apiKeyRequests.get(keyId);
+  
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + API_KEY_RATE_WINDOW_MS };
+    apiKeyRequests.set(keyId, bucket);
+  }
+  
+  bucket.count++;
+  
+  // Clean up old entries periodically
+  if (Math.random() < 0.01) { // 1% chance
+    for (const [key, value] of apiKeyRequests.entries()) {
+      if (value.resetAt <= now) {
+        apiKeyRequests.delete(key);
+      }
+    }
+  }
+  
+  return {
+    allowed: bucket.count <= apiKey.rateLimit,
+    limit: apiKey.rateLimit,
+    remaining: Math.max(0, apiKey.rateLimit - bucket.count),
+    resetAt: bucket.resetAt
+  };
+};
+
 /**
  * API key authentication middleware
- * Alternative authentication method using API keys
+ * Alternative authentication method using API keys (header X-API-Key)
  */
 const authenticateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.header('X-API-Key');
+    const key = req.header('X-API-Key');
     
-    if (!apiKey) {
+    if (!key) {
       return res.status(401).json({
         success: false,
         error: {
@@ -341,23 +574,64 @@ const authenticateApiKey = async (req, res, next) => {
       });
     }
     
-    // Find user by API key (assuming API key is stored in user model)
-    const user = await User.findOne({ 
-      'apiKey': apiKey,
-      isActive: true 
-    });
+    const apiKey = await ApiKey.findByKey(key);
     
-    if (!user) {
+    if (!apiKey || !apiKey.isUsable()) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_API_KEY',
+          message: 'API key tidak valid atau sudah tidak berlaku'
+        }
+      });
+    }
+    
+    const user = await User.findById(apiKey.user).select('+emailVerified +isActive');
+    
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         error: {
           code: 'INVALID_API_KEY',
-          message: 'API key tidak valid'
+          message: 'API key tidak valid atau sudah tidak berlaku'
+        }
+      });
+    }
+    
+    // Key berhenti bekerja jika paket tidak lagi memiliki api_access
+    if (user.role !== 'admin' && !(await SubscriptionService.hasFeatureAccess(user, 'api_access'))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FEATURE_NOT_AVAILABLE',
+          message: 'Fitur api_access tidak tersedia dalam paket langganan Anda'
+        }
+      });
+    }
+    
+    const rateLimit = consumeApiKeyRateLimit(apiKey);
+    
+    res.set({
+      'X-RateLimit-Limit': rateLimit.limit,
+      'X-RateLimit-Remaining': rateLimit.remaining,
+      'X-RateLimit-Reset': Math.ceil(rateLimit.resetAt / 1000)
+    });
+    
+    if (!rateLimit.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'RATE_LIMIT_EXCEEDED',
+          message: 'Batas request API key terlampaui. Silakan coba lagi nanti.',
+          retryAfter: Math.ceil((rateLimit.resetAt - Date.now()) / 1000)
         }
       });
     }
     
+    apiKey.recordUsage(req.ip);
+    
     req.user = user;
+    req.apiKey = apiKey;
     req.authMethod = 'api_key';
     
     next();
@@ -374,6 +648,108 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware yang menerima JWT atau API key
+ * API key dipakai jika header X-API-Key dikirim
+ */
+const authenticateTokenOrApiKey = (req, res, next) => {
+  if (req.header('X-API-Key')) {
+    return authenticateApiKey(req, res, next);
+  }
+  
+  return authenticate(req, res, next);
+};
+
+/**
+ * API key scope middleware
+ * Request dengan JWT tidak dibatasi scope
+ * @param {String} scope - Required scope
+ */
+const requireApiScope = (scope) => {
+  return (req, res, next) => {
+    if (req.authMethod !== 'api_key') {
+      return next();
+    }
+    
+    if (!req.apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_SCOPE',
+          message: `API key tidak memiliki scope ${scope}`
+        }
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Usage limit middleware untuk limit bulanan yang dihitung server (UsageLedger)
+ * Kuota direservasi sebelum aksi dan dikembalikan bila response berstatus error
+ * atau koneksi ditutup sebelum response selesai
+ * @param {String} limitType - Metered limit type (articlesPerMonth, aiRequestsPerMonth)
+ */
+const enforceUsageLimit = (limitType) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication diperlukan'
+          }
+        });
+      }
+      
+      if (req.user.role === 'admin') {
+        return next();
+      }
+      
+      // Kuota dipakai di sini (atomik) dan dikembalikan bila aksi gagal
+      const limitCheck = await SubscriptionService.reserveUsage(req.user, limitType);
+      
+      if (!limitCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'USAGE_LIMIT_EXCEEDED',
+            message: 'Batas penggunaan paket langganan Anda untuk periode ini sudah habis',
+            details: {
+              limitType,
+              limit: limitCheck.limit,
+              usage: limitCheck.usage,
+              resetAt: limitCheck.resetAt
+            }
+          }
+        });
+      }
+      
+      // 'close' juga terjadi saat client memutus koneksi sebelum response selesai dikirim
+      res.on('close', () => {
+        if (!res.writableFinished || res.statusCode >= 400) {
+          SubscriptionService.releaseUsage(req.user, limitCheck.reservation)
+            .catch(error => logger.error('Usage release error:', error));
+        }
+      });
+      
+      next();
+    } catch (error) {
+      logger.error('Usage limit check error:', error);
+      
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'USAGE_CHECK_ERROR',
+          message: 'Terjadi kesalahan saat mengecek batas penggunaan'
+        }
+      });
+    }
+  };
+};
+
 /**
  * Middleware untuk log authentication events
  */
@@ -477,11 +853,15 @@ module.exports = {
   authenticate,
   optionalAuth,
   authorize,
+  requirePermission,
   requireEmailVerification,
   requireFeature,
   requireOwnership,
   userRateLimit,
   authenticateApiKey,
+  authenticateTokenOrApiKey,
+  requireApiScope,
+  enforceUsageLimit,
   logAuthEvents,
   checkSubscriptionExpiry,
   authGuard
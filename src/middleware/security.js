@@ -233,6 +233,25 @@ const rateLimitConfigs = {
         }
       });
     }
+  }),
+  
+  // Rate limit for payment webhooks (hanya request yang ditolak dihitung)
+  webhook: rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX) || 50, // 50 rejected webhooks per window
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      logger.warn(`Webhook rate limit exceeded for IP: ${req.ip}`);
+      res.status(429).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_RATE_LIMIT_EXCEEDED',
+          message: 'Terlalu banyak webhook yang ditolak dari IP ini, coba lagi nanti.'
+        }
+      });
+    }
   })
 };
 
@@ -457,13 +476,15 @@ module.exports = {
   uploadRateLimit: rateLimitConfigs.upload,
   apiRateLimit: rateLimitConfigs.api,
   commentRateLimit: rateLimitConfigs.comment,
-  aiRateLimit: rateLimitConfigs.ai
+  aiRateLimit: rateLimitConfigs.ai,
+  webhookRateLimit: rateLimitConfigs.webhook
 };/**
 
  * Input sanitization middleware
  */
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
+const xssFilters = require('xss-filters');
 const hpp = require('hpp');
 
 /**
@@ -487,6 +508,15 @@ const sanitizeNoSQL = mongoSanitize({
  */
 const sanitizeXSS = xss();
 
+/**
+ * Sanitize single string with the same filter as sanitizeXSS
+ * Untuk input yang tidak lewat request HTTP (misalnya operasi socket edit bersama)
+ * Berbeda dengan xss-clean, spasi di awal/akhir tidak di-trim agar teks yang sedang diketik tetap utuh
+ * @param {String} value - Raw value
+ * @returns {String} Sanitized value
+ */
+const sanitizeContent = (value) => (typeof value === 'string' ? xssFilters.inHTMLData(value) : value);
+
 /**
  * Prevent HTTP Parameter Pollution
  */
@@ -690,6 +720,7 @@ module.exports = {
   // New security features
   sanitizeNoSQL,
   sanitizeXSS,
+  sanitizeContent,
   preventHPP,
   validateRequest,
   bruteForceProtection,
@@ -707,5 +738,6 @@ module.exports = {
   uploadRateLimit: rateLimitConfigs.upload,
   apiRateLimit: rateLimitConfigs.api,
   commentRateLimit: rateLimitConfigs.comment,
-  aiRateLimit: rateLimitConfigs.ai
+  aiRateLimit: rateLimitConfigs.ai,
+  webhookRateLimit: rateLimitConfigs.webhook
 };
\ No newline at end of file
@@ -1,34 +1,33 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../config/logger');
+const StorageService = require('../services/StorageService');
+const SubscriptionService = require('../services/SubscriptionService');
 
-// Ensure upload directory exists
-const uploadDir = 'uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+// Multer hanya menulis ke folder sementara, file permanen disimpan lewat StorageService
+const tempDir = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'blog-express-uploads');
+if (!fs.existsSync(tempDir)) {
+  fs.mkdirSync(tempDir, { recursive: true });
 }
 
+// Folder storage berdasarkan field upload
+const UPLOAD_FOLDERS = {
+  thumbnail: 'thumbnails',
+  avatar: 'avatars',
+  media: 'media'
+};
+
 // Storage configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath = uploadDir;
-    
-    // Create subdirectories based on file type
-    if (file.fieldname === 'thumbnail') {
-      uploadPath = path.join(uploadDir, 'thumbnails');
-    } else if (file.fieldname === 'avatar') {
-      uploadPath = path.join(uploadDir, 'avatars');
-    } else if (file.fieldname === 'media') {
-      uploadPath = path.join(uploadDir, 'media');
-    }
-    
     // Ensure directory exists
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
     }
     
-    cb(null, uploadPath);
+    cb(null, tempDir);
   },
   
   filename: (req, file, cb) => {
@@ -134,6 +133,58 @@ const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
+// Storage quota middleware, dipasang setelah multer dan authenticate
+// Kuota direservasi sebelum file disimpan, lalu dihitung ulang dari media library jika request gagal
+const enforceStorageQuota = async (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  const requestedBytes = files.reduce((total, file) => total + file.size, 0);
+  
+  if (!req.user || requestedBytes === 0) {
+    return next();
+  }
+  
+  try {
+    const reservation = await SubscriptionService.reserveStorage(req.user, requestedBytes);
+    
+    if (!reservation.allowed) {
+      files.forEach(file => uploadUtils.deleteFile(file.path));
+      
+      return res.status(413).json({
+        success: false,
+        error: {
+          code: 'STORAGE_QUOTA_EXCEEDED',
+          message: 'Kuota penyimpanan paket Anda tidak mencukupi untuk upload ini',
+          details: {
+            usedBytes: reservation.usedBytes,
+            limitBytes: reservation.limitBytes,
+            requestedBytes
+          }
+        }
+      });
+    }
+    
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        SubscriptionService.recalculateStorageUsage(req.user._id)
+          .catch(error => logger.error('Storage usage recalculation error:', error));
+      }
+    });
+    
+    next();
+  } catch (error) {
+    logger.error('Storage quota check error:', error);
+    files.forEach(file => uploadUtils.deleteFile(file.path));
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STORAGE_QUOTA_CHECK_ERROR',
+        message: 'Terjadi kesalahan saat mengecek kuota penyimpanan'
+      }
+    });
+  }
+};
+
 // Upload configurations for different use cases
 const uploadConfigs = {
   // Single thumbnail upload
@@ -160,6 +211,34 @@ const uploadConfigs = {
 
 // Utility functions
 const uploadUtils = {
+  /**
+   * Get storage key for uploaded file
+   * @param {Object} file - Multer file object
+   * @param {Object} options - { private }
+   * @returns {String} Storage key, misal avatars/foto-123.jpg
+   */
+  getStorageKey: (file, options = {}) => {
+    const folder = UPLOAD_FOLDERS[file.fieldname] || 'files';
+    return StorageService.buildKey(`${folder}/${file.filename}`, options.private);
+  },
+  
+  /**
+   * Move uploaded temp file into storage backend
+   * @param {Object} file - Multer file object
+   * @param {Object} options - { private }
+   * @returns {Promise<Object>} { key, url, size }
+   */
+  storeFile: async (file, options = {}) => {
+    const key = uploadUtils.getStorageKey(file, options);
+    
+    try {
+      const stored = await StorageService.putFile(key, file.path, { contentType: file.mimetype });
+      return { ...stored, url: StorageService.getUrl(key) };
+    } finally {
+      uploadUtils.deleteFile(file.path);
+    }
+  },
+  
   /**
    * Delete uploaded file
    * @param {String} filePath - Path to file
@@ -238,5 +317,6 @@ module.exports = {
   upload,
   uploadConfigs,
   handleUploadError,
+  enforceStorageQuota,
   uploadUtils
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AnalyticsDaily = require('./AnalyticsDaily');
+
+const ANALYTICS_RAW_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RAW_RETENTION_DAYS || '90', 10);
+
+const analyticsSchema = new mongoose.Schema({
+  eventType: {
+    type: String,
+    enum: {
+      values: ['view', 'like', 'share', 'comment', 'bookmark', 'login'],
+      message: 'Tipe event harus salah satu dari: view, like, share, comment, bookmark, login'
+    },
+    required: [true, 'Tipe event wajib diisi']
+  },
+
+  entityType: {
+    type: String,
+    enum: ['article', 'category', 'page', 'user'],
+    default: 'article'
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Session pengunjung (dari client atau hash IP + user agent per hari)
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  value: {
+    type: Number,
+    default: 1
+  },
+
+  referrer: {
+    type: String,
+    trim: true,
+    default: 'direct'
+  },
+
+  device: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet'],
+    default: 'desktop'
+  },
+
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+
+  ipAddress: String,
+  userAgent: String
+}, {
+  // Event mentah dihapus otomatis oleh TTL index, rollup harian disimpan permanen
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+analyticsSchema.index({ entityType: 1, entityId: 1, eventType: 1, createdAt: -1 });
+analyticsSchema.index({ eventType: 1, createdAt: -1 });
+analyticsSchema.index({ sessionId: 1, entityId: 1, createdAt: -1 });
+analyticsSchema.index({ userId: 1, createdAt: -1 });
+analyticsSchema.index({ createdAt: 1 }, { expireAfterSeconds: ANALYTICS_RAW_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method untuk build session id dari visitor info
+analyticsSchema.statics.buildSessionId = function(ipAddress = '', userAgent = '', date = new Date()) {
+  const day = date.toISOString().split('T')[0];
+
+  return crypto.createHash('sha256')
+    .update(`${ipAddress}|${userAgent}|${day}`)
+    .digest('hex')
+    .substring(0, 32);
+};
+
+// Static method untuk record event and update daily rollup
+analyticsSchema.statics.track = async function(data) {
+  const now = new Date();
+  const sessionId = data.sessionId || this.buildSessionId(data.ipAddress, data.userAgent, now);
+
+  let isNewSession = false;
+  if (data.eventType === 'view') {
+    isNewSession = !(await this.exists({
+      sessionId,
+      entityId: data.entityId || null,
+      eventType: 'view',
+      createdAt: { $gte: AnalyticsDaily.startOfDay(now) }
+    }));
+  }
+
+  const event = await this.create({ ...data, sessionId });
+
+  await AnalyticsDaily.recordEvent(event, { isNewSession });
+
+  return event;
+};
+
+module.exports = mongoose.model('Analytics', analyticsSchema);
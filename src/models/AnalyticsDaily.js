@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Key Map MongoDB tidak boleh mengandung titik atau diawali $
+const encodeKey = (key) => String(key).replace(/%/g, '%25').replace(/\./g, '%2E').replace(/^\$/, '%24');
+const decodeKey = (key) => key.replace(/%24/g, '$').replace(/%2E/g, '.').replace(/%25/g, '%');
+
+const analyticsDailySchema = new mongoose.Schema({
+  // Awal hari (UTC)
+  date: {
+    type: Date,
+    required: [true, 'Tanggal rollup wajib diisi']
+  },
+
+  entityType: {
+    type: String,
+    enum: ['article', 'category', 'page', 'user'],
+    default: 'article'
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  metrics: {
+    views: { type: Number, default: 0, min: 0 },
+    sessions: { type: Number, default: 0, min: 0 },
+    likes: { type: Number, default: 0, min: 0 },
+    shares: { type: Number, default: 0, min: 0 },
+    comments: { type: Number, default: 0, min: 0 },
+    bookmarks: { type: Number, default: 0, min: 0 }
+  },
+
+  referrers: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  countries: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  devices: {
+    desktop: { type: Number, default: 0, min: 0 },
+    mobile: { type: Number, default: 0, min: 0 },
+    tablet: { type: Number, default: 0, min: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+analyticsDailySchema.index({ entityType: 1, entityId: 1, date: 1 }, { unique: true });
+analyticsDailySchema.index({ date: 1 });
+
+// Mapping event type ke field metrics
+const EVENT_METRICS = {
+  view: 'views',
+  like: 'likes',
+  share: 'shares',
+  comment: 'comments',
+  bookmark: 'bookmarks'
+};
+
+// Static method untuk get start of day (UTC)
+analyticsDailySchema.statics.startOfDay = function(date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method untuk increment rollup dari satu event
+analyticsDailySchema.statics.recordEvent = function(event, options = {}) {
+  const metric = EVENT_METRICS[event.eventType];
+  if (!metric) return Promise.resolve(null);
+
+  const inc = { [`metrics.${metric}`]: event.value || 1 };
+
+  if (event.eventType === 'view') {
+    if (options.isNewSession) inc['metrics.sessions'] = 1;
+    if (event.referrer) inc[`referrers.${encodeKey(event.referrer)}`] = 1;
+    if (event.country) inc[`countries.${encodeKey(event.country)}`] = 1;
+    if (event.device) inc[`devices.${event.device}`] = 1;
+  }
+
+  return this.updateOne(
+    {
+      entityType: event.entityType,
+      entityId: event.entityId || null,
+      date: this.startOfDay(event.createdAt)
+    },
+    { $inc: inc },
+    { upsert: true }
+  );
+};
+
+// Static method untuk get time series of an entity
+analyticsDailySchema.statics.getSeries = async function(entityType, entityIds, startDate, endDate) {
+  const ids = Array.isArray(entityIds) ? entityIds : [entityIds];
+
+  const docs = await this.find({
+    entityType,
+    entityId: { $in: ids },
+    date: { $gte: this.startOfDay(startDate), $lte: endDate }
+  })
+    .sort({ date: 1 })
+    .lean();
+
+  return docs.map(doc => ({
+    ...doc,
+    referrers: Object.fromEntries(Object.entries(doc.referrers || {}).map(([key, value]) => [decodeKey(key), value])),
+    countries: Object.fromEntries(Object.entries(doc.countries || {}).map(([key, value]) => [decodeKey(key), value]))
+  }));
+};
+
+module.exports = mongoose.model('AnalyticsDaily', analyticsDailySchema);
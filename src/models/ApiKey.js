@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AuthUtils = require('../utils/auth');
+
+const API_KEY_SCOPES = ['articles:read', 'articles:write', 'analytics:read', 'comments:write'];
+const API_KEY_PREFIX = 'blog_';
+// Panjang prefix yang disimpan untuk identifikasi key di UI
+const API_KEY_DISPLAY_LENGTH = 12;
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Nama API key wajib diisi'],
+    trim: true,
+    maxlength: [100, 'Nama API key maksimal 100 karakter']
+  },
+
+  // Hanya prefix dan hash yang disimpan, key lengkap ditampilkan sekali saat dibuat
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope harus salah satu dari: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'API key minimal memiliki satu scope'
+    }
+  },
+
+  // Batas request per menit untuk key ini
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit minimal 1 request per menit'],
+    max: [1000, 'Rate limit maksimal 1000 request per menit'],
+    default: 60
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Key lama yang digantikan saat rotate
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+apiKeySchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+// Virtual for key status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Method untuk cek key masih bisa dipakai
+apiKeySchema.methods.isUsable = function() {
+  return this.status === 'active';
+};
+
+// Method untuk cek scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method untuk catat pemakaian key (tanpa menunggu)
+apiKeySchema.methods.recordUsage = function(ipAddress = null) {
+  this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      $inc: { usageCount: 1 }
+    }
+  ).catch(() => {});
+};
+
+// Static method untuk hash API key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Static method untuk generate key baru beserta hash dan prefix
+apiKeySchema.statics.generateKey = function() {
+  const key = AuthUtils.generateApiKey(API_KEY_PREFIX);
+
+  return {
+    key,
+    prefix: key.substring(0, API_KEY_DISPLAY_LENGTH),
+    keyHash: this.hashKey(key)
+  };
+};
+
+// Static method untuk find key by plaintext value
+apiKeySchema.statics.findByKey = function(key) {
+  if (!key || !String(key).startsWith(API_KEY_PREFIX)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+// Static method untuk daftar scope yang tersedia
+apiKeySchema.statics.getScopes = function() {
+  return [...API_KEY_SCOPES];
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
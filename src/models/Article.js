@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
+// Role per artikel selain owner (penulis)
+const COLLABORATOR_ROLES = ['co-author', 'reviewer'];
+
 const articleSchema = new mongoose.Schema({
   judul: {
     type: String,
@@ -55,11 +58,51 @@ const articleSchema = new mongoose.Schema({
     index: true
   },
   
+  // Kolaborator selain pemilik (penulis), diundang lewat username
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: COLLABORATOR_ROLES,
+        message: `Role kolaborator harus salah satu dari: ${COLLABORATOR_ROLES.join(', ')}`
+      },
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  
+  // Urutan nama penulis di halaman publik (pemilik dan co-author yang sudah menerima)
+  byline: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
   status: {
     type: String,
     enum: {
-      values: ['draft', 'published', 'archived', 'scheduled'],
-      message: 'Status harus salah satu dari: draft, published, archived, scheduled'
+      values: ['draft', 'review', 'approved', 'published', 'archived', 'scheduled'],
+      message: 'Status harus salah satu dari: draft, review, approved, published, archived, scheduled'
     },
     default: 'draft',
     index: true
@@ -260,6 +303,49 @@ const articleSchema = new mongoose.Schema({
     }
   },
   
+  // Editorial workflow
+  workflow: {
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    
+    lastComment: {
+      type: String,
+      maxlength: [1000, 'Komentar review maksimal 1000 karakter'],
+      trim: true
+    },
+    
+    history: [{
+      action: {
+        type: String,
+        required: true
+      },
+      from: String,
+      to: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      comment: {
+        type: String,
+        maxlength: [1000, 'Komentar review maksimal 1000 karakter'],
+        trim: true
+      },
+      ipAddress: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
   // Analytics tracking
   analytics: {
     dailyViews: [{
@@ -315,9 +401,11 @@ articleSchema.index({ slug: 1 });
 articleSchema.index({ status: 1, publishedAt: -1 });
 articleSchema.index({ kategori: 1, status: 1 });
 articleSchema.index({ penulis: 1, status: 1 });
+articleSchema.index({ 'collaborators.user': 1, 'collaborators.status': 1 });
 articleSchema.index({ tags: 1 });
 articleSchema.index({ featured: 1, status: 1 });
 articleSchema.index({ premium: 1, status: 1 });
+articleSchema.index({ status: 1, 'workflow.submittedAt': 1 });
 articleSchema.index({ 'metadata.views': -1 });
 articleSchema.index({ createdAt: -1 });
 articleSchema.index({ publishedAt: -1 });
@@ -367,6 +455,14 @@ articleSchema.virtual('engagementRate').get(function() {
   return ((likes + shares + comments) / views * 100).toFixed(2);
 });
 
+// Pre-save middleware untuk byline awal berisi pemilik artikel
+articleSchema.pre('save', function(next) {
+  if (this.isNew && this.byline.length === 0) {
+    this.byline = [this.penulis];
+  }
+  next();
+});
+
 // Pre-save middleware untuk generate slug
 articleSchema.pre('save', function(next) {
   if (this.isModified('judul') || this.isNew) {
@@ -402,6 +498,30 @@ articleSchema.pre('save', function(next) {
   next();
 });
 
+// Method untuk role user pada artikel: owner, co-author, reviewer atau null
+articleSchema.methods.getCollaboratorRole = function(user) {
+  return this.constructor.resolveCollaboratorRole(this, user);
+};
+
+// Method untuk cek akses edit konten (owner, co-author, admin)
+articleSchema.methods.canEdit = function(user) {
+  return !!user && (user.role === 'admin' || ['owner', 'co-author'].includes(this.getCollaboratorRole(user)));
+};
+
+// Method untuk cek akses baca draft dan revisi (semua kolaborator, admin)
+articleSchema.methods.canView = function(user) {
+  return !!user && (user.role === 'admin' || this.getCollaboratorRole(user) !== null);
+};
+
+// Method untuk daftar ID penulis yang dikreditkan (owner dan co-author)
+articleSchema.methods.getAuthorIds = function() {
+  const coAuthors = (this.collaborators || [])
+    .filter(c => c.role === 'co-author' && c.status === 'accepted')
+    .map(c => c.user._id || c.user);
+
+  return [this.penulis._id || this.penulis, ...coAuthors];
+};
+
 // Method untuk generate unique slug
 articleSchema.methods.generateUniqueSlug = function(title) {
   const baseSlug = slugify(title, {
@@ -519,10 +639,11 @@ articleSchema.methods.incrementEngagement = async function(type) {
 };
 
 // Method untuk create new version
-articleSchema.methods.createVersion = function(updatedBy, changeNote = '') {
+// konten: isi versi lama bila this.konten sudah diganti sebelum method dipanggil
+articleSchema.methods.createVersion = function(updatedBy, changeNote = '', konten = this.konten) {
   this.previousVersions.push({
     version: this.version,
-    konten: this.konten,
+    konten,
     updatedAt: new Date(),
     updatedBy,
     changeNote
@@ -531,6 +652,64 @@ articleSchema.methods.createVersion = function(updatedBy, changeNote = '') {
   this.version += 1;
 };
 
+// Method untuk get content snapshot of a version
+articleSchema.methods.getVersionSnapshot = function(version) {
+  const versionNumber = parseInt(version);
+  
+  if (versionNumber === this.version) {
+    return { version: this.version, konten: this.konten, current: true };
+  }
+  
+  const previous = this.previousVersions.find(v => v.version === versionNumber);
+  if (!previous) return null;
+  
+  return { version: previous.version, konten: previous.konten, current: false };
+};
+
+// Method untuk get revision history
+// Entry previousVersions menyimpan konten versi N beserta siapa (dan kenapa)
+// konten tersebut diganti menjadi versi N + 1
+articleSchema.methods.getRevisionHistory = function() {
+  const previous = [...this.previousVersions].sort((a, b) => a.version - b.version);
+  const changes = new Map(previous.map(v => [v.version + 1, v]));
+  
+  const describe = (version, konten) => {
+    const change = changes.get(version);
+    
+    return {
+      version,
+      createdAt: change ? change.updatedAt : this.createdAt,
+      author: change ? change.updatedBy : this.penulis,
+      changeNote: change ? change.changeNote : 'Versi awal',
+      wordCount: konten ? konten.split(/\s+/).length : 0,
+      current: version === this.version
+    };
+  };
+  
+  const revisions = previous.map(v => describe(v.version, v.konten));
+  revisions.push(describe(this.version, this.konten));
+  
+  return revisions.reverse();
+};
+
+// Method untuk restore older version as a new version
+articleSchema.methods.restoreVersion = async function(version, restoredBy, changeNote = '') {
+  const snapshot = this.getVersionSnapshot(version);
+  
+  if (!snapshot) {
+    throw new Error('Versi artikel tidak ditemukan');
+  }
+  
+  if (snapshot.current) {
+    throw new Error('Versi tersebut adalah versi aktif');
+  }
+  
+  this.createVersion(restoredBy, changeNote || `Dikembalikan ke versi ${snapshot.version}`);
+  this.konten = snapshot.konten;
+  
+  await this.save();
+};
+
 // Method untuk publish article
 articleSchema.methods.publish = async function() {
   this.status = 'published';
@@ -551,6 +730,38 @@ articleSchema.methods.archive = async function() {
   await this.save();
 };
 
+// Static method untuk query artikel yang dikreditkan ke user (owner atau co-author)
+articleSchema.statics.authorQuery = function(userId) {
+  return {
+    $or: [
+      { penulis: userId },
+      { collaborators: { $elemMatch: { user: userId, role: 'co-author', status: 'accepted' } } }
+    ]
+  };
+};
+
+// Static method untuk role kolaborator
+articleSchema.statics.getCollaboratorRoles = function() {
+  return [...COLLABORATOR_ROLES];
+};
+
+// Static method untuk role user pada artikel, juga untuk plain object (lean)
+// Undangan yang belum diterima tidak memberi akses
+articleSchema.statics.resolveCollaboratorRole = function(article, user) {
+  if (!user) return null;
+
+  const userId = user._id.toString();
+  const ownerId = (article.penulis._id || article.penulis).toString();
+
+  if (ownerId === userId) return 'owner';
+
+  const collaborator = (article.collaborators || []).find(c =>
+    c.status === 'accepted' && (c.user._id || c.user).toString() === userId
+  );
+
+  return collaborator ? collaborator.role : null;
+};
+
 // Static method untuk find published articles
 articleSchema.statics.findPublished = function(options = {}) {
   const query = {
@@ -559,13 +770,14 @@ articleSchema.statics.findPublished = function(options = {}) {
   };
   
   if (options.kategori) query.kategori = options.kategori;
-  if (options.penulis) query.penulis = options.penulis;
+  if (options.penulis) Object.assign(query, this.authorQuery(options.penulis));
   if (options.featured !== undefined) query.featured = options.featured;
   if (options.premium !== undefined) query.premium = options.premium;
   if (options.tags) query.tags = { $in: options.tags };
   
   return this.find(query)
     .populate('penulis', 'username profile.nama profile.foto')
+    .populate('byline', 'username profile.nama profile.foto')
     .populate('kategori', 'nama slug')
     .sort({ publishedAt: -1 });
 };
@@ -579,10 +791,11 @@ articleSchema.statics.searchArticles = function(searchTerm, options = {}) {
   };
   
   if (options.kategori) query.kategori = options.kategori;
-  if (options.penulis) query.penulis = options.penulis;
+  if (options.penulis) Object.assign(query, this.authorQuery(options.penulis));
   
   return this.find(query, { score: { $meta: 'textScore' } })
     .populate('penulis', 'username profile.nama profile.foto')
+    .populate('byline', 'username profile.nama profile.foto')
     .populate('kategori', 'nama slug')
     .sort({ score: { $meta: 'textScore' } });
 };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const ARTICLE_DRAFT_RETENTION_DAYS = parseInt(process.env.ARTICLE_DRAFT_RETENTION_DAYS || '30', 10);
+
+// Draft autosave per user per artikel, terpisah dari konten artikel yang tersimpan
+const articleDraftSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'Artikel wajib diisi']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi']
+  },
+
+  judul: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Judul maksimal 200 karakter']
+  },
+
+  konten: {
+    type: String
+  },
+
+  ringkasan: {
+    type: String,
+    maxlength: [500, 'Ringkasan maksimal 500 karakter']
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // Article.version saat draft mulai ditulis, untuk mendeteksi perubahan dari tab/user lain
+  baseVersion: {
+    type: Number,
+    required: [true, 'Versi dasar draft wajib diisi'],
+    min: 1
+  },
+
+  // Dihapus otomatis oleh TTL index, diperpanjang setiap autosave
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + ARTICLE_DRAFT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+articleDraftSchema.index({ article: 1, user: 1 }, { unique: true });
+articleDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method untuk simpan (upsert) draft user
+articleDraftSchema.statics.saveForUser = function(articleId, userId, fields) {
+  return this.findOneAndUpdate(
+    { article: articleId, user: userId },
+    {
+      $set: {
+        ...fields,
+        expiresAt: new Date(Date.now() + ARTICLE_DRAFT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('ArticleDraft', articleDraftSchema);
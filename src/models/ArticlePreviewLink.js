@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Link pratinjau artikel yang belum dipublikasikan
+// Token (JWT bertanda tangan) tidak disimpan, dokumen ini hanya untuk revoke dan statistik
+const articlePreviewLinkSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'Artikel wajib diisi'],
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Pembuat link wajib diisi']
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Catatan maksimal 100 karakter'],
+    default: ''
+  },
+
+  // Dihapus otomatis oleh TTL index setelah kedaluwarsa
+  expiresAt: {
+    type: Date,
+    required: [true, 'Waktu kedaluwarsa wajib diisi']
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+articlePreviewLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active status
+articlePreviewLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+articlePreviewLinkSchema.set('toJSON', { virtuals: true });
+
+// Static method untuk link aktif dari token yang sudah diverifikasi
+articlePreviewLinkSchema.statics.findActive = function(linkId, articleId) {
+  return this.findOne({
+    _id: linkId,
+    article: articleId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('ArticlePreviewLink', articlePreviewLinkSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const AUDIT_CATEGORIES = ['admin', 'auth', 'moderation', 'content', 'billing'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Null untuk aksi tanpa user login (misal login gagal, webhook)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Snapshot actor saat aksi dilakukan, tetap terbaca walau user dihapus
+  actorSnapshot: {
+    username: String,
+    email: String,
+    role: String
+  },
+
+  // Format: <resource>.<aksi>, contoh user.role_changed, auth.login_failed
+  action: {
+    type: String,
+    required: [true, 'Action wajib diisi'],
+    trim: true
+  },
+
+  category: {
+    type: String,
+    enum: {
+      values: AUDIT_CATEGORIES,
+      message: `Kategori harus salah satu dari: ${AUDIT_CATEGORIES.join(', ')}`
+    },
+    required: true
+  },
+
+  resource: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Nama yang mudah dibaca (username, judul artikel, kode kupon)
+    label: {
+      type: String,
+      default: null
+    }
+  },
+
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'resource.type': 1, 'resource.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ category: 1, createdAt: -1 });
+
+// Audit log tidak boleh diubah setelah dicatat
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Audit log tidak dapat diubah'));
+});
+
+// Static method untuk daftar kategori
+auditLogSchema.statics.getCategories = function() {
+  return [...AUDIT_CATEGORIES];
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -259,6 +259,7 @@ categorySchema.methods.getDescendants = async function (activeOnly = true) {
 // Method untuk update statistics
 categorySchema.methods.updateStats = async function (increment = {}) {
     const updates = {};
+    const update = {};
 
     if (increment.articleCount !== undefined) {
         updates['stats.articleCount'] = increment.articleCount;
@@ -268,14 +269,19 @@ categorySchema.methods.updateStats = async function (increment = {}) {
         updates['stats.totalViews'] = increment.totalViews;
     }
 
+    if (Object.keys(updates).length > 0) {
+        update.$inc = updates;
+    }
+
+    // Tanggal tidak bisa di-$inc, jadi di-set langsung
     if (increment.lastArticleAt) {
-        updates['stats.lastArticleAt'] = new Date();
+        update.$set = { 'stats.lastArticleAt': new Date() };
     }
 
-    if (Object.keys(updates).length > 0) {
+    if (Object.keys(update).length > 0) {
         await this.constructor.updateOne(
             { _id: this._id },
-            { $inc: updates }
+            update
         );
     }
 };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Sequence counter untuk nomor berurutan (misal nomor invoice per tahun)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key counter wajib diisi'],
+    unique: true,
+    trim: true
+  },
+
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method untuk ambil nilai berikutnya secara atomik
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
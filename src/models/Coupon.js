@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Kode kupon wajib diisi'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'Kode kupon minimal 3 karakter'],
+    maxlength: [30, 'Kode kupon maksimal 30 karakter'],
+    match: [/^[A-Z0-9_-]+$/, 'Kode kupon hanya boleh berisi huruf, angka, - dan _']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Deskripsi kupon maksimal 200 karakter']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Tipe kupon harus salah satu dari: percentage, fixed'
+    },
+    required: [true, 'Tipe kupon wajib diisi']
+  },
+
+  // Persen (1-100) untuk percentage, rupiah untuk fixed
+  value: {
+    type: Number,
+    required: [true, 'Nilai kupon wajib diisi'],
+    min: [1, 'Nilai kupon minimal 1'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Diskon persentase maksimal 100'
+    }
+  },
+
+  // Batas maksimal potongan untuk kupon persentase
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Paket yang boleh memakai kupon, kosong berarti semua paket
+  plans: [{
+    type: String,
+    enum: ['free', 'premium', 'pro']
+  }],
+
+  billingCycles: [{
+    type: String,
+    enum: ['monthly', 'yearly', 'lifetime']
+  }],
+
+  startsAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Batas total pemakaian, null berarti tidak terbatas
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Virtual for remaining uses
+couponSchema.virtual('remainingUses').get(function() {
+  if (this.maxUses === null || this.maxUses === undefined) return null;
+  return Math.max(0, this.maxUses - this.usedCount);
+});
+
+// Method untuk cek masa berlaku kupon
+couponSchema.methods.isWithinPeriod = function(date = new Date()) {
+  if (this.startsAt && date < this.startsAt) return false;
+  if (this.expiresAt && date >= this.expiresAt) return false;
+  return true;
+};
+
+// Method untuk cek kupon berlaku untuk paket dan siklus tagihan
+couponSchema.methods.appliesTo = function(planSlug, billingCycle) {
+  if (this.plans.length > 0 && !this.plans.includes(planSlug)) return false;
+  if (this.billingCycles.length > 0 && !this.billingCycles.includes(billingCycle)) return false;
+  return true;
+};
+
+// Method untuk hitung potongan, dibulatkan ke rupiah penuh
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.type === 'percentage'
+    ? Math.round(amount * this.value / 100)
+    : this.value;
+
+  if (this.type === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.min(discount, amount);
+};
+
+// Static method untuk find coupon by code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// Static method untuk catat pemakaian kupon secara atomik sesuai batas
+couponSchema.statics.redeem = function(couponId) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
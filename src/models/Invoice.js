@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const INVOICE_TAX_RATE = parseFloat(process.env.INVOICE_TAX_RATE || '11');
+const INVOICE_TAX_INCLUSIVE = process.env.INVOICE_TAX_INCLUSIVE !== 'false';
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Format: INV/2024/000001, berurutan per tahun
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi'],
+    index: true
+  },
+
+  // Satu invoice untuk setiap periode langganan yang dibayar
+  userSubscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserSubscription',
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['paid', 'void'],
+      message: 'Status harus salah satu dari: paid, void'
+    },
+    default: 'paid'
+  },
+
+  // Snapshot data pelanggan saat invoice dibuat
+  customer: {
+    name: String,
+    email: String
+  },
+
+  items: [invoiceItemSchema],
+
+  currency: {
+    type: String,
+    default: 'IDR',
+    uppercase: true
+  },
+
+  // Potongan kupon sebelum pajak
+  discount: {
+    code: {
+      type: String,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Dasar pengenaan pajak (setelah diskon)
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  tax: {
+    name: {
+      type: String,
+      default: 'PPN'
+    },
+    rate: {
+      type: Number,
+      default: INVOICE_TAX_RATE
+    },
+    inclusive: {
+      type: Boolean,
+      default: INVOICE_TAX_INCLUSIVE
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  billingPeriod: {
+    start: Date,
+    end: Date
+  },
+
+  payment: {
+    gateway: String,
+    method: String,
+    transactionId: String,
+    paidAt: Date
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ status: 1, issuedAt: -1 });
+
+// Static method untuk hitung pajak, nilai dibulatkan ke rupiah penuh
+invoiceSchema.statics.calculateTax = function(amount, rate = INVOICE_TAX_RATE, inclusive = INVOICE_TAX_INCLUSIVE) {
+  if (!rate) {
+    return { subtotal: amount, taxAmount: 0, total: amount };
+  }
+
+  if (inclusive) {
+    const subtotal = Math.round(amount * 100 / (100 + rate));
+    return { subtotal, taxAmount: amount - subtotal, total: amount };
+  }
+
+  const taxAmount = Math.round(amount * rate / 100);
+  return { subtotal: amount, taxAmount, total: amount + taxAmount };
+};
+
+// Static method untuk generate nomor invoice berikutnya
+invoiceSchema.statics.nextInvoiceNumber = async function(date = new Date()) {
+  const year = date.getUTCFullYear();
+  const sequence = await Counter.next(`invoice:${year}`);
+
+  return `INV/${year}/${String(sequence).padStart(6, '0')}`;
+};
+
+// Static method untuk buat invoice dari langganan yang sudah dibayar
+invoiceSchema.statics.createForSubscription = async function(userSubscription) {
+  const existing = await this.findOne({ userSubscription: userSubscription._id });
+  if (existing) return existing;
+
+  const user = userSubscription.user;
+  const plan = userSubscription.subscription;
+  const issuedAt = userSubscription.payment.paidAt || new Date();
+  const { subtotal, taxAmount, total } = this.calculateTax(userSubscription.payment.amount);
+
+  // Baris paket memakai harga normal, potongan kupon dicatat terpisah
+  const discountCode = userSubscription.discount?.code || null;
+  const itemAmount = discountCode
+    ? this.calculateTax(userSubscription.payment.originalAmount).subtotal
+    : subtotal;
+
+  try {
+    return await this.create({
+      invoiceNumber: await this.nextInvoiceNumber(issuedAt),
+      user: user._id || user,
+      userSubscription: userSubscription._id,
+      customer: {
+        name: user.profile?.nama || user.username,
+        email: user.email
+      },
+      items: [{
+        description: `Langganan ${plan.name} (${userSubscription.billingCycle})`,
+        quantity: 1,
+        unitPrice: itemAmount,
+        amount: itemAmount
+      }],
+      currency: userSubscription.payment.currency,
+      discount: {
+        code: discountCode,
+        amount: itemAmount - subtotal
+      },
+      subtotal,
+      tax: {
+        amount: taxAmount
+      },
+      total,
+      billingPeriod: {
+        start: userSubscription.startDate,
+        end: userSubscription.endDate
+      },
+      payment: {
+        gateway: userSubscription.payment.gateway,
+        method: userSubscription.payment.method,
+        transactionId: userSubscription.payment.transactionId,
+        paidAt: userSubscription.payment.paidAt
+      },
+      issuedAt
+    });
+  } catch (error) {
+    // Dibuat bersamaan oleh proses lain (misal webhook dikirim ulang)
+    if (error.code === 11000) {
+      return await this.findOne({ userSubscription: userSubscription._id });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
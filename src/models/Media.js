@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Nama varian gambar yang dibuat otomatis
+const VARIANT_NAMES = ['thumbnail', 'medium', 'large', 'webp'];
+
+// File di folder uploads yang dicatat di media library
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Pemilik media wajib diisi'],
+    index: true
+  },
+
+  filename: {
+    type: String,
+    required: [true, 'Nama file wajib diisi']
+  },
+
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Nama file maksimal 255 karakter']
+  },
+
+  // Key di StorageService, misal media/foto-123.jpg atau private/media/foto-123.jpg
+  path: {
+    type: String,
+    required: [true, 'Path file wajib diisi']
+  },
+
+  url: {
+    type: String,
+    required: [true, 'URL file wajib diisi'],
+    unique: true
+  },
+
+  mimeType: {
+    type: String,
+    required: [true, 'Tipe file wajib diisi']
+  },
+
+  type: {
+    type: String,
+    enum: ['image', 'document'],
+    required: true,
+    index: true
+  },
+
+  size: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Media premium disimpan private dan hanya bisa dibuka lewat signed URL
+  premium: {
+    type: Boolean,
+    default: false
+  },
+
+  dimensions: {
+    width: { type: Number, default: null },
+    height: { type: Number, default: null }
+  },
+
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alt text maksimal 300 karakter'],
+    default: ''
+  },
+
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Caption maksimal 500 karakter'],
+    default: ''
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Setiap tag maksimal 50 karakter']
+  }],
+
+  // Varian responsif (thumbnail, medium, large, webp)
+  variants: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: VARIANT_NAMES
+    },
+    path: String,
+    url: String,
+    mimeType: String,
+    width: Number,
+    height: Number,
+    size: Number
+  }],
+
+  // Resource yang memakai file ini
+  usage: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['article'],
+      default: 'article'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    field: {
+      type: String,
+      enum: ['thumbnail', 'konten'],
+      required: true
+    }
+  }],
+
+  // Diisi saat referensi terakhir hilang, dipakai cleanup file yatim
+  orphanedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+mediaSchema.index({ owner: 1, createdAt: -1 });
+mediaSchema.index({ 'variants.url': 1 });
+mediaSchema.index({ 'usage.kind': 1, 'usage.id': 1 });
+mediaSchema.index({ orphanedAt: 1 });
+mediaSchema.index({
+  originalName: 'text',
+  altText: 'text',
+  caption: 'text',
+  tags: 'text'
+});
+
+// Virtual for usage status
+mediaSchema.virtual('inUse').get(function() {
+  return this.usage.length > 0;
+});
+
+// Method untuk URL varian (fallback ke file asli)
+mediaSchema.methods.getVariantUrl = function(name) {
+  const variant = this.variants.find(v => v.name === name);
+  return variant ? variant.url : this.url;
+};
+
+// Static method untuk nama varian
+mediaSchema.statics.getVariantNames = function() {
+  return [...VARIANT_NAMES];
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
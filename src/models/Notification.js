@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '90', 10);
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Penerima notifikasi wajib diisi'],
+    index: true
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Tipe notifikasi wajib diisi'],
+    trim: true,
+    maxlength: [50, 'Tipe notifikasi maksimal 50 karakter'],
+    index: true
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Judul notifikasi maksimal 200 karakter']
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Pesan notifikasi maksimal 500 karakter']
+  },
+
+  // Link ke resource terkait (artikel, komentar, dll)
+  link: {
+    type: String,
+    default: null
+  },
+
+  // Payload asli yang dikirim lewat socket
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Dihapus otomatis oleh TTL index
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Judul dan pesan default per tipe notifikasi
+const NOTIFICATION_TEMPLATES = {
+  'new-comment': (data) => ({
+    title: 'Komentar baru',
+    message: `${data.commenterName || 'Seseorang'} mengomentari artikel "${data.articleTitle || ''}"`,
+    link: data.articleSlug ? `/blog/${data.articleSlug}` : null
+  }),
+  'article-like': (data) => ({
+    title: 'Artikel disukai',
+    message: `${data.likerName || 'Seseorang'} menyukai artikel "${data.articleTitle || ''}"`,
+    link: data.articleSlug ? `/blog/${data.articleSlug}` : null
+  }),
+  'article-workflow': (data) => ({
+    title: 'Status artikel',
+    message: `${data.actorName || 'Seseorang'} melakukan ${data.action || 'update'} pada artikel "${data.articleTitle || ''}"`,
+    link: '/dashboard'
+  }),
+  'collaboration-invite': (data) => ({
+    title: 'Undangan kolaborasi',
+    message: `${data.inviterName || 'Seseorang'} mengundang Anda sebagai ${data.role || 'kolaborator'} pada artikel "${data.articleTitle || ''}"`,
+    link: '/dashboard'
+  }),
+  'subscription': (data) => ({
+    title: 'Langganan',
+    message: data.message || `Status langganan: ${data.eventType || 'update'}`,
+    link: '/api/subscription/current'
+  })
+};
+
+// Virtual for is unread
+notificationSchema.virtual('isUnread').get(function() {
+  return !this.isRead;
+});
+
+// Static method untuk build title/message dari tipe
+notificationSchema.statics.buildContent = function(type, data = {}) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const content = template ? template(data) : {};
+
+  return {
+    title: data.title || content.title || type,
+    message: data.message || content.message || '',
+    link: data.link || content.link || null
+  };
+};
+
+// Static method untuk create notification for user
+notificationSchema.statics.createForUser = function(recipient, type, data = {}) {
+  const { title, message, link } = this.buildContent(type, data);
+
+  return this.create({
+    recipient,
+    type,
+    title: title.substring(0, 200),
+    message: message.substring(0, 500),
+    link,
+    data
+  });
+};
+
+// Static method untuk get user inbox
+notificationSchema.statics.getInbox = function(recipient, options = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    unreadOnly = false,
+    type
+  } = options;
+
+  const query = { recipient };
+  if (unreadOnly) query.isRead = false;
+  if (type) query.type = type;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+};
+
+// Static method untuk count unread notifications
+notificationSchema.statics.countUnread = function(recipient) {
+  return this.countDocuments({ recipient, isRead: false });
+};
+
+// Static method untuk mark one notification as read (scoped to recipient)
+notificationSchema.statics.markAsRead = function(notificationId, recipient) {
+  return this.findOneAndUpdate(
+    { _id: notificationId, recipient },
+    { $set: { isRead: true, readAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method untuk mark all as read
+notificationSchema.statics.markAllAsRead = function(recipient) {
+  return this.updateMany(
+    { recipient, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
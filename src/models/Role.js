@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Daftar permission yang dipakai route, key: deskripsi untuk panel admin
+const PERMISSIONS = {
+  'articles.review': 'Mereview artikel (approve, request changes) dan melihat antrean review',
+  'comments.moderate': 'Moderasi komentar (pending, spam, approve, reject)',
+  'categories.manage': 'Membuat, mengubah, menghapus dan mengurutkan kategori',
+  'analytics.view_own': 'Melihat analytics artikel sendiri',
+  'analytics.view_all': 'Melihat analytics seluruh situs',
+  'subscriptions.manage': 'Mengelola langganan, invoice dan kupon',
+  'payments.manage': 'Melihat dan memproses ulang webhook pembayaran',
+  'media.manage': 'Melihat, mengubah dan menghapus media milik semua user'
+};
+
+// Permission bawaan role dasar User.role, tidak disimpan di database
+// '*' berarti semua permission
+const SYSTEM_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  penulis: ['analytics.view_own'],
+  pembaca: []
+};
+
+// Role staff tambahan (misal editor, moderator, analyst) yang diberikan ke user lewat User.staffRoles
+const roleSchema = new mongoose.Schema({
+  // Dipakai sebagai referensi di User.staffRoles, tidak bisa diubah setelah dibuat
+  name: {
+    type: String,
+    required: [true, 'Nama role wajib diisi'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Nama role hanya boleh huruf kecil, angka, - dan _ (2-30 karakter)'],
+    validate: {
+      validator: (name) => !Object.prototype.hasOwnProperty.call(SYSTEM_ROLE_PERMISSIONS, name),
+      message: 'Nama role tidak boleh sama dengan role sistem'
+    }
+  },
+
+  displayName: {
+    type: String,
+    required: [true, 'Nama tampilan role wajib diisi'],
+    trim: true,
+    maxlength: [50, 'Nama tampilan maksimal 50 karakter']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Deskripsi maksimal 200 karakter'],
+    default: ''
+  },
+
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(permission => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission)),
+      message: 'Permission tidak dikenal'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Hilangkan permission duplikat
+roleSchema.pre('save', function(next) {
+  if (this.isModified('permissions')) {
+    this.permissions = [...new Set(this.permissions)];
+  }
+  next();
+});
+
+// Static method untuk katalog permission
+roleSchema.statics.getPermissionCatalog = function() {
+  return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+};
+
+// Static method untuk permission bawaan role sistem
+roleSchema.statics.getSystemRolePermissions = function(role) {
+  return [...(SYSTEM_ROLE_PERMISSIONS[role] || [])];
+};
+
+// Static method untuk role sistem yang memiliki permission
+roleSchema.statics.getSystemRolesWithPermission = function(permission) {
+  return Object.keys(SYSTEM_ROLE_PERMISSIONS).filter(role =>
+    SYSTEM_ROLE_PERMISSIONS[role].includes('*') || SYSTEM_ROLE_PERMISSIONS[role].includes(permission)
+  );
+};
+
+// Static method untuk cek role sistem
+roleSchema.statics.isSystemRole = function(name) {
+  return Object.prototype.hasOwnProperty.call(SYSTEM_ROLE_PERMISSIONS, name);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const SEARCH_LOG_RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS || '90', 10);
+
+// Log query pencarian untuk laporan kata kunci populer dan tanpa hasil
+// IP dan user agent tidak disimpan, hanya session hash harian (Analytics.buildSessionId)
+const searchQuerySchema = new mongoose.Schema({
+  // Query yang sudah dinormalisasi (lowercase, spasi dirapikan)
+  term: {
+    type: String,
+    required: [true, 'Term pencarian wajib diisi'],
+    trim: true,
+    maxlength: [200, 'Term pencarian maksimal 200 karakter']
+  },
+
+  source: {
+    type: String,
+    enum: {
+      values: ['articles', 'advanced', 'global'],
+      message: 'Sumber pencarian harus salah satu dari: articles, advanced, global'
+    },
+    default: 'articles'
+  },
+
+  resultsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Dihapus setelah SEARCH_LOG_ANONYMIZE_DAYS oleh SearchService.applyRetention
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  // Hasil pertama yang diklik dari halaman hasil pencarian
+  clickedResult: {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      default: null
+    },
+    position: {
+      type: Number,
+      default: null
+    },
+    clickedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  // Log mentah dihapus otomatis oleh TTL index
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+searchQuerySchema.index({ createdAt: -1, term: 1 });
+searchQuerySchema.index({ resultsCount: 1, createdAt: -1 });
+searchQuerySchema.index({ userId: 1, createdAt: -1 });
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+
+const BILLING_CYCLES = ['monthly', 'yearly', 'lifetime'];
+
+// Lama cache fitur paket di memori, membatasi data basi dari perubahan proses lain
+const FEATURE_CACHE_TTL_MS = 60 * 1000;
+
+// Fitur paket aktif per slug, dikosongkan setiap kali katalog diubah lewat model ini
+let featureCache = null;
+
+// Katalog paket bawaan, dibuat oleh initializeData; fitur baru ditambahkan ke paket yang sudah ada
+const DEFAULT_PLANS = [
+  {
+    slug: 'free',
+    name: 'Free',
+    description: 'Paket dasar untuk mulai menulis',
+    pricing: { lifetime: 0 },
+    features: [
+      'basic_article_creation',
+      'basic_comment_system',
+      'basic_profile_management'
+    ],
+    limits: {
+      articlesPerMonth: 5,
+      storageGB: 1,
+      aiRequestsPerMonth: 0,
+      socialAccountsMax: 1
+    },
+    sortOrder: 0
+  },
+  {
+    slug: 'premium',
+    name: 'Premium',
+    description: 'Artikel tanpa batas dengan bantuan AI dan integrasi social media',
+    pricing: { monthly: 99000 },
+    features: [
+      'unlimited_articles',
+      'advanced_analytics',
+      'premium_content',
+      'ai_content_generation',
+      'ai_content_improvement',
+      'ai_content_ideas',
+      'social_media_integration',
+      'premium_templates',
+      'priority_support'
+    ],
+    limits: {
+      articlesPerMonth: -1, // unlimited
+      storageGB: 10,
+      aiRequestsPerMonth: 100,
+      socialAccountsMax: 5
+    },
+    sortOrder: 1
+  },
+  {
+    slug: 'pro',
+    name: 'Pro',
+    description: 'Semua fitur untuk tim dan publisher profesional',
+    pricing: { monthly: 199000 },
+    features: [
+      'unlimited_articles',
+      'advanced_analytics',
+      'premium_content',
+      'ai_content_generation',
+      'ai_content_improvement',
+      'ai_content_ideas',
+      'ai_image_generation',
+      'ai_seo_optimization',
+      'social_media_automation',
+      'custom_branding',
+      'api_access',
+      'white_label',
+      'dedicated_support'
+    ],
+    limits: {
+      articlesPerMonth: -1, // unlimited
+      storageGB: 50,
+      aiRequestsPerMonth: 500,
+      socialAccountsMax: 20
+    },
+    sortOrder: 2
+  }
+];
+
+const subscriptionSchema = new mongoose.Schema({
+  // Kunci paket, sama dengan User.subscription.plan
+  slug: {
+    type: String,
+    required: [true, 'Slug paket wajib diisi'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    enum: {
+      values: ['free', 'premium', 'pro'],
+      message: 'Slug paket harus salah satu dari: free, premium, pro'
+    }
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Nama paket wajib diisi'],
+    trim: true,
+    maxlength: [50, 'Nama paket maksimal 50 karakter']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deskripsi paket maksimal 500 karakter']
+  },
+
+  // Harga per siklus tagihan, null berarti siklus tidak tersedia
+  pricing: {
+    monthly: { type: Number, min: 0, default: null },
+    yearly: { type: Number, min: 0, default: null },
+    lifetime: { type: Number, min: 0, default: null }
+  },
+
+  currency: {
+    type: String,
+    default: 'IDR',
+    uppercase: true
+  },
+
+  features: [{
+    type: String,
+    trim: true
+  }],
+
+  limits: {
+    articlesPerMonth: { type: Number, default: 0 },
+    storageGB: { type: Number, default: 0 },
+    aiRequestsPerMonth: { type: Number, default: 0 },
+    socialAccountsMax: { type: Number, default: 0 }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  stats: {
+    activeSubscribers: { type: Number, default: 0 },
+    totalSubscribers: { type: Number, default: 0 },
+    revenue: {
+      monthly: { type: Number, default: 0 },
+      yearly: { type: Number, default: 0 },
+      lifetime: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+subscriptionSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Virtual for available billing cycles
+subscriptionSchema.virtual('billingCycles').get(function() {
+  return BILLING_CYCLES.filter(cycle => this.pricing && this.pricing[cycle] !== null && this.pricing[cycle] !== undefined);
+});
+
+// Virtual for default price (siklus pertama yang tersedia)
+subscriptionSchema.virtual('price').get(function() {
+  const [cycle] = this.billingCycles;
+  return cycle ? this.pricing[cycle] : 0;
+});
+
+// Virtual for free plan
+subscriptionSchema.virtual('isFree').get(function() {
+  return this.price === 0;
+});
+
+// Method untuk get price of a billing cycle
+subscriptionSchema.methods.getPrice = function(billingCycle) {
+  const price = this.pricing ? this.pricing[billingCycle] : null;
+  return price === undefined ? null : price;
+};
+
+// Method untuk update statistics
+subscriptionSchema.methods.updateStats = async function(increment = {}) {
+  const updates = {};
+
+  for (const [key, value] of Object.entries(increment)) {
+    if (typeof value === 'number' && value !== 0) {
+      updates[`stats.${key}`] = value;
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $inc: updates }
+    );
+  }
+};
+
+// Katalog berubah, cache fitur harus dimuat ulang
+subscriptionSchema.post(
+  ['save', 'insertMany', 'updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    featureCache = null;
+  }
+);
+
+// Static method untuk create default plans
+// Paket yang sudah ada tidak ditimpa, hanya fitur bawaan yang belum ada yang ditambahkan
+subscriptionSchema.statics.createDefaultPlans = async function() {
+  for (const { features, ...plan } of DEFAULT_PLANS) {
+    await this.updateOne(
+      { slug: plan.slug },
+      {
+        $setOnInsert: plan,
+        $addToSet: { features: { $each: features } }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Static method untuk get active plan catalog
+subscriptionSchema.statics.getCatalog = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1 });
+};
+
+// Static method untuk find plan by slug
+subscriptionSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug, isActive: true });
+};
+
+// Static method untuk get features of an active plan, dibaca dari cache katalog
+subscriptionSchema.statics.getPlanFeatures = async function(slug) {
+  if (!featureCache || featureCache.expiresAt <= Date.now()) {
+    const plans = await this.find({ isActive: true }).select('slug features').lean();
+
+    featureCache = {
+      expiresAt: Date.now() + FEATURE_CACHE_TTL_MS,
+      plans: new Map(plans.map(plan => [plan.slug, plan.features]))
+    };
+  }
+
+  return featureCache.plans.get(slug) || null;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Ledger pemakaian bulanan per user, satu dokumen per periode tagihan
+// Nama counter sama dengan key di Subscription.limits
+const usageLedgerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi']
+  },
+
+  periodStart: {
+    type: Date,
+    required: [true, 'Awal periode wajib diisi']
+  },
+
+  periodEnd: {
+    type: Date,
+    required: [true, 'Akhir periode wajib diisi']
+  },
+
+  counters: {
+    articlesPerMonth: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    aiRequestsPerMonth: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+usageLedgerSchema.index({ user: 1, periodStart: 1 }, { unique: true });
+usageLedgerSchema.index({ user: 1, periodEnd: -1 });
+
+// Static method untuk menambah counter secara atomik (ledger periode dibuat bila belum ada)
+usageLedgerSchema.statics.increment = async function(userId, period, limitType, amount = 1) {
+  const update = () => this.findOneAndUpdate(
+    { user: userId, periodStart: period.start },
+    {
+      $inc: { [`counters.${limitType}`]: amount },
+      $setOnInsert: { periodEnd: period.end }
+    },
+    { new: true, upsert: true }
+  );
+
+  try {
+    return await update();
+  } catch (error) {
+    // Upsert paralel pada periode baru, dokumen sudah dibuat request lain
+    if (error.code === 11000) return await update();
+    throw error;
+  }
+};
+
+// Static method untuk reservasi kuota secara atomik
+// Counter hanya dinaikkan bila hasilnya tidak melewati limit; null bila kuota habis
+usageLedgerSchema.statics.reserve = async function(userId, period, limitType, limit, amount = 1) {
+  if (limit < amount) return null;
+
+  const counter = `counters.${limitType}`;
+  const update = () => this.findOneAndUpdate(
+    { user: userId, periodStart: period.start, [counter]: { $lte: limit - amount } },
+    {
+      $inc: { [counter]: amount },
+      $setOnInsert: { periodEnd: period.end }
+    },
+    { new: true, upsert: true }
+  );
+
+  // Duplicate key: ledger periode sudah ada tapi counter sudah di limit,
+  // atau dibuat request paralel sehingga dicoba sekali lagi
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return await update();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return null;
+};
+
+// Static method untuk batalkan reservasi (aksi gagal)
+usageLedgerSchema.statics.release = function(userId, period, limitType, amount = 1) {
+  const counter = `counters.${limitType}`;
+
+  return this.updateOne(
+    { user: userId, periodStart: period.start, [counter]: { $gte: amount } },
+    { $inc: { [counter]: -amount } }
+  );
+};
+
+// Static method untuk ambil ledger periode tertentu
+usageLedgerSchema.statics.findForPeriod = function(userId, period) {
+  return this.findOne({ user: userId, periodStart: period.start });
+};
+
+module.exports = mongoose.model('UsageLedger', usageLedgerSchema);
@@ -41,6 +41,12 @@ const userSchema = new mongoose.Schema({
     default: 'pembaca'
   },
   
+  // Role staff tambahan (nama Role), memberi permission di luar role dasar
+  staffRoles: {
+    type: [String],
+    default: []
+  },
+  
   profile: {
     nama: {
       type: String,
@@ -95,11 +101,6 @@ const userSchema = new mongoose.Schema({
       default: null
     },
     
-    features: [{
-      type: String,
-      enum: ['ai_content', 'social_posting', 'analytics', 'priority_support', 'unlimited_articles']
-    }],
-    
     autoRenew: {
       type: Boolean,
       default: false
@@ -157,6 +158,13 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
+    },
+    
+    // Total ukuran upload di media library, dibatasi limits.storageGB paket
+    storageBytes: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
   
@@ -207,6 +215,68 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    
+    secret: {
+      type: String,
+      select: false
+    },
+    
+    // Secret dari setup yang belum dikonfirmasi dengan kode
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    
+    // Hash sha256 dari recovery code yang belum dipakai
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    
+    // Time step terakhir yang dipakai, mencegah kode yang sama dipakai ulang
+    lastUsedCounter: {
+      type: Number,
+      select: false
+    },
+    
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Login tanpa password lewat magic link atau kode OTP email
+  passwordlessLogin: {
+    // Hash sha256 dari token magic link
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    
+    // Hash sha256 dari kode OTP 6 digit
+    codeHash: {
+      type: String,
+      select: false
+    },
+    
+    expiresAt: {
+      type: Date,
+      select: false
+    },
+    
+    // Percobaan kode salah, kode dibatalkan setelah batas tercapai
+    attempts: {
+      type: Number,
+      select: false
+    }
+  },
+  
   // Referral system
   referralCode: {
     type: String,
@@ -366,17 +436,24 @@ userSchema.methods.updateStats = function(type, increment = 1) {
   return this.updateOne({ $inc: update });
 };
 
-// Method untuk check subscription access
-userSchema.methods.hasFeature = function(feature) {
-  if (this.role === 'admin') return true;
-  if (this.subscription.plan === 'free') return false;
+// Static method untuk update stats beberapa user sekaligus (misal semua co-author artikel)
+userSchema.statics.updateStatsMany = function(userIds, type, increment = 1) {
+  const filter = { _id: { $in: userIds } };
   
-  const planFeatures = {
-    premium: ['ai_content', 'social_posting'],
-    pro: ['ai_content', 'social_posting', 'analytics', 'priority_support', 'unlimited_articles']
-  };
+  // Jangan sampai stats menjadi negatif
+  if (increment < 0) {
+    filter[`stats.${type}`] = { $gte: -increment };
+  }
+  
+  return this.updateMany(filter, { $inc: { [`stats.${type}`]: increment } });
+};
+
+// Method untuk check subscription access berdasarkan katalog paket
+userSchema.methods.hasFeature = function(feature) {
+  // Di-require saat dipanggil karena SubscriptionService juga me-require model User
+  const SubscriptionService = require('../services/SubscriptionService');
   
-  return planFeatures[this.subscription.plan]?.includes(feature) || false;
+  return SubscriptionService.hasFeatureAccess(this, feature);
 };
 
 // Static method untuk find by email atau username
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'logout_all', 'user_revoked', 'token_reuse', 'security'];
+// Interval minimal update lastSeenAt dari request biasa
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000;
+
+// Login session per perangkat, satu session untuk satu keluarga refresh token
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi'],
+    index: true
+  },
+
+  // Disimpan di claim sessionId pada access dan refresh token
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // tokenId dari refresh token terbaru, token lama yang dipakai ulang dianggap bocor
+  tokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Perangkat tidak dikenal'
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Mengikuti masa berlaku refresh token terakhir, dihapus otomatis oleh TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: {
+      values: REVOKE_REASONS,
+      message: `Alasan harus salah satu dari: ${REVOKE_REASONS.join(', ')}`
+    },
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+userSessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active status
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method untuk update lastSeenAt dari request biasa (tanpa menunggu)
+userSessionSchema.methods.touch = function(ipAddress = null) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_INTERVAL) {
+    return;
+  }
+
+  this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastSeenAt: new Date(), ...(ipAddress && { ipAddress }) } }
+  ).catch(() => {});
+};
+
+// Static method untuk catat refresh token baru (login atau session baru)
+userSessionSchema.statics.recordToken = function({ user, sessionId, tokenId, expiresAt, deviceName, userAgent, ipAddress }) {
+  return this.findOneAndUpdate(
+    { sessionId },
+    {
+      $set: {
+        tokenId,
+        expiresAt,
+        lastSeenAt: new Date(),
+        ...(deviceName && { deviceName }),
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      },
+      $setOnInsert: { user }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method untuk rotate refresh token secara atomik
+// Mengembalikan null jika token lama sudah tidak berlaku (dipakai ulang atau session dicabut)
+userSessionSchema.statics.rotateToken = function(sessionId, currentTokenId, { tokenId, expiresAt, userAgent, ipAddress }) {
+  return this.findOneAndUpdate(
+    { sessionId, tokenId: currentTokenId, revokedAt: null },
+    {
+      $set: {
+        tokenId,
+        expiresAt,
+        lastSeenAt: new Date(),
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method untuk cabut session
+userSessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method untuk daftar session aktif user
+userSessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
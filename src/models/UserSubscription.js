@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+
+const userSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User wajib diisi'],
+    index: true
+  },
+
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    required: [true, 'Paket langganan wajib diisi']
+  },
+
+  billingCycle: {
+    type: String,
+    enum: {
+      values: ['monthly', 'yearly', 'lifetime'],
+      message: 'Siklus tagihan harus salah satu dari: monthly, yearly, lifetime'
+    },
+    required: [true, 'Siklus tagihan wajib diisi']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'active', 'cancelled', 'expired', 'failed'],
+      message: 'Status harus salah satu dari: pending, active, cancelled, expired, failed'
+    },
+    default: 'pending'
+  },
+
+  startDate: {
+    type: Date,
+    default: null
+  },
+
+  // null untuk paket lifetime
+  endDate: {
+    type: Date,
+    default: null
+  },
+
+  autoRenew: {
+    type: Boolean,
+    default: false
+  },
+
+  // Perpanjangan dari langganan sebelumnya
+  renewalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserSubscription',
+    default: null
+  },
+
+  payment: {
+    amount: {
+      type: Number,
+      required: [true, 'Jumlah pembayaran wajib diisi'],
+      min: [0, 'Jumlah pembayaran tidak boleh negatif']
+    },
+    // Harga paket sebelum diskon kupon
+    originalAmount: {
+      type: Number,
+      default: null
+    },
+    currency: {
+      type: String,
+      default: 'IDR',
+      uppercase: true
+    },
+    method: {
+      type: String,
+      default: null
+    },
+    gateway: {
+      type: String,
+      enum: ['midtrans', 'xendit', 'stripe', 'manual', null],
+      default: null
+    },
+    transactionId: {
+      type: String,
+      default: null
+    },
+    gatewayTransactionId: {
+      type: String,
+      default: null
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      default: null
+    },
+    code: {
+      type: String,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Langkah aktivasi setelah pembayaran diterima (PaymentService.activateSubscription)
+  // Aktivasi yang terhenti di tengah dilanjutkan oleh retry webhook tanpa mengulang langkah yang sudah selesai
+  activation: {
+    pending: {
+      type: Boolean,
+      default: false
+    },
+    completedSteps: [{
+      type: String,
+      enum: ['stats', 'coupon']
+    }]
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Alasan pembatalan maksimal 500 karakter']
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+userSubscriptionSchema.index({ user: 1, status: 1, createdAt: -1 });
+userSubscriptionSchema.index({ 'payment.transactionId': 1 });
+userSubscriptionSchema.index({ status: 1, endDate: 1 });
+userSubscriptionSchema.index({ 'discount.coupon': 1, user: 1 });
+
+// Virtual for expired status
+userSubscriptionSchema.virtual('isExpired').get(function() {
+  return !!this.endDate && this.endDate <= new Date();
+});
+
+// Virtual for days remaining
+userSubscriptionSchema.virtual('daysRemaining').get(function() {
+  if (!this.endDate) return null;
+  return Math.max(0, Math.ceil((this.endDate - new Date()) / (1000 * 60 * 60 * 24)));
+});
+
+// Pre-save middleware untuk catat riwayat status
+userSubscriptionSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.statusHistory.push({
+      status: this.status,
+      reason: this._statusReason || undefined,
+      at: new Date()
+    });
+    this._statusReason = undefined;
+  }
+
+  next();
+});
+
+// Method untuk set status with reason for history
+userSubscriptionSchema.methods.setStatus = function(status, reason = '') {
+  this.status = status;
+  this._statusReason = reason;
+};
+
+// Method untuk calculate end date from a start date
+userSubscriptionSchema.methods.calculateEndDate = function(startDate = new Date()) {
+  const endDate = new Date(startDate);
+
+  if (this.billingCycle === 'monthly') {
+    endDate.setMonth(endDate.getMonth() + 1);
+  } else if (this.billingCycle === 'yearly') {
+    endDate.setFullYear(endDate.getFullYear() + 1);
+  } else {
+    return null; // lifetime
+  }
+
+  return endDate;
+};
+
+// Method untuk activate subscription period
+userSubscriptionSchema.methods.activate = function(startDate = null, reason = 'Pembayaran diterima') {
+  // Perpanjangan dimulai setelah periode sebelumnya berakhir
+  const start = startDate && startDate > new Date() ? new Date(startDate) : new Date();
+
+  this.startDate = start;
+  this.endDate = this.calculateEndDate(start);
+  this.payment.paidAt = this.payment.paidAt || new Date();
+  this.setStatus('active', reason);
+};
+
+// Method untuk run activation step once (langkah yang sudah tercatat dilewati)
+userSubscriptionSchema.methods.runActivationStep = async function(step, action) {
+  if (this.activation.completedSteps.includes(step)) return;
+
+  await action();
+  this.activation.completedSteps.push(step);
+  await this.save();
+};
+
+// Method untuk cancel subscription (akses tetap sampai endDate)
+userSubscriptionSchema.methods.cancel = function(reason = '') {
+  this.cancelledAt = new Date();
+  this.cancellationReason = reason;
+  this.autoRenew = false;
+  this.setStatus('cancelled', reason);
+};
+
+// Static method untuk get current subscription of a user
+userSubscriptionSchema.statics.getCurrentForUser = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['active', 'cancelled'] },
+    $or: [{ endDate: null }, { endDate: { $gt: new Date() } }]
+  })
+    .populate('subscription')
+    .sort({ endDate: -1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('UserSubscription', userSubscriptionSchema);
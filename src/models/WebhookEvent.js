@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Header yang disimpan untuk audit (token rahasia tidak disimpan)
+const AUDIT_HEADERS = ['content-type', 'user-agent', 'stripe-signature', 'webhook-id', 'x-forwarded-for'];
+
+// Event dengan signature tidak valid hanya disimpan hash dan potongan awal body
+const REJECTED_EXCERPT_LENGTH = 1024;
+const REJECTED_FIELD_LENGTH = 200;
+
+// Event yang tertahan di status processing (proses mati di tengah jalan) boleh diklaim ulang
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS || '300000', 10);
+
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: {
+      values: ['midtrans', 'xendit', 'stripe'],
+      message: 'Gateway harus salah satu dari: midtrans, xendit, stripe'
+    },
+    required: [true, 'Gateway wajib diisi']
+  },
+
+  // ID event dari gateway, dipakai untuk menolak pengiriman ganda
+  eventId: {
+    type: String,
+    required: [true, 'ID event wajib diisi'],
+    trim: true
+  },
+
+  eventType: {
+    type: String,
+    default: null
+  },
+
+  // Order ID / transaction ID yang dirujuk event
+  reference: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['processing', 'processed', 'failed', 'rejected'],
+      message: 'Status harus salah satu dari: processing, processed, failed, rejected'
+    },
+    default: 'processing'
+  },
+
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+
+  // Payload asli dari gateway untuk audit dan proses ulang (tidak disimpan untuk event ditolak)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: function() { return this.signatureValid; },
+    default: null
+  },
+
+  rawBody: {
+    type: String,
+    default: null
+  },
+
+  // SHA-256 body lengkap, untuk event ditolak rawBody hanya berisi potongan awal
+  rawBodyHash: {
+    type: String,
+    default: null
+  },
+
+  rawBodyTruncated: {
+    type: Boolean,
+    default: false
+  },
+
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastDuplicateAt: {
+    type: Date,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  processedAt: {
+    type: Date,
+    default: null
+  },
+
+  userSubscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserSubscription',
+    default: null
+  },
+
+  // Riwayat proses ulang oleh admin
+  reprocessHistory: [{
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: String,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Satu event terverifikasi per gateway; event yang ditolak tidak memblokir event asli
+webhookEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ gateway: 1, createdAt: -1 });
+
+// Method untuk tandai event berhasil diproses
+webhookEventSchema.methods.markProcessed = function(result = {}) {
+  this.status = 'processed';
+  this.result = result;
+  this.lastError = null;
+  this.processedAt = new Date();
+
+  if (result.subscriptionId) {
+    this.userSubscription = result.subscriptionId;
+  }
+};
+
+// Method untuk tandai event gagal diproses
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.lastError = error.message || String(error);
+};
+
+// Static method untuk ambil header yang perlu disimpan
+webhookEventSchema.statics.pickAuditHeaders = function(headers = {}) {
+  return AUDIT_HEADERS.reduce((picked, name) => {
+    if (headers[name] !== undefined) {
+      picked[name] = headers[name];
+    }
+    return picked;
+  }, {});
+};
+
+// Static method untuk filter event yang boleh diklaim untuk diproses lagi
+// Event di status processing dianggap macet setelah WEBHOOK_PROCESSING_TIMEOUT_MS
+webhookEventSchema.statics.claimableFilter = function(status) {
+  return {
+    $or: [
+      { status },
+      { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+    ]
+  };
+};
+
+// Static method untuk catat event baru atau tandai sebagai duplikat
+webhookEventSchema.statics.register = async function(data) {
+  try {
+    const event = await this.create({
+      ...data,
+      signatureValid: true,
+      status: 'processing',
+      attempts: 1
+    });
+
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const filter = { gateway: data.gateway, eventId: data.eventId, signatureValid: true };
+
+  // Pengiriman ulang dari gateway setelah gagal (atau macet) diproses boleh dicoba lagi
+  const retried = await this.findOneAndUpdate(
+    { ...filter, ...this.claimableFilter('failed') },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (retried) {
+    return { event: retried, duplicate: false };
+  }
+
+  const existing = await this.findOneAndUpdate(
+    filter,
+    { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } },
+    { new: true }
+  );
+
+  return { event: existing, duplicate: true };
+};
+
+// Static method untuk catat event dengan signature tidak valid
+// Payload dari pengirim tak dikenal tidak disimpan utuh, cukup hash dan potongan awal
+webhookEventSchema.statics.recordRejected = function(data, reason) {
+  const body = data.rawBody || JSON.stringify(data.payload || {});
+  const truncate = (value) => (value === null || value === undefined
+    ? null
+    : String(value).slice(0, REJECTED_FIELD_LENGTH));
+
+  return this.create({
+    ...data,
+    eventId: truncate(data.eventId) || 'unknown',
+    eventType: truncate(data.eventType),
+    reference: truncate(data.reference),
+    payload: null,
+    rawBody: body.slice(0, REJECTED_EXCERPT_LENGTH),
+    rawBodyHash: crypto.createHash('sha256').update(body).digest('hex'),
+    rawBodyTruncated: body.length > REJECTED_EXCERPT_LENGTH,
+    signatureValid: false,
+    status: 'rejected',
+    lastError: reason
+  });
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const AdminController = require('../controllers/AdminController');
+const RoleController = require('../controllers/RoleController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { generalRateLimit } = require('../middleware/security');
+const { body } = require('express-validator');
+const {
+  roleValidation,
+  staffRolesValidation,
+  auditLogQueryValidation,
+  handleValidationErrors
+} = require('../utils/validation');
 
 // All admin routes require admin authentication
 router.use(authenticate);
@@ -46,4 +54,54 @@ router.get('/users/:id/activity',
   AdminController.getUserActivityLogs
 );
 
+router.put('/users/:id/staff-roles',
+  generalRateLimit,
+  staffRolesValidation,
+  handleValidationErrors,
+  RoleController.updateUserStaffRoles
+);
+
+// Roles and permissions
+router.get('/roles',
+  RoleController.getRoles
+);
+
+router.post('/roles',
+  generalRateLimit,
+  body(['name', 'displayName']).notEmpty().withMessage('Nama dan nama tampilan role wajib diisi'),
+  roleValidation,
+  handleValidationErrors,
+  RoleController.createRole
+);
+
+router.put('/roles/:id',
+  generalRateLimit,
+  roleValidation,
+  handleValidationErrors,
+  RoleController.updateRole
+);
+
+router.delete('/roles/:id',
+  generalRateLimit,
+  RoleController.deleteRole
+);
+
+// Audit logs
+router.get('/audit-logs',
+  auditLogQueryValidation,
+  handleValidationErrors,
+  AdminController.getAuditLogs
+);
+
+router.get('/audit-logs/export',
+  generalRateLimit,
+  auditLogQueryValidation,
+  handleValidationErrors,
+  AdminController.exportAuditLogs
+);
+
+router.get('/audit-logs/:id',
+  AdminController.getAuditLog
+);
+
 module.exports = router;
\ No newline at end of file
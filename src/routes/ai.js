@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const AiController = require('../controllers/AiController');
-const { authenticate, requireFeature } = require('../middleware/auth');
+const { authenticate, requireFeature, enforceUsageLimit } = require('../middleware/auth');
 const { generalRateLimit, aiRateLimit } = require('../middleware/security');
 const {
   aiContentGenerationValidation,
   aiContentImprovementValidation,
   aiSeoValidation,
   aiContentIdeasValidation,
+  aiImageGenerationValidation,
+  aiImagePromptValidation,
   handleValidationErrors
 } = require('../utils/validation');
 
@@ -27,6 +29,7 @@ router.get('/templates',
 // Content generation
 router.post('/generate/article',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiContentGenerationValidation,
   handleValidationErrors,
   AiController.generateArticle
@@ -34,6 +37,7 @@ router.post('/generate/article',
 
 router.post('/generate/outline',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiContentGenerationValidation,
   handleValidationErrors,
   AiController.generateOutline
@@ -42,6 +46,7 @@ router.post('/generate/outline',
 // Content improvement
 router.post('/improve/content',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiContentImprovementValidation,
   handleValidationErrors,
   AiController.improveContent
@@ -50,6 +55,7 @@ router.post('/improve/content',
 // SEO optimization
 router.post('/generate/seo',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiSeoValidation,
   handleValidationErrors,
   AiController.generateSEOTags
@@ -58,6 +64,7 @@ router.post('/generate/seo',
 // Content ideas
 router.post('/generate/ideas',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiContentIdeasValidation,
   handleValidationErrors,
   AiController.generateContentIdeas
@@ -66,6 +73,7 @@ router.post('/generate/ideas',
 // Image generation
 router.post('/generate/image',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiImageGenerationValidation,
   handleValidationErrors,
   AiController.generateImage
@@ -73,6 +81,7 @@ router.post('/generate/image',
 
 router.post('/optimize/image-prompt',
   aiRateLimit,
+  enforceUsageLimit('aiRequestsPerMonth'),
   aiImagePromptValidation,
   handleValidationErrors,
   AiController.optimizeImagePrompt
@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const AnalyticsController = require('../controllers/AnalyticsController');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  authenticate,
+  requirePermission,
+  optionalAuth,
+  authenticateTokenOrApiKey,
+  requireApiScope
+} = require('../middleware/auth');
 const { generalRateLimit } = require('../middleware/security');
 
 // Public tracking endpoints
 router.post('/track/view',
   optionalAuth,
+  generalRateLimit,
   AnalyticsController.trackView
 );
 
@@ -19,31 +26,39 @@ router.post('/track/engagement',
 
 // User analytics
 router.get('/user',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('analytics:read'),
   AnalyticsController.getUserAnalytics
 );
 
 router.get('/article/:articleId',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('analytics:read'),
   AnalyticsController.getArticleAnalytics
 );
 
 // Admin analytics
 router.get('/dashboard',
   authenticate,
-  authorize(['admin', 'penulis']),
+  requirePermission(['analytics.view_own', 'analytics.view_all']),
   AnalyticsController.getDashboard
 );
 
+router.get('/trends',
+  authenticate,
+  requirePermission(['analytics.view_own', 'analytics.view_all']),
+  AnalyticsController.getEngagementTrends
+);
+
 router.get('/realtime',
   authenticate,
-  authorize('admin'),
+  requirePermission('analytics.view_all'),
   AnalyticsController.getRealTimeStats
 );
 
 router.get('/export',
   authenticate,
-  authorize(['admin', 'penulis']),
+  requirePermission(['analytics.view_own', 'analytics.view_all']),
   AnalyticsController.exportAnalytics
 );
 
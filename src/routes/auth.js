@@ -2,13 +2,19 @@ const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/AuthController');
 const { authenticate, optionalAuth } = require('../middleware/auth');
-const { authRateLimit, passwordResetRateLimit, emailVerificationRateLimit } = require('../middleware/security');
+const { authRateLimit, passwordResetRateLimit, emailVerificationRateLimit, bruteForceProtection } = require('../middleware/security');
 const {
   userRegistrationValidation,
   userLoginValidation,
   changePasswordValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  twoFactorDisableValidation,
+  passwordlessLoginRequestValidation,
+  magicLinkLoginValidation,
+  loginCodeValidation,
   handleValidationErrors
 } = require('../utils/validation');
 
@@ -28,6 +34,38 @@ router.post('/login',
   AuthController.login
 );
 
+// Login step 2: verifikasi kode two-factor
+router.post('/login/2fa',
+  authRateLimit,
+  twoFactorLoginValidation,
+  handleValidationErrors,
+  AuthController.verifyTwoFactorLogin
+);
+
+// Passwordless login: kirim magic link dan kode OTP ke email
+router.post('/login/passwordless',
+  bruteForceProtection(5, 15 * 60 * 1000),
+  passwordlessLoginRequestValidation,
+  handleValidationErrors,
+  AuthController.requestPasswordlessLogin
+);
+
+// Passwordless login dengan magic link
+router.post('/login/magic-link',
+  bruteForceProtection(10, 15 * 60 * 1000),
+  magicLinkLoginValidation,
+  handleValidationErrors,
+  AuthController.loginWithMagicLink
+);
+
+// Passwordless login dengan kode OTP email
+router.post('/login/code',
+  bruteForceProtection(5, 15 * 60 * 1000),
+  loginCodeValidation,
+  handleValidationErrors,
+  AuthController.loginWithCode
+);
+
 // Refresh token
 router.post('/refresh',
   AuthController.refreshToken
@@ -79,6 +117,57 @@ router.post('/change-password',
   AuthController.changePassword
 );
 
+// Active login sessions (devices)
+router.get('/sessions',
+  authenticate,
+  AuthController.getSessions
+);
+
+// Revoke a single session
+router.delete('/sessions/:id',
+  authenticate,
+  AuthController.revokeSession
+);
+
+// Two-factor authentication status
+router.get('/2fa',
+  authenticate,
+  AuthController.getTwoFactorStatus
+);
+
+// Start two-factor setup (secret + otpauth URI)
+router.post('/2fa/setup',
+  authenticate,
+  AuthController.setupTwoFactor
+);
+
+// Enable two-factor with first code
+router.post('/2fa/enable',
+  authenticate,
+  authRateLimit,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  AuthController.enableTwoFactor
+);
+
+// Disable two-factor
+router.post('/2fa/disable',
+  authenticate,
+  authRateLimit,
+  twoFactorDisableValidation,
+  handleValidationErrors,
+  AuthController.disableTwoFactor
+);
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes',
+  authenticate,
+  authRateLimit,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  AuthController.regenerateRecoveryCodes
+);
+
 // Get current user profile
 router.get('/profile',
   authenticate,
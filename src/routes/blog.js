@@ -1,12 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const ArticleController = require('../controllers/ArticleController');
-const { authenticate, optionalAuth, authorize, requireFeature } = require('../middleware/auth');
-const { uploadConfigs, handleUploadError } = require('../middleware/upload');
+const CollaborationController = require('../controllers/CollaborationController');
+const PreviewController = require('../controllers/PreviewController');
+const {
+  authenticate,
+  optionalAuth,
+  requirePermission,
+  requireFeature,
+  requireOwnership,
+  authenticateTokenOrApiKey,
+  requireApiScope,
+  enforceUsageLimit
+} = require('../middleware/auth');
+const { uploadConfigs, handleUploadError, enforceStorageQuota } = require('../middleware/upload');
 const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
 const {
   articleCreationValidation,
   articleUpdateValidation,
+  articleDraftValidation,
+  previewLinkValidation,
+  collaboratorInviteValidation,
+  bylineValidation,
+  paginationQueryValidation,
   handleValidationErrors
 } = require('../utils/validation');
 
@@ -27,25 +43,31 @@ router.get('/articles/:slug',
 
 // Authenticated routes
 router.get('/my-articles',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('articles:read'),
   ArticleController.getUserArticles
 );
 
 router.post('/articles',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('articles:write'),
+  enforceUsageLimit('articlesPerMonth'),
   uploadRateLimit,
   uploadConfigs.thumbnail,
   handleUploadError,
+  enforceStorageQuota,
   articleCreationValidation,
   handleValidationErrors,
   ArticleController.createArticle
 );
 
 router.put('/articles/:id',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('articles:write'),
   uploadRateLimit,
   uploadConfigs.thumbnail,
   handleUploadError,
+  enforceStorageQuota,
   articleUpdateValidation,
   handleValidationErrors,
   ArticleController.updateArticle
@@ -56,6 +78,135 @@ router.delete('/articles/:id',
   ArticleController.deleteArticle
 );
 
+// Draft autosave routes (per user, terpisah dari konten artikel)
+router.get('/articles/:id/draft',
+  authenticate,
+  requireOwnership('id', { resource: 'article' }),
+  ArticleController.getDraft
+);
+
+router.put('/articles/:id/draft',
+  authenticate,
+  requireOwnership('id', { resource: 'article' }),
+  articleDraftValidation,
+  handleValidationErrors,
+  ArticleController.saveDraft
+);
+
+router.delete('/articles/:id/draft',
+  authenticate,
+  requireOwnership('id', { resource: 'article' }),
+  ArticleController.discardDraft
+);
+
+// Preview link routes (halaman pratinjau di /blog/preview/:token)
+router.get('/articles/:id/preview-links',
+  authenticate,
+  requireOwnership('id', { resource: 'article' }),
+  PreviewController.getPreviewLinks
+);
+
+router.post('/articles/:id/preview-links',
+  authenticate,
+  generalRateLimit,
+  requireOwnership('id', { resource: 'article' }),
+  previewLinkValidation,
+  handleValidationErrors,
+  PreviewController.createPreviewLink
+);
+
+router.delete('/articles/:id/preview-links/:linkId',
+  authenticate,
+  requireOwnership('id', { resource: 'article' }),
+  PreviewController.revokePreviewLink
+);
+
+// Editorial workflow routes
+router.get('/review-queue',
+  authenticate,
+  requirePermission('articles.review'),
+  paginationQueryValidation,
+  handleValidationErrors,
+  ArticleController.getReviewQueue
+);
+
+router.get('/articles/:id/workflow',
+  authenticate,
+  ArticleController.getWorkflow
+);
+
+router.post('/articles/:id/workflow/:action',
+  authenticate,
+  generalRateLimit,
+  ArticleController.transitionArticle
+);
+
+// Revision history routes
+router.get('/articles/:id/revisions',
+  authenticate,
+  ArticleController.getRevisions
+);
+
+router.get('/articles/:id/revisions/diff',
+  authenticate,
+  ArticleController.compareRevisions
+);
+
+router.get('/articles/:id/revisions/:version',
+  authenticate,
+  ArticleController.getRevision
+);
+
+router.post('/articles/:id/revisions/:version/restore',
+  authenticate,
+  generalRateLimit,
+  ArticleController.restoreRevision
+);
+
+// Collaboration routes
+router.get('/collaboration-invites',
+  authenticate,
+  CollaborationController.getMyInvitations
+);
+
+router.get('/articles/:id/collaborators',
+  authenticate,
+  requireOwnership('id', { resource: 'article', roles: ['owner', 'co-author', 'reviewer'] }),
+  CollaborationController.getCollaborators
+);
+
+router.post('/articles/:id/collaborators',
+  authenticate,
+  generalRateLimit,
+  requireOwnership('id', { resource: 'article', roles: ['owner'] }),
+  collaboratorInviteValidation,
+  handleValidationErrors,
+  CollaborationController.inviteCollaborator
+);
+
+router.post('/articles/:id/collaborators/accept',
+  authenticate,
+  CollaborationController.acceptInvitation
+);
+
+router.post('/articles/:id/collaborators/decline',
+  authenticate,
+  CollaborationController.declineInvitation
+);
+
+router.delete('/articles/:id/collaborators/:userId',
+  authenticate,
+  CollaborationController.removeCollaborator
+);
+
+router.put('/articles/:id/byline',
+  authenticate,
+  requireOwnership('id', { resource: 'article', roles: ['owner'] }),
+  bylineValidation,
+  handleValidationErrors,
+  CollaborationController.updateByline
+);
+
 // Engagement routes
 router.post('/articles/:id/like',
   authenticate,
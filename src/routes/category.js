@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const CategoryController = require('../controllers/CategoryController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { generalRateLimit } = require('../middleware/security');
 const {
   categoryCreationValidation,
@@ -29,7 +29,7 @@ router.get('/:slug',
 // Admin only routes
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('categories.manage'),
   generalRateLimit,
   categoryCreationValidation,
   handleValidationErrors,
@@ -38,7 +38,7 @@ router.post('/',
 
 router.put('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('categories.manage'),
   generalRateLimit,
   categoryUpdateValidation,
   handleValidationErrors,
@@ -47,19 +47,19 @@ router.put('/:id',
 
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('categories.manage'),
   CategoryController.deleteCategory
 );
 
 router.get('/admin/statistics',
   authenticate,
-  authorize('admin'),
+  requirePermission('categories.manage'),
   CategoryController.getCategoryStatistics
 );
 
 router.post('/admin/reorder',
   authenticate,
-  authorize('admin'),
+  requirePermission('categories.manage'),
   generalRateLimit,
   CategoryController.reorderCategories
 );
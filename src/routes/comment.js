@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const CommentController = require('../controllers/CommentController');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  authenticate,
+  requirePermission,
+  optionalAuth,
+  authenticateTokenOrApiKey,
+  requireApiScope
+} = require('../middleware/auth');
 const { generalRateLimit, commentRateLimit } = require('../middleware/security');
 const {
   commentCreationValidation,
@@ -22,7 +28,8 @@ router.get('/:id',
 
 // Authenticated routes
 router.post('/article/:articleId',
-  authenticate,
+  authenticateTokenOrApiKey,
+  requireApiScope('comments:write'),
   commentRateLimit,
   commentCreationValidation,
   handleValidationErrors,
@@ -58,25 +65,25 @@ router.post('/:id/dislike',
 // Admin moderation routes
 router.get('/admin/pending',
   authenticate,
-  authorize('admin'),
+  requirePermission('comments.moderate'),
   CommentController.getPendingComments
 );
 
 router.get('/admin/spam',
   authenticate,
-  authorize('admin'),
+  requirePermission('comments.moderate'),
   CommentController.getSpamComments
 );
 
 router.get('/admin/statistics',
   authenticate,
-  authorize('admin'),
+  requirePermission('comments.moderate'),
   CommentController.getCommentStatistics
 );
 
 router.post('/:id/moderate',
   authenticate,
-  authorize('admin'),
+  requirePermission('comments.moderate'),
   commentModerationValidation,
   handleValidationErrors,
   CommentController.moderateComment
@@ -84,7 +91,7 @@ router.post('/:id/moderate',
 
 router.post('/admin/bulk-moderate',
   authenticate,
-  authorize('admin'),
+  requirePermission('comments.moderate'),
   generalRateLimit,
   commentModerationValidation,
   handleValidationErrors,
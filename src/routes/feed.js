@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const FeedController = require('../controllers/FeedController');
+
+// Site-wide feeds
+router.get('/feed.xml', FeedController.siteFeed('rss'));
+router.get('/atom.xml', FeedController.siteFeed('atom'));
+router.get('/feed.json', FeedController.siteFeed('json'));
+
+// Category feeds (by category slug)
+router.get('/category/:slug/feed.xml', FeedController.categoryFeed('rss'));
+router.get('/category/:slug/atom.xml', FeedController.categoryFeed('atom'));
+router.get('/category/:slug/feed.json', FeedController.categoryFeed('json'));
+
+// Author feeds (by username)
+router.get('/author/:username/feed.xml', FeedController.authorFeed('rss'));
+router.get('/author/:username/atom.xml', FeedController.authorFeed('atom'));
+router.get('/author/:username/feed.json', FeedController.authorFeed('json'));
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const MediaController = require('../controllers/MediaController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { uploadConfigs, handleUploadError, enforceStorageQuota } = require('../middleware/upload');
+const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
+const {
+  mediaUpdateValidation,
+  handleValidationErrors
+} = require('../utils/validation');
+
+// File media (public, media premium dicek aksesnya lalu diarahkan ke signed URL)
+router.get('/:id/file/:variant?',
+  optionalAuth,
+  MediaController.getMediaFile
+);
+
+// Route media library lainnya membutuhkan login
+router.use(authenticate);
+
+router.get('/',
+  MediaController.listMedia
+);
+
+router.post('/',
+  uploadRateLimit,
+  uploadConfigs.media,
+  handleUploadError,
+  enforceStorageQuota,
+  MediaController.uploadMedia
+);
+
+router.get('/:id',
+  MediaController.getMedia
+);
+
+router.get('/:id/signed-url',
+  generalRateLimit,
+  MediaController.getSignedUrl
+);
+
+router.put('/:id',
+  generalRateLimit,
+  mediaUpdateValidation,
+  handleValidationErrors,
+  MediaController.updateMedia
+);
+
+router.delete('/:id',
+  MediaController.deleteMedia
+);
+
+module.exports = router;
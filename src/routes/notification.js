@@ -3,7 +3,8 @@ const router = express.Router();
 const NotificationController = require('../controllers/NotificationController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { generalRateLimit, emailVerificationRateLimit } = require('../middleware/security');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const { paginationQueryValidation, handleValidationErrors } = require('../utils/validation');
 
 // Notification preferences routes (authenticated users)
 router.get('/preferences',
@@ -24,6 +25,40 @@ router.put('/preferences',
   NotificationController.updateNotificationPreferences
 );
 
+// Notification inbox routes (authenticated users)
+router.get('/inbox',
+  authenticate,
+  paginationQueryValidation,
+  handleValidationErrors,
+  NotificationController.getInbox
+);
+
+router.get('/inbox/unread-count',
+  authenticate,
+  NotificationController.getUnreadCount
+);
+
+router.put('/inbox/read-all',
+  authenticate,
+  generalRateLimit,
+  NotificationController.markAllAsRead
+);
+
+router.put('/inbox/:id/read',
+  authenticate,
+  generalRateLimit,
+  [param('id').isMongoId().withMessage('Notification ID tidak valid')],
+  handleValidationErrors,
+  NotificationController.markAsRead
+);
+
+router.delete('/inbox/:id',
+  authenticate,
+  [param('id').isMongoId().withMessage('Notification ID tidak valid')],
+  handleValidationErrors,
+  NotificationController.deleteNotification
+);
+
 // Unsubscribe route (public)
 router.post('/unsubscribe',
   authenticate,
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const PaymentController = require('../controllers/PaymentController');
-const { authenticate } = require('../middleware/auth');
-const { generalRateLimit } = require('../middleware/security');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { generalRateLimit, webhookRateLimit } = require('../middleware/security');
 
 // Payment creation
 router.post('/create',
@@ -24,17 +24,40 @@ router.get('/methods',
 
 // Webhook endpoints (no authentication required)
 router.post('/webhook/midtrans',
+  webhookRateLimit,
   PaymentController.handleMidtransWebhook
 );
 
 router.post('/webhook/xendit',
+  webhookRateLimit,
   PaymentController.handleXenditWebhook
 );
 
 router.post('/webhook/stripe',
+  webhookRateLimit,
   PaymentController.handleStripeWebhook
 );
 
+// Webhook event log (admin only)
+router.get('/webhook-events',
+  authenticate,
+  requirePermission('payments.manage'),
+  PaymentController.getWebhookEvents
+);
+
+router.get('/webhook-events/:id',
+  authenticate,
+  requirePermission('payments.manage'),
+  PaymentController.getWebhookEvent
+);
+
+router.post('/webhook-events/:id/reprocess',
+  authenticate,
+  requirePermission('payments.manage'),
+  generalRateLimit,
+  PaymentController.reprocessWebhookEvent
+);
+
 // Payment result pages
 router.get('/success',
   PaymentController.paymentSuccess
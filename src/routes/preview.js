@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const PreviewController = require('../controllers/PreviewController');
+const { generalRateLimit } = require('../middleware/security');
+
+// Article preview page (public, token bertanda tangan)
+router.get('/:token',
+  generalRateLimit,
+  PreviewController.renderPreview
+);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const SearchController = require('../controllers/SearchController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuth, authorize } = require('../middleware/auth');
 const { generalRateLimit, apiRateLimit } = require('../middleware/security');
-const { query } = require('express-validator');
+const { query, body } = require('express-validator');
 
 // Search validation middleware
 const searchValidation = [
@@ -27,6 +27,7 @@ const searchValidation = [
 
 // Public search routes
 router.get('/articles',
+  optionalAuth,
   apiRateLimit,
   searchValidation,
   SearchController.searchArticles
@@ -50,13 +51,24 @@ router.get('/popular-terms',
 );
 
 router.get('/global',
+  optionalAuth,
   apiRateLimit,
   query('q').isLength({ min: 2, max: 100 }).withMessage('Query must be between 2 and 100 characters'),
   SearchController.globalSearch
 );
 
+// Click tracking untuk hasil pencarian (searchId dari response pencarian)
+router.post('/click',
+  apiRateLimit,
+  body('searchId').isMongoId().withMessage('Invalid search ID'),
+  body('articleId').isMongoId().withMessage('Invalid article ID'),
+  body('position').optional().isInt({ min: 1, max: 1000 }).withMessage('Position must be a positive integer'),
+  SearchController.trackClick
+);
+
 // Advanced search (public but with rate limiting)
 router.get('/advanced',
+  optionalAuth,
   generalRateLimit,
   searchValidation,
   query('type').optional().isIn(['all', 'articles', 'users', 'categories']),
@@ -78,6 +90,7 @@ router.get('/analytics',
   generalRateLimit,
   query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
   query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   SearchController.getSearchAnalytics
 );
 
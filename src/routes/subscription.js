@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const SubscriptionController = require('../controllers/SubscriptionController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { generalRateLimit } = require('../middleware/security');
+const { body } = require('express-validator');
 const {
   subscriptionUpgradeValidation,
+  couponValidateValidation,
+  couponValidation,
   handleValidationErrors
 } = require('../utils/validation');
 
@@ -27,6 +30,14 @@ router.post('/upgrade',
   SubscriptionController.upgradeSubscription
 );
 
+router.post('/coupons/validate',
+  authenticate,
+  generalRateLimit,
+  couponValidateValidation,
+  handleValidationErrors,
+  SubscriptionController.validateCoupon
+);
+
 router.post('/cancel',
   authenticate,
   generalRateLimit,
@@ -44,28 +55,83 @@ router.get('/feature/:feature',
   SubscriptionController.checkFeatureAccess
 );
 
+router.get('/usage',
+  authenticate,
+  SubscriptionController.getUsage
+);
+
+router.get('/usage/storage',
+  authenticate,
+  SubscriptionController.getStorageUsage
+);
+
 router.get('/usage/:limitType',
   authenticate,
   SubscriptionController.checkUsageLimit
 );
 
+// Invoice routes
+router.get('/invoices',
+  authenticate,
+  SubscriptionController.getInvoices
+);
+
+router.get('/invoices/:id',
+  authenticate,
+  SubscriptionController.getInvoice
+);
+
+router.get('/invoices/:id/:format(html|pdf)',
+  authenticate,
+  SubscriptionController.downloadInvoice
+);
+
 // Admin routes
 router.get('/admin/stats',
   authenticate,
-  authorize('admin'),
+  requirePermission('subscriptions.manage'),
   SubscriptionController.getSubscriptionStats
 );
 
 router.post('/admin/process-expired',
   authenticate,
-  authorize('admin'),
+  requirePermission('subscriptions.manage'),
   SubscriptionController.processExpiredSubscriptions
 );
 
 router.post('/admin/send-reminders',
   authenticate,
-  authorize('admin'),
+  requirePermission('subscriptions.manage'),
   SubscriptionController.sendSubscriptionReminders
 );
 
+router.get('/admin/invoices',
+  authenticate,
+  requirePermission('subscriptions.manage'),
+  SubscriptionController.getAllInvoices
+);
+
+router.get('/admin/coupons',
+  authenticate,
+  requirePermission('subscriptions.manage'),
+  SubscriptionController.getCoupons
+);
+
+router.post('/admin/coupons',
+  authenticate,
+  requirePermission('subscriptions.manage'),
+  body(['code', 'type', 'value']).notEmpty().withMessage('Kode, tipe dan nilai kupon wajib diisi'),
+  couponValidation,
+  handleValidationErrors,
+  SubscriptionController.createCoupon
+);
+
+router.patch('/admin/coupons/:id',
+  authenticate,
+  requirePermission('subscriptions.manage'),
+  couponValidation,
+  handleValidationErrors,
+  SubscriptionController.updateCoupon
+);
+
 module.exports = router;
\ No newline at end of file
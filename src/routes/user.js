@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/UserController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const ApiKeyController = require('../controllers/ApiKeyController');
+const { authenticate, optionalAuth, requireFeature } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError } = require('../middleware/upload');
 const { generalRateLimit, uploadRateLimit } = require('../middleware/security');
 const {
   userProfileUpdateValidation,
+  apiKeyCreationValidation,
   handleValidationErrors
 } = require('../utils/validation');
 
@@ -54,6 +56,33 @@ router.put('/preferences',
   UserController.updatePreferences
 );
 
+// API key routes (fitur api_access paket Pro)
+router.get('/api-keys',
+  authenticate,
+  ApiKeyController.getApiKeys
+);
+
+router.post('/api-keys',
+  authenticate,
+  requireFeature('api_access'),
+  generalRateLimit,
+  apiKeyCreationValidation,
+  handleValidationErrors,
+  ApiKeyController.createApiKey
+);
+
+router.post('/api-keys/:id/rotate',
+  authenticate,
+  requireFeature('api_access'),
+  generalRateLimit,
+  ApiKeyController.rotateApiKey
+);
+
+router.delete('/api-keys/:id',
+  authenticate,
+  ApiKeyController.revokeApiKey
+);
+
 router.get('/activity',
   authenticate,
   UserController.getActivityFeed
@@ -2,6 +2,8 @@ const Article = require('../models/Article');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Category = require('../models/Category');
+const Analytics = require('../models/Analytics');
+const AnalyticsDaily = require('../models/AnalyticsDaily');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
 
@@ -21,11 +23,14 @@ class AnalyticsService {
         userId = null,
         ipAddress,
         userAgent,
+        sessionId = null,
         referrer = 'direct',
         country = null,
         device = 'desktop'
       } = data;
       
+      const referrerSource = this.normalizeReferrer(referrer);
+      
       // Track in real-time using Redis
       if (redisClient.isClientConnected()) {
         const today = new Date().toISOString().split('T')[0];
@@ -42,7 +47,7 @@ class AnalyticsService {
           // User views (if logged in)
           userId && redisClient.getClient().incr(`views:user:${userId}`),
           // Referrer tracking
-          redisClient.getClient().incr(`views:referrer:${referrer}`),
+          redisClient.getClient().incr(`views:referrer:${referrerSource}`),
           // Country tracking
           country && redisClient.getClient().incr(`views:country:${country}`),
           // Device tracking
@@ -54,11 +59,25 @@ class AnalyticsService {
         await redisClient.getClient().expire(`views:hourly:${today}:${hour}`, 7 * 24 * 60 * 60);
       }
       
+      // Persist raw event and daily rollup
+      await Analytics.track({
+        eventType: 'view',
+        entityType: articleId ? 'article' : 'page',
+        entityId: articleId || null,
+        userId,
+        sessionId,
+        ipAddress,
+        userAgent,
+        referrer: referrerSource,
+        country,
+        device
+      });
+      
       // Update article view count in database
       if (articleId) {
         const article = await Article.findById(articleId);
         if (article) {
-          await article.incrementViews(country, device, referrer);
+          await article.incrementViews(country, device, referrerSource);
         }
       }
       
@@ -80,27 +99,39 @@ class AnalyticsService {
         value = 1
       } = data;
       
+      // Terima bentuk tunggal maupun jamak (like/likes)
+      const eventType = type.replace(/s$/, '');
+      
       if (redisClient.isClientConnected()) {
         const today = new Date().toISOString().split('T')[0];
         
         await Promise.all([
           // Daily engagement
-          redisClient.getClient().incrby(`engagement:daily:${today}:${type}`, value),
+          redisClient.getClient().incrby(`engagement:daily:${today}:${eventType}s`, value),
           // Article engagement
-          articleId && redisClient.getClient().incrby(`engagement:article:${articleId}:${type}`, value),
+          articleId && redisClient.getClient().incrby(`engagement:article:${articleId}:${eventType}s`, value),
           // User engagement
-          userId && redisClient.getClient().incrby(`engagement:user:${userId}:${type}`, value)
+          userId && redisClient.getClient().incrby(`engagement:user:${userId}:${eventType}s`, value)
         ]);
         
         // Set expiry
-        await redisClient.getClient().expire(`engagement:daily:${today}:${type}`, 30 * 24 * 60 * 60);
+        await redisClient.getClient().expire(`engagement:daily:${today}:${eventType}s`, 30 * 24 * 60 * 60);
       }
       
+      // Persist raw event and daily rollup
+      await Analytics.track({
+        eventType,
+        entityType: 'article',
+        entityId: articleId || null,
+        userId,
+        value
+      });
+      
       // Update article engagement in database
-      if (articleId && ['likes', 'shares', 'comments'].includes(type)) {
+      if (articleId && ['like', 'share', 'comment'].includes(eventType)) {
         const article = await Article.findById(articleId);
         if (article) {
-          await article.incrementEngagement(type, value);
+          await article.incrementEngagement(`${eventType}s`, value);
         }
       }
       
@@ -459,7 +490,7 @@ class AnalyticsService {
   }
   
   /**
-   * Get engagement trends
+   * Get engagement trends from daily rollups
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @param {String} userId - User ID filter
@@ -467,27 +498,30 @@ class AnalyticsService {
    */
   static async getEngagementTrends(startDate, endDate, userId = null) {
     const matchQuery = {
-      publishedAt: { $gte: startDate, $lte: endDate }
+      entityType: 'article',
+      date: { $gte: AnalyticsDaily.startOfDay(startDate), $lte: endDate }
     };
     
     if (userId) {
-      matchQuery.penulis = userId;
+      const articleIds = await Article.find({ penulis: userId }).distinct('_id');
+      matchQuery.entityId = { $in: articleIds };
     }
     
-    const trends = await Article.aggregate([
+    const trends = await AnalyticsDaily.aggregate([
       { $match: matchQuery },
       {
         $group: {
           _id: {
             $dateToString: {
               format: '%Y-%m-%d',
-              date: '$publishedAt'
+              date: '$date'
             }
           },
-          views: { $sum: '$metadata.views' },
-          likes: { $sum: '$metadata.likes' },
-          shares: { $sum: '$metadata.shares' },
-          comments: { $sum: '$metadata.comments' },
+          views: { $sum: '$metrics.views' },
+          sessions: { $sum: '$metrics.sessions' },
+          likes: { $sum: '$metrics.likes' },
+          shares: { $sum: '$metrics.shares' },
+          comments: { $sum: '$metrics.comments' },
           articles: { $sum: 1 }
         }
       },
@@ -497,6 +531,7 @@ class AnalyticsService {
     return trends.map(trend => ({
       date: trend._id,
       views: trend.views,
+      sessions: trend.sessions,
       likes: trend.likes,
       shares: trend.shares,
       comments: trend.comments,
@@ -505,6 +540,72 @@ class AnalyticsService {
     }));
   }
   
+  /**
+   * Get article time series from daily rollups
+   * @param {String} articleId - Article ID
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Object} Daily series and breakdowns for the period
+   */
+  static async getArticleTimeSeries(articleId, startDate, endDate) {
+    const series = await AnalyticsDaily.getSeries('article', articleId, startDate, endDate);
+    
+    const totals = { views: 0, sessions: 0, likes: 0, shares: 0, comments: 0, bookmarks: 0 };
+    const referrers = {};
+    const countries = {};
+    const devices = { desktop: 0, mobile: 0, tablet: 0 };
+    
+    const daily = series.map(day => {
+      Object.keys(totals).forEach(metric => {
+        totals[metric] += day.metrics[metric] || 0;
+      });
+      
+      Object.entries(day.referrers).forEach(([source, visits]) => {
+        referrers[source] = (referrers[source] || 0) + visits;
+      });
+      
+      Object.entries(day.countries).forEach(([country, visits]) => {
+        countries[country] = (countries[country] || 0) + visits;
+      });
+      
+      Object.keys(devices).forEach(device => {
+        devices[device] += day.devices[device] || 0;
+      });
+      
+      return {
+        date: day.date.toISOString().split('T')[0],
+        ...day.metrics
+      };
+    });
+    
+    const toRanking = (counts, key) => Object.entries(counts)
+      .map(([name, visits]) => ({ [key]: name, visits }))
+      .sort((a, b) => b.visits - a.visits);
+    
+    return {
+      totals,
+      daily,
+      referrers: toRanking(referrers, 'source'),
+      countries: toRanking(countries, 'country'),
+      devices: toRanking(devices, 'device')
+    };
+  }
+  
+  /**
+   * Normalize referrer to source domain
+   * @param {String} referrer - Referrer URL or source name
+   * @returns {String} Referrer source
+   */
+  static normalizeReferrer(referrer) {
+    if (!referrer || referrer === 'direct') return 'direct';
+    
+    try {
+      return new URL(referrer).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return String(referrer).substring(0, 100);
+    }
+  }
+  
   /**
    * Get fallback statistics when Redis is unavailable
    * @returns {Object} Fallback stats
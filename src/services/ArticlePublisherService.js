@@ -0,0 +1,146 @@
+const logger = require('../config/logger');
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const ScheduledPost = require('../models/ScheduledPost');
+const CacheService = require('./CacheService');
+const SeoService = require('./SeoService');
+
+class ArticlePublisherService {
+  constructor() {
+    this._timer = null;
+    this._intervalMs = parseInt(process.env.ARTICLE_PUBLISHER_INTERVAL_MS || '60000', 10); // 60s
+    this._batchSize = parseInt(process.env.ARTICLE_PUBLISHER_BATCH_SIZE || '20', 10);
+    this._isRunning = false;
+  }
+
+  start() {
+    if (this._timer) return;
+    logger.info(`ArticlePublisherService starting with interval ${this._intervalMs} ms`);
+    this._timer = setInterval(() => this._tick().catch(err => logger.error('Article publisher tick error:', err)), this._intervalMs);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _tick() {
+    if (this._isRunning) return; // prevent overlap
+    this._isRunning = true;
+
+    let publishedCount = 0;
+    const failedIds = [];
+
+    try {
+      for (let i = 0; i < this._batchSize; i++) {
+        const now = new Date();
+
+        // Atomically claim one due article so other instances skip it
+        // publishedAt di-set bersamaan agar artikel tidak pernah published tanpa publishedAt
+        const article = await Article.findOneAndUpdate(
+          {
+            _id: { $nin: failedIds },
+            status: 'scheduled',
+            scheduledAt: { $lte: now }
+          },
+          { $set: { status: 'published', publishedAt: now } },
+          { sort: { scheduledAt: 1 }, new: true }
+        );
+
+        if (!article) break; // nothing to do
+
+        try {
+          await this._publishArticle(article, now);
+          publishedCount += 1;
+        } catch (err) {
+          logger.error('Scheduled article publish error:', err);
+
+          // Dicoba lagi pada tick berikutnya, bukan di batch yang sama
+          failedIds.push(article._id);
+          await this._releaseClaim(article, now);
+        }
+      }
+
+      if (publishedCount > 0) {
+        await SeoService.saveSitemap();
+      }
+    } finally {
+      this._isRunning = false;
+    }
+
+    return publishedCount;
+  }
+
+  async _publishArticle(article, claimedAt) {
+    const scheduledAt = article.scheduledAt;
+
+    article.workflow.history.push({
+      action: 'publish',
+      from: 'scheduled',
+      to: 'published',
+      comment: 'Dipublikasikan otomatis sesuai jadwal',
+      at: claimedAt
+    });
+
+    await article.publish();
+
+    const category = await Category.findById(article.kategori);
+    if (category) {
+      await category.updateStats({ lastArticleAt: true });
+    }
+
+    await CacheService.invalidateRelated('article', article._id);
+
+    await this._queueSocialPosts(article);
+
+    logger.info('Scheduled article published', {
+      articleId: article._id.toString(),
+      scheduledAt,
+      publishedAt: article.publishedAt
+    });
+  }
+
+  // Kembalikan artikel yang gagal dipublikasikan ke antrean jadwal
+  async _releaseClaim(article, claimedAt) {
+    try {
+      await Article.updateOne(
+        { _id: article._id, status: 'published' },
+        {
+          $set: { status: 'scheduled', publishedAt: null },
+          $pull: { 'workflow.history': { action: 'publish', at: claimedAt } }
+        }
+      );
+    } catch (err) {
+      logger.error('Release scheduled article claim error:', err);
+    }
+  }
+
+  async _queueSocialPosts(article) {
+    const { autoPost, platforms = [], customMessage, hashtags = [] } = article.socialMedia || {};
+    if (!autoPost || platforms.length === 0) return null;
+
+    // Posting dilakukan oleh SocialSchedulerService agar mendapat retry yang sama
+    const job = await ScheduledPost.create({
+      user: article.penulis,
+      platforms,
+      message: customMessage || article.ringkasan || article.judul,
+      imageUrl: article.thumbnail || null,
+      link: `${process.env.APP_URL || 'http://localhost:3000'}/blog/${article.slug}`,
+      hashtags,
+      article: article._id,
+      scheduledAt: new Date()
+    });
+
+    logger.info('Article social posts queued', {
+      articleId: article._id.toString(),
+      jobId: job._id.toString(),
+      platforms
+    });
+
+    return job;
+  }
+}
+
+module.exports = new ArticlePublisherService();
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+
+const AUDIT_EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT || '10000', 10);
+
+/**
+ * Audit Service untuk mencatat aksi admin dan aksi sensitif keamanan
+ */
+class AuditService {
+
+  /**
+   * Record audit entry
+   * Tidak pernah melempar error supaya aksi utama tetap berjalan
+   * @param {Object} entry - Audit entry
+   * @param {Object} entry.actor - User performing the action (null untuk anonim)
+   * @param {String} entry.action - Action name (contoh: user.role_changed)
+   * @param {String} entry.category - admin, auth, moderation, content, billing
+   * @param {Object} entry.resource - { type, id, label }
+   * @param {*} entry.before - Value before change
+   * @param {*} entry.after - Value after change
+   * @param {Object} entry.metadata - Extra information
+   * @param {String} entry.status - success or failure
+   * @param {Object} entry.req - Express request (untuk IP dan user agent)
+   * @returns {Promise<Object|null>} Audit log
+   */
+  async record({ actor = null, action, category, resource = {}, before = null, after = null, metadata = {}, status = 'success', req = null, ipAddress = null, userAgent = null }) {
+    try {
+      return await AuditLog.create({
+        actor: actor?._id || actor,
+        actorSnapshot: actor?._id
+          ? { username: actor.username, email: actor.email, role: actor.role }
+          : undefined,
+        action,
+        category,
+        resource,
+        changes: { before, after },
+        metadata,
+        status,
+        ipAddress: req?.ip || ipAddress,
+        userAgent: req?.get?.('User-Agent') || userAgent
+      });
+    } catch (error) {
+      logger.error('Audit log error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record one audit entry per resource (bulk actions)
+   * @param {Object} entry - Shared audit entry (lihat record)
+   * @param {Array} resources - Resources ({ type, id, label })
+   * @returns {Promise<Array>} Audit logs
+   */
+  async recordMany(entry, resources) {
+    return await Promise.all(resources.map(resource => this.record({ ...entry, resource })));
+  }
+
+  /**
+   * Build query from admin filters
+   * @param {Object} filters - Query string filters
+   * @returns {Object} MongoDB query
+   */
+  buildQuery(filters = {}) {
+    // Hanya string yang dipakai: object dari query string (?status[$ne]=x) bisa menyisipkan operator
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const date = (value) => {
+      const parsed = text(value) && new Date(value);
+      return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+    };
+
+    const actor = text(filters.actor);
+    const action = text(filters.action);
+    const category = text(filters.category);
+    const resourceType = text(filters.resourceType);
+    const resourceId = text(filters.resourceId);
+    const status = text(filters.status);
+    const ipAddress = text(filters.ipAddress);
+    const startDate = date(filters.startDate);
+    const endDate = date(filters.endDate);
+    const query = {};
+
+    if (actor && mongoose.isValidObjectId(actor)) query.actor = actor;
+    // Prefix action, contoh "user." untuk semua aksi terhadap user
+    if (action) query.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : action;
+    if (category) query.category = category;
+    if (resourceType) query['resource.type'] = resourceType;
+    if (resourceId && mongoose.isValidObjectId(resourceId)) query['resource.id'] = resourceId;
+    if (status) query.status = status;
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = startDate;
+      if (endDate) query.createdAt.$lte = endDate;
+    }
+
+    return query;
+  }
+
+  /**
+   * Query audit logs with pagination
+   * @param {Object} filters - Query string filters
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Logs and pagination
+   */
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'username email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Get logs for export
+   * @param {Object} filters - Query string filters
+   * @returns {Promise<Array>} Logs (maksimal AUDIT_EXPORT_LIMIT)
+   */
+  async getExportLogs(filters = {}) {
+    return await AuditLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_LIMIT)
+      .lean();
+  }
+
+  /**
+   * Convert audit logs to CSV
+   * @param {Array} logs - Audit logs
+   * @returns {String} CSV string
+   */
+  toCSV(logs) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)
+        ? JSON.stringify(value)
+        : String(value);
+      // Cegah formula injection saat dibuka di spreadsheet
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const headers = [
+      'Time', 'Actor ID', 'Actor', 'Role', 'Action', 'Category', 'Status',
+      'Resource Type', 'Resource ID', 'Resource', 'Before', 'After', 'Metadata', 'IP Address', 'User Agent'
+    ];
+
+    const rows = logs.map(log => [
+      log.createdAt instanceof Date ? log.createdAt.toISOString() : log.createdAt,
+      log.actor,
+      log.actorSnapshot?.username,
+      log.actorSnapshot?.role,
+      log.action,
+      log.category,
+      log.status,
+      log.resource?.type,
+      log.resource?.id,
+      log.resource?.label,
+      log.changes?.before,
+      log.changes?.after,
+      log.metadata && Object.keys(log.metadata).length ? log.metadata : null,
+      log.ipAddress,
+      log.userAgent
+    ]);
+
+    return [headers, ...rows]
+      .map(row => row.map(escape).join(','))
+      .join('\n');
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
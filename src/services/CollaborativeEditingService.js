@@ -0,0 +1,506 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const EditorialWorkflowService = require('./EditorialWorkflowService');
+const MediaService = require('./MediaService');
+const OTUtils = require('../utils/ot');
+const { sanitizeContent } = require('../middleware/security');
+const logger = require('../config/logger');
+
+// Jumlah revisi terakhir yang disimpan untuk transform operasi client yang tertinggal
+const EDIT_HISTORY_LIMIT = 500;
+
+/**
+ * Build editing error with code for socket responses
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @returns {Error} Error
+ */
+const editingError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Collaborative Editing Service untuk co-editing konten artikel secara real-time
+ * Konten digabung dengan operational transform dan disimpan berkala ke Article
+ *
+ * Sesi disimpan di memory proses, sehingga butuh sticky session (ip_hash di nginx.conf)
+ * bila menjalankan beberapa container. Peserta yang terhubung ke instance berbeda
+ * mendapat sesi terpisah dan baru melihat perubahan satu sama lain setelah autosave
+ * (digabung lewat cek versi); untuk edit real-time penuh jalankan satu instance
+ *
+ * Event 'operation' ({ articleId, revision, operations }) dikirim untuk operasi dari server
+ * (sanitasi konten dan penggabungan perubahan lewat API)
+ */
+class CollaborativeEditingService extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map(); // articleId -> session
+    this.loading = new Map(); // articleId -> Promise<session>
+    this._timer = null;
+    this._intervalMs = parseInt(process.env.COLLAB_AUTOSAVE_INTERVAL_MS || '30000', 10);
+  }
+
+  start() {
+    if (this._timer) return;
+    logger.info(`CollaborativeEditingService autosave starting with interval ${this._intervalMs} ms`);
+    this._timer = setInterval(() => this.flushAll().catch(err => logger.error('Collaborative autosave error:', err)), this._intervalMs);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Load or create editing session of article
+   * @param {String} articleId - Article ID
+   * @returns {Promise<Object>} Session
+   */
+  async getSession(articleId) {
+    if (this.sessions.has(articleId)) {
+      return this.sessions.get(articleId);
+    }
+
+    // Join bersamaan cukup memuat artikel sekali
+    if (!this.loading.has(articleId)) {
+      const promise = Article.findById(articleId)
+        .select('konten version')
+        .then(article => {
+          if (!article) return null;
+
+          const session = {
+            articleId,
+            content: article.konten,
+            // Konten dan versi artikel di database saat terakhir disinkronkan
+            savedContent: article.konten,
+            version: article.version,
+            // Operasi sejak savedContent, untuk menggabungkan perubahan lewat API
+            unsaved: [],
+            revision: 0,
+            history: [],
+            participants: new Map(), // socketId -> participant
+            lastEditor: null,
+            saving: null
+          };
+          this.sessions.set(articleId, session);
+          return session;
+        })
+        .finally(() => this.loading.delete(articleId));
+
+      this.loading.set(articleId, promise);
+    }
+
+    return this.loading.get(articleId);
+  }
+
+  /**
+   * Join editing session
+   * Owner dan co-author bisa mengedit, reviewer hanya melihat
+   * @param {String} articleId - Article ID
+   * @param {String} socketId - Socket ID
+   * @param {Object} user - Socket user
+   * @returns {Promise<Object>} { content, revision, readOnly, participants }
+   */
+  async join(articleId, socketId, user) {
+    if (!mongoose.isValidObjectId(articleId)) {
+      throw editingError('ARTICLE_NOT_FOUND', 'Artikel tidak ditemukan');
+    }
+
+    const article = await Article.findById(articleId).select('penulis collaborators');
+
+    if (!article) {
+      throw editingError('ARTICLE_NOT_FOUND', 'Artikel tidak ditemukan');
+    }
+
+    if (!article.canView(user)) {
+      throw editingError('ACCESS_DENIED', 'Anda tidak memiliki akses ke artikel ini');
+    }
+
+    const session = await this.getSession(articleId);
+
+    if (!session) {
+      throw editingError('ARTICLE_NOT_FOUND', 'Artikel tidak ditemukan');
+    }
+
+    const participant = {
+      socketId,
+      userId: user._id.toString(),
+      username: user.username,
+      nama: user.profile?.nama || user.username,
+      user,
+      readOnly: !article.canEdit(user),
+      cursor: null,
+      queue: Promise.resolve(),
+      joinedAt: new Date()
+    };
+    session.participants.set(socketId, participant);
+
+    logger.debug('User joined editing session', { articleId, userId: participant.userId });
+
+    return {
+      content: session.content,
+      revision: session.revision,
+      readOnly: participant.readOnly,
+      participants: this.getParticipants(articleId)
+    };
+  }
+
+  /**
+   * Leave editing session, sesi disimpan dan ditutup saat peserta terakhir keluar
+   * @param {String} articleId - Article ID
+   * @param {String} socketId - Socket ID
+   * @returns {Promise<Boolean>} Whether socket was in the session
+   */
+  async leave(articleId, socketId) {
+    const session = this.sessions.get(articleId);
+    if (!session || !session.participants.delete(socketId)) return false;
+
+    if (session.participants.size === 0) {
+      await this.flush(articleId);
+
+      // Peserta baru bisa masuk selama proses simpan
+      if (session.participants.size === 0) {
+        this.sessions.delete(articleId);
+        logger.debug('Editing session closed', { articleId });
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Leave every editing session of socket (saat disconnect)
+   * @param {String} socketId - Socket ID
+   * @returns {Promise<Array>} Article IDs left
+   */
+  async leaveAll(socketId) {
+    const articleIds = [...this.sessions.values()]
+      .filter(session => session.participants.has(socketId))
+      .map(session => session.articleId);
+
+    for (const articleId of articleIds) {
+      await this.leave(articleId, socketId);
+    }
+
+    return articleIds;
+  }
+
+  /**
+   * Apply operations from client
+   * Operasi dibuat terhadap `revision` milik client, lalu di-transform
+   * terhadap semua operasi yang sudah diterapkan sejak revisi tersebut
+   * @param {String} articleId - Article ID
+   * @param {String} socketId - Socket ID
+   * @param {Number} revision - Client base revision
+   * @param {Array} operations - Operations
+   * @returns {Promise<Object>} { revision, operations } hasil transform
+   */
+  async submitOperations(articleId, socketId, revision, operations) {
+    const session = this.sessions.get(articleId);
+    const participant = session && session.participants.get(socketId);
+
+    if (!participant) {
+      throw editingError('NOT_IN_SESSION', 'Anda belum bergabung ke sesi edit artikel ini');
+    }
+
+    // Operasi dari socket yang sama diterapkan berurutan
+    const result = participant.queue.then(() => this.applyOperations(session, participant, revision, operations));
+    participant.queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Check access of participant again before applying operations
+   * Kolaborator bisa dihapus atau diubah perannya selama sesi berjalan
+   * @param {Object} session - Session
+   * @param {Object} participant - Participant
+   * @returns {Promise<void>}
+   */
+  async checkAccess(session, participant) {
+    const article = await Article.findById(session.articleId).select('penulis collaborators');
+
+    if (!article || !article.canView(participant.user)) {
+      session.participants.delete(participant.socketId);
+      throw editingError(article ? 'ACCESS_DENIED' : 'ARTICLE_NOT_FOUND',
+        article ? 'Anda tidak memiliki akses ke artikel ini' : 'Artikel tidak ditemukan');
+    }
+
+    participant.readOnly = !article.canEdit(participant.user);
+  }
+
+  /**
+   * Validate, transform and apply operations of participant
+   * @param {Object} session - Session
+   * @param {Object} participant - Participant
+   * @param {Number} revision - Client base revision
+   * @param {Array} operations - Operations
+   * @returns {Promise<Object>} { revision, operations }
+   */
+  async applyOperations(session, participant, revision, operations) {
+    await this.checkAccess(session, participant);
+
+    if (!session.participants.has(participant.socketId)) {
+      throw editingError('NOT_IN_SESSION', 'Anda belum bergabung ke sesi edit artikel ini');
+    }
+
+    if (participant.readOnly) {
+      throw editingError('READ_ONLY', 'Anda hanya dapat melihat sesi edit artikel ini');
+    }
+
+    const oldestRevision = session.revision - session.history.length;
+
+    if (!Number.isInteger(revision) || revision > session.revision || revision < oldestRevision) {
+      throw editingError('REVISION_OUT_OF_RANGE', 'Revisi tidak valid, muat ulang konten artikel');
+    }
+
+    const pending = session.history.slice(revision - oldestRevision);
+
+    // Validasi terhadap panjang konten pada revisi milik client
+    const baseLength = pending.length > 0 ? pending[0].baseLength : session.content.length;
+    const invalid = OTUtils.validate(operations, baseLength);
+    if (invalid) {
+      throw editingError('INVALID_OPERATION', invalid);
+    }
+
+    // Operasi yang seluruhnya sudah dihapus peserta lain menjadi kosong
+    const [transformed] = OTUtils.transform(
+      operations.map(op => (op.type === 'insert'
+        ? { type: 'insert', position: op.position, text: op.text }
+        : { type: 'delete', position: op.position, length: op.length })),
+      pending.flatMap(entry => entry.operations)
+    );
+
+    this.commitOperations(session, transformed, participant);
+
+    return { revision: session.revision, operations: transformed };
+  }
+
+  /**
+   * Apply operations to session content as a new revision
+   * @param {Object} session - Session
+   * @param {Array} operations - Operations valid for current content
+   * @param {Object|null} participant - Author, null untuk operasi dari server
+   */
+  commitOperations(session, operations, participant = null) {
+    session.history.push({
+      operations,
+      userId: participant ? participant.userId : null,
+      baseLength: session.content.length
+    });
+    session.content = OTUtils.apply(session.content, operations);
+    session.unsaved.push(...operations);
+    session.revision += 1;
+    if (session.history.length > EDIT_HISTORY_LIMIT) {
+      session.history.shift();
+    }
+    if (participant) {
+      session.lastEditor = participant.user;
+    }
+
+    // Geser cursor peserta lain mengikuti operasi
+    session.participants.forEach(other => {
+      if (other.cursor && other !== participant) {
+        other.cursor = {
+          position: OTUtils.transformPosition(other.cursor.position, operations),
+          selectionEnd: OTUtils.transformPosition(other.cursor.selectionEnd, operations)
+        };
+      }
+    });
+
+    if (!participant) {
+      this.emit('operation', { articleId: session.articleId, revision: session.revision, operations });
+    }
+  }
+
+  /**
+   * Merge article content changed outside the session (update lewat API)
+   * Perubahan tersebut di-transform terhadap operasi sesi yang belum disimpan
+   * @param {Object} session - Session
+   * @param {Object} article - Article from database
+   */
+  mergeStoredContent(session, article) {
+    const [remote, unsaved] = OTUtils.transform(
+      OTUtils.diff(session.savedContent, article.konten),
+      session.unsaved
+    );
+
+    session.savedContent = article.konten;
+    session.version = article.version;
+    session.unsaved = unsaved;
+
+    if (remote.length > 0) {
+      this.commitOperations(session, remote);
+      logger.info('Collaborative editing session merged stored changes', {
+        articleId: session.articleId,
+        version: article.version
+      });
+    }
+  }
+
+  /**
+   * Update cursor position of participant
+   * @param {String} articleId - Article ID
+   * @param {String} socketId - Socket ID
+   * @param {Object} cursor - { position, selectionEnd }
+   * @returns {Object|null} Participant info or null when not in session
+   */
+  updateCursor(articleId, socketId, cursor = {}) {
+    const session = this.sessions.get(articleId);
+    const participant = session && session.participants.get(socketId);
+    if (!participant) return null;
+
+    const clamp = (value) => Math.min(Math.max(parseInt(value, 10) || 0, 0), session.content.length);
+    const position = clamp(cursor.position);
+
+    participant.cursor = {
+      position,
+      selectionEnd: cursor.selectionEnd === undefined ? position : clamp(cursor.selectionEnd)
+    };
+
+    return this.formatParticipant(participant);
+  }
+
+  /**
+   * Get participants of editing session
+   * @param {String} articleId - Article ID
+   * @returns {Array} Participants
+   */
+  getParticipants(articleId) {
+    const session = this.sessions.get(articleId);
+    if (!session) return [];
+
+    return [...session.participants.values()].map(participant => this.formatParticipant(participant));
+  }
+
+  /**
+   * Format participant for clients
+   * @param {Object} participant - Participant
+   * @returns {Object} Public participant info
+   */
+  formatParticipant(participant) {
+    return {
+      socketId: participant.socketId,
+      userId: participant.userId,
+      username: participant.username,
+      nama: participant.nama,
+      readOnly: participant.readOnly,
+      cursor: participant.cursor
+    };
+  }
+
+  /**
+   * Save session content to article as new version
+   * @param {String} articleId - Article ID
+   * @returns {Promise<Boolean>} Whether a new version was saved
+   */
+  async flush(articleId) {
+    const session = this.sessions.get(articleId);
+    if (!session) return false;
+
+    // Hindari dua penyimpanan bersamaan untuk sesi yang sama
+    while (session.saving) {
+      await session.saving;
+    }
+
+    if (session.content === session.savedContent) return false;
+
+    session.saving = this.saveContent(session)
+      .finally(() => { session.saving = null; });
+
+    return session.saving;
+  }
+
+  /**
+   * Save content into Article.createVersion
+   * Perubahan lewat API selama sesi digabung lebih dulu, lalu konten disanitasi
+   * seperti update lewat HTTP sebelum disimpan
+   * @param {Object} session - Session
+   * @returns {Promise<Boolean>} Saved
+   */
+  async saveContent(session) {
+    try {
+      const article = await Article.findById(session.articleId);
+
+      if (!article) {
+        this.sessions.delete(session.articleId);
+        return false;
+      }
+
+      if (article.version !== session.version) {
+        this.mergeStoredContent(session, article);
+      }
+
+      // Hasil sanitasi juga dikirim ke peserta agar konten semua client tetap sama
+      const sanitized = sanitizeContent(session.content);
+      if (sanitized !== session.content) {
+        this.commitOperations(session, OTUtils.diff(session.content, sanitized));
+      }
+
+      const content = session.content;
+      const savedOperations = session.unsaved.length;
+
+      if (article.konten !== content) {
+        const editor = session.lastEditor;
+
+        article.createVersion(editor ? editor._id : null, 'Autosave sesi edit bersama');
+        article.konten = content;
+
+        if (editor) {
+          await EditorialWorkflowService.revokeApprovalIfNeeded(article, editor);
+        }
+
+        // Gagal (DocumentNotFoundError) bila artikel diubah lagi sejak dibaca,
+        // perubahan tersebut digabung pada autosave berikutnya
+        article.$where = { version: session.version };
+        await article.save();
+        await MediaService.syncArticleUsage(article);
+      }
+
+      session.savedContent = content;
+      session.version = article.version;
+      session.unsaved = session.unsaved.slice(savedOperations);
+
+      logger.info('Collaborative editing session saved', {
+        articleId: session.articleId,
+        revision: session.revision
+      });
+
+      return true;
+
+    } catch (error) {
+      // Konten tetap di memory dan dicoba lagi di autosave berikutnya
+      logger.error('Collaborative editing save error:', {
+        articleId: session.articleId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Save all sessions with unsaved changes
+   * @returns {Promise<Number>} Saved sessions
+   */
+  async flushAll() {
+    let saved = 0;
+
+    for (const articleId of [...this.sessions.keys()]) {
+      if (await this.flush(articleId)) {
+        saved += 1;
+      }
+    }
+
+    return saved;
+  }
+}
+
+// Create singleton instance
+const collaborativeEditingService = new CollaborativeEditingService();
+
+module.exports = collaborativeEditingService;
@@ -0,0 +1,147 @@
+const Coupon = require('../models/Coupon');
+const UserSubscription = require('../models/UserSubscription');
+const logger = require('../config/logger');
+
+/**
+ * Build coupon error with code for controller responses
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const couponError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Coupon Service untuk validasi dan pemakaian kode promo
+ */
+class CouponService {
+
+  /**
+   * Validate coupon for a plan upgrade and calculate discounted amount
+   * @param {String} code - Coupon code
+   * @param {Object} context - Validation context (userId, plan, billingCycle)
+   * @returns {Promise<Object>} Coupon, original amount, discount and final amount
+   */
+  async validateCoupon(code, { userId, plan, billingCycle }) {
+    const coupon = await Coupon.findByCode(code);
+
+    if (!coupon || !coupon.isActive) {
+      throw couponError('COUPON_NOT_FOUND', 'Kode kupon tidak ditemukan', 404);
+    }
+
+    if (!coupon.isWithinPeriod()) {
+      throw couponError('COUPON_EXPIRED', 'Kode kupon sudah tidak berlaku');
+    }
+
+    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+      throw couponError('COUPON_USAGE_LIMIT', 'Kuota pemakaian kupon sudah habis');
+    }
+
+    if (!coupon.appliesTo(plan.slug, billingCycle)) {
+      throw couponError('COUPON_NOT_APPLICABLE', `Kode kupon tidak berlaku untuk paket ${plan.name}`);
+    }
+
+    const originalAmount = plan.getPrice(billingCycle);
+    if (!originalAmount) {
+      throw couponError('COUPON_NOT_APPLICABLE', 'Kode kupon hanya berlaku untuk paket berbayar');
+    }
+
+    if (userId) {
+      const usedByUser = await UserSubscription.countDocuments({
+        user: userId,
+        'discount.coupon': coupon._id,
+        'payment.paidAt': { $ne: null }
+      });
+
+      if (usedByUser >= coupon.perUserLimit) {
+        throw couponError('COUPON_USER_LIMIT', 'Anda sudah menggunakan kode kupon ini');
+      }
+    }
+
+    const discount = coupon.calculateDiscount(originalAmount);
+
+    return {
+      coupon,
+      originalAmount,
+      discount,
+      finalAmount: originalAmount - discount
+    };
+  }
+
+  /**
+   * Apply coupon (or remove discount) on a pending user subscription
+   * @param {Object} userSubscription - Pending user subscription
+   * @param {Object} plan - Subscription plan
+   * @param {String|null} code - Coupon code
+   * @returns {Promise<Object>} Updated user subscription
+   */
+  async applyToSubscription(userSubscription, plan, code = null) {
+    const originalAmount = plan.getPrice(userSubscription.billingCycle);
+
+    userSubscription.payment.originalAmount = originalAmount;
+    userSubscription.payment.amount = originalAmount;
+    userSubscription.discount = { coupon: null, code: null, amount: 0 };
+
+    if (code) {
+      const result = await this.validateCoupon(code, {
+        userId: userSubscription.user._id || userSubscription.user,
+        plan,
+        billingCycle: userSubscription.billingCycle
+      });
+
+      userSubscription.payment.amount = result.finalAmount;
+      userSubscription.discount = {
+        coupon: result.coupon._id,
+        code: result.coupon.code,
+        amount: result.discount
+      };
+    }
+
+    return userSubscription;
+  }
+
+  /**
+   * Re-check coupon of a pending subscription before charging
+   * @param {Object} userSubscription - User subscription with plan populated
+   * @returns {Promise<void>}
+   */
+  async revalidateSubscriptionCoupon(userSubscription) {
+    if (!userSubscription.discount?.coupon) return;
+
+    await this.validateCoupon(userSubscription.discount.code, {
+      userId: userSubscription.user._id || userSubscription.user,
+      plan: userSubscription.subscription,
+      billingCycle: userSubscription.billingCycle
+    });
+  }
+
+  /**
+   * Record coupon usage after payment succeeded
+   * @param {Object} userSubscription - Paid user subscription
+   * @returns {Promise<void>}
+   */
+  async recordRedemption(userSubscription) {
+    if (!userSubscription.discount?.coupon) return;
+
+    const coupon = await Coupon.redeem(userSubscription.discount.coupon);
+
+    // Pembayaran sudah diterima, jadi diskon tetap dihormati walau kuota terlampaui
+    if (!coupon) {
+      logger.warn('Coupon redeemed beyond usage limit', {
+        code: userSubscription.discount.code,
+        userSubscriptionId: userSubscription._id
+      });
+      await Coupon.updateOne({ _id: userSubscription.discount.coupon }, { $inc: { usedCount: 1 } });
+    }
+  }
+}
+
+// Create singleton instance
+const couponService = new CouponService();
+
+module.exports = couponService;
@@ -0,0 +1,387 @@
+const User = require('../models/User');
+const Article = require('../models/Article');
+const NotificationService = require('./NotificationService');
+const SocketService = require('./SocketService');
+const AuditService = require('./AuditService');
+const PermissionService = require('./PermissionService');
+const logger = require('../config/logger');
+
+/**
+ * Transisi workflow editorial artikel
+ * draft → review → approved → published/scheduled
+ * actors: author (penulis artikel), reviewer (user dengan permission REVIEW_PERMISSION)
+ */
+const TRANSITIONS = {
+  'submit': {
+    from: ['draft'],
+    to: 'review',
+    actors: ['author']
+  },
+  'approve': {
+    from: ['review'],
+    to: 'approved',
+    actors: ['reviewer']
+  },
+  'request-changes': {
+    from: ['review'],
+    to: 'draft',
+    actors: ['reviewer'],
+    requireComment: true
+  },
+  'publish': {
+    from: ['approved', 'scheduled'],
+    to: 'published',
+    actors: ['author', 'reviewer']
+  },
+  'schedule': {
+    from: ['approved'],
+    to: 'scheduled',
+    actors: ['author', 'reviewer']
+  },
+  'withdraw': {
+    from: ['review', 'approved', 'scheduled'],
+    to: 'draft',
+    actors: ['author', 'reviewer']
+  },
+  'archive': {
+    from: ['draft', 'published'],
+    to: 'archived',
+    actors: ['author', 'reviewer']
+  },
+  'restore': {
+    from: ['archived'],
+    to: 'draft',
+    actors: ['author', 'reviewer']
+  }
+};
+
+// Admin mendapat semua permission, role staff (misal editor) lewat Role.permissions
+const REVIEW_PERMISSION = 'articles.review';
+
+/**
+ * Editorial Workflow Service untuk validasi dan audit transisi status artikel
+ */
+class EditorialWorkflowService {
+
+  /**
+   * Get all workflow transitions
+   * @returns {Object} Transitions keyed by action
+   */
+  static getTransitions() {
+    return TRANSITIONS;
+  }
+
+  /**
+   * Check if user can review articles
+   * @param {Object} user - User object
+   * @returns {Promise<Boolean>} Is reviewer
+   */
+  static async isReviewer(user) {
+    return !!user && await PermissionService.hasPermission(user, REVIEW_PERMISSION);
+  }
+
+  /**
+   * Check if user is the article author (owner atau co-author)
+   * @param {Object} article - Article object
+   * @param {Object} user - User object
+   * @returns {Boolean} Is author
+   */
+  static isAuthor(article, user) {
+    return ['owner', 'co-author'].includes(Article.resolveCollaboratorRole(article, user));
+  }
+
+  /**
+   * Resolve workflow action that moves article to the target status
+   * Jika ada beberapa aksi yang cocok, aksi yang diizinkan untuk user dipilih
+   * @param {Object} article - Article object
+   * @param {Object} user - User performing the change
+   * @param {String} to - Target status
+   * @param {Object} options - Transition options (comment, scheduledAt)
+   * @returns {Promise<Object>} Resolved action and validation result
+   */
+  static async resolveTransition(article, user, to, options = {}) {
+    const candidates = Object.keys(TRANSITIONS).filter(name =>
+      TRANSITIONS[name].from.includes(article.status) && TRANSITIONS[name].to === to
+    );
+
+    if (candidates.length === 0) {
+      return {
+        action: null,
+        validation: {
+          allowed: false,
+          status: 409,
+          code: 'INVALID_WORKFLOW_TRANSITION',
+          message: `Status artikel tidak dapat diubah dari ${article.status} ke ${to}`
+        }
+      };
+    }
+
+    const results = [];
+    for (const action of candidates) {
+      results.push({ action, validation: await this.validateTransition(article, user, action, options) });
+    }
+
+    return results.find(result => result.validation.allowed) || results[0];
+  }
+
+  /**
+   * Get actions the user may perform on the article
+   * @param {Object} article - Article object
+   * @param {Object} user - User object
+   * @returns {Promise<Array>} Action names
+   */
+  static async getAvailableActions(article, user) {
+    const isReviewer = await this.isReviewer(user);
+
+    return Object.keys(TRANSITIONS).filter(action =>
+      TRANSITIONS[action].from.includes(article.status) && this.canAct(article, user, action, isReviewer)
+    );
+  }
+
+  /**
+   * Check if user has the actor role required by the action
+   * @param {Object} article - Article object
+   * @param {Object} user - User object
+   * @param {String} action - Workflow action
+   * @param {Boolean} isReviewer - Result of isReviewer for the user
+   * @returns {Boolean} Can act
+   */
+  static canAct(article, user, action, isReviewer) {
+    return TRANSITIONS[action].actors.some(actor =>
+      (actor === 'author' && this.isAuthor(article, user)) ||
+      (actor === 'reviewer' && isReviewer)
+    );
+  }
+
+  /**
+   * Validate workflow transition
+   * @param {Object} article - Article object
+   * @param {Object} user - User performing the action
+   * @param {String} action - Workflow action
+   * @param {Object} options - Transition options (comment, scheduledAt)
+   * @returns {Promise<Object>} Validation result ({ allowed, status, code, message })
+   */
+  static async validateTransition(article, user, action, options = {}) {
+    const transition = TRANSITIONS[action];
+
+    if (!transition) {
+      return {
+        allowed: false,
+        status: 400,
+        code: 'INVALID_WORKFLOW_ACTION',
+        message: `Aksi workflow tidak dikenal: ${action}`
+      };
+    }
+
+    if (!transition.from.includes(article.status)) {
+      return {
+        allowed: false,
+        status: 409,
+        code: 'INVALID_WORKFLOW_TRANSITION',
+        message: `Artikel dengan status ${article.status} tidak dapat di-${action}`
+      };
+    }
+
+    if (!this.canAct(article, user, action, await this.isReviewer(user))) {
+      return {
+        allowed: false,
+        status: 403,
+        code: 'WORKFLOW_ACCESS_DENIED',
+        message: 'Anda tidak memiliki izin untuk melakukan aksi ini pada artikel'
+      };
+    }
+
+    if (transition.requireComment && !(options.comment && options.comment.trim())) {
+      return {
+        allowed: false,
+        status: 400,
+        code: 'WORKFLOW_COMMENT_REQUIRED',
+        message: 'Komentar wajib diisi untuk aksi ini'
+      };
+    }
+
+    if (action === 'schedule') {
+      const scheduleDate = options.scheduledAt ? new Date(options.scheduledAt) : null;
+
+      if (!scheduleDate || isNaN(scheduleDate.getTime()) || scheduleDate <= new Date()) {
+        return {
+          allowed: false,
+          status: 400,
+          code: 'INVALID_SCHEDULE_DATE',
+          message: 'Tanggal jadwal harus di masa depan'
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Apply workflow transition, record audit trail and notify participants
+   * Transition harus sudah divalidasi dengan validateTransition
+   * @param {Object} article - Article object
+   * @param {Object} user - User performing the action
+   * @param {String} action - Workflow action
+   * @param {Object} options - Transition options (comment, scheduledAt, ipAddress)
+   * @returns {Promise<Object>} Updated article
+   */
+  static async applyTransition(article, user, action, options = {}) {
+    const { comment = '', scheduledAt = null, ipAddress = null } = options;
+    const transition = TRANSITIONS[action];
+    const from = article.status;
+    const now = new Date();
+
+    article.status = transition.to;
+
+    switch (action) {
+      case 'submit':
+        article.workflow.submittedBy = user._id;
+        article.workflow.submittedAt = now;
+        article.flags.needsReview = true;
+        break;
+
+      case 'approve':
+      case 'request-changes':
+        article.flags.needsReview = false;
+        article.flags.reviewedBy = user._id;
+        article.flags.reviewedAt = now;
+        break;
+
+      case 'publish':
+        article.publishedAt = now;
+        article.scheduledAt = null;
+        break;
+
+      case 'schedule':
+        article.scheduledAt = new Date(scheduledAt);
+        break;
+
+      case 'withdraw':
+        article.flags.needsReview = false;
+        article.scheduledAt = null;
+        break;
+    }
+
+    if (comment) {
+      article.workflow.lastComment = comment;
+    }
+
+    article.workflow.history.push({
+      action,
+      from,
+      to: transition.to,
+      by: user._id,
+      comment,
+      ipAddress,
+      at: now
+    });
+
+    await article.save();
+
+    logger.info('Article workflow transition', {
+      articleId: article._id,
+      userId: user._id,
+      action,
+      from,
+      to: transition.to
+    });
+
+    // Keputusan reviewer masuk audit log moderasi
+    if (['approve', 'request-changes'].includes(action)) {
+      await AuditService.record({
+        actor: user,
+        action: `article.${action}`,
+        category: 'moderation',
+        resource: { type: 'article', id: article._id, label: article.judul },
+        before: { status: from },
+        after: { status: transition.to },
+        metadata: { comment },
+        ipAddress
+      });
+    }
+
+    this.notifyParticipants(article, user, action, comment).catch(error => {
+      logger.error('Workflow notification error:', error);
+    });
+
+    return article;
+  }
+
+  /**
+   * Revoke approval when approved content is changed by the author
+   * @param {Object} article - Article object (not yet saved)
+   * @param {Object} user - User editing the article
+   * @returns {Promise<Boolean>} Whether approval was revoked
+   */
+  static async revokeApprovalIfNeeded(article, user) {
+    if (!['approved', 'scheduled'].includes(article.status) || await this.isReviewer(user)) {
+      return false;
+    }
+
+    const from = article.status;
+
+    article.status = 'draft';
+    article.scheduledAt = null;
+    article.workflow.history.push({
+      action: 'approval-revoked',
+      from,
+      to: 'draft',
+      by: user._id,
+      comment: 'Konten diubah setelah disetujui',
+      at: new Date()
+    });
+
+    logger.info('Article approval revoked', {
+      articleId: article._id,
+      userId: user._id,
+      from
+    });
+
+    return true;
+  }
+
+  /**
+   * Announce workflow transition to the relevant users
+   * Submit diumumkan ke reviewer, aksi lain diumumkan ke penulis
+   * @param {Object} article - Article object
+   * @param {Object} actor - User performing the action
+   * @param {String} action - Workflow action
+   * @param {String} comment - Review comment
+   */
+  static async notifyParticipants(article, actor, action, comment = '') {
+    let recipients;
+
+    if (action === 'submit') {
+      recipients = await PermissionService.findUsersWithPermission(REVIEW_PERMISSION, 'username email profile.nama');
+    } else {
+      // Pemilik dan co-author yang sudah menerima undangan
+      const authorIds = [
+        article.penulis._id || article.penulis,
+        ...(article.collaborators || [])
+          .filter(c => c.role === 'co-author' && c.status === 'accepted')
+          .map(c => c.user._id || c.user)
+      ];
+      recipients = await User.find({ _id: { $in: authorIds } })
+        .select('username email profile.nama');
+    }
+
+    recipients = recipients.filter(recipient => recipient._id.toString() !== actor._id.toString());
+
+    for (const recipient of recipients) {
+      await SocketService.sendToUser(recipient._id.toString(), 'article-workflow', {
+        action,
+        articleId: article._id,
+        articleSlug: article.slug,
+        articleTitle: article.judul,
+        status: article.status,
+        actorName: actor.profile?.nama || actor.username,
+        comment
+      });
+
+      NotificationService.sendArticleWorkflowNotification(recipient, article, actor, action, comment)
+        .catch(error => logger.error('Failed to send workflow email:', error));
+    }
+  }
+}
+
+module.exports = EditorialWorkflowService;
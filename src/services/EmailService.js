@@ -230,6 +230,91 @@ class EmailService {
     });
   }
 
+  /**
+   * Send passwordless login email (magic link dan kode OTP)
+   * @param {String} email - User email
+   * @param {String} token - Magic link token
+   * @param {String} code - 6 digit login code
+   * @param {String} username - Username
+   * @param {Number} expiresInMinutes - Link and code lifetime
+   */
+  async sendPasswordlessLoginEmail(email, token, code, username, expiresInMinutes = 10) {
+    const loginUrl = `${process.env.APP_URL}/login/magic?token=${token}`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Link Login - ${process.env.APP_NAME}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #007bff; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px 20px; background: #f8f9fa; }
+          .button { display: inline-block; padding: 12px 30px; background: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .code { font-size: 32px; letter-spacing: 8px; font-weight: bold; text-align: center; background: white; padding: 15px; border-radius: 5px; }
+          .footer { padding: 20px; text-align: center; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${process.env.APP_NAME}</h1>
+          </div>
+          <div class="content">
+            <h2>Login Tanpa Password</h2>
+            <p>Halo ${username},</p>
+            <p>Klik tombol di bawah ini untuk masuk ke akun Anda:</p>
+            <p style="text-align: center;">
+              <a href="${loginUrl}" class="button">Masuk Sekarang</a>
+            </p>
+            <p>Atau masukkan kode berikut di halaman login:</p>
+            <p class="code">${code}</p>
+            <div class="warning">
+              <strong>Penting:</strong>
+              <ul>
+                <li>Link dan kode ini akan kedaluwarsa dalam ${expiresInMinutes} menit dan hanya bisa dipakai sekali</li>
+                <li>Jangan bagikan link atau kode ini kepada siapa pun</li>
+                <li>Jika Anda tidak meminta login, abaikan email ini</li>
+              </ul>
+            </div>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 ${process.env.APP_NAME}. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Login Tanpa Password - ${process.env.APP_NAME}
+      
+      Halo ${username},
+      
+      Kunjungi link berikut untuk masuk ke akun Anda:
+      
+      ${loginUrl}
+      
+      Atau masukkan kode berikut di halaman login: ${code}
+      
+      PENTING:
+      - Link dan kode ini akan kedaluwarsa dalam ${expiresInMinutes} menit dan hanya bisa dipakai sekali
+      - Jangan bagikan link atau kode ini kepada siapa pun
+      - Jika Anda tidak meminta login, abaikan email ini
+    `;
+
+    return this.sendEmail({
+      to: email,
+      subject: `Link Login - ${process.env.APP_NAME}`,
+      html,
+      text
+    });
+  }
+
   /**
    * Send welcome email
    * @param {String} email - User email
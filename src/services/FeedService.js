@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Feed Service for RSS 2.0, Atom and JSON Feed syndication
+ */
+class FeedService {
+
+  constructor() {
+    this.itemLimit = parseInt(process.env.FEED_ITEM_LIMIT || '20', 10);
+  }
+
+  /**
+   * Get base URL of the site
+   * @returns {String} Base URL
+   */
+  getBaseUrl() {
+    return process.env.APP_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Escape text for XML output
+   * @param {String} text - Raw text
+   * @returns {String} Escaped text
+   */
+  escapeXml(text = '') {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Wrap content in CDATA section
+   * @param {String} content - Raw content
+   * @returns {String} CDATA section
+   */
+  cdata(content = '') {
+    return `<![CDATA[${String(content).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+
+  /**
+   * Resolve feed scope (site, category or author)
+   * @param {String} type - Scope type (site, category, author)
+   * @param {String} value - Category slug or author username
+   * @returns {Promise<Object|null>} Feed scope or null if not found
+   */
+  async resolveScope(type = 'site', value = null) {
+    const baseUrl = this.getBaseUrl();
+    const siteName = process.env.APP_NAME || 'Blog Express';
+
+    if (type === 'category') {
+      const category = await Category.findOne({ slug: value, isActive: true })
+        .select('nama slug deskripsi')
+        .lean();
+
+      if (!category) return null;
+
+      return {
+        type,
+        key: category.slug,
+        query: { kategori: category._id },
+        title: `${siteName} - ${category.nama}`,
+        description: category.deskripsi || `Artikel terbaru dalam kategori ${category.nama}`,
+        link: `${baseUrl}/blog?category=${category.slug}`,
+        path: `/category/${category.slug}`
+      };
+    }
+
+    if (type === 'author') {
+      const author = await User.findOne({ username: value, isActive: true })
+        .select('username profile.nama profile.bio')
+        .lean();
+
+      if (!author) return null;
+
+      const authorName = author.profile?.nama || author.username;
+
+      return {
+        type,
+        key: author.username,
+        query: { penulis: author._id },
+        title: `${siteName} - ${authorName}`,
+        description: author.profile?.bio || `Artikel terbaru dari ${authorName}`,
+        link: `${baseUrl}/authors/${author.username}`,
+        path: `/author/${author.username}`
+      };
+    }
+
+    return {
+      type: 'site',
+      key: 'site',
+      query: {},
+      title: siteName,
+      description: process.env.APP_DESCRIPTION || `Artikel terbaru dari ${siteName}`,
+      link: `${baseUrl}/blog`,
+      path: ''
+    };
+  }
+
+  /**
+   * Get cache validators for a feed without loading article content
+   * @param {Object} scope - Feed scope
+   * @param {String} format - Feed format (rss, atom, json)
+   * @returns {Promise<Object>} ETag and last modified date
+   */
+  async getValidators(scope, format) {
+    const query = { ...scope.query, status: 'published', publishedAt: { $lte: new Date() } };
+
+    const [latest, total] = await Promise.all([
+      Article.findOne(query).select('updatedAt').sort({ updatedAt: -1 }).lean(),
+      Article.countDocuments(query)
+    ]);
+
+    const lastModified = latest ? latest.updatedAt : new Date(0);
+
+    const hash = crypto.createHash('sha1')
+      .update(`${format}:${scope.type}:${scope.key}:${lastModified.getTime()}:${total}:${this.itemLimit}`)
+      .digest('hex');
+
+    return {
+      etag: `W/"${hash}"`,
+      lastModified
+    };
+  }
+
+  /**
+   * Build feed data for the scope
+   * Artikel premium hanya menampilkan ringkasan, bukan konten penuh
+   * @param {Object} scope - Feed scope
+   * @returns {Promise<Object>} Feed data
+   */
+  async buildFeed(scope) {
+    const baseUrl = this.getBaseUrl();
+
+    const articles = await Article.find({
+      ...scope.query,
+      status: 'published',
+      publishedAt: { $lte: new Date() }
+    })
+      .select('judul slug ringkasan konten thumbnail tags premium publishedAt updatedAt penulis kategori')
+      .populate('penulis', 'username profile.nama')
+      .populate('kategori', 'nama slug')
+      .sort({ publishedAt: -1 })
+      .limit(this.itemLimit)
+      .lean();
+
+    const items = articles.map(article => ({
+      id: `${baseUrl}/blog/${article.slug}`,
+      url: `${baseUrl}/blog/${article.slug}`,
+      title: article.judul,
+      summary: article.ringkasan || '',
+      content: article.premium ? (article.ringkasan || '') : article.konten,
+      premium: !!article.premium,
+      image: article.thumbnail || null,
+      tags: article.tags || [],
+      category: article.kategori ? article.kategori.nama : null,
+      author: article.penulis ? {
+        name: article.penulis.profile?.nama || article.penulis.username,
+        url: `${baseUrl}/authors/${article.penulis.username}`
+      } : null,
+      publishedAt: article.publishedAt,
+      updatedAt: article.updatedAt
+    }));
+
+    const updatedAt = items.reduce(
+      (latest, item) => (item.updatedAt > latest ? item.updatedAt : latest),
+      new Date(0)
+    );
+
+    return {
+      title: scope.title,
+      description: scope.description,
+      link: scope.link,
+      feedUrls: {
+        rss: `${baseUrl}${scope.path}/feed.xml`,
+        atom: `${baseUrl}${scope.path}/atom.xml`,
+        json: `${baseUrl}${scope.path}/feed.json`
+      },
+      updatedAt,
+      items
+    };
+  }
+
+  /**
+   * Generate RSS 2.0 feed
+   * @param {Object} feed - Feed data
+   * @returns {String} RSS XML content
+   */
+  generateRss(feed) {
+    let rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${this.escapeXml(feed.title)}</title>
+    <link>${this.escapeXml(feed.link)}</link>
+    <description>${this.escapeXml(feed.description)}</description>
+    <language>${process.env.DEFAULT_LANGUAGE || 'id'}</language>
+    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+    <atom:link href="${this.escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>`;
+
+    for (const item of feed.items) {
+      rss += `
+    <item>
+      <title>${this.escapeXml(item.title)}</title>
+      <link>${this.escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${this.escapeXml(item.id)}</guid>
+      <pubDate>${item.publishedAt.toUTCString()}</pubDate>`;
+
+      if (item.author) {
+        rss += `
+      <dc:creator>${this.escapeXml(item.author.name)}</dc:creator>`;
+      }
+
+      if (item.category) {
+        rss += `
+      <category>${this.escapeXml(item.category)}</category>`;
+      }
+
+      rss += `
+      <description>${this.cdata(item.summary)}</description>
+      <content:encoded>${this.cdata(item.content)}</content:encoded>
+    </item>`;
+    }
+
+    rss += `
+  </channel>
+</rss>`;
+
+    return rss;
+  }
+
+  /**
+   * Generate Atom 1.0 feed
+   * @param {Object} feed - Feed data
+   * @returns {String} Atom XML content
+   */
+  generateAtom(feed) {
+    let atom = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${this.escapeXml(feed.title)}</title>
+  <subtitle>${this.escapeXml(feed.description)}</subtitle>
+  <link href="${this.escapeXml(feed.link)}"/>
+  <link href="${this.escapeXml(feed.feedUrls.atom)}" rel="self" type="application/atom+xml"/>
+  <id>${this.escapeXml(feed.feedUrls.atom)}</id>
+  <updated>${feed.updatedAt.toISOString()}</updated>`;
+
+    for (const item of feed.items) {
+      atom += `
+  <entry>
+    <title>${this.escapeXml(item.title)}</title>
+    <link href="${this.escapeXml(item.url)}"/>
+    <id>${this.escapeXml(item.id)}</id>
+    <published>${item.publishedAt.toISOString()}</published>
+    <updated>${item.updatedAt.toISOString()}</updated>`;
+
+      if (item.author) {
+        atom += `
+    <author>
+      <name>${this.escapeXml(item.author.name)}</name>
+      <uri>${this.escapeXml(item.author.url)}</uri>
+    </author>`;
+      }
+
+      if (item.category) {
+        atom += `
+    <category term="${this.escapeXml(item.category)}"/>`;
+      }
+
+      atom += `
+    <summary type="html">${this.escapeXml(item.summary)}</summary>
+    <content type="html">${this.escapeXml(item.content)}</content>
+  </entry>`;
+    }
+
+    atom += `
+</feed>`;
+
+    return atom;
+  }
+
+  /**
+   * Generate JSON Feed 1.1
+   * @param {Object} feed - Feed data
+   * @returns {Object} JSON Feed object
+   */
+  generateJsonFeed(feed) {
+    return {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.link,
+      feed_url: feed.feedUrls.json,
+      description: feed.description,
+      language: process.env.DEFAULT_LANGUAGE || 'id',
+      items: feed.items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.content,
+        image: item.image || undefined,
+        date_published: item.publishedAt.toISOString(),
+        date_modified: item.updatedAt.toISOString(),
+        authors: item.author ? [item.author] : undefined,
+        tags: item.tags.length > 0 ? item.tags : undefined,
+        _blog: {
+          premium: item.premium
+        }
+      }))
+    };
+  }
+
+  /**
+   * Generate feed in the requested format
+   * @param {Object} scope - Feed scope
+   * @param {String} format - Feed format (rss, atom, json)
+   * @returns {Promise<String|Object>} Feed content
+   */
+  async generateFeed(scope, format) {
+    try {
+      const feed = await this.buildFeed(scope);
+
+      switch (format) {
+        case 'atom':
+          return this.generateAtom(feed);
+        case 'json':
+          return this.generateJsonFeed(feed);
+        default:
+          return this.generateRss(feed);
+      }
+
+    } catch (error) {
+      logger.error('Generate feed error:', error);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const feedService = new FeedService();
+
+module.exports = feedService;
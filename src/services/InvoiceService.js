@@ -0,0 +1,290 @@
+const Invoice = require('../models/Invoice');
+const PdfUtils = require('../utils/pdf');
+
+/**
+ * Invoice Service untuk render kwitansi langganan (HTML dan PDF)
+ */
+class InvoiceService {
+
+  constructor() {
+    this.company = {
+      name: process.env.INVOICE_COMPANY_NAME || process.env.APP_NAME || 'Blog Platform',
+      address: process.env.INVOICE_COMPANY_ADDRESS || '',
+      npwp: process.env.INVOICE_COMPANY_NPWP || ''
+    };
+  }
+
+  /**
+   * Create invoice for a paid subscription (idempotent)
+   * @param {Object} userSubscription - User subscription with user and plan populated
+   * @returns {Promise<Object|null>} Invoice, null for free plans
+   */
+  async createForSubscription(userSubscription) {
+    if (!userSubscription.payment.amount) return null;
+    return await Invoice.createForSubscription(userSubscription);
+  }
+
+  /**
+   * Format amount as Rupiah
+   * @param {Number} amount - Amount
+   * @returns {String} Formatted amount (Rp 99.000)
+   */
+  formatCurrency(amount) {
+    const sign = amount < 0 ? '-' : '';
+    const digits = Math.abs(Math.round(amount || 0)).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return `${sign}Rp ${digits}`;
+  }
+
+  /**
+   * Format date for invoice
+   * @param {Date} date - Date
+   * @returns {String} Formatted date (19 Oktober 2026)
+   */
+  formatDate(date) {
+    if (!date) return '-';
+    return new Date(date).toLocaleDateString('id-ID', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {String} text - Text
+   * @returns {String} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Get invoice file name
+   * @param {Object} invoice - Invoice
+   * @param {String} extension - File extension
+   * @returns {String} File name
+   */
+  getFileName(invoice, extension) {
+    return `${invoice.invoiceNumber.replace(/\//g, '-')}.${extension}`;
+  }
+
+  /**
+   * Get tax line label
+   * @param {Object} invoice - Invoice
+   * @returns {String} Label (PPN 11% termasuk)
+   */
+  getTaxLabel(invoice) {
+    return `${invoice.tax.name} ${invoice.tax.rate}%${invoice.tax.inclusive ? ' (termasuk)' : ''}`;
+  }
+
+  /**
+   * Generate HTML receipt
+   * @param {Object} invoice - Invoice
+   * @returns {String} HTML
+   */
+  generateHtml(invoice) {
+    const e = (text) => this.escapeHtml(text);
+
+    const rows = invoice.items.map(item => `
+              <tr>
+                <td>${e(item.description)}</td>
+                <td class="right">${item.quantity}</td>
+                <td class="right">${this.formatCurrency(item.unitPrice)}</td>
+                <td class="right">${this.formatCurrency(item.amount)}</td>
+              </tr>`).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Kwitansi ${e(invoice.invoiceNumber)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+          .header { display: flex; justify-content: space-between; border-bottom: 2px solid #333; padding-bottom: 10px; }
+          .paid { color: #28a745; font-weight: bold; }
+          .void { color: #dc3545; font-weight: bold; }
+          table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+          .right { text-align: right; }
+          .total td { font-weight: bold; border-top: 2px solid #333; }
+          .footer { margin-top: 30px; color: #666; font-size: 13px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div>
+              <h2>${e(this.company.name)}</h2>
+              ${this.company.address ? `<p>${e(this.company.address)}</p>` : ''}
+              ${this.company.npwp ? `<p>NPWP: ${e(this.company.npwp)}</p>` : ''}
+            </div>
+            <div class="right">
+              <h2>KWITANSI</h2>
+              <p>${e(invoice.invoiceNumber)}</p>
+              <p class="${invoice.status}">${invoice.status === 'paid' ? 'LUNAS' : 'BATAL'}</p>
+            </div>
+          </div>
+
+          <p>
+            <strong>Ditagihkan kepada:</strong><br>
+            ${e(invoice.customer.name)}<br>
+            ${e(invoice.customer.email)}
+          </p>
+          <p>
+            <strong>Tanggal:</strong> ${this.formatDate(invoice.issuedAt)}<br>
+            <strong>Periode:</strong> ${this.formatDate(invoice.billingPeriod?.start)} - ${invoice.billingPeriod?.end ? this.formatDate(invoice.billingPeriod.end) : 'Selamanya'}
+          </p>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Deskripsi</th>
+                <th class="right">Qty</th>
+                <th class="right">Harga</th>
+                <th class="right">Jumlah</th>
+              </tr>
+            </thead>
+            <tbody>${rows}
+              ${invoice.discount?.amount ? `
+              <tr>
+                <td colspan="3" class="right">Diskon (${e(invoice.discount.code)})</td>
+                <td class="right">-${this.formatCurrency(invoice.discount.amount)}</td>
+              </tr>` : ''}
+              <tr>
+                <td colspan="3" class="right">Subtotal</td>
+                <td class="right">${this.formatCurrency(invoice.subtotal)}</td>
+              </tr>
+              <tr>
+                <td colspan="3" class="right">${e(this.getTaxLabel(invoice))}</td>
+                <td class="right">${this.formatCurrency(invoice.tax.amount)}</td>
+              </tr>
+              <tr class="total">
+                <td colspan="3" class="right">Total</td>
+                <td class="right">${this.formatCurrency(invoice.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p>
+            <strong>Dibayar:</strong> ${this.formatDate(invoice.payment?.paidAt)}
+            ${invoice.payment?.gateway ? ` via ${e(invoice.payment.gateway)}` : ''}<br>
+            <strong>ID Transaksi:</strong> ${e(invoice.payment?.transactionId || '-')}
+          </p>
+
+          <div class="footer">
+            <p>Kwitansi ini dibuat secara otomatis dan sah tanpa tanda tangan.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate PDF receipt
+   * @param {Object} invoice - Invoice
+   * @returns {Buffer} PDF file
+   */
+  generatePdf(invoice) {
+    const left = 50;
+    const right = 545;
+    const items = [];
+    let y = 60;
+
+    const text = (x, value, options = {}) => items.push({ type: 'text', x, y, text: value, ...options });
+    const rule = (width = 0.5) => items.push({ type: 'line', x1: left, y1: y, x2: right, y2: y, width });
+
+    text(left, this.company.name, { size: 16, bold: true });
+    text(right, 'KWITANSI', { size: 16, bold: true, align: 'right' });
+    y += 18;
+    if (this.company.address) text(left, this.company.address, { size: 9 });
+    text(right, invoice.invoiceNumber, { align: 'right' });
+    y += 14;
+    if (this.company.npwp) text(left, `NPWP: ${this.company.npwp}`, { size: 9 });
+    text(right, invoice.status === 'paid' ? 'LUNAS' : 'BATAL', { bold: true, align: 'right' });
+    y += 12;
+    rule(1);
+
+    y += 24;
+    text(left, 'Ditagihkan kepada:', { bold: true });
+    text(330, 'Tanggal:', { bold: true });
+    text(400, this.formatDate(invoice.issuedAt));
+    y += 14;
+    text(left, invoice.customer.name || '-');
+    text(330, 'Periode:', { bold: true });
+    text(400, this.formatDate(invoice.billingPeriod?.start));
+    y += 14;
+    text(left, invoice.customer.email || '-');
+    text(400, `s/d ${invoice.billingPeriod?.end ? this.formatDate(invoice.billingPeriod.end) : 'Selamanya'}`);
+
+    y += 30;
+    text(left, 'Deskripsi', { bold: true });
+    text(360, 'Qty', { bold: true, align: 'right' });
+    text(450, 'Harga', { bold: true, align: 'right' });
+    text(right, 'Jumlah', { bold: true, align: 'right' });
+    y += 6;
+    rule();
+
+    for (const item of invoice.items) {
+      y += 16;
+      text(left, item.description);
+      text(360, String(item.quantity), { align: 'right' });
+      text(450, this.formatCurrency(item.unitPrice), { align: 'right' });
+      text(right, this.formatCurrency(item.amount), { align: 'right' });
+    }
+
+    y += 8;
+    rule();
+    if (invoice.discount?.amount) {
+      y += 16;
+      text(450, `Diskon (${invoice.discount.code})`, { align: 'right' });
+      text(right, `-${this.formatCurrency(invoice.discount.amount)}`, { align: 'right' });
+    }
+    y += 16;
+    text(450, 'Subtotal', { align: 'right' });
+    text(right, this.formatCurrency(invoice.subtotal), { align: 'right' });
+    y += 16;
+    text(450, this.getTaxLabel(invoice), { align: 'right' });
+    text(right, this.formatCurrency(invoice.tax.amount), { align: 'right' });
+    y += 8;
+    items.push({ type: 'line', x1: 330, y1: y, x2: right, y2: y, width: 1 });
+    y += 16;
+    text(450, 'Total', { bold: true, align: 'right' });
+    text(right, this.formatCurrency(invoice.total), { bold: true, align: 'right' });
+
+    y += 40;
+    text(left, `Dibayar: ${this.formatDate(invoice.payment?.paidAt)}${invoice.payment?.gateway ? ` via ${invoice.payment.gateway}` : ''}`);
+    y += 14;
+    text(left, `ID Transaksi: ${invoice.payment?.transactionId || '-'}`);
+    y += 40;
+    text(left, 'Kwitansi ini dibuat secara otomatis dan sah tanpa tanda tangan.', { size: 8 });
+
+    return PdfUtils.build(items, { title: `Kwitansi ${invoice.invoiceNumber}` });
+  }
+
+  /**
+   * Build email attachments for an invoice
+   * @param {Object} invoice - Invoice
+   * @returns {Array} Nodemailer attachments
+   */
+  getAttachments(invoice) {
+    return [
+      {
+        filename: this.getFileName(invoice, 'pdf'),
+        content: this.generatePdf(invoice),
+        contentType: 'application/pdf'
+      }
+    ];
+  }
+}
+
+// Create singleton instance
+const invoiceService = new InvoiceService();
+
+module.exports = invoiceService;
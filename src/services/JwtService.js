@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const AuthUtils = require('../utils/auth');
+const AuditService = require('./AuditService');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
 
@@ -12,9 +15,10 @@ class JwtService {
   /**
    * Generate access token
    * @param {Object} user - User object
+   * @param {String} sessionId - Login session ID
    * @returns {String} Access token
    */
-  static generateAccessToken(user) {
+  static generateAccessToken(user, sessionId = null) {
     const payload = {
       id: user._id,
       username: user.username,
@@ -23,7 +27,8 @@ class JwtService {
       isActive: user.isActive,
       emailVerified: user.emailVerified,
       subscriptionPlan: user.subscription.plan,
-      type: 'access'
+      type: 'access',
+      ...(sessionId && { sessionId })
     };
     
     return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -36,12 +41,14 @@ class JwtService {
   /**
    * Generate refresh token
    * @param {Object} user - User object
+   * @param {String} sessionId - Login session ID (keluarga refresh token)
    * @returns {String} Refresh token
    */
-  static generateRefreshToken(user) {
+  static generateRefreshToken(user, sessionId = AuthUtils.generateSessionId()) {
     const payload = {
       id: user._id,
       type: 'refresh',
+      sessionId,
       tokenId: crypto.randomBytes(16).toString('hex')
     };
     
@@ -54,12 +61,14 @@ class JwtService {
   
   /**
    * Generate token pair (access + refresh)
+   * Tanpa sessionId akan dibuat session baru
    * @param {Object} user - User object
+   * @param {String} sessionId - Login session ID
    * @returns {Object} Token pair
    */
-  static generateTokenPair(user) {
-    const accessToken = this.generateAccessToken(user);
-    const refreshToken = this.generateRefreshToken(user);
+  static generateTokenPair(user, sessionId = AuthUtils.generateSessionId()) {
+    const accessToken = this.generateAccessToken(user, sessionId);
+    const refreshToken = this.generateRefreshToken(user, sessionId);
     
     return {
       accessToken,
@@ -103,10 +112,13 @@ class JwtService {
   
   /**
    * Refresh access token using refresh token
+   * Refresh token di-rotate setiap dipakai, token lama yang dipakai ulang
+   * akan mencabut seluruh session (keluarga token)
    * @param {String} refreshToken - Refresh token
+   * @param {Object} context - Client info (userAgent, ipAddress)
    * @returns {Object} New token pair
    */
-  static async refreshAccessToken(refreshToken) {
+  static async refreshAccessToken(refreshToken, context = {}) {
     try {
       // Verify refresh token
       const decoded = this.verifyRefreshToken(refreshToken);
@@ -115,10 +127,18 @@ class JwtService {
         throw new Error('Invalid token type');
       }
       
-      // Check if refresh token is blacklisted
-      const isBlacklisted = await this.isTokenBlacklisted(refreshToken);
-      if (isBlacklisted) {
-        throw new Error('Refresh token has been revoked');
+      // Token lama tanpa session, dipindahkan ke session baru
+      if (!decoded.sessionId) {
+        return await this.refreshLegacyToken(refreshToken, decoded, context);
+      }
+      
+      const session = await UserSession.findOne({ sessionId: decoded.sessionId }).select('+tokenId');
+      if (!session || !session.isActive) {
+        throw new Error('Session has been revoked');
+      }
+      
+      if (session.tokenId !== decoded.tokenId) {
+        await this.handleRefreshTokenReuse(session, decoded, context);
       }
       
       // Get user from database
@@ -127,14 +147,26 @@ class JwtService {
         throw new Error('User not found or inactive');
       }
       
-      // Generate new token pair
-      const tokenPair = this.generateTokenPair(user);
+      // Generate new token pair in the same session
+      const tokenPair = this.generateTokenPair(user, decoded.sessionId);
+      const newToken = jwt.decode(tokenPair.refreshToken);
+      
+      const rotated = await UserSession.rotateToken(decoded.sessionId, decoded.tokenId, {
+        tokenId: newToken.tokenId,
+        expiresAt: new Date(newToken.exp * 1000),
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress
+      });
+      
+      // Token yang sama dipakai bersamaan oleh dua request
+      if (!rotated) {
+        await this.handleRefreshTokenReuse(session, decoded, context);
+      }
       
       // Blacklist old refresh token
       await this.blacklistToken(refreshToken);
-      
-      // Store new refresh token
-      await this.storeRefreshToken(decoded.id, tokenPair.refreshToken);
+      await this.removeRefreshToken(decoded.id, refreshToken);
+      await this.cacheRefreshToken(decoded.id, tokenPair.refreshToken);
       
       return tokenPair;
     } catch (error) {
@@ -143,6 +175,66 @@ class JwtService {
     }
   }
   
+  /**
+   * Refresh token issued before login sessions existed
+   * @param {String} refreshToken - Refresh token
+   * @param {Object} decoded - Decoded refresh token
+   * @param {Object} context - Client info
+   * @returns {Object} New token pair
+   */
+  static async refreshLegacyToken(refreshToken, decoded, context = {}) {
+    // Check if refresh token is blacklisted
+    const isBlacklisted = await this.isTokenBlacklisted(refreshToken);
+    if (isBlacklisted) {
+      throw new Error('Refresh token has been revoked');
+    }
+    
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      throw new Error('User not found or inactive');
+    }
+    
+    const tokenPair = this.generateTokenPair(user);
+    
+    await this.blacklistToken(refreshToken);
+    await this.removeRefreshToken(decoded.id, refreshToken);
+    await this.storeRefreshToken(decoded.id, tokenPair.refreshToken, context);
+    
+    return tokenPair;
+  }
+  
+  /**
+   * Handle reuse of a rotated refresh token
+   * Kemungkinan token dicuri, seluruh session dicabut
+   * @param {Object} session - User session
+   * @param {Object} decoded - Decoded refresh token
+   * @param {Object} context - Client info
+   */
+  static async handleRefreshTokenReuse(session, decoded, context = {}) {
+    await UserSession.revoke({ _id: session._id }, 'token_reuse');
+    
+    logger.warn('Refresh token reuse detected, session revoked', {
+      userId: decoded.id,
+      sessionId: session._id,
+      ip: context.ipAddress,
+      userAgent: context.userAgent
+    });
+    
+    await AuditService.record({
+      actor: decoded.id,
+      action: 'auth.refresh_token_reused',
+      category: 'auth',
+      status: 'failure',
+      resource: { type: 'session', id: session._id, label: session.deviceName },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+    
+    const error = new Error('Refresh token has already been used');
+    error.code = 'REFRESH_TOKEN_REUSED';
+    throw error;
+  }
+  
   /**
    * Revoke refresh token
    * @param {String} refreshToken - Refresh token to revoke
@@ -157,6 +249,10 @@ class JwtService {
       // Remove from user's active tokens
       await this.removeRefreshToken(decoded.id, refreshToken);
       
+      if (decoded.sessionId) {
+        await UserSession.revoke({ user: decoded.id, sessionId: decoded.sessionId }, 'logout');
+      }
+      
       logger.info(`Refresh token revoked for user ${decoded.id}`);
     } catch (error) {
       logger.error('Token revocation error:', error);
@@ -167,9 +263,13 @@ class JwtService {
   /**
    * Revoke all refresh tokens for a user
    * @param {String} userId - User ID
+   * @param {String} reason - Session revoke reason
    */
-  static async revokeAllRefreshTokens(userId) {
+  static async revokeAllRefreshTokens(userId, reason = 'logout_all') {
     try {
+      // End all login sessions
+      await UserSession.revoke({ user: userId }, reason);
+      
       // Get all user's refresh tokens
       const tokens = await this.getUserRefreshTokens(userId);
       
@@ -188,12 +288,34 @@ class JwtService {
     }
   }
   
+  /**
+   * Store refresh token and record its login session
+   * @param {String} userId - User ID
+   * @param {String} refreshToken - Refresh token
+   * @param {Object} context - Client info (deviceName, userAgent, ipAddress)
+   */
+  static async storeRefreshToken(userId, refreshToken, context = {}) {
+    const decoded = jwt.decode(refreshToken);
+    
+    await UserSession.recordToken({
+      user: userId,
+      sessionId: decoded.sessionId,
+      tokenId: decoded.tokenId,
+      expiresAt: new Date(decoded.exp * 1000),
+      deviceName: context.deviceName,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress
+    });
+    
+    await this.cacheRefreshToken(userId, refreshToken);
+  }
+  
   /**
    * Store refresh token in Redis
    * @param {String} userId - User ID
    * @param {String} refreshToken - Refresh token
    */
-  static async storeRefreshToken(userId, refreshToken) {
+  static async cacheRefreshToken(userId, refreshToken) {
     if (!redisClient.isClientConnected()) {
       return; // Skip if Redis is not available
     }
@@ -430,6 +552,94 @@ class JwtService {
     }
   }
   
+  /**
+   * Generate MFA pending token
+   * Diberikan setelah langkah login pertama valid, ditukar dengan token pair setelah kode 2FA valid
+   * @param {String} userId - User ID
+   * @param {Object} options - Login options (rememberMe, method)
+   * @returns {String} MFA token
+   */
+  static generateMfaToken(userId, options = {}) {
+    const payload = {
+      id: userId,
+      type: 'mfa_pending',
+      rememberMe: !!options.rememberMe,
+      // Metode login langkah pertama (password, magic_link, email_code, google, facebook)
+      method: options.method || 'password'
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: process.env.JWT_MFA_EXPIRE || '5m',
+      issuer: 'blog-express',
+      audience: 'blog-express-mfa'
+    });
+  }
+
+  /**
+   * Verify MFA pending token
+   * @param {String} token - MFA token
+   * @returns {Object} Decoded payload
+   */
+  static verifyMfaToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'blog-express',
+        audience: 'blog-express-mfa'
+      });
+
+      if (decoded.type !== 'mfa_pending') {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error(`Invalid MFA token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate signed article preview token
+   * @param {String} articleId - Article ID
+   * @param {String} linkId - Preview link ID (untuk revoke)
+   * @param {Date} expiresAt - Expiration date
+   * @returns {String} Preview token
+   */
+  static generatePreviewToken(articleId, linkId, expiresAt) {
+    const payload = {
+      articleId: articleId.toString(),
+      jti: linkId.toString(),
+      type: 'article_preview',
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      issuer: 'blog-express',
+      audience: 'blog-express-preview'
+    });
+  }
+
+  /**
+   * Verify article preview token
+   * @param {String} token - Preview token
+   * @returns {Object} Decoded payload
+   */
+  static verifyPreviewToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'blog-express',
+        audience: 'blog-express-preview'
+      });
+
+      if (decoded.type !== 'article_preview') {
+        throw new Error('Invalid token type');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error(`Invalid preview token: ${error.message}`);
+    }
+  }
+
   /**
    * Clean up expired tokens from Redis
    */
@@ -0,0 +1,400 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const logger = require('../config/logger');
+const Media = require('../models/Media');
+const PermissionService = require('./PermissionService');
+const StorageService = require('./StorageService');
+const SubscriptionService = require('./SubscriptionService');
+const { uploadUtils } = require('../middleware/upload');
+
+// Ukuran varian responsif, gambar kecil tidak diperbesar
+const VARIANT_SPECS = [
+  { name: 'thumbnail', width: 150, height: 150, fit: 'cover' },
+  { name: 'medium', width: 768 },
+  { name: 'large', width: 1536 },
+  { name: 'webp', width: 1536, format: 'webp' }
+];
+
+// GIF tidak dibuatkan varian agar animasinya tidak hilang
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// URL file upload (publik dan media premium) di thumbnail dan konten artikel
+const UPLOAD_URL_PATTERN = /\/(?:uploads|api\/media)\/[A-Za-z0-9._\/-]+/g;
+
+class MediaService {
+  constructor() {
+    this._timer = null;
+    this._intervalMs = parseInt(process.env.MEDIA_ORPHAN_CLEANUP_INTERVAL_MS || '3600000', 10); // 1h
+    this._graceHours = parseInt(process.env.MEDIA_ORPHAN_GRACE_HOURS || '72', 10);
+    this._isRunning = false;
+  }
+
+  start() {
+    if (this._timer) return;
+    logger.info(`MediaService orphan cleanup starting with interval ${this._intervalMs} ms`);
+    this._timer = setInterval(() => this.cleanupOrphans().catch(err => logger.error('Media orphan cleanup error:', err)), this._intervalMs);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Public URL of media file
+   * Media premium selalu lewat /api/media/:id/file agar akses dicek sebelum redirect ke signed URL
+   * @param {String} mediaId - Media ID
+   * @param {String} key - Storage key
+   * @param {String} variant - Variant name (kosong untuk file asli)
+   * @returns {String} URL
+   */
+  getFileUrl(mediaId, key, variant = null) {
+    if (StorageService.isPrivate(key)) {
+      return `/api/media/${mediaId}/file${variant ? `/${variant}` : ''}`;
+    }
+
+    return StorageService.getUrl(key);
+  }
+
+  /**
+   * Register uploaded file (multer) into media library and move it into storage
+   * Metadata dan varian gambar dibuat di sini, kegagalan varian tidak menggagalkan upload
+   * @param {Object} file - Multer file object
+   * @param {String} ownerId - Owner user ID
+   * @param {Object} fields - altText, caption, tags, premium
+   * @returns {Promise<Object>} Media document
+   */
+  async registerUpload(file, ownerId, fields = {}) {
+    const mediaId = new mongoose.Types.ObjectId();
+    const isImage = file.mimetype.startsWith('image/');
+    const premium = Boolean(fields.premium);
+    const key = uploadUtils.getStorageKey(file, { private: premium });
+    const dimensions = { width: null, height: null };
+    let variants = [];
+
+    try {
+      if (isImage) {
+        try {
+          const metadata = await sharp(file.path).metadata();
+          dimensions.width = metadata.width || null;
+          dimensions.height = metadata.height || null;
+
+          if (RESIZABLE_TYPES.includes(file.mimetype)) {
+            variants = await this.generateVariants(file.path, file.mimetype, key, mediaId);
+          }
+        } catch (error) {
+          logger.error('Media image processing error:', {
+            file: file.originalname,
+            error: error.message
+          });
+        }
+      }
+
+      await StorageService.putFile(key, file.path, { contentType: file.mimetype });
+
+      const media = await Media.create({
+        _id: mediaId,
+        owner: ownerId,
+        filename: file.filename,
+        originalName: file.originalname,
+        path: key,
+        url: this.getFileUrl(mediaId, key),
+        mimeType: file.mimetype,
+        type: isImage ? 'image' : 'document',
+        size: file.size,
+        premium,
+        dimensions,
+        variants,
+        altText: fields.altText,
+        caption: fields.caption,
+        tags: fields.tags
+      });
+
+      logger.info('Media registered', {
+        mediaId: media._id,
+        owner: ownerId,
+        variants: variants.length
+      });
+
+      return media;
+
+    } catch (error) {
+      // File yang sudah tersimpan dihapus agar tidak menjadi file liar
+      for (const storedKey of [key, ...variants.map(v => v.path)]) {
+        await StorageService.delete(storedKey).catch(() => {});
+      }
+      throw error;
+    } finally {
+      uploadUtils.deleteFile(file.path);
+    }
+  }
+
+  /**
+   * Generate responsive variants and store them next to original key
+   * @param {String} filePath - Local path original file
+   * @param {String} mimeType - Mime type original file
+   * @param {String} key - Storage key original file
+   * @param {String} mediaId - Media ID (untuk URL media premium)
+   * @returns {Promise<Array>} Variant descriptors
+   */
+  async generateVariants(filePath, mimeType, key, mediaId) {
+    const ext = path.posix.extname(key);
+    const base = key.slice(0, key.length - ext.length);
+    const variants = [];
+
+    try {
+      for (const spec of VARIANT_SPECS) {
+        const format = spec.format || mimeType.split('/')[1];
+        const variantKey = `${base}-${spec.name}${spec.format ? `.${spec.format}` : ext}`;
+
+        let pipeline = sharp(filePath)
+          .rotate()
+          .resize({
+            width: spec.width,
+            height: spec.height,
+            fit: spec.fit || 'inside',
+            withoutEnlargement: true
+          });
+
+        if (spec.format === 'webp') {
+          pipeline = pipeline.webp({ quality: 80 });
+        }
+
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        await StorageService.put(variantKey, data, { contentType: `image/${format}` });
+
+        variants.push({
+          name: spec.name,
+          path: variantKey,
+          url: this.getFileUrl(mediaId, variantKey, spec.name),
+          mimeType: `image/${format}`,
+          width: info.width,
+          height: info.height,
+          size: info.size
+        });
+      }
+    } catch (error) {
+      for (const variant of variants) {
+        await StorageService.delete(variant.path).catch(() => {});
+      }
+      throw error;
+    }
+
+    return variants;
+  }
+
+  /**
+   * Delete media and all its files
+   * @param {Object} media - Media document
+   */
+  async deleteMedia(media) {
+    const keys = [media.path, ...media.variants.map(v => v.path)];
+
+    for (const key of keys) {
+      try {
+        await StorageService.delete(key);
+      } catch (error) {
+        logger.error('Media file delete error:', { key, error: error.message });
+      }
+    }
+
+    await media.deleteOne();
+
+    try {
+      await SubscriptionService.recalculateStorageUsage(media.owner);
+    } catch (error) {
+      logger.error('Storage usage recalculation error:', error);
+    }
+
+    logger.info('Media deleted', { mediaId: media._id });
+  }
+
+  /**
+   * Check if user can manage media (owner atau permission media.manage)
+   * @param {Object} media - Media document
+   * @param {Object} user - User
+   * @returns {Promise<Boolean>} Can manage
+   */
+  async canManage(media, user) {
+    if (media.owner.toString() === user._id.toString()) {
+      return true;
+    }
+
+    return PermissionService.hasPermission(user, 'media.manage');
+  }
+
+  /**
+   * Find media that user can manage
+   * @param {String} mediaId - Media ID
+   * @param {Object} user - User
+   * @returns {Promise<Object|null>} Media document
+   */
+  async findForUser(mediaId, user) {
+    if (!mongoose.isValidObjectId(mediaId)) {
+      return null;
+    }
+
+    const media = await Media.findById(mediaId);
+
+    return media && await this.canManage(media, user) ? media : null;
+  }
+
+  /**
+   * Check if user can open media file (media premium butuh fitur premium_content)
+   * @param {Object} media - Media document
+   * @param {Object|null} user - User (null untuk pengunjung)
+   * @returns {Promise<Boolean>} Can access
+   */
+  async canAccessFile(media, user) {
+    if (!media.premium) return true;
+    if (!user) return false;
+
+    return (await user.hasFeature('premium_content')) || this.canManage(media, user);
+  }
+
+  /**
+   * Get storage key of media file or variant
+   * @param {Object} media - Media document
+   * @param {String} variant - Variant name (kosong untuk file asli)
+   * @returns {String|null} Storage key
+   */
+  getFileKey(media, variant = null) {
+    if (!variant) return media.path;
+
+    const found = media.variants.find(v => v.name === variant);
+    return found ? found.path : null;
+  }
+
+  /**
+   * Extract upload URLs referenced by article
+   * @param {Object} article - Article document
+   * @returns {Array} [{ url, field }]
+   */
+  extractArticleReferences(article) {
+    const references = [];
+
+    if (article.thumbnail) {
+      (article.thumbnail.match(UPLOAD_URL_PATTERN) || [])
+        .forEach(url => references.push({ url, field: 'thumbnail' }));
+    }
+
+    if (article.konten) {
+      [...new Set(article.konten.match(UPLOAD_URL_PATTERN) || [])]
+        .forEach(url => references.push({ url, field: 'konten' }));
+    }
+
+    return references;
+  }
+
+  /**
+   * Sync media usage with current article thumbnail and content
+   * Media yang tidak lagi dipakai artikel manapun ditandai yatim (orphanedAt)
+   * Error hanya dicatat agar tidak menggagalkan penyimpanan artikel
+   * @param {Object} article - Article document
+   */
+  async syncArticleUsage(article) {
+    try {
+      await this.setArticleUsage(article._id, this.extractArticleReferences(article));
+    } catch (error) {
+      logger.error('Media usage sync error:', {
+        articleId: article._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Release all media used by deleted article
+   * @param {String} articleId - Article ID
+   */
+  async releaseArticleUsage(articleId) {
+    try {
+      await this.setArticleUsage(articleId, []);
+    } catch (error) {
+      logger.error('Media usage release error:', {
+        articleId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace usage entries of article
+   * @param {String} articleId - Article ID
+   * @param {Array} references - [{ url, field }]
+   */
+  async setArticleUsage(articleId, references) {
+    const previousIds = await Media.find({ 'usage.kind': 'article', 'usage.id': articleId }).distinct('_id');
+
+    if (previousIds.length > 0) {
+      await Media.updateMany(
+        { _id: { $in: previousIds } },
+        { $pull: { usage: { kind: 'article', id: articleId } } }
+      );
+    }
+
+    for (const field of ['thumbnail', 'konten']) {
+      const urls = references.filter(ref => ref.field === field).map(ref => ref.url);
+      if (urls.length === 0) continue;
+
+      await Media.updateMany(
+        { $or: [{ url: { $in: urls } }, { 'variants.url': { $in: urls } }] },
+        {
+          $push: { usage: { kind: 'article', id: articleId, field } },
+          $set: { orphanedAt: null }
+        }
+      );
+    }
+
+    if (previousIds.length > 0) {
+      await Media.updateMany(
+        { _id: { $in: previousIds }, usage: { $size: 0 }, orphanedAt: null },
+        { $set: { orphanedAt: new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Delete media that has been orphaned longer than grace period
+   * Masa tenggang memberi waktu untuk undo/restore revisi yang masih memakai file
+   * @returns {Promise<Number>} Number of deleted media
+   */
+  async cleanupOrphans() {
+    if (this._isRunning) return 0; // prevent overlap
+    this._isRunning = true;
+
+    let deletedCount = 0;
+
+    try {
+      const cutoff = new Date(Date.now() - this._graceHours * 60 * 60 * 1000);
+      const orphans = await Media.find({
+        orphanedAt: { $ne: null, $lte: cutoff },
+        usage: { $size: 0 }
+      }).limit(100);
+
+      for (const media of orphans) {
+        try {
+          await this.deleteMedia(media);
+          deletedCount += 1;
+        } catch (error) {
+          logger.error('Media orphan delete error:', error);
+        }
+      }
+
+      if (deletedCount > 0) {
+        logger.info('Orphaned media cleaned up', { count: deletedCount });
+      }
+    } finally {
+      this._isRunning = false;
+    }
+
+    return deletedCount;
+  }
+}
+
+const mediaService = new MediaService();
+
+module.exports = mediaService;
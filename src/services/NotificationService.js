@@ -3,6 +3,7 @@ const logger = require('../config/logger');
 const User = require('../models/User');
 const Article = require('../models/Article');
 const Comment = require('../models/Comment');
+const InvoiceService = require('./InvoiceService');
 
 /**
  * Notification Service untuk email notifications
@@ -59,7 +60,8 @@ class NotificationService {
         to: options.to,
         subject: options.subject,
         html: options.html,
-        text: options.text
+        text: options.text,
+        attachments: options.attachments
       };
       
       const result = await this.transporter.sendMail(mailOptions);
@@ -232,22 +234,58 @@ class NotificationService {
     }
   }
   
+  /**
+   * Send editorial workflow notification
+   * @param {Object} recipient - Recipient user
+   * @param {Object} article - Article object
+   * @param {Object} actor - User performing the workflow action
+   * @param {String} action - Workflow action
+   * @param {String} comment - Review comment
+   * @returns {Promise} Send result
+   */
+  async sendArticleWorkflowNotification(recipient, article, actor, action, comment = '') {
+    try {
+      const subjects = {
+        'submit': `Artikel "${article.judul}" menunggu review`,
+        'approve': `Artikel "${article.judul}" disetujui`,
+        'request-changes': `Artikel "${article.judul}" perlu perbaikan`,
+        'publish': `Artikel "${article.judul}" telah dipublikasikan`,
+        'schedule': `Artikel "${article.judul}" telah dijadwalkan`,
+        'withdraw': `Artikel "${article.judul}" ditarik dari review`
+      };
+      
+      const html = this.generateArticleWorkflowTemplate(recipient, article, actor, action, comment);
+      
+      return await this.sendEmail({
+        to: recipient.email,
+        subject: subjects[action] || `Status artikel "${article.judul}" diperbarui`,
+        html
+      });
+      
+    } catch (error) {
+      logger.error('Failed to send article workflow notification:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Send subscription confirmation email
    * @param {String} email - User email
    * @param {String} name - User name
    * @param {Object} plan - Subscription plan
    * @param {Date} expiryDate - Subscription expiry date
+   * @param {Object} invoice - Invoice of the payment (optional, dilampirkan sebagai PDF)
    * @returns {Promise} Send result
    */
-  async sendSubscriptionConfirmation(email, name, plan, expiryDate) {
+  async sendSubscriptionConfirmation(email, name, plan, expiryDate, invoice = null) {
     try {
-      const html = this.generateSubscriptionConfirmationTemplate(name, plan, expiryDate);
+      const html = this.generateSubscriptionConfirmationTemplate(name, plan, expiryDate, invoice);
       
       return await this.sendEmail({
         to: email,
         subject: `Konfirmasi Langganan ${plan.name}`,
-        html
+        html,
+        attachments: invoice ? InvoiceService.getAttachments(invoice) : undefined
       });
       
     } catch (error) {
@@ -565,7 +603,67 @@ class NotificationService {
     `;
   }
   
-  generateSubscriptionConfirmationTemplate(name, plan, expiryDate) {
+  generateArticleWorkflowTemplate(recipient, article, actor, action, comment) {
+    const messages = {
+      'submit': 'mengirim artikel untuk direview',
+      'approve': 'menyetujui artikel Anda',
+      'request-changes': 'meminta perbaikan pada artikel Anda',
+      'publish': 'mempublikasikan artikel Anda',
+      'schedule': 'menjadwalkan publikasi artikel Anda',
+      'withdraw': 'menarik artikel dari proses review',
+      'archive': 'mengarsipkan artikel Anda',
+      'restore': 'mengembalikan artikel Anda ke draft'
+    };
+    
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Status Artikel</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #6f42c1; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+          .comment-box { background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #6f42c1; }
+          .button { display: inline-block; background: #6f42c1; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📝 Status Artikel</h1>
+          </div>
+          <div class="content">
+            <h2>Halo ${recipient.profile?.nama || recipient.username}!</h2>
+            <p><strong>${actor.profile?.nama || actor.username}</strong> ${messages[action] || 'memperbarui status artikel'}:</p>
+            
+            <h3>"${article.judul}"</h3>
+            <p><strong>Status:</strong> ${article.status}</p>
+            
+            ${comment ? `
+              <div class="comment-box">
+                <p><strong>Komentar:</strong></p>
+                <p>${comment}</p>
+              </div>
+            ` : ''}
+            
+            <a href="${process.env.APP_URL}/dashboard" class="button">Buka Dashboard</a>
+            
+            <p>Salam,<br>Tim ${process.env.APP_NAME || 'Blog Platform'}</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 ${process.env.APP_NAME || 'Blog Platform'}. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  
+  generateSubscriptionConfirmationTemplate(name, plan, expiryDate, invoice = null) {
     return `
       <!DOCTYPE html>
       <html>
@@ -596,8 +694,14 @@ class NotificationService {
               <p><strong>Paket:</strong> ${plan.name}</p>
               <p><strong>Deskripsi:</strong> ${plan.description}</p>
               <p><strong>Berlaku hingga:</strong> ${expiryDate ? new Date(expiryDate).toLocaleDateString('id-ID') : 'Selamanya'}</p>
+              ${invoice ? `
+              <p><strong>No. Invoice:</strong> ${invoice.invoiceNumber}</p>
+              <p><strong>Total Dibayar:</strong> ${InvoiceService.formatCurrency(invoice.total)} (${InvoiceService.getTaxLabel(invoice)})</p>
+              ` : ''}
             </div>
             
+            ${invoice ? `<p>Kwitansi pembayaran terlampir dan dapat diunduh kapan saja di <a href="${process.env.APP_URL}/api/subscription/invoices/${invoice._id}/pdf">halaman invoice</a>.</p>` : ''}
+            
             <p>Anda sekarang dapat menikmati semua fitur premium yang tersedia dalam paket ${plan.name}.</p>
             
             <a href="${process.env.APP_URL}/dashboard" class="button">Masuk ke Dashboard</a>
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AuthUtils = require('../utils/auth');
+const logger = require('../config/logger');
+
+const PASSWORDLESS_LOGIN_EXPIRE_MINUTES = parseInt(process.env.PASSWORDLESS_LOGIN_EXPIRE_MINUTES || '10', 10);
+const PASSWORDLESS_CODE_MAX_ATTEMPTS = 5;
+const PASSWORDLESS_FIELDS = '+passwordlessLogin.tokenHash +passwordlessLogin.codeHash +passwordlessLogin.expiresAt +passwordlessLogin.attempts';
+
+/**
+ * Build passwordless login error with code for controller responses
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const passwordlessError = (code, message, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Passwordless Login Service untuk magic link dan kode OTP email
+ * Satu permintaan menghasilkan link dan kode sekaligus, keduanya sekali pakai
+ */
+class PasswordlessLoginService {
+
+  /**
+   * Get login challenge lifetime in minutes
+   * @returns {Number} Minutes
+   */
+  getExpireMinutes() {
+    return PASSWORDLESS_LOGIN_EXPIRE_MINUTES;
+  }
+
+  /**
+   * Create login challenge, menggantikan challenge sebelumnya
+   * @param {String} email - User email
+   * @returns {Promise<Object|null>} { user, token, code, expiresAt } atau null jika user tidak ada
+   */
+  async createChallenge(email) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const token = AuthUtils.generateRandomToken(32);
+    const code = AuthUtils.generateOTP(6);
+    const expiresAt = new Date(Date.now() + PASSWORDLESS_LOGIN_EXPIRE_MINUTES * 60 * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordlessLogin: {
+            tokenHash: AuthUtils.hashToken(token),
+            codeHash: AuthUtils.hashToken(code),
+            expiresAt,
+            attempts: 0
+          }
+        }
+      }
+    );
+
+    return { user, token, code, expiresAt };
+  }
+
+  /**
+   * Consume magic link token (sekali pakai)
+   * @param {String} token - Token from magic link
+   * @returns {Promise<Object>} User
+   */
+  async consumeToken(token) {
+    const user = await User.findOneAndUpdate(
+      {
+        'passwordlessLogin.tokenHash': AuthUtils.hashToken(token),
+        'passwordlessLogin.expiresAt': { $gt: new Date() }
+      },
+      { $unset: { passwordlessLogin: 1 } },
+      { new: true }
+    ).select('+loginAttempts +lockUntil');
+
+    if (!user) {
+      throw passwordlessError('INVALID_LOGIN_LINK', 'Link login tidak valid atau sudah kedaluwarsa');
+    }
+
+    return user;
+  }
+
+  /**
+   * Consume emailed login code (sekali pakai)
+   * Kode dibatalkan setelah PASSWORDLESS_CODE_MAX_ATTEMPTS percobaan salah
+   * @param {String} email - User email
+   * @param {String} code - 6 digit code
+   * @returns {Promise<Object>} User
+   */
+  async consumeCode(email, code) {
+    const invalidCode = () => passwordlessError('INVALID_LOGIN_CODE', 'Kode login tidak valid atau sudah kedaluwarsa');
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select(`${PASSWORDLESS_FIELDS} +loginAttempts +lockUntil`);
+    const challenge = user?.passwordlessLogin;
+
+    if (!challenge?.codeHash || !challenge.expiresAt || challenge.expiresAt <= new Date()) {
+      throw invalidCode();
+    }
+
+    const { codeHash } = challenge;
+    const isValid = crypto.timingSafeEqual(
+      Buffer.from(AuthUtils.hashToken(code)),
+      Buffer.from(codeHash)
+    );
+
+    if (!isValid) {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, 'passwordlessLogin.codeHash': codeHash },
+        { $inc: { 'passwordlessLogin.attempts': 1 } },
+        { new: true }
+      ).select(PASSWORDLESS_FIELDS);
+
+      if (updated && updated.passwordlessLogin.attempts >= PASSWORDLESS_CODE_MAX_ATTEMPTS) {
+        await User.updateOne(
+          { _id: user._id, 'passwordlessLogin.codeHash': codeHash },
+          { $unset: { passwordlessLogin: 1 } }
+        );
+
+        logger.warn('Passwordless login code invalidated after too many attempts', {
+          userId: user._id
+        });
+      }
+
+      throw invalidCode();
+    }
+
+    // Hapus challenge secara atomik supaya kode tidak bisa dipakai dua kali
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'passwordlessLogin.codeHash': codeHash,
+        'passwordlessLogin.expiresAt': { $gt: new Date() },
+        'passwordlessLogin.attempts': { $lt: PASSWORDLESS_CODE_MAX_ATTEMPTS }
+      },
+      { $unset: { passwordlessLogin: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw invalidCode();
+    }
+
+    user.passwordlessLogin = undefined;
+
+    return user;
+  }
+}
+
+// Create singleton instance
+const passwordlessLoginService = new PasswordlessLoginService();
+
+module.exports = passwordlessLoginService;
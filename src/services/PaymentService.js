@@ -1,8 +1,42 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../config/logger');
+const NotificationService = require('./NotificationService');
+const InvoiceService = require('./InvoiceService');
+const CouponService = require('./CouponService');
 const UserSubscription = require('../models/UserSubscription');
 const Subscription = require('../models/Subscription');
+const WebhookEvent = require('../models/WebhookEvent');
+
+// Method handler untuk tiap gateway
+const WEBHOOK_HANDLERS = {
+  midtrans: 'handleMidtransWebhook',
+  xendit: 'handleXenditWebhook',
+  stripe: 'handleStripeWebhook'
+};
+
+/**
+ * Constant-time string comparison
+ * @param {String} expected - Expected value
+ * @param {String} actual - Received value
+ * @returns {Boolean} Equal
+ */
+const safeCompare = (expected, actual) => {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+  
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  
+  return expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+const invalidSignatureError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SIGNATURE';
+  error.statusCode = 401;
+  return error;
+};
 
 /**
  * Payment Service untuk integrasi payment gateway
@@ -21,12 +55,15 @@ class PaymentService {
     
     this.xendit = {
       secretKey: process.env.XENDIT_SECRET_KEY,
+      callbackToken: process.env.XENDIT_CALLBACK_TOKEN,
       baseUrl: 'https://api.xendit.co'
     };
     
     this.stripe = {
       secretKey: process.env.STRIPE_SECRET_KEY,
       publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      webhookTolerance: parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE || '300', 10),
       baseUrl: 'https://api.stripe.com/v1'
     };
   }
@@ -41,6 +78,9 @@ class PaymentService {
     try {
       const { userSubscription, user, plan } = subscriptionData;
       
+      // Kupon bisa kedaluwarsa atau habis kuotanya sejak checkout
+      await CouponService.revalidateSubscriptionCoupon(userSubscription);
+      
       switch (gateway) {
         case 'midtrans':
           return await this.createMidtransPayment(userSubscription, user, plan);
@@ -103,7 +143,909 @@ class PaymentService {
         custom_field1: userSubscription._id.toString(),
         custom_field2: 'subscription',
         custom_field3: userSubscription.billingCycle
-      };\n      
+      };
+      
       const auth = Buffer.from(this.midtrans.serverKey + ':').toString('base64');
       
-      const response = await axios.post(\n        `${this.midtrans.baseUrl}/charge`,\n        payload,\n        {\n          headers: {\n            'Accept': 'application/json',\n            'Content-Type': 'application/json',\n            'Authorization': `Basic ${auth}`\n          }\n        }\n      );\n      \n      // Update subscription with payment info\n      userSubscription.payment.transactionId = orderId;\n      userSubscription.payment.gateway = 'midtrans';\n      userSubscription.payment.gatewayTransactionId = response.data.transaction_id;\n      await userSubscription.save();\n      \n      logger.info('Midtrans payment created', {\n        orderId,\n        subscriptionId: userSubscription._id,\n        amount: grossAmount,\n        transactionId: response.data.transaction_id\n      });\n      \n      return {\n        success: true,\n        gateway: 'midtrans',\n        paymentToken: response.data.token,\n        redirectUrl: response.data.redirect_url,\n        orderId,\n        amount: grossAmount,\n        expiryTime: payload.expiry\n      };\n      \n    } catch (error) {\n      logger.error('Midtrans payment creation error:', error);\n      throw new Error('Gagal membuat pembayaran Midtrans: ' + error.message);\n    }\n  }\n  \n  /**\n   * Create Xendit payment\n   * @param {Object} userSubscription - User subscription\n   * @param {Object} user - User data\n   * @param {Object} plan - Subscription plan\n   * @returns {Object} Xendit payment result\n   */\n  async createXenditPayment(userSubscription, user, plan) {\n    try {\n      const externalId = `SUB-${userSubscription._id}-${Date.now()}`;\n      const amount = userSubscription.payment.amount;\n      \n      const payload = {\n        external_id: externalId,\n        payer_email: user.email,\n        description: `${plan.name} Subscription - ${userSubscription.billingCycle}`,\n        amount: amount,\n        success_redirect_url: `${process.env.APP_URL}/payment/success`,\n        failure_redirect_url: `${process.env.APP_URL}/payment/failed`,\n        currency: 'IDR',\n        invoice_duration: 3600, // 1 hour\n        customer: {\n          given_names: user.profile.nama || user.username,\n          email: user.email,\n          mobile_number: user.profile.telepon || ''\n        },\n        customer_notification_preference: {\n          invoice_created: ['email'],\n          invoice_reminder: ['email'],\n          invoice_paid: ['email']\n        },\n        items: [{\n          name: `${plan.name} - ${userSubscription.billingCycle}`,\n          quantity: 1,\n          price: amount,\n          category: 'Subscription'\n        }]\n      };\n      \n      const response = await axios.post(\n        `${this.xendit.baseUrl}/v2/invoices`,\n        payload,\n        {\n          headers: {\n            'Authorization': `Basic ${Buffer.from(this.xendit.secretKey + ':').toString('base64')}`,\n            'Content-Type': 'application/json'\n          }\n        }\n      );\n      \n      // Update subscription with payment info\n      userSubscription.payment.transactionId = externalId;\n      userSubscription.payment.gateway = 'xendit';\n      userSubscription.payment.gatewayTransactionId = response.data.id;\n      await userSubscription.save();\n      \n      logger.info('Xendit payment created', {\n        externalId,\n        subscriptionId: userSubscription._id,\n        amount,\n        invoiceId: response.data.id\n      });\n      \n      return {\n        success: true,\n        gateway: 'xendit',\n        invoiceUrl: response.data.invoice_url,\n        invoiceId: response.data.id,\n        externalId,\n        amount,\n        expiryDate: response.data.expiry_date\n      };\n      \n    } catch (error) {\n      logger.error('Xendit payment creation error:', error);\n      throw new Error('Gagal membuat pembayaran Xendit: ' + error.message);\n    }\n  }\n  \n  /**\n   * Create Stripe payment\n   * @param {Object} userSubscription - User subscription\n   * @param {Object} user - User data\n   * @param {Object} plan - Subscription plan\n   * @returns {Object} Stripe payment result\n   */\n  async createStripePayment(userSubscription, user, plan) {\n    try {\n      const amount = Math.round(userSubscription.payment.amount * 100); // Stripe uses cents\n      \n      // Create payment intent\n      const payload = {\n        amount: amount,\n        currency: 'idr',\n        automatic_payment_methods: {\n          enabled: true\n        },\n        description: `${plan.name} Subscription - ${userSubscription.billingCycle}`,\n        metadata: {\n          subscription_id: userSubscription._id.toString(),\n          user_id: user._id.toString(),\n          plan_id: plan._id.toString(),\n          billing_cycle: userSubscription.billingCycle\n        },\n        receipt_email: user.email\n      };\n      \n      const response = await axios.post(\n        `${this.stripe.baseUrl}/payment_intents`,\n        new URLSearchParams(payload).toString(),\n        {\n          headers: {\n            'Authorization': `Bearer ${this.stripe.secretKey}`,\n            'Content-Type': 'application/x-www-form-urlencoded'\n          }\n        }\n      );\n      \n      // Update subscription with payment info\n      userSubscription.payment.transactionId = response.data.id;\n      userSubscription.payment.gateway = 'stripe';\n      userSubscription.payment.gatewayTransactionId = response.data.id;\n      await userSubscription.save();\n      \n      logger.info('Stripe payment created', {\n        paymentIntentId: response.data.id,\n        subscriptionId: userSubscription._id,\n        amount: userSubscription.payment.amount\n      });\n      \n      return {\n        success: true,\n        gateway: 'stripe',\n        clientSecret: response.data.client_secret,\n        paymentIntentId: response.data.id,\n        amount: userSubscription.payment.amount,\n        publishableKey: this.stripe.publishableKey\n      };\n      \n    } catch (error) {\n      logger.error('Stripe payment creation error:', error);\n      throw new Error('Gagal membuat pembayaran Stripe: ' + error.message);\n    }\n  }\n  \n  /**\n   * Handle Midtrans webhook\n   * @param {Object} notification - Webhook notification\n   * @returns {Object} Processing result\n   */\n  async handleMidtransWebhook(notification) {\n    try {\n      const {\n        order_id,\n        transaction_status,\n        fraud_status,\n        signature_key,\n        gross_amount\n      } = notification;\n      \n      // Verify signature\n      const serverKey = this.midtrans.serverKey;\n      const input = order_id + transaction_status + gross_amount + serverKey;\n      const hash = crypto.createHash('sha512').update(input).digest('hex');\n      \n      if (hash !== signature_key) {\n        throw new Error('Invalid signature');\n      }\n      \n      // Find subscription\n      const userSubscription = await UserSubscription.findOne({\n        'payment.transactionId': order_id\n      }).populate('user').populate('subscription');\n      \n      if (!userSubscription) {\n        throw new Error('Subscription not found');\n      }\n      \n      // Process payment status\n      let newStatus = userSubscription.status;\n      \n      if (transaction_status === 'capture' || transaction_status === 'settlement') {\n        if (fraud_status === 'accept' || !fraud_status) {\n          newStatus = 'active';\n          await this.activateSubscription(userSubscription);\n        }\n      } else if (transaction_status === 'pending') {\n        newStatus = 'pending';\n      } else if (['deny', 'cancel', 'expire', 'failure'].includes(transaction_status)) {\n        newStatus = 'cancelled';\n      }\n      \n      // Update subscription status\n      userSubscription.status = newStatus;\n      await userSubscription.save();\n      \n      logger.info('Midtrans webhook processed', {\n        orderId: order_id,\n        transactionStatus: transaction_status,\n        subscriptionId: userSubscription._id,\n        newStatus\n      });\n      \n      return {\n        success: true,\n        status: newStatus,\n        subscriptionId: userSubscription._id\n      };\n      \n    } catch (error) {\n      logger.error('Midtrans webhook error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Handle Xendit webhook\n   * @param {Object} notification - Webhook notification\n   * @returns {Object} Processing result\n   */\n  async handleXenditWebhook(notification) {\n    try {\n      const {\n        external_id,\n        status,\n        id: invoice_id,\n        paid_amount\n      } = notification;\n      \n      // Find subscription\n      const userSubscription = await UserSubscription.findOne({\n        'payment.transactionId': external_id\n      }).populate('user').populate('subscription');\n      \n      if (!userSubscription) {\n        throw new Error('Subscription not found');\n      }\n      \n      // Process payment status\n      let newStatus = userSubscription.status;\n      \n      if (status === 'PAID') {\n        newStatus = 'active';\n        await this.activateSubscription(userSubscription);\n      } else if (status === 'PENDING') {\n        newStatus = 'pending';\n      } else if (['EXPIRED', 'FAILED'].includes(status)) {\n        newStatus = 'cancelled';\n      }\n      \n      // Update subscription status\n      userSubscription.status = newStatus;\n      await userSubscription.save();\n      \n      logger.info('Xendit webhook processed', {\n        externalId: external_id,\n        status,\n        subscriptionId: userSubscription._id,\n        newStatus\n      });\n      \n      return {\n        success: true,\n        status: newStatus,\n        subscriptionId: userSubscription._id\n      };\n      \n    } catch (error) {\n      logger.error('Xendit webhook error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Handle Stripe webhook\n   * @param {Object} event - Stripe event\n   * @returns {Object} Processing result\n   */\n  async handleStripeWebhook(event) {\n    try {\n      const { type, data } = event;\n      \n      if (type === 'payment_intent.succeeded') {\n        const paymentIntent = data.object;\n        \n        // Find subscription\n        const userSubscription = await UserSubscription.findOne({\n          'payment.transactionId': paymentIntent.id\n        }).populate('user').populate('subscription');\n        \n        if (!userSubscription) {\n          throw new Error('Subscription not found');\n        }\n        \n        // Activate subscription\n        userSubscription.status = 'active';\n        await userSubscription.save();\n        \n        await this.activateSubscription(userSubscription);\n        \n        logger.info('Stripe webhook processed', {\n          paymentIntentId: paymentIntent.id,\n          subscriptionId: userSubscription._id,\n          status: 'active'\n        });\n        \n        return {\n          success: true,\n          status: 'active',\n          subscriptionId: userSubscription._id\n        };\n      }\n      \n      return { success: true, message: 'Event not handled' };\n      \n    } catch (error) {\n      logger.error('Stripe webhook error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Activate subscription after successful payment\n   * @param {Object} userSubscription - User subscription\n   */\n  async activateSubscription(userSubscription) {\n    try {\n      // Update user subscription reference\n      const user = userSubscription.user;\n      user.subscription.plan = userSubscription.subscription._id;\n      user.subscription.status = 'active';\n      user.subscription.endDate = userSubscription.endDate;\n      await user.save();\n      \n      // Update plan statistics\n      const plan = userSubscription.subscription;\n      await plan.updateStats({\n        activeSubscribers: 1,\n        [`revenue.${userSubscription.billingCycle}`]: userSubscription.payment.amount,\n        'revenue.total': userSubscription.payment.amount\n      });\n      \n      // Send activation email\n      // TODO: Implement email notification\n      \n      logger.info('Subscription activated', {\n        userId: user._id,\n        subscriptionId: userSubscription._id,\n        planId: plan._id\n      });\n      \n    } catch (error) {\n      logger.error('Activate subscription error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get payment status\n   * @param {String} transactionId - Transaction ID\n   * @param {String} gateway - Payment gateway\n   * @returns {Object} Payment status\n   */\n  async getPaymentStatus(transactionId, gateway) {\n    try {\n      switch (gateway) {\n        case 'midtrans':\n          return await this.getMidtransStatus(transactionId);\n        case 'xendit':\n          return await this.getXenditStatus(transactionId);\n        case 'stripe':\n          return await this.getStripeStatus(transactionId);\n        default:\n          throw new Error('Payment gateway tidak didukung');\n      }\n    } catch (error) {\n      logger.error('Get payment status error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get Midtrans payment status\n   * @param {String} orderId - Order ID\n   * @returns {Object} Payment status\n   */\n  async getMidtransStatus(orderId) {\n    try {\n      const auth = Buffer.from(this.midtrans.serverKey + ':').toString('base64');\n      \n      const response = await axios.get(\n        `${this.midtrans.baseUrl}/${orderId}/status`,\n        {\n          headers: {\n            'Accept': 'application/json',\n            'Authorization': `Basic ${auth}`\n          }\n        }\n      );\n      \n      return {\n        success: true,\n        gateway: 'midtrans',\n        status: response.data.transaction_status,\n        fraudStatus: response.data.fraud_status,\n        amount: response.data.gross_amount\n      };\n      \n    } catch (error) {\n      logger.error('Get Midtrans status error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get Xendit payment status\n   * @param {String} invoiceId - Invoice ID\n   * @returns {Object} Payment status\n   */\n  async getXenditStatus(invoiceId) {\n    try {\n      const response = await axios.get(\n        `${this.xendit.baseUrl}/v2/invoices/${invoiceId}`,\n        {\n          headers: {\n            'Authorization': `Basic ${Buffer.from(this.xendit.secretKey + ':').toString('base64')}`\n          }\n        }\n      );\n      \n      return {\n        success: true,\n        gateway: 'xendit',\n        status: response.data.status,\n        amount: response.data.amount,\n        paidAmount: response.data.paid_amount\n      };\n      \n    } catch (error) {\n      logger.error('Get Xendit status error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get Stripe payment status\n   * @param {String} paymentIntentId - Payment Intent ID\n   * @returns {Object} Payment status\n   */\n  async getStripeStatus(paymentIntentId) {\n    try {\n      const response = await axios.get(\n        `${this.stripe.baseUrl}/payment_intents/${paymentIntentId}`,\n        {\n          headers: {\n            'Authorization': `Bearer ${this.stripe.secretKey}`\n          }\n        }\n      );\n      \n      return {\n        success: true,\n        gateway: 'stripe',\n        status: response.data.status,\n        amount: response.data.amount / 100, // Convert from cents\n        currency: response.data.currency\n      };\n      \n    } catch (error) {\n      logger.error('Get Stripe status error:', error);\n      throw error;\n    }\n  }\n}\n\nmodule.exports = new PaymentService();
\ No newline at end of file
+      const response = await axios.post(
+        `${this.midtrans.baseUrl}/charge`,
+        payload,
+        {
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'Authorization': `Basic ${auth}`
+          }
+        }
+      );
+      
+      // Update subscription with payment info
+      userSubscription.payment.transactionId = orderId;
+      userSubscription.payment.gateway = 'midtrans';
+      userSubscription.payment.gatewayTransactionId = response.data.transaction_id;
+      await userSubscription.save();
+      
+      logger.info('Midtrans payment created', {
+        orderId,
+        subscriptionId: userSubscription._id,
+        amount: grossAmount,
+        transactionId: response.data.transaction_id
+      });
+      
+      return {
+        success: true,
+        gateway: 'midtrans',
+        paymentToken: response.data.token,
+        redirectUrl: response.data.redirect_url,
+        orderId,
+        amount: grossAmount,
+        expiryTime: payload.expiry
+      };
+      
+    } catch (error) {
+      logger.error('Midtrans payment creation error:', error);
+      throw new Error('Gagal membuat pembayaran Midtrans: ' + error.message);
+    }
+  }
+  
+  /**
+   * Create Xendit payment
+   * @param {Object} userSubscription - User subscription
+   * @param {Object} user - User data
+   * @param {Object} plan - Subscription plan
+   * @returns {Object} Xendit payment result
+   */
+  async createXenditPayment(userSubscription, user, plan) {
+    try {
+      const externalId = `SUB-${userSubscription._id}-${Date.now()}`;
+      const amount = userSubscription.payment.amount;
+      
+      const payload = {
+        external_id: externalId,
+        payer_email: user.email,
+        description: `${plan.name} Subscription - ${userSubscription.billingCycle}`,
+        amount: amount,
+        success_redirect_url: `${process.env.APP_URL}/payment/success`,
+        failure_redirect_url: `${process.env.APP_URL}/payment/failed`,
+        currency: 'IDR',
+        invoice_duration: 3600, // 1 hour
+        customer: {
+          given_names: user.profile.nama || user.username,
+          email: user.email,
+          mobile_number: user.profile.telepon || ''
+        },
+        customer_notification_preference: {
+          invoice_created: ['email'],
+          invoice_reminder: ['email'],
+          invoice_paid: ['email']
+        },
+        items: [{
+          name: `${plan.name} - ${userSubscription.billingCycle}`,
+          quantity: 1,
+          price: amount,
+          category: 'Subscription'
+        }]
+      };
+      
+      const response = await axios.post(
+        `${this.xendit.baseUrl}/v2/invoices`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Basic ${Buffer.from(this.xendit.secretKey + ':').toString('base64')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      
+      // Update subscription with payment info
+      userSubscription.payment.transactionId = externalId;
+      userSubscription.payment.gateway = 'xendit';
+      userSubscription.payment.gatewayTransactionId = response.data.id;
+      await userSubscription.save();
+      
+      logger.info('Xendit payment created', {
+        externalId,
+        subscriptionId: userSubscription._id,
+        amount,
+        invoiceId: response.data.id
+      });
+      
+      return {
+        success: true,
+        gateway: 'xendit',
+        invoiceUrl: response.data.invoice_url,
+        invoiceId: response.data.id,
+        externalId,
+        amount,
+        expiryDate: response.data.expiry_date
+      };
+      
+    } catch (error) {
+      logger.error('Xendit payment creation error:', error);
+      throw new Error('Gagal membuat pembayaran Xendit: ' + error.message);
+    }
+  }
+  
+  /**
+   * Create Stripe payment
+   * @param {Object} userSubscription - User subscription
+   * @param {Object} user - User data
+   * @param {Object} plan - Subscription plan
+   * @returns {Object} Stripe payment result
+   */
+  async createStripePayment(userSubscription, user, plan) {
+    try {
+      const amount = Math.round(userSubscription.payment.amount * 100); // Stripe uses cents
+      
+      // Create payment intent
+      const payload = {
+        amount: amount,
+        currency: 'idr',
+        automatic_payment_methods: {
+          enabled: true
+        },
+        description: `${plan.name} Subscription - ${userSubscription.billingCycle}`,
+        metadata: {
+          subscription_id: userSubscription._id.toString(),
+          user_id: user._id.toString(),
+          plan_id: plan._id.toString(),
+          billing_cycle: userSubscription.billingCycle
+        },
+        receipt_email: user.email
+      };
+      
+      const response = await axios.post(
+        `${this.stripe.baseUrl}/payment_intents`,
+        new URLSearchParams(payload).toString(),
+        {
+          headers: {
+            'Authorization': `Bearer ${this.stripe.secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        }
+      );
+      
+      // Update subscription with payment info
+      userSubscription.payment.transactionId = response.data.id;
+      userSubscription.payment.gateway = 'stripe';
+      userSubscription.payment.gatewayTransactionId = response.data.id;
+      await userSubscription.save();
+      
+      logger.info('Stripe payment created', {
+        paymentIntentId: response.data.id,
+        subscriptionId: userSubscription._id,
+        amount: userSubscription.payment.amount
+      });
+      
+      return {
+        success: true,
+        gateway: 'stripe',
+        clientSecret: response.data.client_secret,
+        paymentIntentId: response.data.id,
+        amount: userSubscription.payment.amount,
+        publishableKey: this.stripe.publishableKey
+      };
+      
+    } catch (error) {
+      logger.error('Stripe payment creation error:', error);
+      throw new Error('Gagal membuat pembayaran Stripe: ' + error.message);
+    }
+  }
+  
+  /**
+   * Process webhook delivery: verify signature, reject duplicates and dispatch
+   * @param {String} gateway - Payment gateway (midtrans, xendit, stripe)
+   * @param {Object} delivery - Delivery data (payload, headers, rawBody, ipAddress)
+   * @returns {Object} Processing result
+   */
+  async processWebhook(gateway, delivery) {
+    const { payload = {}, headers = {}, rawBody = null, ipAddress = null } = delivery;
+    
+    if (!WEBHOOK_HANDLERS[gateway]) {
+      const error = new Error(`Gateway ${gateway} tidak didukung`);
+      error.code = 'UNSUPPORTED_GATEWAY';
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const record = {
+      gateway,
+      eventId: this.getWebhookEventId(gateway, payload, headers),
+      eventType: this.getWebhookEventType(gateway, payload),
+      reference: this.getWebhookReference(gateway, payload),
+      payload,
+      rawBody: rawBody ? rawBody.toString('utf8') : null,
+      headers: WebhookEvent.pickAuditHeaders(headers),
+      ipAddress
+    };
+    
+    try {
+      this.verifyWebhookSignature(gateway, payload, headers, rawBody);
+    } catch (error) {
+      await WebhookEvent.recordRejected(record, error.message)
+        .catch(recordError => logger.error('Failed to record rejected webhook:', recordError));
+      
+      logger.warn('Webhook signature rejected', {
+        gateway,
+        eventId: record.eventId,
+        ipAddress,
+        reason: error.message
+      });
+      throw error;
+    }
+    
+    const { event, duplicate } = await WebhookEvent.register(record);
+    
+    if (duplicate) {
+      logger.info('Duplicate webhook ignored', {
+        gateway,
+        eventId: event.eventId,
+        status: event.status
+      });
+      
+      return {
+        success: true,
+        duplicate: true,
+        eventId: event.eventId,
+        status: event.status
+      };
+    }
+    
+    return await this.dispatchWebhookEvent(event);
+  }
+  
+  /**
+   * Re-process a stored webhook event (admin)
+   * @param {String} id - WebhookEvent ID
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Processing result
+   */
+  async reprocessWebhookEvent(id, adminId) {
+    const existing = await WebhookEvent.findById(id);
+    
+    if (!existing) {
+      const error = new Error('Webhook event tidak ditemukan');
+      error.code = 'WEBHOOK_EVENT_NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (!existing.signatureValid) {
+      const error = new Error('Webhook event dengan signature tidak valid tidak dapat diproses ulang');
+      error.code = 'WEBHOOK_NOT_VERIFIED';
+      error.statusCode = 422;
+      throw error;
+    }
+    
+    // Claim atomically so a gateway retry and an admin retry never run together
+    // Event yang macet di status processing juga boleh diklaim (lihat WebhookEvent.claimableFilter)
+    const event = await WebhookEvent.findOneAndUpdate(
+      { _id: id, ...WebhookEvent.claimableFilter({ $ne: 'processing' }) },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    
+    if (!event) {
+      const error = new Error('Webhook event sedang diproses');
+      error.code = 'WEBHOOK_EVENT_PROCESSING';
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    try {
+      const result = await this.dispatchWebhookEvent(event);
+      
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { $push: { reprocessHistory: { by: adminId, status: 'processed', at: new Date() } } }
+      );
+      
+      logger.info('Webhook event reprocessed', {
+        webhookEventId: event._id,
+        gateway: event.gateway,
+        eventId: event.eventId,
+        adminId
+      });
+      
+      return result;
+      
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { $push: { reprocessHistory: { by: adminId, status: 'failed', error: error.message, at: new Date() } } }
+      );
+      throw error;
+    }
+  }
+  
+  /**
+   * Run gateway handler for a claimed webhook event and store the outcome
+   * @param {Object} event - WebhookEvent document
+   * @returns {Object} Processing result
+   */
+  async dispatchWebhookEvent(event) {
+    try {
+      const result = await this[WEBHOOK_HANDLERS[event.gateway]](event.payload);
+      
+      event.markProcessed(result);
+      await event.save();
+      
+      return {
+        ...result,
+        duplicate: false,
+        eventId: event.eventId
+      };
+      
+    } catch (error) {
+      event.markFailed(error);
+      await event.save();
+      throw error;
+    }
+  }
+  
+  /**
+   * Verify webhook signature according to each gateway's scheme
+   * @param {String} gateway - Payment gateway
+   * @param {Object} payload - Parsed payload
+   * @param {Object} headers - Request headers (lowercase names)
+   * @param {Buffer|String} rawBody - Raw request body
+   * @returns {Boolean} True when valid, throws otherwise
+   */
+  verifyWebhookSignature(gateway, payload, headers = {}, rawBody = null) {
+    if (gateway === 'midtrans') {
+      // SHA512(order_id + status_code + gross_amount + server key)
+      const { order_id, status_code, gross_amount, signature_key } = payload;
+      const serverKey = this.requireWebhookSecret(this.midtrans.serverKey, 'MIDTRANS_SERVER_KEY');
+      
+      const expected = crypto
+        .createHash('sha512')
+        .update(`${order_id}${status_code}${gross_amount}${serverKey}`)
+        .digest('hex');
+      
+      if (!safeCompare(expected, signature_key)) {
+        throw invalidSignatureError('Invalid Midtrans signature');
+      }
+      return true;
+    }
+    
+    if (gateway === 'xendit') {
+      // Static callback verification token from the Xendit dashboard
+      const callbackToken = this.requireWebhookSecret(this.xendit.callbackToken, 'XENDIT_CALLBACK_TOKEN');
+      
+      if (!safeCompare(callbackToken, headers['x-callback-token'])) {
+        throw invalidSignatureError('Invalid Xendit callback token');
+      }
+      return true;
+    }
+    
+    if (gateway === 'stripe') {
+      // Stripe-Signature: t=timestamp,v1=HMAC_SHA256(secret, `${t}.${rawBody}`)
+      const secret = this.requireWebhookSecret(this.stripe.webhookSecret, 'STRIPE_WEBHOOK_SECRET');
+      const header = headers['stripe-signature'];
+      
+      if (!header || !rawBody) {
+        throw invalidSignatureError('Missing Stripe signature');
+      }
+      
+      const parts = header.split(',').reduce((acc, part) => {
+        const [key, value] = part.split('=');
+        if (key && value) {
+          acc[key.trim()] = acc[key.trim()] || [];
+          acc[key.trim()].push(value.trim());
+        }
+        return acc;
+      }, {});
+      
+      const timestamp = parseInt((parts.t || [])[0], 10);
+      if (!timestamp) {
+        throw invalidSignatureError('Missing Stripe signature timestamp');
+      }
+      
+      const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+      if (age > this.stripe.webhookTolerance) {
+        throw invalidSignatureError('Stripe signature timestamp outside tolerance');
+      }
+      
+      const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody.toString('utf8')}`)
+        .digest('hex');
+      
+      if (!(parts.v1 || []).some(signature => safeCompare(expected, signature))) {
+        throw invalidSignatureError('Invalid Stripe signature');
+      }
+      return true;
+    }
+    
+    throw invalidSignatureError(`Unknown gateway ${gateway}`);
+  }
+  
+  /**
+   * Ensure a webhook secret is configured
+   * @param {String} value - Secret value
+   * @param {String} name - Environment variable name
+   * @returns {String} Secret value
+   */
+  requireWebhookSecret(value, name) {
+    if (!value) {
+      const error = new Error(`${name} belum dikonfigurasi`);
+      error.code = 'WEBHOOK_NOT_CONFIGURED';
+      error.statusCode = 500;
+      throw error;
+    }
+    return value;
+  }
+  
+  /**
+   * Get gateway event ID used for duplicate detection
+   * @param {String} gateway - Payment gateway
+   * @param {Object} payload - Parsed payload
+   * @param {Object} headers - Request headers
+   * @returns {String} Event ID
+   */
+  getWebhookEventId(gateway, payload = {}, headers = {}) {
+    if (gateway === 'stripe') {
+      return payload.id || 'unknown';
+    }
+    
+    if (gateway === 'xendit') {
+      return headers['webhook-id'] || [payload.id, payload.status].filter(Boolean).join(':') || 'unknown';
+    }
+    
+    // Midtrans has no event ID; each status change of a transaction is one event
+    return [
+      payload.transaction_id || payload.order_id,
+      payload.transaction_status,
+      payload.fraud_status
+    ].filter(Boolean).join(':') || 'unknown';
+  }
+  
+  /**
+   * Get gateway event type
+   * @param {String} gateway - Payment gateway
+   * @param {Object} payload - Parsed payload
+   * @returns {String|null} Event type
+   */
+  getWebhookEventType(gateway, payload = {}) {
+    if (gateway === 'stripe') return payload.type || null;
+    if (gateway === 'xendit') return payload.status || null;
+    return payload.transaction_status || null;
+  }
+  
+  /**
+   * Get transaction reference of a webhook payload
+   * @param {String} gateway - Payment gateway
+   * @param {Object} payload - Parsed payload
+   * @returns {String|null} Transaction reference
+   */
+  getWebhookReference(gateway, payload = {}) {
+    if (gateway === 'stripe') return payload.data?.object?.id || null;
+    if (gateway === 'xendit') return payload.external_id || null;
+    return payload.order_id || null;
+  }
+  
+  /**
+   * Apply payment outcome to a subscription
+   * Event yang datang setelah pembayaran tercatat tidak mengubah langganan
+   * @param {Object} userSubscription - User subscription
+   * @param {String} outcome - paid, pending or failed
+   * @param {Object} details - Outcome details (gatewayTransactionId, reason)
+   * @returns {Boolean} Whether the subscription changed
+   */
+  async applyPaymentOutcome(userSubscription, outcome, details = {}) {
+    if (userSubscription.payment.paidAt) {
+      // Aktivasi sebelumnya terhenti di tengah, lanjutkan langkah yang belum selesai
+      if (userSubscription.activation.pending) {
+        await this.activateSubscription(userSubscription);
+        return true;
+      }
+      
+      // Lengkapi invoice langganan lama yang dibayar sebelum langkah aktivasi dicatat
+      await InvoiceService.createForSubscription(userSubscription);
+      return false;
+    }
+    
+    if (details.gatewayTransactionId) {
+      userSubscription.payment.gatewayTransactionId = details.gatewayTransactionId;
+    }
+    
+    if (outcome === 'paid') {
+      await this.activateSubscription(userSubscription);
+      return true;
+    }
+    
+    if (outcome === 'failed' && userSubscription.status === 'pending') {
+      userSubscription.setStatus('cancelled', details.reason);
+      await userSubscription.save();
+      return true;
+    }
+    
+    await userSubscription.save();
+    return false;
+  }
+  
+  /**
+   * Find subscription referenced by a webhook
+   * @param {String} transactionId - Transaction ID
+   * @returns {Object} User subscription
+   */
+  async findWebhookSubscription(transactionId) {
+    const userSubscription = await UserSubscription.findOne({
+      'payment.transactionId': transactionId
+    }).populate('user').populate('subscription');
+    
+    if (!userSubscription) {
+      throw new Error('Subscription not found');
+    }
+    
+    return userSubscription;
+  }
+  
+  /**
+   * Handle Midtrans webhook
+   * Signature diverifikasi di processWebhook
+   * @param {Object} notification - Webhook notification
+   * @returns {Object} Processing result
+   */
+  async handleMidtransWebhook(notification) {
+    try {
+      const {
+        order_id,
+        transaction_id,
+        transaction_status,
+        fraud_status
+      } = notification;
+      
+      const userSubscription = await this.findWebhookSubscription(order_id);
+      
+      let outcome = 'pending';
+      
+      if (transaction_status === 'capture' || transaction_status === 'settlement') {
+        if (fraud_status === 'accept' || !fraud_status) {
+          outcome = 'paid';
+        }
+      } else if (['deny', 'cancel', 'expire', 'failure'].includes(transaction_status)) {
+        outcome = 'failed';
+      }
+      
+      const changed = await this.applyPaymentOutcome(userSubscription, outcome, {
+        gatewayTransactionId: transaction_id,
+        reason: `Midtrans: ${transaction_status}`
+      });
+      
+      logger.info('Midtrans webhook processed', {
+        orderId: order_id,
+        transactionStatus: transaction_status,
+        subscriptionId: userSubscription._id,
+        newStatus: userSubscription.status,
+        changed
+      });
+      
+      return {
+        success: true,
+        status: userSubscription.status,
+        subscriptionId: userSubscription._id
+      };
+      
+    } catch (error) {
+      logger.error('Midtrans webhook error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle Xendit webhook
+   * Callback token diverifikasi di processWebhook
+   * @param {Object} notification - Webhook notification
+   * @returns {Object} Processing result
+   */
+  async handleXenditWebhook(notification) {
+    try {
+      const {
+        external_id,
+        status,
+        id: invoice_id
+      } = notification;
+      
+      const userSubscription = await this.findWebhookSubscription(external_id);
+      
+      let outcome = 'pending';
+      
+      if (status === 'PAID' || status === 'SETTLED') {
+        outcome = 'paid';
+      } else if (['EXPIRED', 'FAILED'].includes(status)) {
+        outcome = 'failed';
+      }
+      
+      const changed = await this.applyPaymentOutcome(userSubscription, outcome, {
+        gatewayTransactionId: invoice_id,
+        reason: `Xendit: ${status}`
+      });
+      
+      logger.info('Xendit webhook processed', {
+        externalId: external_id,
+        status,
+        subscriptionId: userSubscription._id,
+        newStatus: userSubscription.status,
+        changed
+      });
+      
+      return {
+        success: true,
+        status: userSubscription.status,
+        subscriptionId: userSubscription._id
+      };
+      
+    } catch (error) {
+      logger.error('Xendit webhook error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle Stripe webhook
+   * Stripe-Signature diverifikasi di processWebhook
+   * @param {Object} event - Stripe event
+   * @returns {Object} Processing result
+   */
+  async handleStripeWebhook(event) {
+    try {
+      const { type, data } = event;
+      
+      const outcomes = {
+        'payment_intent.succeeded': 'paid',
+        'payment_intent.payment_failed': 'failed',
+        'payment_intent.canceled': 'failed'
+      };
+      
+      if (!outcomes[type]) {
+        return { success: true, message: 'Event not handled' };
+      }
+      
+      const paymentIntent = data.object;
+      const userSubscription = await this.findWebhookSubscription(paymentIntent.id);
+      
+      const changed = await this.applyPaymentOutcome(userSubscription, outcomes[type], {
+        gatewayTransactionId: paymentIntent.id,
+        reason: `Stripe: ${type}`
+      });
+      
+      logger.info('Stripe webhook processed', {
+        paymentIntentId: paymentIntent.id,
+        type,
+        subscriptionId: userSubscription._id,
+        status: userSubscription.status,
+        changed
+      });
+      
+      return {
+        success: true,
+        status: userSubscription.status,
+        subscriptionId: userSubscription._id
+      };
+      
+    } catch (error) {
+      logger.error('Stripe webhook error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Activate subscription after successful payment
+   * Bisa dipanggil ulang untuk langganan dengan activation.pending: langkah yang
+   * idempotent dijalankan lagi, statistik paket dan kupon hanya dicatat sekali
+   * @param {Object} userSubscription - User subscription
+   */
+  async activateSubscription(userSubscription) {
+    try {
+      const user = userSubscription.user;
+      const plan = userSubscription.subscription;
+      const isRenewal = !!userSubscription.renewalOf;
+      
+      if (!userSubscription.payment.paidAt) {
+        // Renewal starts when the previous period ends
+        let startDate = null;
+        if (isRenewal) {
+          const previous = await UserSubscription.findById(userSubscription.renewalOf);
+          startDate = previous ? previous.endDate : null;
+        }
+        
+        userSubscription.activate(startDate);
+        userSubscription.activation.pending = true;
+        await userSubscription.save();
+      }
+      
+      // Upgrade/downgrade replaces other running subscriptions
+      if (!isRenewal) {
+        await this.supersedeSubscriptions(userSubscription);
+      }
+      
+      // Update user subscription reference
+      user.subscription.plan = plan.slug;
+      user.subscription.expiredAt = userSubscription.endDate;
+      user.subscription.autoRenew = userSubscription.autoRenew;
+      await user.save();
+      
+      // Update plan statistics
+      await userSubscription.runActivationStep('stats', () => plan.updateStats({
+        activeSubscribers: isRenewal ? 0 : 1,
+        totalSubscribers: isRenewal ? 0 : 1,
+        [`revenue.${userSubscription.billingCycle}`]: userSubscription.payment.amount,
+        'revenue.total': userSubscription.payment.amount
+      }));
+      
+      await userSubscription.runActivationStep('coupon', () => CouponService.recordRedemption(userSubscription));
+      
+      // Create receipt for paid plans
+      const invoice = await InvoiceService.createForSubscription(userSubscription);
+      
+      userSubscription.activation.pending = false;
+      await userSubscription.save();
+      
+      // Send activation email with receipt attached
+      NotificationService.sendSubscriptionConfirmation(
+        user.email,
+        user.profile.nama || user.username,
+        plan,
+        userSubscription.endDate,
+        invoice
+      ).catch(error => logger.error('Failed to send subscription confirmation email:', error));
+      
+      logger.info('Subscription activated', {
+        userId: user._id,
+        subscriptionId: userSubscription._id,
+        planId: plan._id,
+        endDate: userSubscription.endDate,
+        invoiceNumber: invoice ? invoice.invoiceNumber : null
+      });
+      
+    } catch (error) {
+      logger.error('Activate subscription error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Expire other running subscriptions of the user after a plan change
+   * @param {Object} userSubscription - Newly activated user subscription
+   */
+  async supersedeSubscriptions(userSubscription) {
+    const userId = userSubscription.user._id || userSubscription.user;
+    
+    const previousSubscriptions = await UserSubscription.find({
+      _id: { $ne: userSubscription._id },
+      user: userId,
+      status: { $in: ['active', 'cancelled'] }
+    }).populate('subscription');
+    
+    for (const previous of previousSubscriptions) {
+      previous.setStatus('expired', `Diganti paket ${userSubscription.subscription.name}`);
+      previous.endDate = new Date();
+      await previous.save();
+      
+      if (previous.subscription) {
+        await previous.subscription.updateStats({ activeSubscribers: -1 });
+      }
+    }
+  }
+  
+  /**
+   * Get payment status
+   * @param {String} transactionId - Transaction ID
+   * @param {String} gateway - Payment gateway
+   * @returns {Object} Payment status
+   */
+  async getPaymentStatus(transactionId, gateway) {
+    try {
+      switch (gateway) {
+        case 'midtrans':
+          return await this.getMidtransStatus(transactionId);
+        case 'xendit':
+          return await this.getXenditStatus(transactionId);
+        case 'stripe':
+          return await this.getStripeStatus(transactionId);
+        default:
+          throw new Error('Payment gateway tidak didukung');
+      }
+    } catch (error) {
+      logger.error('Get payment status error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get Midtrans payment status
+   * @param {String} orderId - Order ID
+   * @returns {Object} Payment status
+   */
+  async getMidtransStatus(orderId) {
+    try {
+      const auth = Buffer.from(this.midtrans.serverKey + ':').toString('base64');
+      
+      const response = await axios.get(
+        `${this.midtrans.baseUrl}/${orderId}/status`,
+        {
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': `Basic ${auth}`
+          }
+        }
+      );
+      
+      return {
+        success: true,
+        gateway: 'midtrans',
+        status: response.data.transaction_status,
+        fraudStatus: response.data.fraud_status,
+        amount: response.data.gross_amount
+      };
+      
+    } catch (error) {
+      logger.error('Get Midtrans status error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get Xendit payment status
+   * @param {String} invoiceId - Invoice ID
+   * @returns {Object} Payment status
+   */
+  async getXenditStatus(invoiceId) {
+    try {
+      const response = await axios.get(
+        `${this.xendit.baseUrl}/v2/invoices/${invoiceId}`,
+        {
+          headers: {
+            'Authorization': `Basic ${Buffer.from(this.xendit.secretKey + ':').toString('base64')}`
+          }
+        }
+      );
+      
+      return {
+        success: true,
+        gateway: 'xendit',
+        status: response.data.status,
+        amount: response.data.amount,
+        paidAmount: response.data.paid_amount
+      };
+      
+    } catch (error) {
+      logger.error('Get Xendit status error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get Stripe payment status
+   * @param {String} paymentIntentId - Payment Intent ID
+   * @returns {Object} Payment status
+   */
+  async getStripeStatus(paymentIntentId) {
+    try {
+      const response = await axios.get(
+        `${this.stripe.baseUrl}/payment_intents/${paymentIntentId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.stripe.secretKey}`
+          }
+        }
+      );
+      
+      return {
+        success: true,
+        gateway: 'stripe',
+        status: response.data.status,
+        amount: response.data.amount / 100, // Convert from cents
+        currency: response.data.currency
+      };
+      
+    } catch (error) {
+      logger.error('Get Stripe status error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PaymentService();
\ No newline at end of file
@@ -0,0 +1,112 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// Permission role staff di-cache per proses, dihapus saat role diubah
+const ROLE_CACHE_TTL = 60 * 1000;
+
+/**
+ * Permission Service untuk resolve permission user dari role sistem dan role staff
+ */
+class PermissionService {
+  constructor() {
+    this.roleCache = new Map();
+  }
+
+  /**
+   * Get permissions of staff roles
+   * @param {Array} roleNames - Role names
+   * @returns {Promise<Array>} Permissions
+   */
+  async getRolePermissions(roleNames = []) {
+    const now = Date.now();
+    const missing = roleNames.filter(name => {
+      const cached = this.roleCache.get(name);
+      return !cached || now - cached.cachedAt > ROLE_CACHE_TTL;
+    });
+
+    if (missing.length > 0) {
+      const roles = await Role.find({ name: { $in: missing } }).select('name permissions').lean();
+      const found = new Map(roles.map(role => [role.name, role.permissions]));
+
+      // Role yang sudah dihapus di-cache sebagai tanpa permission
+      missing.forEach(name => {
+        this.roleCache.set(name, { permissions: found.get(name) || [], cachedAt: now });
+      });
+    }
+
+    return roleNames.flatMap(name => this.roleCache.get(name).permissions);
+  }
+
+  /**
+   * Get all permissions of user
+   * @param {Object} user - User
+   * @returns {Promise<Array>} Permissions ('*' untuk admin)
+   */
+  async getUserPermissions(user) {
+    if (!user) return [];
+
+    const systemPermissions = Role.getSystemRolePermissions(user.role);
+    if (systemPermissions.includes('*')) {
+      return ['*'];
+    }
+
+    const staffPermissions = await this.getRolePermissions(user.staffRoles || []);
+
+    return [...new Set([...systemPermissions, ...staffPermissions])];
+  }
+
+  /**
+   * Check permission in resolved permission list
+   * @param {Array} permissions - Resolved permissions
+   * @param {String} permission - Required permission
+   * @returns {Boolean} Has permission
+   */
+  has(permissions = [], permission) {
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  /**
+   * Check if user has permission
+   * @param {Object} user - User
+   * @param {String} permission - Required permission
+   * @returns {Promise<Boolean>} Has permission
+   */
+  async hasPermission(user, permission) {
+    return this.has(await this.getUserPermissions(user), permission);
+  }
+
+  /**
+   * Find active users that have permission through system role or staff role
+   * @param {String} permission - Required permission
+   * @param {String} select - Fields to select
+   * @returns {Promise<Array>} Users
+   */
+  async findUsersWithPermission(permission, select = '') {
+    const staffRoles = await Role.find({ permissions: permission }).select('name').lean();
+
+    return await User.find({
+      isActive: true,
+      $or: [
+        { role: { $in: Role.getSystemRolesWithPermission(permission) } },
+        { staffRoles: { $in: staffRoles.map(role => role.name) } }
+      ]
+    }).select(select);
+  }
+
+  /**
+   * Invalidate cached role permissions
+   * @param {String} roleName - Role name (kosong untuk semua role)
+   */
+  invalidate(roleName = null) {
+    if (roleName) {
+      this.roleCache.delete(roleName);
+    } else {
+      this.roleCache.clear();
+    }
+  }
+}
+
+// Create singleton instance
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
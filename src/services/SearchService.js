@@ -1,9 +1,21 @@
+const mongoose = require('mongoose');
 const Article = require('../models/Article');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const Analytics = require('../models/Analytics');
+const SearchQuery = require('../models/SearchQuery');
 const CacheService = require('./CacheService');
+const SearchUtils = require('../utils/search');
 const logger = require('../config/logger');
 
+// Jumlah artikel terbaru yang dipakai sebagai kosakata koreksi typo
+const VOCABULARY_ARTICLE_LIMIT = 2000;
+
+// Klik hanya dicatat untuk pencarian yang masih baru
+const CLICK_WINDOW_MS = 60 * 60 * 1000; // 1 jam
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Search Service for full-text search functionality
  */
@@ -12,6 +24,24 @@ class SearchService {
   constructor() {
     this.searchCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this._timer = null;
+    this._intervalMs = parseInt(process.env.SEARCH_RETENTION_INTERVAL_MS || '3600000', 10); // 1h
+    this._anonymizeDays = parseInt(process.env.SEARCH_LOG_ANONYMIZE_DAYS || '7', 10);
+    // Kata kunci populer publik hanya yang dicari oleh beberapa pengunjung berbeda
+    this._popularMinSearchers = parseInt(process.env.SEARCH_POPULAR_MIN_SEARCHERS || '3', 10);
+  }
+  
+  start() {
+    if (this._timer) return;
+    logger.info(`SearchService log retention starting with interval ${this._intervalMs} ms`);
+    this._timer = setInterval(() => this.applyRetention().catch(err => logger.error('Search log retention error:', err)), this._intervalMs);
+  }
+  
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
   }
   
   /**
@@ -81,4 +111,770 @@ class SearchService {
       
       // Add score for text search
       if (query.trim()) {
-        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });\n      }\n      \n      // Lookup author and category\n      pipeline.push(\n        {\n          $lookup: {\n            from: 'users',\n            localField: 'author',\n            foreignField: '_id',\n            as: 'author',\n            pipeline: [{ $project: { username: 1, 'profile.nama': 1, 'profile.avatar': 1 } }]\n          }\n        },\n        {\n          $lookup: {\n            from: 'categories',\n            localField: 'kategori',\n            foreignField: '_id',\n            as: 'kategori'\n          }\n        }\n      );\n      \n      // Unwind lookups\n      pipeline.push(\n        { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },\n        { $unwind: { path: '$kategori', preserveNullAndEmptyArrays: true } }\n      );\n      \n      // Project fields\n      const projectStage = {\n        judul: 1,\n        slug: 1,\n        ringkasan: 1,\n        gambarUtama: 1,\n        tags: 1,\n        views: 1,\n        createdAt: 1,\n        updatedAt: 1,\n        author: 1,\n        kategori: 1\n      };\n      \n      if (includeContent) {\n        projectStage.konten = 1;\n      }\n      \n      if (query.trim()) {\n        projectStage.score = 1;\n      }\n      \n      pipeline.push({ $project: projectStage });\n      \n      // Sort stage\n      let sortStage = {};\n      \n      switch (sortBy) {\n        case 'relevance':\n          if (query.trim()) {\n            sortStage = { score: { $meta: 'textScore' }, createdAt: -1 };\n          } else {\n            sortStage = { createdAt: -1 };\n          }\n          break;\n        case 'date':\n          sortStage = { createdAt: -1 };\n          break;\n        case 'views':\n          sortStage = { views: -1, createdAt: -1 };\n          break;\n        case 'title':\n          sortStage = { judul: 1 };\n          break;\n        default:\n          sortStage = { createdAt: -1 };\n      }\n      \n      pipeline.push({ $sort: sortStage });\n      \n      // Get total count\n      const countPipeline = [...pipeline, { $count: 'total' }];\n      const countResult = await Article.aggregate(countPipeline);\n      const total = countResult[0]?.total || 0;\n      \n      // Add pagination\n      const skip = (page - 1) * limit;\n      pipeline.push({ $skip: skip }, { $limit: limit });\n      \n      // Execute search\n      const articles = await Article.aggregate(pipeline);\n      \n      // Calculate pagination\n      const totalPages = Math.ceil(total / limit);\n      \n      const result = {\n        articles,\n        pagination: {\n          page,\n          limit,\n          total,\n          pages: totalPages,\n          hasNext: page < totalPages,\n          hasPrev: page > 1\n        },\n        searchInfo: {\n          query,\n          filters: {\n            category,\n            author,\n            tags,\n            dateFrom,\n            dateTo\n          },\n          sortBy,\n          resultsCount: articles.length,\n          totalResults: total\n        }\n      };\n      \n      // Cache the result\n      await CacheService.cacheAnalytics('search', options, result, 300); // 5 minutes\n      \n      return result;\n      \n    } catch (error) {\n      logger.error('Search articles error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get search suggestions\n   * @param {String} query - Search query\n   * @param {Number} limit - Number of suggestions\n   * @returns {Promise<Array>} Search suggestions\n   */\n  async getSearchSuggestions(query, limit = 10) {\n    try {\n      if (!query || query.length < 2) {\n        return [];\n      }\n      \n      const cacheKey = `suggestions:${query}:${limit}`;\n      const cached = await CacheService.get(cacheKey);\n      \n      if (cached) {\n        return cached;\n      }\n      \n      // Search in article titles\n      const titleSuggestions = await Article.find({\n        status: 'published',\n        judul: { $regex: query, $options: 'i' }\n      })\n      .select('judul slug')\n      .limit(limit)\n      .lean();\n      \n      // Search in tags\n      const tagSuggestions = await Article.aggregate([\n        { $match: { status: 'published' } },\n        { $unwind: '$tags' },\n        { $match: { tags: { $regex: query, $options: 'i' } } },\n        { $group: { _id: '$tags', count: { $sum: 1 } } },\n        { $sort: { count: -1 } },\n        { $limit: limit }\n      ]);\n      \n      // Search in categories\n      const categorySuggestions = await Category.find({\n        nama: { $regex: query, $options: 'i' }\n      })\n      .select('nama slug')\n      .limit(5)\n      .lean();\n      \n      const suggestions = {\n        articles: titleSuggestions.map(article => ({\n          type: 'article',\n          title: article.judul,\n          slug: article.slug,\n          url: `/blog/${article.slug}`\n        })),\n        tags: tagSuggestions.map(tag => ({\n          type: 'tag',\n          title: tag._id,\n          count: tag.count,\n          url: `/blog?tag=${encodeURIComponent(tag._id)}`\n        })),\n        categories: categorySuggestions.map(category => ({\n          type: 'category',\n          title: category.nama,\n          slug: category.slug,\n          url: `/blog?category=${category.slug}`\n        }))\n      };\n      \n      // Cache suggestions\n      await CacheService.set(cacheKey, suggestions, 1800); // 30 minutes\n      \n      return suggestions;\n      \n    } catch (error) {\n      logger.error('Get search suggestions error:', error);\n      return { articles: [], tags: [], categories: [] };\n    }\n  }\n  \n  /**\n   * Search users\n   * @param {String} query - Search query\n   * @param {Object} options - Search options\n   * @returns {Promise<Object>} Search results\n   */\n  async searchUsers(query, options = {}) {\n    try {\n      const {\n        role = null,\n        isActive = true,\n        page = 1,\n        limit = 10\n      } = options;\n      \n      const matchStage = {\n        isActive,\n        $or: [\n          { username: { $regex: query, $options: 'i' } },\n          { email: { $regex: query, $options: 'i' } },\n          { 'profile.nama': { $regex: query, $options: 'i' } }\n        ]\n      };\n      \n      if (role) {\n        matchStage.role = role;\n      }\n      \n      const pipeline = [\n        { $match: matchStage },\n        {\n          $project: {\n            username: 1,\n            email: 1,\n            'profile.nama': 1,\n            'profile.avatar': 1,\n            'profile.bio': 1,\n            role: 1,\n            createdAt: 1\n          }\n        },\n        { $sort: { 'profile.nama': 1, username: 1 } }\n      ];\n      \n      // Get total count\n      const countPipeline = [...pipeline, { $count: 'total' }];\n      const countResult = await User.aggregate(countPipeline);\n      const total = countResult[0]?.total || 0;\n      \n      // Add pagination\n      const skip = (page - 1) * limit;\n      pipeline.push({ $skip: skip }, { $limit: limit });\n      \n      const users = await User.aggregate(pipeline);\n      \n      return {\n        users,\n        pagination: {\n          page,\n          limit,\n          total,\n          pages: Math.ceil(total / limit)\n        }\n      };\n      \n    } catch (error) {\n      logger.error('Search users error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Advanced search with multiple filters\n   * @param {Object} filters - Search filters\n   * @returns {Promise<Object>} Search results\n   */\n  async advancedSearch(filters = {}) {\n    try {\n      const {\n        query = '',\n        type = 'all', // all, articles, users, categories\n        ...otherFilters\n      } = filters;\n      \n      const results = {};\n      \n      if (type === 'all' || type === 'articles') {\n        results.articles = await this.searchArticles({ query, ...otherFilters });\n      }\n      \n      if (type === 'all' || type === 'users') {\n        results.users = await this.searchUsers(query, otherFilters);\n      }\n      \n      if (type === 'all' || type === 'categories') {\n        results.categories = await this.searchCategories(query, otherFilters);\n      }\n      \n      return results;\n      \n    } catch (error) {\n      logger.error('Advanced search error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Search categories\n   * @param {String} query - Search query\n   * @param {Object} options - Search options\n   * @returns {Promise<Object>} Search results\n   */\n  async searchCategories(query, options = {}) {\n    try {\n      const { page = 1, limit = 10 } = options;\n      \n      const matchStage = {\n        $or: [\n          { nama: { $regex: query, $options: 'i' } },\n          { deskripsi: { $regex: query, $options: 'i' } }\n        ]\n      };\n      \n      const pipeline = [\n        { $match: matchStage },\n        {\n          $lookup: {\n            from: 'articles',\n            localField: '_id',\n            foreignField: 'kategori',\n            as: 'articles'\n          }\n        },\n        {\n          $addFields: {\n            articleCount: { $size: '$articles' }\n          }\n        },\n        {\n          $project: {\n            nama: 1,\n            slug: 1,\n            deskripsi: 1,\n            articleCount: 1,\n            createdAt: 1\n          }\n        },\n        { $sort: { articleCount: -1, nama: 1 } }\n      ];\n      \n      // Get total count\n      const countPipeline = [...pipeline, { $count: 'total' }];\n      const countResult = await Category.aggregate(countPipeline);\n      const total = countResult[0]?.total || 0;\n      \n      // Add pagination\n      const skip = (page - 1) * limit;\n      pipeline.push({ $skip: skip }, { $limit: limit });\n      \n      const categories = await Category.aggregate(pipeline);\n      \n      return {\n        categories,\n        pagination: {\n          page,\n          limit,\n          total,\n          pages: Math.ceil(total / limit)\n        }\n      };\n      \n    } catch (error) {\n      logger.error('Search categories error:', error);\n      throw error;\n    }\n  }\n  \n  /**\n   * Get popular search terms\n   * @param {Number} limit - Number of terms to return\n   * @returns {Promise<Array>} Popular search terms\n   */\n  async getPopularSearchTerms(limit = 10) {\n    try {\n      const cacheKey = 'popular-search-terms';\n      const cached = await CacheService.get(cacheKey);\n      \n      if (cached) {\n        return cached;\n      }\n      \n      // This would typically come from search analytics\n      // For now, we'll return popular tags\n      const popularTerms = await Article.aggregate([\n        { $match: { status: 'published' } },\n        { $unwind: '$tags' },\n        { $group: { _id: '$tags', count: { $sum: 1 } } },\n        { $sort: { count: -1 } },\n        { $limit: limit },\n        {\n          $project: {\n            term: '$_id',\n            count: 1,\n            _id: 0\n          }\n        }\n      ]);\n      \n      // Cache for 1 hour\n      await CacheService.set(cacheKey, popularTerms, 3600);\n      \n      return popularTerms;\n      \n    } catch (error) {\n      logger.error('Get popular search terms error:', error);\n      return [];\n    }\n  }\n  \n  /**\n   * Log search query for analytics\n   * @param {String} query - Search query\n   * @param {String} userId - User ID (optional)\n   * @param {Number} resultsCount - Number of results\n   */\n  async logSearch(query, userId = null, resultsCount = 0) {\n    try {\n      // Increment search counter\n      const searchKey = `search-count:${query.toLowerCase()}`;\n      await CacheService.incr(searchKey, 1, 86400 * 7); // Keep for 7 days\n      \n      // Log search event\n      logger.info('Search performed', {\n        query,\n        userId,\n        resultsCount,\n        timestamp: new Date().toISOString()\n      });\n      \n    } catch (error) {\n      logger.error('Log search error:', error);\n    }\n  }\n  \n  /**\n   * Get search analytics\n   * @param {Object} options - Analytics options\n   * @returns {Promise<Object>} Search analytics\n   */\n  async getSearchAnalytics(options = {}) {\n    try {\n      const {\n        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),\n        endDate = new Date()\n      } = options;\n      \n      // This would typically come from a dedicated analytics collection\n      // For now, we'll return basic statistics\n      const analytics = {\n        totalSearches: 0,\n        uniqueQueries: 0,\n        popularTerms: await this.getPopularSearchTerms(10),\n        searchTrends: [],\n        noResultsQueries: []\n      };\n      \n      return analytics;\n      \n    } catch (error) {\n      logger.error('Get search analytics error:', error);\n      return {\n        totalSearches: 0,\n        uniqueQueries: 0,\n        popularTerms: [],\n        searchTrends: [],\n        noResultsQueries: []\n      };\n    }\n  }\n}\n\n// Create singleton instance\nconst searchService = new SearchService();\n\nmodule.exports = searchService;
\ No newline at end of file
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+      }
+      
+      // Lookup author and category
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'author',
+            foreignField: '_id',
+            as: 'author',
+            pipeline: [{ $project: { username: 1, 'profile.nama': 1, 'profile.avatar': 1 } }]
+          }
+        },
+        {
+          $lookup: {
+            from: 'categories',
+            localField: 'kategori',
+            foreignField: '_id',
+            as: 'kategori'
+          }
+        }
+      );
+      
+      // Unwind lookups
+      pipeline.push(
+        { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+        { $unwind: { path: '$kategori', preserveNullAndEmptyArrays: true } }
+      );
+      
+      // Project fields
+      const projectStage = {
+        judul: 1,
+        slug: 1,
+        ringkasan: 1,
+        gambarUtama: 1,
+        tags: 1,
+        views: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        author: 1,
+        kategori: 1
+      };
+      
+      if (includeContent) {
+        projectStage.konten = 1;
+      }
+      
+      if (query.trim()) {
+        projectStage.score = 1;
+      }
+      
+      pipeline.push({ $project: projectStage });
+      
+      // Sort stage
+      let sortStage = {};
+      
+      switch (sortBy) {
+        case 'relevance':
+          if (query.trim()) {
+            sortStage = { score: { $meta: 'textScore' }, createdAt: -1 };
+          } else {
+            sortStage = { createdAt: -1 };
+          }
+          break;
+        case 'date':
+          sortStage = { createdAt: -1 };
+          break;
+        case 'views':
+          sortStage = { views: -1, createdAt: -1 };
+          break;
+        case 'title':
+          sortStage = { judul: 1 };
+          break;
+        default:
+          sortStage = { createdAt: -1 };
+      }
+      
+      pipeline.push({ $sort: sortStage });
+      
+      // Get total count
+      const countPipeline = [...pipeline, { $count: 'total' }];
+      const countResult = await Article.aggregate(countPipeline);
+      const total = countResult[0]?.total || 0;
+      
+      // Add pagination
+      const skip = (page - 1) * limit;
+      pipeline.push({ $skip: skip }, { $limit: limit });
+      
+      // Execute search
+      const articles = await Article.aggregate(pipeline);
+      
+      // Calculate pagination
+      const totalPages = Math.ceil(total / limit);
+      
+      const result = {
+        articles,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        searchInfo: {
+          query,
+          filters: {
+            category,
+            author,
+            tags,
+            dateFrom,
+            dateTo
+          },
+          sortBy,
+          resultsCount: articles.length,
+          totalResults: total
+        }
+      };
+      
+      // Cache the result
+      await CacheService.cacheAnalytics('search', options, result, 300); // 5 minutes
+      
+      return result;
+      
+    } catch (error) {
+      logger.error('Search articles error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get search suggestions (autocomplete) from titles, tags and categories
+   * Bila hasil kurang dari limit, query dikoreksi terhadap kosakata konten (toleransi typo)
+   * @param {String} query - Search query
+   * @param {Number} limit - Number of suggestions
+   * @returns {Promise<Object>} Search suggestions ({ articles, tags, categories, didYouMean })
+   */
+  async getSearchSuggestions(query, limit = 10) {
+    const empty = { articles: [], tags: [], categories: [], didYouMean: null };
+    
+    try {
+      const term = SearchUtils.normalizeTerm(query);
+      
+      if (term.length < 2) {
+        return empty;
+      }
+      
+      const cacheKey = `suggestions:${term}:${limit}`;
+      const cached = await CacheService.get(cacheKey);
+      
+      if (cached) {
+        return cached;
+      }
+      
+      let suggestions = { ...await this.findSuggestions(term, limit), didYouMean: null };
+      
+      const total = suggestions.articles.length + suggestions.tags.length + suggestions.categories.length;
+      
+      if (total < limit) {
+        const correction = await this.getCorrection(term);
+        
+        if (correction) {
+          const corrected = await this.findSuggestions(correction, limit);
+          suggestions = {
+            articles: this.mergeSuggestions(suggestions.articles, corrected.articles, limit),
+            tags: this.mergeSuggestions(suggestions.tags, corrected.tags, limit),
+            categories: this.mergeSuggestions(suggestions.categories, corrected.categories, limit),
+            didYouMean: correction
+          };
+        }
+      }
+      
+      // Cache suggestions
+      await CacheService.set(cacheKey, suggestions, 1800); // 30 minutes
+      
+      return suggestions;
+      
+    } catch (error) {
+      logger.error('Get search suggestions error:', error);
+      return empty;
+    }
+  }
+  
+  /**
+   * Find suggestions containing term
+   * @param {String} term - Normalized search term
+   * @param {Number} limit - Number of suggestions per type
+   * @returns {Promise<Object>} { articles, tags, categories }
+   */
+  async findSuggestions(term, limit) {
+    const pattern = SearchUtils.escapeRegex(term);
+    
+    const [titleSuggestions, tagSuggestions, categorySuggestions] = await Promise.all([
+      // Search in article titles
+      Article.find({
+        status: 'published',
+        judul: { $regex: pattern, $options: 'i' }
+      })
+      .select('judul slug')
+      .sort({ 'metadata.views': -1 })
+      .limit(limit)
+      .lean(),
+      
+      // Search in tags
+      Article.aggregate([
+        { $match: { status: 'published', tags: { $regex: pattern, $options: 'i' } } },
+        { $unwind: '$tags' },
+        { $match: { tags: { $regex: pattern, $options: 'i' } } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: limit }
+      ]),
+      
+      // Search in categories
+      Category.find({
+        nama: { $regex: pattern, $options: 'i' }
+      })
+      .select('nama slug')
+      .limit(5)
+      .lean()
+    ]);
+    
+    return {
+      articles: titleSuggestions.map(article => ({
+        type: 'article',
+        title: article.judul,
+        slug: article.slug,
+        url: `/blog/${article.slug}`
+      })),
+      tags: tagSuggestions.map(tag => ({
+        type: 'tag',
+        title: tag._id,
+        count: tag.count,
+        url: `/blog?tag=${encodeURIComponent(tag._id)}`
+      })),
+      categories: categorySuggestions.map(category => ({
+        type: 'category',
+        title: category.nama,
+        slug: category.slug,
+        url: `/blog?category=${category.slug}`
+      }))
+    };
+  }
+  
+  /**
+   * Merge suggestion lists without duplicates
+   * @param {Array} primary - Suggestions of original query
+   * @param {Array} secondary - Suggestions of corrected query
+   * @param {Number} limit - Max suggestions
+   * @returns {Array} Merged suggestions
+   */
+  mergeSuggestions(primary, secondary, limit) {
+    const urls = new Set(primary.map(item => item.url));
+    
+    return primary
+      .concat(secondary.filter(item => !urls.has(item.url)))
+      .slice(0, limit);
+  }
+  
+  /**
+   * Get vocabulary (kata dari judul, tag dan kategori) untuk koreksi typo
+   * Kata dari tag dan kategori diberi bobot lebih tinggi dari kata judul
+   * @returns {Promise<Map>} Word to weight
+   */
+  async getVocabulary() {
+    const cached = this.searchCache.get('vocabulary');
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.words;
+    }
+    
+    const [articles, categories] = await Promise.all([
+      Article.find({ status: 'published' })
+        .select('judul tags')
+        .sort({ publishedAt: -1 })
+        .limit(VOCABULARY_ARTICLE_LIMIT)
+        .lean(),
+      Category.find({}).select('nama').lean()
+    ]);
+    
+    const words = new Map();
+    const addWords = (text, weight) => {
+      for (const word of SearchUtils.tokenize(text)) {
+        if (word.length >= 3) {
+          words.set(word, (words.get(word) || 0) + weight);
+        }
+      }
+    };
+    
+    articles.forEach(article => {
+      addWords(article.judul, 1);
+      (article.tags || []).forEach(tag => addWords(tag, 2));
+    });
+    categories.forEach(category => addWords(category.nama, 3));
+    
+    this.searchCache.set('vocabulary', { words, expiresAt: Date.now() + this.cacheTimeout });
+    
+    return words;
+  }
+  
+  /**
+   * Correct typos in search term against content vocabulary
+   * Kata terakhir dianggap bisa belum selesai diketik (autocomplete)
+   * @param {String} term - Normalized search term
+   * @returns {Promise<String|null>} Corrected term, null bila tidak ada koreksi
+   */
+  async getCorrection(term) {
+    const words = await this.getVocabulary();
+    const tokens = SearchUtils.tokenize(term);
+    let changed = false;
+    
+    const corrected = tokens.map((token, index) => {
+      const isLast = index === tokens.length - 1;
+      
+      if (words.has(token)) return token;
+      if (isLast && [...words.keys()].some(word => word.startsWith(token))) return token;
+      
+      const maxDistance = SearchUtils.maxTypoDistance(token);
+      if (maxDistance === 0) return token;
+      
+      let best = null;
+      
+      for (const [word, weight] of words) {
+        const distance = isLast
+          ? SearchUtils.prefixDistance(token, word, maxDistance)
+          : SearchUtils.editDistance(token, word, maxDistance);
+        
+        if (distance > maxDistance) continue;
+        
+        if (!best || distance < best.distance || (distance === best.distance && weight > best.weight)) {
+          best = { word, distance, weight };
+        }
+      }
+      
+      if (!best) return token;
+      
+      changed = true;
+      return best.word;
+    });
+    
+    return changed ? corrected.join(' ') : null;
+  }
+  
+  /**
+   * Search users
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>} Search results
+   */
+  async searchUsers(query, options = {}) {
+    try {
+      const {
+        role = null,
+        isActive = true,
+        page = 1,
+        limit = 10
+      } = options;
+      
+      const matchStage = {
+        isActive,
+        $or: [
+          { username: { $regex: query, $options: 'i' } },
+          { email: { $regex: query, $options: 'i' } },
+          { 'profile.nama': { $regex: query, $options: 'i' } }
+        ]
+      };
+      
+      if (role) {
+        matchStage.role = role;
+      }
+      
+      const pipeline = [
+        { $match: matchStage },
+        {
+          $project: {
+            username: 1,
+            email: 1,
+            'profile.nama': 1,
+            'profile.avatar': 1,
+            'profile.bio': 1,
+            role: 1,
+            createdAt: 1
+          }
+        },
+        { $sort: { 'profile.nama': 1, username: 1 } }
+      ];
+      
+      // Get total count
+      const countPipeline = [...pipeline, { $count: 'total' }];
+      const countResult = await User.aggregate(countPipeline);
+      const total = countResult[0]?.total || 0;
+      
+      // Add pagination
+      const skip = (page - 1) * limit;
+      pipeline.push({ $skip: skip }, { $limit: limit });
+      
+      const users = await User.aggregate(pipeline);
+      
+      return {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+      
+    } catch (error) {
+      logger.error('Search users error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Advanced search with multiple filters
+   * @param {Object} filters - Search filters
+   * @returns {Promise<Object>} Search results
+   */
+  async advancedSearch(filters = {}) {
+    try {
+      const {
+        query = '',
+        type = 'all', // all, articles, users, categories
+        ...otherFilters
+      } = filters;
+      
+      const results = {};
+      
+      if (type === 'all' || type === 'articles') {
+        results.articles = await this.searchArticles({ query, ...otherFilters });
+      }
+      
+      if (type === 'all' || type === 'users') {
+        results.users = await this.searchUsers(query, otherFilters);
+      }
+      
+      if (type === 'all' || type === 'categories') {
+        results.categories = await this.searchCategories(query, otherFilters);
+      }
+      
+      return results;
+      
+    } catch (error) {
+      logger.error('Advanced search error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Search categories
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>} Search results
+   */
+  async searchCategories(query, options = {}) {
+    try {
+      const { page = 1, limit = 10 } = options;
+      
+      const matchStage = {
+        $or: [
+          { nama: { $regex: query, $options: 'i' } },
+          { deskripsi: { $regex: query, $options: 'i' } }
+        ]
+      };
+      
+      const pipeline = [
+        { $match: matchStage },
+        {
+          $lookup: {
+            from: 'articles',
+            localField: '_id',
+            foreignField: 'kategori',
+            as: 'articles'
+          }
+        },
+        {
+          $addFields: {
+            articleCount: { $size: '$articles' }
+          }
+        },
+        {
+          $project: {
+            nama: 1,
+            slug: 1,
+            deskripsi: 1,
+            articleCount: 1,
+            createdAt: 1
+          }
+        },
+        { $sort: { articleCount: -1, nama: 1 } }
+      ];
+      
+      // Get total count
+      const countPipeline = [...pipeline, { $count: 'total' }];
+      const countResult = await Category.aggregate(countPipeline);
+      const total = countResult[0]?.total || 0;
+      
+      // Add pagination
+      const skip = (page - 1) * limit;
+      pipeline.push({ $skip: skip }, { $limit: limit });
+      
+      const categories = await Category.aggregate(pipeline);
+      
+      return {
+        categories,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+      
+    } catch (error) {
+      logger.error('Search categories error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get popular search terms (public)
+   * Hanya term dengan hasil dan dicari oleh minimal SEARCH_POPULAR_MIN_SEARCHERS pengunjung berbeda,
+   * sehingga query milik satu orang tidak ikut tampil
+   * @param {Number} limit - Number of terms to return
+   * @param {Object} options - { days, minSearchers }
+   * @returns {Promise<Array>} Popular search terms
+   */
+  async getPopularSearchTerms(limit = 10, options = {}) {
+    try {
+      const {
+        days = 30,
+        minSearchers = this._popularMinSearchers
+      } = options;
+      
+      const cacheKey = `popular-search-terms:${limit}:${days}:${minSearchers}`;
+      const cached = await CacheService.get(cacheKey);
+      
+      if (cached) {
+        return cached;
+      }
+      
+      const popularTerms = await SearchQuery.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: new Date(Date.now() - days * DAY_MS) },
+            resultsCount: { $gt: 0 }
+          }
+        },
+        ...this.buildTermReportStages(),
+        { $match: { uniqueSearchers: { $gte: minSearchers } } },
+        { $sort: { count: -1, term: 1 } },
+        { $limit: limit },
+        { $project: { term: 1, count: 1 } }
+      ]);
+      
+      // Cache for 1 hour
+      await CacheService.set(cacheKey, popularTerms, 3600);
+      
+      return popularTerms;
+      
+    } catch (error) {
+      logger.error('Get popular search terms error:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Aggregation stages grouping search logs per term
+   * @returns {Array} Pipeline stages
+   */
+  buildTermReportStages() {
+    return [
+      {
+        $group: {
+          _id: '$term',
+          count: { $sum: 1 },
+          // Log tanpa session (anonim) dihitung sebagai satu pengunjung
+          searchers: { $addToSet: '$sessionId' },
+          clicks: { $sum: { $cond: [{ $gt: ['$clickedResult.articleId', null] }, 1, 0] } },
+          avgResults: { $avg: '$resultsCount' },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          term: '$_id',
+          count: 1,
+          uniqueSearchers: { $size: '$searchers' },
+          clicks: 1,
+          avgResults: { $round: ['$avgResults', 1] },
+          lastSearchedAt: 1
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Log search query for analytics
+   * Query kosong dan query yang terlihat seperti data pribadi (email, nomor telepon) tidak disimpan
+   * @param {String} query - Search query
+   * @param {String} userId - User ID (optional)
+   * @param {Number} resultsCount - Number of results
+   * @param {Object} options - { source, ipAddress, userAgent, doNotTrack }
+   * @returns {Promise<Object|null>} Search log (dipakai sebagai searchId untuk click tracking)
+   */
+  async logSearch(query, userId = null, resultsCount = 0, options = {}) {
+    try {
+      const term = SearchUtils.normalizeTerm(query);
+      
+      if (!term || SearchUtils.isSensitiveTerm(term)) {
+        return null;
+      }
+      
+      const { source = 'articles', ipAddress, userAgent, doNotTrack = false } = options;
+      
+      // Header DNT: tetap dihitung untuk statistik, tanpa user dan session
+      const sessionId = !doNotTrack && (ipAddress || userAgent)
+        ? Analytics.buildSessionId(ipAddress, userAgent)
+        : null;
+      
+      return await SearchQuery.create({
+        term: term.substring(0, 200),
+        source,
+        resultsCount,
+        userId: doNotTrack ? null : userId || null,
+        sessionId
+      });
+      
+    } catch (error) {
+      logger.error('Log search error:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Record clicked result of a search
+   * Hanya klik pertama yang dicatat, dalam CLICK_WINDOW_MS setelah pencarian
+   * @param {String} searchId - Search log ID
+   * @param {Object} click - { articleId, position }
+   * @returns {Promise<Boolean>} Recorded
+   */
+  async logClick(searchId, { articleId, position = null }) {
+    if (!mongoose.isValidObjectId(searchId) || !mongoose.isValidObjectId(articleId)) {
+      return false;
+    }
+    
+    const result = await SearchQuery.updateOne(
+      {
+        _id: searchId,
+        'clickedResult.articleId': null,
+        createdAt: { $gte: new Date(Date.now() - CLICK_WINDOW_MS) }
+      },
+      {
+        $set: {
+          'clickedResult.articleId': articleId,
+          'clickedResult.position': position,
+          'clickedResult.clickedAt': new Date()
+        }
+      }
+    );
+    
+    return result.modifiedCount > 0;
+  }
+  
+  /**
+   * Get search analytics (admin)
+   * @param {Object} options - { startDate, endDate, limit }
+   * @returns {Promise<Object>} Search analytics
+   */
+  async getSearchAnalytics(options = {}) {
+    const {
+      startDate = new Date(Date.now() - 30 * DAY_MS),
+      endDate = new Date(),
+      limit = 20
+    } = options;
+    
+    const [result] = await SearchQuery.aggregate([
+      { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalSearches: { $sum: 1 },
+                zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } },
+                clickedSearches: { $sum: { $cond: [{ $gt: ['$clickedResult.articleId', null] }, 1, 0] } }
+              }
+            }
+          ],
+          uniqueQueries: [
+            { $group: { _id: '$term' } },
+            { $count: 'total' }
+          ],
+          popularTerms: [
+            ...this.buildTermReportStages(),
+            { $sort: { count: -1, term: 1 } },
+            { $limit: limit }
+          ],
+          noResultsQueries: [
+            { $match: { resultsCount: 0 } },
+            ...this.buildTermReportStages(),
+            { $sort: { count: -1, term: 1 } },
+            { $limit: limit },
+            { $project: { avgResults: 0, clicks: 0 } }
+          ],
+          searchTrends: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                searches: { $sum: 1 },
+                zeroResults: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } }
+              }
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, date: '$_id', searches: 1, zeroResults: 1 } }
+          ]
+        }
+      }
+    ]);
+    
+    const summary = result.summary[0] || { totalSearches: 0, zeroResultSearches: 0, clickedSearches: 0 };
+    const rate = (value) => summary.totalSearches > 0
+      ? Math.round((value / summary.totalSearches) * 1000) / 10
+      : 0;
+    
+    return {
+      period: { startDate, endDate },
+      totalSearches: summary.totalSearches,
+      uniqueQueries: result.uniqueQueries[0]?.total || 0,
+      zeroResultSearches: summary.zeroResultSearches,
+      zeroResultRate: rate(summary.zeroResultSearches),
+      clickThroughRate: rate(summary.clickedSearches),
+      popularTerms: result.popularTerms,
+      searchTrends: result.searchTrends,
+      noResultsQueries: result.noResultsQueries
+    };
+  }
+  
+  /**
+   * Anonymize old search logs
+   * userId dihapus setelah SEARCH_LOG_ANONYMIZE_DAYS, session hash harian tetap disimpan
+   * untuk menghitung pengunjung unik; log dihapus TTL index setelah SEARCH_LOG_RETENTION_DAYS
+   * @returns {Promise<Number>} Number of anonymized logs
+   */
+  async applyRetention() {
+    const cutoff = new Date(Date.now() - this._anonymizeDays * DAY_MS);
+    
+    const result = await SearchQuery.updateMany(
+      { createdAt: { $lt: cutoff }, userId: { $ne: null } },
+      { $set: { userId: null } }
+    );
+    
+    if (result.modifiedCount > 0) {
+      logger.info('Search logs anonymized', { count: result.modifiedCount });
+    }
+    
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
@@ -1,5 +1,6 @@
 const logger = require('../config/logger');
 const ScheduledPost = require('../models/ScheduledPost');
+const Article = require('../models/Article');
 const User = require('../models/User');
 const SocialMediaService = require('./SocialMediaService');
 
@@ -106,6 +107,25 @@ class SocialSchedulerService {
 
       await job.save();
 
+      if (job.article) {
+        await Article.updateOne(
+          { _id: job.article },
+          {
+            $push: {
+              'socialMedia.postHistory': {
+                $each: results.map(r => ({
+                  platform: r.platform,
+                  postId: r.postId,
+                  postedAt: r.postedAt,
+                  status: r.status,
+                  error: r.error
+                }))
+              }
+            }
+          }
+        );
+      }
+
       logger.info('Scheduled post processed', {
         jobId: job._id.toString(),
         successCount,
@@ -1,6 +1,8 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const CollaborativeEditingService = require('./CollaborativeEditingService');
 const logger = require('../config/logger');
 
 /**
@@ -60,6 +62,16 @@ class SocketService {
       this.handleConnection(socket);
     });
     
+    // Operasi dari server (sanitasi dan penggabungan update lewat API) ke semua peserta
+    CollaborativeEditingService.on('operation', ({ articleId, revision, operations }) => {
+      this.io.to(`edit:${articleId}`).emit('edit-operation', {
+        articleId,
+        revision,
+        operations,
+        userId: null
+      });
+    });
+    
     logger.info('Socket.IO server initialized');
   }
   
@@ -141,6 +153,84 @@ class SocketService {
       });
     });
     
+    // Collaborative editing (owner, co-author dan reviewer artikel)
+    socket.on('join-edit', async (articleId) => {
+      try {
+        const session = await CollaborativeEditingService.join(String(articleId), socket.id, socket.user);
+        
+        // Socket terputus selama proses join
+        if (!socket.connected) {
+          await CollaborativeEditingService.leave(String(articleId), socket.id);
+          return;
+        }
+        
+        socket.join(`edit:${articleId}`);
+        socket.emit('edit-session', { articleId, ...session });
+        this.emitEditPresence(articleId);
+      } catch (error) {
+        if (!error.code) {
+          logger.error('Join edit session error:', error);
+        }
+        socket.emit('edit-error', {
+          articleId,
+          code: error.code || 'EDIT_SESSION_ERROR',
+          message: error.code ? error.message : 'Terjadi kesalahan saat bergabung ke sesi edit'
+        });
+      }
+    });
+    
+    socket.on('leave-edit', async (articleId) => {
+      try {
+        socket.leave(`edit:${articleId}`);
+        if (await CollaborativeEditingService.leave(String(articleId), socket.id)) {
+          this.emitEditPresence(articleId);
+        }
+      } catch (error) {
+        logger.error('Leave edit session error:', error);
+      }
+    });
+    
+    socket.on('edit-operation', async (data = {}) => {
+      const { articleId, revision, operations } = data;
+      
+      try {
+        const result = await CollaborativeEditingService.submitOperations(String(articleId), socket.id, revision, operations);
+        
+        socket.emit('edit-ack', { articleId, revision: result.revision });
+        socket.to(`edit:${articleId}`).emit('edit-operation', {
+          articleId,
+          revision: result.revision,
+          operations: result.operations,
+          userId
+        });
+      } catch (error) {
+        if (!error.code) {
+          logger.error('Edit operation error:', error);
+        }
+        
+        // Akses dicabut selama sesi, peserta sudah dikeluarkan dari sesi
+        if (['ACCESS_DENIED', 'ARTICLE_NOT_FOUND'].includes(error.code)) {
+          socket.leave(`edit:${articleId}`);
+          this.emitEditPresence(articleId);
+        }
+        socket.emit('edit-error', {
+          articleId,
+          code: error.code || 'EDIT_OPERATION_ERROR',
+          message: error.code ? error.message : 'Terjadi kesalahan saat menerapkan perubahan'
+        });
+      }
+    });
+    
+    socket.on('edit-cursor', (data = {}) => {
+      const participant = CollaborativeEditingService.updateCursor(String(data.articleId), socket.id, data);
+      if (!participant) return;
+      
+      socket.to(`edit:${data.articleId}`).emit('edit-cursor', {
+        articleId: data.articleId,
+        ...participant
+      });
+    });
+    
     // Handle online status
     socket.on('update-status', (status) => {
       if (['online', 'away', 'busy'].includes(status)) {
@@ -153,9 +243,16 @@ class SocketService {
     });
     
     // Handle read receipts
-    socket.on('mark-notification-read', (notificationId) => {
-      // TODO: Update notification as read in database
-      socket.emit('notification-read', { notificationId });
+    socket.on('mark-notification-read', async (notificationId) => {
+      try {
+        const notification = await Notification.markAsRead(notificationId, userId);
+        if (!notification) return;
+        
+        const unreadCount = await Notification.countUnread(userId);
+        socket.emit('notification-read', { notificationId, unreadCount });
+      } catch (error) {
+        logger.error('Mark notification read error:', error);
+      }
     });
     
     // Admin events
@@ -177,6 +274,11 @@ class SocketService {
   handleDisconnection(socket) {
     const userId = socket.userId;
     
+    // Keluar dari semua sesi edit bersama
+    CollaborativeEditingService.leaveAll(socket.id)
+      .then(articleIds => articleIds.forEach(articleId => this.emitEditPresence(articleId)))
+      .catch(error => logger.error('Leave edit sessions error:', error));
+    
     // Remove user from maps
     this.connectedUsers.delete(userId);
     this.userSockets.delete(socket.id);
@@ -197,20 +299,36 @@ class SocketService {
   
   /**
    * Send notification to specific user
+   * Notification disimpan ke inbox terlebih dahulu supaya user yang sedang
+   * offline tetap bisa melihatnya nanti
    * @param {String} userId - Target user ID
    * @param {String} type - Notification type
    * @param {Object} data - Notification data
+   * @returns {Promise<Object|null>} Stored notification
    */
-  sendToUser(userId, type, data) {
-    if (!this.io) return;
+  async sendToUser(userId, type, data) {
+    let notification = null;
+    
+    try {
+      notification = await Notification.createForUser(userId, type, data);
+    } catch (error) {
+      logger.error('Failed to store notification:', error);
+    }
+    
+    if (!this.io) return notification;
     
     this.io.to(`user:${userId}`).emit('notification', {
+      id: notification ? notification._id : null,
       type,
+      title: notification ? notification.title : null,
+      message: notification ? notification.message : null,
       data,
       timestamp: new Date().toISOString()
     });
     
     logger.debug('Notification sent to user', { userId, type });
+    
+    return notification;
   }
   
   /**
@@ -238,6 +356,20 @@ class SocketService {
     logger.debug('Notification sent to article subscribers', { articleId, type });
   }
   
+  /**
+   * Send presence of collaborative editing session
+   * @param {String} articleId - Article ID
+   */
+  emitEditPresence(articleId) {
+    if (!this.io) return;
+    
+    this.io.to(`edit:${articleId}`).emit('edit-presence', {
+      articleId,
+      participants: CollaborativeEditingService.getParticipants(String(articleId)),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   /**
    * Send notification to all admin users
    * @param {String} type - Notification type
@@ -274,17 +406,22 @@ class SocketService {
   
   /**
    * Send new comment notification
-   * @param {Object} comment - Comment object
+   * @param {Object} comment - Comment object (penulis populated)
    * @param {Object} article - Article object
    */
-  notifyNewComment(comment, article) {
+  async notifyNewComment(comment, article) {
+    const commenter = comment.penulis;
+    const commenterId = (commenter._id || commenter).toString();
+    const authorId = (article.penulis._id || article.penulis).toString();
+    
     // Notify article author
-    if (comment.author.toString() !== article.author.toString()) {
-      this.sendToUser(article.author.toString(), 'new-comment', {
+    if (commenterId !== authorId) {
+      await this.sendToUser(authorId, 'new-comment', {
         commentId: comment._id,
         articleId: article._id,
+        articleSlug: article.slug,
         articleTitle: article.judul,
-        commenterName: comment.author.profile?.nama || comment.author.username,
+        commenterName: commenter.profile?.nama || commenter.username,
         commentContent: comment.konten.substring(0, 100) + (comment.konten.length > 100 ? '...' : '')
       });
     }
@@ -293,13 +430,13 @@ class SocketService {
     this.sendToArticle(article._id.toString(), 'article-comment', {
       commentId: comment._id,
       author: {
-        id: comment.author._id,
-        name: comment.author.profile?.nama || comment.author.username,
-        avatar: comment.author.profile?.avatar
+        id: commenterId,
+        name: commenter.profile?.nama || commenter.username,
+        avatar: commenter.profile?.foto
       },
       content: comment.konten,
       createdAt: comment.createdAt
-    }, comment.author.toString());
+    }, commenterId);
   }
   
   /**
@@ -307,10 +444,13 @@ class SocketService {
    * @param {Object} user - User who liked
    * @param {Object} article - Article object
    */
-  notifyArticleLike(user, article) {
-    if (user._id.toString() !== article.author.toString()) {
-      this.sendToUser(article.author.toString(), 'article-like', {
+  async notifyArticleLike(user, article) {
+    const authorId = (article.penulis._id || article.penulis).toString();
+    
+    if (user._id.toString() !== authorId) {
+      await this.sendToUser(authorId, 'article-like', {
         articleId: article._id,
+        articleSlug: article.slug,
         articleTitle: article.judul,
         likerName: user.profile?.nama || user.username,
         likerId: user._id
@@ -324,8 +464,8 @@ class SocketService {
    * @param {String} type - Subscription event type
    * @param {Object} data - Subscription data
    */
-  notifySubscription(userId, type, data) {
-    this.sendToUser(userId, 'subscription', {
+  async notifySubscription(userId, type, data) {
+    await this.sendToUser(userId, 'subscription', {
       eventType: type,
       ...data
     });
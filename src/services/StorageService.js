@@ -0,0 +1,263 @@
+const path = require('path');
+const logger = require('../config/logger');
+const LocalStorageAdapter = require('./storage/LocalStorageAdapter');
+const S3StorageAdapter = require('./storage/S3StorageAdapter');
+const { storageError } = require('./storage/StorageAdapter');
+
+// Prefix key untuk file yang hanya boleh dibaca lewat signed URL (misal media premium)
+const PRIVATE_PREFIX = 'private/';
+
+// URL publik file upload, tetap sama apapun backend storage-nya
+const PUBLIC_BASE_URL = '/uploads';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xml': 'application/xml'
+};
+
+/**
+ * Storage Service untuk file upload dengan backend yang bisa diganti (STORAGE_DRIVER)
+ * - local: folder uploads/ (hanya untuk satu container)
+ * - s3: S3 atau layanan S3-compatible seperti MinIO
+ */
+class StorageService {
+  constructor() {
+    this.driver = process.env.STORAGE_DRIVER || 'local';
+    this.signedUrlTtl = parseInt(process.env.STORAGE_SIGNED_URL_TTL || '300', 10); // 5 menit
+    this.adapter = null;
+  }
+
+  /**
+   * Create adapter for driver
+   * @param {String} driver - local atau s3
+   * @param {Object} options - Adapter options (default dari env)
+   * @returns {Object} Storage adapter
+   */
+  createAdapter(driver, options = {}) {
+    switch (driver) {
+      case 'local':
+        return new LocalStorageAdapter(options);
+      case 's3':
+        return new S3StorageAdapter(options);
+      default:
+        throw storageError('STORAGE_DRIVER_UNSUPPORTED', `Storage driver ${driver} tidak didukung`);
+    }
+  }
+
+  /**
+   * Get active adapter (dibuat saat pertama dipakai)
+   * @returns {Object} Storage adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = this.createAdapter(this.driver);
+      logger.info(`StorageService using ${this.driver} driver`);
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Replace active adapter (dipakai test dan migrasi)
+   * @param {Object} adapter - Storage adapter
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    this.driver = adapter.name;
+  }
+
+  /**
+   * Check if key is private
+   * @param {String} key - Storage key
+   * @returns {Boolean} Is private
+   */
+  isPrivate(key) {
+    return key.startsWith(PRIVATE_PREFIX);
+  }
+
+  /**
+   * Build key with optional private prefix
+   * @param {String} key - Storage key
+   * @param {Boolean} isPrivate - Private file
+   * @returns {String} Key
+   */
+  buildKey(key, isPrivate = false) {
+    return isPrivate ? `${PRIVATE_PREFIX}${key}` : key;
+  }
+
+  /**
+   * Public URL file, null untuk file private
+   * @param {String} key - Storage key
+   * @returns {String|null} URL
+   */
+  getUrl(key) {
+    if (this.isPrivate(key)) return null;
+    return `${PUBLIC_BASE_URL}/${key}`;
+  }
+
+  /**
+   * Resolve storage key from public URL
+   * @param {String} url - URL, misal /uploads/avatars/a.jpg
+   * @returns {String|null} Key
+   */
+  keyFromUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${PUBLIC_BASE_URL}/`)) return null;
+
+    try {
+      return decodeURIComponent(url.slice(PUBLIC_BASE_URL.length + 1).split('?')[0]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Guess content type from key extension
+   * @param {String} key - Storage key
+   * @returns {String} Content type
+   */
+  getContentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  async put(key, body, options = {}) {
+    return this.getAdapter().put(key, body, { contentType: this.getContentType(key), ...options });
+  }
+
+  async putFile(key, filePath, options = {}) {
+    return this.getAdapter().putFile(key, filePath, { contentType: this.getContentType(key), ...options });
+  }
+
+  async get(key) {
+    return this.getAdapter().get(key);
+  }
+
+  async exists(key) {
+    return this.getAdapter().exists(key);
+  }
+
+  async delete(key) {
+    return this.getAdapter().delete(key);
+  }
+
+  /**
+   * Delete file by public URL (URL di luar storage diabaikan)
+   * @param {String} url - Public URL
+   */
+  async deleteByUrl(url) {
+    const key = this.keyFromUrl(url);
+    if (key) {
+      await this.delete(key);
+    }
+  }
+
+  /**
+   * Generate time-limited URL for private file
+   * @param {String} key - Storage key
+   * @param {Number} expiresIn - Masa berlaku dalam detik
+   * @returns {String} Signed URL
+   */
+  getSignedUrl(key, expiresIn = this.signedUrlTtl) {
+    return this.getAdapter().getSignedUrl(key, expiresIn);
+  }
+
+  /**
+   * Express middleware untuk /uploads
+   * local: kirim file (private hanya dengan signature valid), s3: redirect ke URL publik bucket/CDN
+   * @returns {Function} Express middleware
+   */
+  serve() {
+    return async (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      let key;
+      try {
+        key = this.getAdapter().assertKey(decodeURIComponent(req.path.slice(1)));
+      } catch (error) {
+        return next();
+      }
+
+      const adapter = this.getAdapter();
+
+      if (this.isPrivate(key)) {
+        const { expires, signature } = req.query;
+        if (!adapter.verifySignedUrl || !adapter.verifySignedUrl(key, expires, signature)) {
+          return next();
+        }
+        res.set('Cache-Control', 'private, no-store');
+      }
+
+      if (adapter.getPublicUrl) {
+        return res.redirect(302, adapter.getPublicUrl(key));
+      }
+
+      res.sendFile(adapter.resolve(key), {
+        maxAge: this.isPrivate(key) ? 0 : '1y',
+        dotfiles: 'deny'
+      }, (error) => {
+        if (error) next();
+      });
+    };
+  }
+
+  /**
+   * Copy all files from one backend to another
+   * File yang sudah ada di tujuan dilewati, sehingga migrasi aman diulang
+   * @param {Object} source - Source adapter
+   * @param {Object} target - Target adapter
+   * @param {Object} options - { prefix, deleteSource, dryRun, onProgress }
+   * @returns {Promise<Object>} { total, copied, skipped, failed, deleted }
+   */
+  async migrate(source, target, options = {}) {
+    const { prefix = '', deleteSource = false, dryRun = false, onProgress } = options;
+    const keys = await source.list(prefix);
+    const result = { total: keys.length, copied: 0, skipped: 0, failed: 0, deleted: 0 };
+
+    for (const key of keys) {
+      let status;
+
+      try {
+        if (await target.exists(key)) {
+          status = 'skipped';
+        } else {
+          if (!dryRun) {
+            await target.put(key, await source.get(key), { contentType: this.getContentType(key) });
+          }
+          status = 'copied';
+        }
+
+        result[status] += 1;
+
+        if (deleteSource && !dryRun) {
+          await source.delete(key);
+          result.deleted += 1;
+        }
+      } catch (error) {
+        status = 'failed';
+        result.failed += 1;
+        logger.error('Storage migration error:', { key, error: error.message });
+      }
+
+      if (onProgress) onProgress(key, status);
+    }
+
+    logger.info('Storage migration finished', {
+      from: source.name,
+      to: target.name,
+      dryRun,
+      ...result
+    });
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
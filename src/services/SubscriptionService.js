@@ -1,128 +1,132 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const UserSubscription = require('../models/UserSubscription');
+const Media = require('../models/Media');
+const UsageLedger = require('../models/UsageLedger');
 const logger = require('../config/logger');
-const EmailService = require('./EmailService');
+const NotificationService = require('./NotificationService');
+const PaymentService = require('./PaymentService');
+const CouponService = require('./CouponService');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Limit paket yang dihitung server lewat UsageLedger dan direset setiap periode
+const METERED_LIMITS = ['articlesPerMonth', 'aiRequestsPerMonth'];
+
+/**
+ * Add months to date, tanggal dipotong ke akhir bulan (31 Jan + 1 bulan = 28/29 Feb)
+ * @param {Date} date - Date
+ * @param {Number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  
+  return result;
+};
 
 /**
  * Subscription Service untuk manajemen langganan
+ * Katalog paket disimpan di model Subscription, periode langganan di UserSubscription
  */
 class SubscriptionService {
   
-  constructor() {
-    this.plans = {
-      free: {
-        name: 'Free',
-        price: 0,
-        currency: 'IDR',
-        interval: 'lifetime',
-        features: [
-          'basic_article_creation',
-          'basic_comment_system',
-          'basic_profile_management'
-        ],
-        limits: {
-          articlesPerMonth: 5,
-          storageGB: 1,
-          aiRequestsPerMonth: 0,
-          socialAccountsMax: 1
-        }
-      },
-      premium: {
-        name: 'Premium',
-        price: 99000,
-        currency: 'IDR',
-        interval: 'monthly',
-        features: [
-          'unlimited_articles',
-          'advanced_analytics',
-          'ai_content_generation',
-          'ai_content_improvement',
-          'social_media_integration',
-          'premium_templates',
-          'priority_support'
-        ],
-        limits: {
-          articlesPerMonth: -1, // unlimited
-          storageGB: 10,
-          aiRequestsPerMonth: 100,
-          socialAccountsMax: 5
-        }
-      },
-      pro: {
-        name: 'Pro',
-        price: 199000,
-        currency: 'IDR',
-        interval: 'monthly',
-        features: [
-          'unlimited_articles',
-          'advanced_analytics',
-          'ai_content_generation',
-          'ai_content_improvement',
-          'ai_image_generation',
-          'ai_seo_optimization',
-          'social_media_automation',
-          'custom_branding',
-          'api_access',
-          'white_label',
-          'dedicated_support'
-        ],
-        limits: {
-          articlesPerMonth: -1, // unlimited
-          storageGB: 50,
-          aiRequestsPerMonth: 500,
-          socialAccountsMax: 20
-        }
-      }
-    };
-  }
-  
   /**
    * Get available subscription plans
-   * @returns {Object} Available plans
+   * @returns {Promise<Object>} Available plans keyed by plan ID
    */
-  getAvailablePlans() {
-    return this.plans;
+  async getAvailablePlans() {
+    const plans = await Subscription.getCatalog();
+    
+    return plans.reduce((catalog, plan) => {
+      catalog[plan.slug] = plan.toJSON();
+      return catalog;
+    }, {});
   }
   
   /**
    * Get plan details
    * @param {String} planId - Plan ID
-   * @returns {Object} Plan details
+   * @returns {Promise<Object|null>} Plan details
+   */
+  async getPlan(planId) {
+    if (!planId) return null;
+    return await Subscription.findBySlug(planId);
+  }
+  
+  /**
+   * Get current subscription period of a user
+   * @param {String} userId - User ID
+   * @returns {Promise<Object|null>} User subscription with plan
    */
-  getPlan(planId) {
-    return this.plans[planId] || null;
+  async getCurrentSubscription(userId) {
+    return await UserSubscription.getCurrentForUser(userId);
   }
   
   /**
    * Check if user has feature access
+   * Fitur diambil dari cache katalog paket, admin selalu punya akses
    * @param {Object} user - User object
    * @param {String} feature - Feature name
-   * @returns {Boolean} Has access
+   * @returns {Promise<Boolean>} Has access
    */
-  hasFeatureAccess(user, feature) {
-    const plan = this.getPlan(user.subscription.plan);
-    if (!plan) return false;
+  async hasFeatureAccess(user, feature) {
+    if (user.role === 'admin') return true;
     
-    return plan.features.includes(feature);
+    const features = await Subscription.getPlanFeatures(user.subscription.plan);
+    if (!features) return false;
+    
+    return features.includes(feature);
+  }
+  
+  /**
+   * Check if limit type is metered by server (UsageLedger)
+   * @param {String} limitType - Limit type
+   * @returns {Boolean} Is metered
+   */
+  isMeteredLimit(limitType) {
+    return METERED_LIMITS.includes(limitType);
   }
   
   /**
    * Check usage limits
+   * Untuk limit yang dihitung server, currentUsage diambil dari UsageLedger periode berjalan
    * @param {Object} user - User object
    * @param {String} limitType - Limit type
-   * @param {Number} currentUsage - Current usage
-   * @returns {Object} Limit check result
+   * @param {Number} currentUsage - Current usage (opsional untuk limit yang dihitung server)
+   * @returns {Promise<Object>} Limit check result
    */
-  checkUsageLimit(user, limitType, currentUsage = 0) {
-    const plan = this.getPlan(user.subscription.plan);
+  async checkUsageLimit(user, limitType, currentUsage) {
+    let resetAt;
+    
+    if (currentUsage === undefined) {
+      if (this.isMeteredLimit(limitType)) {
+        const usage = await this.getMeteredUsage(user);
+        currentUsage = usage.counters[limitType];
+        resetAt = usage.periodEnd;
+      } else {
+        currentUsage = 0;
+      }
+    }
+    
+    const plan = await this.getPlan(user.subscription.plan);
     if (!plan) {
-      return { allowed: false, limit: 0, remaining: 0 };
+      return { allowed: false, limit: 0, remaining: 0, usage: currentUsage, resetAt };
     }
     
     const limit = plan.limits[limitType];
     
     // -1 means unlimited
     if (limit === -1) {
-      return { allowed: true, limit: -1, remaining: -1 };
+      return { allowed: true, limit: -1, remaining: -1, usage: currentUsage, resetAt };
     }
     
     const remaining = Math.max(0, limit - currentUsage);
@@ -131,88 +135,360 @@ class SubscriptionService {
       allowed: currentUsage < limit,
       limit,
       remaining,
-      usage: currentUsage
+      usage: currentUsage,
+      resetAt
+    };
+  }
+  
+  /**
+   * Get usage period (periode tagihan bulanan) yang sedang berjalan
+   * Paket berbayar mengikuti tanggal mulai langganan, paket free mengikuti bulan kalender
+   * @param {Object} user - User object
+   * @param {Date} now - Current date
+   * @returns {Promise<Object>} { start, end }
+   */
+  async getUsagePeriod(user, now = new Date()) {
+    const current = await this.getCurrentSubscription(user._id);
+    const anchor = current && current.startDate && current.startDate <= now ? current.startDate : null;
+    
+    if (!anchor) {
+      return {
+        start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      };
+    }
+    
+    let months = (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (now.getUTCMonth() - anchor.getUTCMonth());
+    if (addMonths(anchor, months) > now) {
+      months -= 1;
+    }
+    
+    return {
+      start: addMonths(anchor, months),
+      end: addMonths(anchor, months + 1)
+    };
+  }
+  
+  /**
+   * Get metered usage of current period
+   * @param {Object} user - User object
+   * @returns {Promise<Object>} { periodStart, periodEnd, counters }
+   */
+  async getMeteredUsage(user) {
+    const period = await this.getUsagePeriod(user);
+    const ledger = await UsageLedger.findForPeriod(user._id, period);
+    
+    const counters = METERED_LIMITS.reduce((result, limitType) => {
+      result[limitType] = ledger ? ledger.counters[limitType] : 0;
+      return result;
+    }, {});
+    
+    return {
+      periodStart: period.start,
+      periodEnd: period.end,
+      counters
+    };
+  }
+  
+  /**
+   * Record usage in ledger of current period
+   * @param {Object} user - User object
+   * @param {String} limitType - Metered limit type (articlesPerMonth, aiRequestsPerMonth)
+   * @param {Number} amount - Amount to add
+   * @returns {Promise<Number>} Usage in current period
+   */
+  async recordUsage(user, limitType, amount = 1) {
+    if (!this.isMeteredLimit(limitType)) {
+      throw new Error(`Limit ${limitType} tidak dihitung oleh server`);
+    }
+    
+    const period = await this.getUsagePeriod(user);
+    const ledger = await UsageLedger.increment(user._id, period, limitType, amount);
+    
+    return ledger.counters[limitType];
+  }
+  
+  /**
+   * Reserve metered usage before running the action
+   * Cek limit dan penambahan counter dilakukan atomik, sehingga request paralel
+   * tidak bisa melewati limit. Batalkan dengan releaseUsage bila aksi gagal
+   * @param {Object} user - User object
+   * @param {String} limitType - Metered limit type (articlesPerMonth, aiRequestsPerMonth)
+   * @param {Number} amount - Amount to reserve
+   * @returns {Promise<Object>} { allowed, limit, usage, resetAt, reservation }
+   */
+  async reserveUsage(user, limitType, amount = 1) {
+    if (!this.isMeteredLimit(limitType)) {
+      throw new Error(`Limit ${limitType} tidak dihitung oleh server`);
+    }
+    
+    const [period, plan] = await Promise.all([
+      this.getUsagePeriod(user),
+      this.getPlan(user.subscription.plan)
+    ]);
+    const limit = plan ? plan.limits[limitType] : 0;
+    
+    const ledger = limit === -1
+      ? await UsageLedger.increment(user._id, period, limitType, amount)
+      : await UsageLedger.reserve(user._id, period, limitType, limit, amount);
+    
+    if (!ledger) {
+      const current = await UsageLedger.findForPeriod(user._id, period);
+      
+      return {
+        allowed: false,
+        limit,
+        usage: current ? current.counters[limitType] : 0,
+        resetAt: period.end,
+        reservation: null
+      };
+    }
+    
+    return {
+      allowed: true,
+      limit,
+      usage: ledger.counters[limitType],
+      resetAt: period.end,
+      reservation: { period, limitType, amount }
+    };
+  }
+  
+  /**
+   * Release usage reserved by reserveUsage
+   * @param {Object} user - User object
+   * @param {Object} reservation - Reservation from reserveUsage
+   * @returns {Promise<void>}
+   */
+  async releaseUsage(user, reservation) {
+    const { period, limitType, amount } = reservation;
+    await UsageLedger.release(user._id, period, limitType, amount);
+  }
+  
+  /**
+   * Get usage summary of user (ditampilkan di dashboard)
+   * @param {Object} user - User object
+   * @returns {Promise<Object>} { period, current, limits, percentages }
+   */
+  async getUsageSummary(user) {
+    const [metered, storage, plan] = await Promise.all([
+      this.getMeteredUsage(user),
+      this.getStorageUsage(user),
+      this.getPlan(user.subscription.plan)
+    ]);
+    
+    const current = { ...metered.counters, storageBytes: storage.usedBytes };
+    const limits = {
+      ...METERED_LIMITS.reduce((result, limitType) => {
+        result[limitType] = plan ? plan.limits[limitType] : 0;
+        return result;
+      }, {}),
+      storageBytes: storage.limitBytes
+    };
+    
+    const percentages = Object.keys(current).reduce((result, key) => {
+      if (limits[key] === -1) {
+        result[key] = 0;
+      } else {
+        result[key] = limits[key] > 0 ? Math.min(100, Math.round((current[key] / limits[key]) * 1000) / 10) : 100;
+      }
+      return result;
+    }, {});
+    
+    return {
+      period: { start: metered.periodStart, end: metered.periodEnd },
+      current,
+      limits,
+      percentages
+    };
+  }
+  
+  /**
+   * Get storage quota of user plan in bytes
+   * @param {Object} user - User object
+   * @returns {Promise<Number>} Limit in bytes (-1 untuk unlimited)
+   */
+  async getStorageLimitBytes(user) {
+    const plan = await this.getPlan(user.subscription.plan);
+    if (!plan) return 0;
+    
+    const limitGB = plan.limits.storageGB;
+    return limitGB === -1 ? -1 : Math.round(limitGB * BYTES_PER_GB);
+  }
+  
+  /**
+   * Recalculate storage usage of user from media library
+   * Ukuran yang dihitung adalah ukuran file asli yang diupload (varian tidak dihitung)
+   * @param {String} userId - User ID
+   * @returns {Promise<Number>} Used bytes
+   */
+  async recalculateStorageUsage(userId) {
+    const [result] = await Media.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, totalBytes: { $sum: '$size' } } }
+    ]);
+    
+    const usedBytes = result ? result.totalBytes : 0;
+    await User.updateOne({ _id: userId }, { $set: { 'stats.storageBytes': usedBytes } });
+    
+    return usedBytes;
+  }
+  
+  /**
+   * Get storage usage summary of user
+   * Hanya membaca stats.storageBytes; menghitung ulang di sini akan menghapus
+   * reservasi upload yang sedang berjalan (lihat reserveStorage)
+   * @param {Object} user - User object
+   * @returns {Promise<Object>} Storage usage
+   */
+  async getStorageUsage(user) {
+    const current = await User.findById(user._id).select('stats.storageBytes');
+    const usedBytes = current ? current.stats.storageBytes || 0 : 0;
+    const limitBytes = await this.getStorageLimitBytes(user);
+    const unlimited = limitBytes === -1;
+    
+    let percentUsed = 0;
+    if (!unlimited) {
+      percentUsed = limitBytes > 0 ? Math.min(100, Math.round((usedBytes / limitBytes) * 1000) / 10) : 100;
+    }
+    
+    return {
+      usedBytes,
+      limitBytes,
+      remainingBytes: unlimited ? -1 : Math.max(0, limitBytes - usedBytes),
+      percentUsed,
+      mediaCount: await Media.countDocuments({ owner: user._id })
+    };
+  }
+  
+  /**
+   * Reserve storage for incoming upload
+   * Pengecekan dan penambahan usage dilakukan atomik agar upload paralel tidak melewati kuota
+   * @param {Object} user - User object
+   * @param {Number} bytes - Upload size in bytes
+   * @returns {Promise<Object>} { allowed, usedBytes, limitBytes, requestedBytes }
+   */
+  async reserveStorage(user, bytes) {
+    const limitBytes = await this.getStorageLimitBytes(user);
+    const filter = { _id: user._id };
+    
+    if (limitBytes !== -1) {
+      const maxUsedBytes = limitBytes - bytes;
+      filter.$or = [{ 'stats.storageBytes': { $lte: maxUsedBytes } }];
+      
+      // User lama yang belum punya field storageBytes
+      if (maxUsedBytes >= 0) {
+        filter.$or.push({ 'stats.storageBytes': { $exists: false } });
+      }
+    }
+    
+    const updated = await User.findOneAndUpdate(
+      filter,
+      { $inc: { 'stats.storageBytes': bytes } },
+      { new: true, projection: { 'stats.storageBytes': 1 } }
+    );
+    
+    if (updated) {
+      return {
+        allowed: true,
+        usedBytes: updated.stats.storageBytes,
+        limitBytes,
+        requestedBytes: bytes
+      };
+    }
+    
+    const current = await User.findById(user._id).select('stats.storageBytes');
+    
+    return {
+      allowed: false,
+      usedBytes: current ? current.stats.storageBytes : 0,
+      limitBytes,
+      requestedBytes: bytes
     };
   }
   
   /**
    * Upgrade user subscription
+   * Paket berbayar dibuat dengan status pending dan aktif setelah pembayaran diterima
    * @param {String} userId - User ID
    * @param {String} newPlan - New plan ID
-   * @param {Object} paymentData - Payment information
-   * @returns {Object} Upgrade result
+   * @param {Object} options - Subscription options (billingCycle, paymentMethod, autoRenew, couponCode)
+   * @returns {Promise<Object>} Upgrade result
    */
-  async upgradeSubscription(userId, newPlan, paymentData = {}) {
+  async upgradeSubscription(userId, newPlan, options = {}) {
     try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User tidak ditemukan');
       }
       
-      const plan = this.getPlan(newPlan);
+      const plan = await this.getPlan(newPlan);
       if (!plan) {
         throw new Error('Plan tidak valid');
       }
       
-      const currentPlan = this.getPlan(user.subscription.plan);
+      const billingCycle = options.billingCycle || plan.billingCycles[0];
       
-      // Calculate new expiry date
-      let expiryDate = new Date();
-      if (plan.interval === 'monthly') {
-        expiryDate.setMonth(expiryDate.getMonth() + 1);
-      } else if (plan.interval === 'yearly') {
-        expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+      if (plan.getPrice(billingCycle) === null) {
+        throw new Error(`Paket ${plan.name} tidak tersedia untuk siklus ${billingCycle}`);
+      }
+      
+      // Reuse pending checkout for the same plan instead of creating duplicates
+      let userSubscription = await UserSubscription.findOne({
+        user: userId,
+        subscription: plan._id,
+        billingCycle,
+        status: 'pending',
+        renewalOf: null
+      });
+      
+      if (!userSubscription) {
+        userSubscription = new UserSubscription({
+          user: userId,
+          subscription: plan._id,
+          billingCycle,
+          autoRenew: options.autoRenew || false,
+          payment: {
+            amount: plan.getPrice(billingCycle),
+            currency: plan.currency,
+            method: options.paymentMethod || null
+          }
+        });
       } else {
-        expiryDate = null; // lifetime
+        userSubscription.autoRenew = options.autoRenew || false;
+        userSubscription.payment.method = options.paymentMethod || userSubscription.payment.method;
       }
       
-      // Update user subscription
-      user.subscription = {
-        plan: newPlan,
-        status: 'active',
-        startDate: new Date(),
-        expiryDate,
-        features: plan.features,
-        autoRenew: paymentData.autoRenew || false,
-        paymentMethod: paymentData.paymentMethod || null,
-        lastPayment: {
-          amount: plan.price,
-          currency: plan.currency,
-          date: new Date(),
-          transactionId: paymentData.transactionId || null,
-          method: paymentData.paymentMethod || null
-        }
-      };
+      // Harga dihitung ulang setiap checkout, termasuk potongan kupon
+      await CouponService.applyToSubscription(userSubscription, plan, options.couponCode);
+      await userSubscription.save();
       
-      await user.save();
+      const amount = userSubscription.payment.amount;
+      
+      // Free plan (atau diskon 100%) does not need payment
+      if (amount === 0) {
+        userSubscription.user = user;
+        userSubscription.subscription = plan;
+        userSubscription.payment.gateway = 'manual';
+        await PaymentService.activateSubscription(userSubscription);
+      }
       
-      // Log subscription change
-      logger.info('Subscription upgraded', {
+      logger.info('Subscription upgrade requested', {
         userId,
-        fromPlan: currentPlan?.name || 'None',
-        toPlan: plan.name,
-        amount: plan.price,
-        expiryDate
+        fromPlan: user.subscription.plan,
+        toPlan: plan.slug,
+        billingCycle,
+        amount,
+        couponCode: userSubscription.discount.code,
+        userSubscriptionId: userSubscription._id
       });
       
-      // Send confirmation email
-      try {
-        await EmailService.sendSubscriptionConfirmation(
-          user.email,
-          user.profile.nama,
-          plan,
-          expiryDate
-        );
-      } catch (emailError) {
-        logger.error('Failed to send subscription confirmation email:', emailError);
-      }
-      
       return {
         success: true,
-        subscription: user.subscription,
-        plan
+        subscription: userSubscription,
+        plan,
+        requiresPayment: amount > 0
       };
-      
+    
     } catch (error) {
       logger.error('Upgrade subscription error:', error);
       throw error;
@@ -223,7 +499,7 @@ class SubscriptionService {
    * Cancel user subscription
    * @param {String} userId - User ID
    * @param {String} reason - Cancellation reason
-   * @returns {Object} Cancellation result
+   * @returns {Promise<Object>} Cancellation result
    */
   async cancelSubscription(userId, reason = '') {
     try {
@@ -232,20 +508,24 @@ class SubscriptionService {
         throw new Error('User tidak ditemukan');
       }
       
-      const currentPlan = this.getPlan(user.subscription.plan);
+      const userSubscription = await this.getCurrentSubscription(userId);
+      if (!userSubscription) {
+        throw new Error('Tidak ada langganan aktif');
+      }
       
-      // Update subscription status
-      user.subscription.status = 'cancelled';
-      user.subscription.cancelledAt = new Date();
-      user.subscription.cancellationReason = reason;
-      user.subscription.autoRenew = false;
+      const currentPlan = userSubscription.subscription;
       
-      // Keep access until expiry date, then downgrade to free
-      if (!user.subscription.expiryDate || user.subscription.expiryDate <= new Date()) {
-        user.subscription.plan = 'free';
-        user.subscription.features = this.plans.free.features;
-      }
+      // Keep access until end date, then processExpiredSubscriptions downgrades to free
+      userSubscription.cancel(reason);
+      await userSubscription.save();
+      
+      // Pending renewals are no longer needed
+      await UserSubscription.updateMany(
+        { renewalOf: userSubscription._id, status: 'pending' },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason } }
+      );
       
+      user.subscription.autoRenew = false;
       await user.save();
       
       // Log cancellation
@@ -253,16 +533,16 @@ class SubscriptionService {
         userId,
         plan: currentPlan?.name || 'Unknown',
         reason,
-        expiryDate: user.subscription.expiryDate
+        endDate: userSubscription.endDate
       });
       
       // Send cancellation confirmation email
       try {
-        await EmailService.sendSubscriptionCancellation(
+        await NotificationService.sendSubscriptionCancellation(
           user.email,
           user.profile.nama,
           currentPlan,
-          user.subscription.expiryDate
+          userSubscription.endDate
         );
       } catch (emailError) {
         logger.error('Failed to send cancellation email:', emailError);
@@ -271,9 +551,9 @@ class SubscriptionService {
       return {
         success: true,
         message: 'Langganan berhasil dibatalkan',
-        accessUntil: user.subscription.expiryDate
+        accessUntil: userSubscription.endDate
       };
-      
+    
     } catch (error) {
       logger.error('Cancel subscription error:', error);
       throw error;
@@ -282,71 +562,63 @@ class SubscriptionService {
   
   /**
    * Renew subscription
+   * Membuat periode baru (pending) yang dimulai setelah periode aktif berakhir
    * @param {String} userId - User ID
-   * @param {Object} paymentData - Payment information
-   * @returns {Object} Renewal result
+   * @param {Object} options - Renewal options (paymentMethod)
+   * @returns {Promise<Object>} Renewal result
    */
-  async renewSubscription(userId, paymentData = {}) {
+  async renewSubscription(userId, options = {}) {
     try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User tidak ditemukan');
-      }
-      
-      const plan = this.getPlan(user.subscription.plan);
-      if (!plan || plan.interval === 'lifetime') {
+      const current = await this.getCurrentSubscription(userId);
+      if (!current || current.billingCycle === 'lifetime') {
         throw new Error('Plan tidak dapat diperpanjang');
       }
       
-      // Calculate new expiry date
-      let currentExpiry = user.subscription.expiryDate || new Date();
-      let newExpiry = new Date(currentExpiry);
+      const plan = current.subscription;
+      const amount = plan.getPrice(current.billingCycle);
       
-      if (plan.interval === 'monthly') {
-        newExpiry.setMonth(newExpiry.getMonth() + 1);
-      } else if (plan.interval === 'yearly') {
-        newExpiry.setFullYear(newExpiry.getFullYear() + 1);
+      if (!plan.isActive || amount === null) {
+        throw new Error('Plan tidak dapat diperpanjang');
       }
       
-      // Update subscription
-      user.subscription.status = 'active';
-      user.subscription.expiryDate = newExpiry;
-      user.subscription.lastPayment = {
-        amount: plan.price,
-        currency: plan.currency,
-        date: new Date(),
-        transactionId: paymentData.transactionId || null,
-        method: paymentData.paymentMethod || null
-      };
+      let renewal = await UserSubscription.findOne({
+        renewalOf: current._id,
+        status: 'pending'
+      });
       
-      await user.save();
+      if (!renewal) {
+        renewal = new UserSubscription({
+          user: userId,
+          subscription: plan._id,
+          billingCycle: current.billingCycle,
+          autoRenew: current.autoRenew,
+          renewalOf: current._id,
+          payment: {
+            amount,
+            currency: plan.currency,
+            method: options.paymentMethod || null
+          }
+        });
+        await renewal.save();
+      }
       
       // Log renewal
-      logger.info('Subscription renewed', {
+      logger.info('Subscription renewal requested', {
         userId,
         plan: plan.name,
-        amount: plan.price,
-        newExpiryDate: newExpiry
+        amount,
+        renewalOf: current._id,
+        userSubscriptionId: renewal._id
       });
       
-      // Send renewal confirmation email
-      try {
-        await EmailService.sendSubscriptionRenewal(
-          user.email,
-          user.profile.nama,
-          plan,
-          newExpiry
-        );
-      } catch (emailError) {
-        logger.error('Failed to send renewal email:', emailError);
-      }
-      
       return {
         success: true,
-        subscription: user.subscription,
-        plan
+        subscription: renewal,
+        plan,
+        startsAt: current.endDate,
+        requiresPayment: true
       };
-      
+    
     } catch (error) {
       logger.error('Renew subscription error:', error);
       throw error;
@@ -355,59 +627,73 @@ class SubscriptionService {
   
   /**
    * Check and process expired subscriptions
-   * @returns {Object} Processing result
+   * @returns {Promise<Object>} Processing result
    */
   async processExpiredSubscriptions() {
     try {
       const now = new Date();
       
-      // Find expired subscriptions
-      const expiredUsers = await User.find({
-        'subscription.status': 'active',
-        'subscription.expiryDate': { $lte: now },
-        'subscription.plan': { $ne: 'free' }
-      });
+      // Find expired subscription periods
+      const expiredSubscriptions = await UserSubscription.find({
+        status: { $in: ['active', 'cancelled'] },
+        endDate: { $lte: now }
+      }).populate('subscription');
       
       let processedCount = 0;
       
-      for (const user of expiredUsers) {
+      for (const userSubscription of expiredSubscriptions) {
         try {
-          // Downgrade to free plan
-          user.subscription.plan = 'free';
-          user.subscription.status = 'expired';
-          user.subscription.features = this.plans.free.features;
-          user.subscription.expiredAt = now;
+          userSubscription.setStatus('expired', 'Periode langganan berakhir');
+          await userSubscription.save();
           
-          await user.save();
+          // Renewal already paid, user stays on the plan
+          const successor = await UserSubscription.getCurrentForUser(userSubscription.user);
+          if (successor) {
+            processedCount++;
+            continue;
+          }
           
-          // Send expiry notification
-          try {
-            await EmailService.sendSubscriptionExpired(
-              user.email,
-              user.profile.nama
-            );
-          } catch (emailError) {
-            logger.error('Failed to send expiry email:', emailError);
+          if (userSubscription.subscription) {
+            await userSubscription.subscription.updateStats({ activeSubscribers: -1 });
+          }
+          
+          // Downgrade to free plan
+          const user = await User.findById(userSubscription.user);
+          if (user) {
+            user.subscription.plan = 'free';
+            user.subscription.expiredAt = now;
+            user.subscription.autoRenew = false;
+            await user.save();
+            
+            // Send expiry notification
+            try {
+              await NotificationService.sendSubscriptionExpired(
+                user.email,
+                user.profile.nama
+              );
+            } catch (emailError) {
+              logger.error('Failed to send expiry email:', emailError);
+            }
           }
           
           processedCount++;
           
           logger.info('Subscription expired and downgraded', {
-            userId: user._id,
-            email: user.email
+            userId: userSubscription.user,
+            userSubscriptionId: userSubscription._id
           });
-          
+        
         } catch (userError) {
-          logger.error('Error processing expired user:', userError);
+          logger.error('Error processing expired subscription:', userError);
         }
       }
       
       return {
         success: true,
         processedCount,
-        totalExpired: expiredUsers.length
+        totalExpired: expiredSubscriptions.length
       };
-      
+    
     } catch (error) {
       logger.error('Process expired subscriptions error:', error);
       throw error;
@@ -416,49 +702,49 @@ class SubscriptionService {
   
   /**
    * Get subscription statistics
-   * @returns {Object} Subscription statistics
+   * @returns {Promise<Object>} Subscription statistics
    */
   async getSubscriptionStats() {
     try {
-      const stats = await User.aggregate([
-        {
-          $group: {
-            _id: '$subscription.plan',
-            count: { $sum: 1 },
-            active: {
-              $sum: {
-                $cond: [
-                  { $eq: ['$subscription.status', 'active'] },
-                  1,
-                  0
-                ]
-              }
+      const [plans, statusDistribution, revenue] = await Promise.all([
+        Subscription.find().sort({ sortOrder: 1 }).select('slug name stats'),
+        UserSubscription.aggregate([
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 }
             }
           }
-        }
-      ]);
-      
-      const totalRevenue = await User.aggregate([
-        {
-          $match: {
-            'subscription.lastPayment.amount': { $exists: true }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalRevenue: { $sum: '$subscription.lastPayment.amount' },
-            totalPayments: { $sum: 1 }
+        ]),
+        UserSubscription.aggregate([
+          {
+            $match: {
+              'payment.paidAt': { $ne: null }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              totalRevenue: { $sum: '$payment.amount' },
+              totalPayments: { $sum: 1 }
+            }
           }
-        }
+        ])
       ]);
       
       return {
-        planDistribution: stats,
-        revenue: totalRevenue[0] || { totalRevenue: 0, totalPayments: 0 },
+        planDistribution: plans.map(plan => ({
+          _id: plan.slug,
+          name: plan.name,
+          active: plan.stats.activeSubscribers,
+          total: plan.stats.totalSubscribers,
+          revenue: plan.stats.revenue
+        })),
+        statusDistribution,
+        revenue: revenue[0] || { totalRevenue: 0, totalPayments: 0 },
         generatedAt: new Date()
       };
-      
+    
     } catch (error) {
       logger.error('Get subscription stats error:', error);
       throw error;
@@ -467,37 +753,41 @@ class SubscriptionService {
   
   /**
    * Send subscription reminders
-   * @returns {Object} Reminder result
+   * @returns {Promise<Object>} Reminder result
    */
   async sendSubscriptionReminders() {
     try {
       const reminderDate = new Date();
       reminderDate.setDate(reminderDate.getDate() + 7); // 7 days before expiry
       
-      const usersToRemind = await User.find({
-        'subscription.status': 'active',
-        'subscription.expiryDate': {
+      const subscriptionsToRemind = await UserSubscription.find({
+        status: 'active',
+        endDate: {
           $gte: new Date(),
           $lte: reminderDate
-        },
-        'subscription.plan': { $ne: 'free' }
-      });
+        }
+      }).populate('user').populate('subscription');
       
       let sentCount = 0;
       
-      for (const user of usersToRemind) {
+      for (const userSubscription of subscriptionsToRemind) {
         try {
-          const plan = this.getPlan(user.subscription.plan);
+          // Skip periods that already have a paid renewal
+          const hasRenewal = await UserSubscription.exists({
+            renewalOf: userSubscription._id,
+            status: 'active'
+          });
+          if (hasRenewal || !userSubscription.user) continue;
           
-          await EmailService.sendSubscriptionReminder(
-            user.email,
-            user.profile.nama,
-            plan,
-            user.subscription.expiryDate
+          await NotificationService.sendSubscriptionReminder(
+            userSubscription.user.email,
+            userSubscription.user.profile.nama,
+            userSubscription.subscription,
+            userSubscription.endDate
           );
           
           sentCount++;
-          
+        
         } catch (emailError) {
           logger.error('Failed to send reminder email:', emailError);
         }
@@ -506,9 +796,9 @@ class SubscriptionService {
       return {
         success: true,
         sentCount,
-        totalUsers: usersToRemind.length
+        totalUsers: subscriptionsToRemind.length
       };
-      
+    
     } catch (error) {
       logger.error('Send subscription reminders error:', error);
       throw error;
@@ -519,4 +809,4 @@ class SubscriptionService {
 // Create singleton instance
 const subscriptionService = new SubscriptionService();
 
-module.exports = subscriptionService;
\ No newline at end of file
+module.exports = subscriptionService;
@@ -0,0 +1,218 @@
+const User = require('../models/User');
+const TotpUtils = require('../utils/totp');
+const logger = require('../config/logger');
+
+const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedCounter';
+
+/**
+ * Build two-factor error with code for controller responses
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const twoFactorError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Two-Factor Service untuk TOTP dan recovery code
+ */
+class TwoFactorService {
+
+  /**
+   * Check if 2FA wajib untuk user (akun admin dan staff)
+   * @param {Object} user - User
+   * @returns {Boolean} Required
+   */
+  isRequiredFor(user) {
+    return process.env.TWO_FACTOR_ENFORCE_ADMIN !== 'false' &&
+      (user?.role === 'admin' || user?.staffRoles?.length > 0);
+  }
+
+  /**
+   * Find user including two-factor secrets
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} User
+   */
+  async findUserWithSecrets(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      throw twoFactorError('USER_NOT_FOUND', 'User tidak ditemukan', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Start 2FA setup, secret disimpan sebagai pending sampai dikonfirmasi
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Secret and otpauth URI
+   */
+  async beginSetup(userId) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (user.twoFactor.enabled) {
+      throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication sudah aktif', 409);
+    }
+
+    const secret = TotpUtils.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: TotpUtils.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm setup with the first code from authenticator app
+   * @param {String} userId - User ID
+   * @param {String} code - TOTP code
+   * @returns {Promise<Array>} Plain recovery codes (ditampilkan sekali)
+   */
+  async enable(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (user.twoFactor.enabled) {
+      throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication sudah aktif', 409);
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw twoFactorError('TWO_FACTOR_SETUP_REQUIRED', 'Mulai setup two-factor authentication terlebih dahulu');
+    }
+
+    const counter = TotpUtils.verifyCode(user.twoFactor.pendingSecret, code);
+    if (counter === null) {
+      throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Kode verifikasi tidak valid', 401);
+    }
+
+    const recoveryCodes = TotpUtils.generateRecoveryCodes(TWO_FACTOR_RECOVERY_CODE_COUNT);
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(item => TotpUtils.hashRecoveryCode(item));
+    user.twoFactor.lastUsedCounter = counter;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify TOTP code atau recovery code
+   * Kode TOTP dan recovery code hanya bisa dipakai sekali
+   * @param {String} userId - User ID
+   * @param {Object} credentials - { code, recoveryCode }
+   * @returns {Promise<Object>} Method used and remaining recovery codes
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    const user = await this.findUserWithSecrets(userId);
+
+    if (!user.twoFactor.enabled || !user.twoFactor.secret) {
+      throw twoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication belum aktif');
+    }
+
+    if (recoveryCode) {
+      const hash = TotpUtils.hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Recovery code tidak valid atau sudah dipakai', 401);
+      }
+
+      const remainingRecoveryCodes = user.twoFactor.recoveryCodes.length - 1;
+      logger.warn('Recovery code used', { userId: user._id, remainingRecoveryCodes });
+
+      return { method: 'recovery_code', remainingRecoveryCodes };
+    }
+
+    const counter = TotpUtils.verifyCode(user.twoFactor.secret, code, {
+      afterCounter: user.twoFactor.lastUsedCounter ?? -1
+    });
+
+    // Simpan counter secara atomik supaya kode yang sama tidak lolos dua kali
+    const result = counter === null
+      ? null
+      : await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedCounter': { $not: { $gte: counter } } },
+        { $set: { 'twoFactor.lastUsedCounter': counter } }
+      );
+
+    if (!result || result.modifiedCount === 0) {
+      throw twoFactorError('INVALID_TWO_FACTOR_CODE', 'Kode verifikasi tidak valid', 401);
+    }
+
+    return { method: 'totp', remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+  }
+
+  /**
+   * Disable 2FA
+   * @param {String} userId - User ID
+   */
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedCounter': 1
+        }
+      }
+    );
+
+    logger.info('Two-factor authentication disabled', { userId });
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>} Plain recovery codes (ditampilkan sekali)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = TotpUtils.generateRecoveryCodes(TWO_FACTOR_RECOVERY_CODE_COUNT);
+
+    await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(item => TotpUtils.hashRecoveryCode(item)) } }
+    );
+
+    logger.info('Recovery codes regenerated', { userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Get 2FA status for user
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus(userId) {
+    const user = await this.findUserWithSecrets(userId);
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: this.isRequiredFor(user),
+      remainingRecoveryCodes: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+    };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StorageAdapter, storageError } = require('./StorageAdapter');
+
+/**
+ * Storage adapter untuk filesystem lokal (default, satu container)
+ * File publik disajikan lewat /uploads, file private hanya dengan signed URL
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { root, baseUrl, signingSecret }
+   */
+  constructor(options = {}) {
+    super('local');
+    this.root = path.resolve(options.root || process.env.UPLOAD_PATH || 'uploads');
+    this.baseUrl = options.baseUrl || '/uploads';
+    this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Resolve key to absolute path inside root
+   * @param {String} key - Storage key
+   * @returns {String} Absolute path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, this.assertKey(key));
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw storageError('INVALID_STORAGE_KEY', 'Key storage tidak valid', 400);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+
+    return { key, size: body.length };
+  }
+
+  async putFile(key, sourcePath, options = {}) {
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+
+    const stats = await fs.promises.stat(filePath);
+    return { key, size: stats.size };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw storageError('FILE_NOT_FOUND', 'File tidak ditemukan', 404);
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile() && !entry.name.startsWith('.')) {
+          const key = path.relative(this.root, entryPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) keys.push(key);
+        }
+      }
+    };
+
+    await walk(this.root);
+
+    return keys.sort();
+  }
+
+  /**
+   * Generate URL bertanda tangan HMAC, diverifikasi oleh StorageService.serve()
+   */
+  getSignedUrl(key, expiresIn, now = new Date()) {
+    this.assertKey(key);
+
+    const expires = Math.floor(now.getTime() / 1000) + expiresIn;
+    const signature = this.sign(key, expires);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.baseUrl}/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Verify signed URL parameters
+   * @param {String} key - Storage key
+   * @param {String|Number} expires - Unix timestamp (detik)
+   * @param {String} signature - HMAC signature
+   * @returns {Boolean} Valid
+   */
+  verifySignedUrl(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+
+    if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * HMAC signature for key and expiry
+   * @param {String} key - Storage key
+   * @param {Number} expires - Unix timestamp (detik)
+   * @returns {String} Hex signature
+   */
+  sign(key, expires) {
+    if (!this.signingSecret) {
+      throw storageError('STORAGE_SIGNING_SECRET_MISSING', 'STORAGE_SIGNING_SECRET belum dikonfigurasi');
+    }
+
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+}
+
+module.exports = LocalStorageAdapter;
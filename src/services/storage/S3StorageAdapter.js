@@ -0,0 +1,323 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { StorageAdapter, storageError } = require('./StorageAdapter');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Encode string sesuai RFC 3986 (dipakai AWS Signature V4)
+ * @param {String} value - Value
+ * @returns {String} Encoded value
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Build sorted, encoded query string (juga dipakai sebagai canonical query)
+ * @param {Object} query - Query params
+ * @returns {String} Query string
+ */
+const buildQueryString = (query) => Object.keys(query).sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+  .join('&');
+
+/**
+ * Storage adapter untuk S3 dan layanan S3-compatible (MinIO, Cloudflare R2, DigitalOcean Spaces)
+ * Request ditandatangani dengan AWS Signature V4 tanpa SDK tambahan
+ * Bucket policy sebaiknya mengizinkan baca publik kecuali prefix private/
+ */
+class S3StorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }
+   */
+  constructor(options = {}) {
+    super('s3');
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : process.env.S3_FORCE_PATH_STYLE !== 'false';
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+    this.timeout = parseInt(process.env.S3_TIMEOUT_MS || '30000', 10);
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw storageError('STORAGE_NOT_CONFIGURED', 'S3_BUCKET, S3_ACCESS_KEY_ID dan S3_SECRET_ACCESS_KEY wajib diisi');
+    }
+  }
+
+  /**
+   * Build object URL (path-style untuk MinIO, virtual-hosted untuk AWS)
+   * @param {String} key - Storage key (kosong untuk URL bucket)
+   * @returns {URL} URL
+   */
+  getObjectUrl(key = '') {
+    const endpoint = new URL(this.endpoint);
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+    if (this.forcePathStyle) {
+      return new URL(`${endpoint.origin}/${this.bucket}${encodedKey ? `/${encodedKey}` : ''}`);
+    }
+
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodedKey}`);
+  }
+
+  /**
+   * Public URL object (CDN/bucket publik)
+   * @param {String} key - Storage key
+   * @returns {String} URL
+   */
+  getPublicUrl(key) {
+    const encodedKey = this.assertKey(key).split('/').map(encodeRfc3986).join('/');
+
+    return this.publicUrl
+      ? `${this.publicUrl}/${encodedKey}`
+      : this.getObjectUrl(key).toString();
+  }
+
+  /**
+   * Derive AWS Signature V4 signing key
+   * @param {String} date - YYYYMMDD
+   * @returns {Buffer} Signing key
+   */
+  getSigningKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+    const regionKey = hmac(dateKey, this.region);
+    const serviceKey = hmac(regionKey, 's3');
+    return hmac(serviceKey, 'aws4_request');
+  }
+
+  /**
+   * Calculate AWS Signature V4
+   * @param {Object} params - { method, url, query, headers, payloadHash, amzDate }
+   * @returns {Object} { signature, signedHeaders, scope }
+   */
+  signRequest({ method, url, query, headers, payloadHash, amzDate }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const normalizedHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+    const canonicalHeaders = headerNames.map(name => `${name}:${normalizedHeaders[name]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      buildQueryString(query),
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    const signature = crypto.createHmac('sha256', this.getSigningKey(date))
+      .update(stringToSign)
+      .digest('hex');
+
+    return { signature, signedHeaders, scope };
+  }
+
+  /**
+   * Format date as AWS amz-date (YYYYMMDDTHHMMSSZ)
+   * @param {Date} date - Date
+   * @returns {String} Amz date
+   */
+  formatAmzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  }
+
+  /**
+   * Send signed request to S3
+   * @param {String} method - HTTP method
+   * @param {String} key - Storage key (kosong untuk operasi bucket)
+   * @param {Object} options - { query, body, headers, responseType }
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, key, options = {}) {
+    const { query = {}, body, headers = {}, responseType } = options;
+    const url = this.getObjectUrl(key);
+    const amzDate = this.formatAmzDate(new Date());
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+
+    const signedHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+
+    const { signature, signedHeaders: signedHeaderNames, scope } = this.signRequest({
+      method,
+      url,
+      query,
+      headers: signedHeaders,
+      payloadHash,
+      amzDate
+    });
+
+    const queryString = buildQueryString(query);
+
+    const response = await axios({
+      method,
+      url: queryString ? `${url.toString()}?${queryString}` : url.toString(),
+      data: body,
+      responseType: responseType || 'text',
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      headers: {
+        ...headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+      }
+    });
+
+    return response;
+  }
+
+  /**
+   * Throw storage error for failed S3 response
+   * @param {Object} response - Axios response
+   * @param {String} action - Action name for message
+   */
+  assertSuccess(response, action) {
+    if (response.status >= 200 && response.status < 300) return;
+
+    if (response.status === 404) {
+      throw storageError('FILE_NOT_FOUND', 'File tidak ditemukan', 404);
+    }
+
+    const body = Buffer.isBuffer(response.data) ? response.data.toString() : String(response.data || '');
+    const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1] || `HTTP_${response.status}`;
+
+    throw storageError('STORAGE_REQUEST_FAILED', `S3 ${action} gagal: ${code}`, 502);
+  }
+
+  async put(key, body, options = {}) {
+    this.assertKey(key);
+
+    const headers = {
+      'Content-Type': options.contentType || 'application/octet-stream',
+      'Content-Length': body.length
+    };
+    if (options.cacheControl) headers['Cache-Control'] = options.cacheControl;
+
+    const response = await this.request('PUT', key, { body, headers });
+    this.assertSuccess(response, 'put');
+
+    return { key, size: body.length };
+  }
+
+  async putFile(key, filePath, options = {}) {
+    return this.put(key, await fs.promises.readFile(filePath), options);
+  }
+
+  async get(key) {
+    const response = await this.request('GET', this.assertKey(key), { responseType: 'arraybuffer' });
+    this.assertSuccess(response, 'get');
+
+    return Buffer.from(response.data);
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', this.assertKey(key));
+
+    if (response.status === 404) return false;
+    this.assertSuccess(response, 'head');
+
+    return true;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', this.assertKey(key));
+
+    // S3 mengembalikan 204 meskipun object tidak ada
+    if (response.status === 404) return;
+    this.assertSuccess(response, 'delete');
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await this.request('GET', '', { query });
+      this.assertSuccess(response, 'list');
+
+      const xml = String(response.data);
+      for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(this.decodeXml(match[1]));
+      }
+
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      const next = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+      continuationToken = truncated && next ? this.decodeXml(next[1]) : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  /**
+   * Generate presigned GET URL (AWS Signature V4 query string)
+   */
+  getSignedUrl(key, expiresIn, now = new Date()) {
+    const url = this.getObjectUrl(this.assertKey(key));
+    const amzDate = this.formatAmzDate(now);
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const { signature } = this.signRequest({
+      method: 'GET',
+      url,
+      query,
+      headers: { host: url.host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate
+    });
+
+    return `${url.toString()}?${buildQueryString(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  /**
+   * Decode XML entities in S3 list response
+   * @param {String} value - XML text
+   * @returns {String} Decoded text
+   */
+  decodeXml(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,110 @@
+/**
+ * Build storage error with code
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const storageError = (code, message, statusCode = 500) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Interface storage adapter untuk file upload
+ * Key selalu relatif dan memakai '/', misal media/foto-123.jpg
+ * Key dengan prefix private/ tidak boleh disajikan tanpa signed URL
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Save buffer under key
+   * @param {String} key - Storage key
+   * @param {Buffer} body - File content
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body, options = {}) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.put belum diimplementasikan`);
+  }
+
+  /**
+   * Save local file under key
+   * @param {String} key - Storage key
+   * @param {String} filePath - Local file path
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, size }
+   */
+  async putFile(key, filePath, options = {}) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.putFile belum diimplementasikan`);
+  }
+
+  /**
+   * Read file content
+   * @param {String} key - Storage key
+   * @returns {Promise<Buffer>} File content
+   */
+  async get(key) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.get belum diimplementasikan`);
+  }
+
+  /**
+   * Check if file exists
+   * @param {String} key - Storage key
+   * @returns {Promise<Boolean>} Exists
+   */
+  async exists(key) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.exists belum diimplementasikan`);
+  }
+
+  /**
+   * Delete file (tidak error jika file sudah tidak ada)
+   * @param {String} key - Storage key
+   */
+  async delete(key) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.delete belum diimplementasikan`);
+  }
+
+  /**
+   * List keys under prefix
+   * @param {String} prefix - Key prefix
+   * @returns {Promise<Array>} Keys
+   */
+  async list(prefix = '') {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.list belum diimplementasikan`);
+  }
+
+  /**
+   * Generate time-limited URL to read file (untuk media premium/private)
+   * @param {String} key - Storage key
+   * @param {Number} expiresIn - Masa berlaku dalam detik
+   * @param {Date} now - Waktu penandatanganan
+   * @returns {String} Signed URL
+   */
+  getSignedUrl(key, expiresIn, now = new Date()) {
+    throw storageError('STORAGE_NOT_IMPLEMENTED', `${this.name}.getSignedUrl belum diimplementasikan`);
+  }
+
+  /**
+   * Validate storage key (relatif, tanpa .. dan tanpa karakter kontrol)
+   * @param {String} key - Storage key
+   * @returns {String} Key
+   */
+  assertKey(key) {
+    if (typeof key !== 'string' || !key || key.startsWith('/') || key.includes('\\') ||
+        /[\x00-\x1f]/.test(key) || key.split('/').some(part => part === '..' || part === '.' || part === '')) {
+      throw storageError('INVALID_STORAGE_KEY', 'Key storage tidak valid', 400);
+    }
+    return key;
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  storageError
+};
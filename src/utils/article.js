@@ -286,7 +286,9 @@ class ArticleUtils {
       kategori: article.kategori,
       tags: article.tags,
       penulis: article.penulis,
+      authors: ArticleUtils.getByline(article),
       status: article.status,
+      version: article.version,
       featured: article.featured,
       premium: article.premium,
       metadata: article.metadata,
@@ -307,6 +309,45 @@ class ArticleUtils {
     return formatted;
   }
   
+  /**
+   * Get ordered byline of article
+   * Hanya byline yang sudah di-populate, selain itu fallback ke penulis
+   * @param {Object} article - Article object
+   * @returns {Array} Authors
+   */
+  static getByline(article) {
+    const byline = (article.byline || []).filter(author => author && author.username);
+    return byline.length > 0 ? byline : [article.penulis];
+  }
+  
+  /**
+   * Get ETag of article content version
+   * @param {Object} article - Article object
+   * @returns {String} ETag
+   */
+  static getVersionETag(article) {
+    return `"${article.version}"`;
+  }
+  
+  /**
+   * Parse expected version from If-Match header or version field
+   * @param {String} ifMatch - If-Match header ("3", W/"3" atau *)
+   * @param {String|Number} version - Version from request body
+   * @returns {Number|null} Expected version or null when not checked
+   */
+  static parseExpectedVersion(ifMatch, version) {
+    if (ifMatch && ifMatch.trim() !== '*') {
+      const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+      return match ? parseInt(match[1], 10) : NaN;
+    }
+    
+    if (version !== undefined && version !== null && version !== '') {
+      return /^\d+$/.test(String(version)) ? parseInt(version, 10) : NaN;
+    }
+    
+    return null;
+  }
+  
   /**
    * Get article statistics summary
    * @param {Object} article - Article object
@@ -68,12 +68,21 @@ class AuthUtils {
     let otp = '';
     
     for (let i = 0; i < length; i++) {
-      otp += digits[Math.floor(Math.random() * digits.length)];
+      otp += digits[crypto.randomInt(digits.length)];
     }
     
     return otp;
   }
   
+  /**
+   * Hash one-time token or code before storing it
+   * @param {String} value - Token or code
+   * @returns {String} sha256 hash
+   */
+  static hashToken(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+  
   /**
    * Hash password
    * @param {String} password - Plain password
@@ -110,6 +119,56 @@ class AuthUtils {
     return crypto.randomBytes(32).toString('hex');
   }
   
+  /**
+   * Get readable device name from User-Agent
+   * @param {String} userAgent - User-Agent header
+   * @returns {String} Device name (contoh: Chrome di Windows)
+   */
+  static getDeviceName(userAgent = '') {
+    const browsers = [
+      [/Edg\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/SamsungBrowser/, 'Samsung Internet'],
+      [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'],
+      [/Safari\//, 'Safari'],
+      [/PostmanRuntime/, 'Postman'],
+      [/okhttp|Dart|CFNetwork/, 'Aplikasi mobile']
+    ];
+    const systems = [
+      [/Windows/, 'Windows'],
+      [/Android/, 'Android'],
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/Linux/, 'Linux']
+    ];
+    
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+    
+    if (!browser && !system) return 'Perangkat tidak dikenal';
+    if (!system) return browser[1];
+    if (!browser) return system[1];
+    return `${browser[1]} di ${system[1]}`;
+  }
+  
+  /**
+   * Get client info for login session
+   * Nama perangkat bisa dikirim client lewat body deviceName atau header X-Device-Name
+   * @param {Object} req - Express request object
+   * @returns {Object} Device name, user agent and IP address
+   */
+  static getClientInfo(req) {
+    const userAgent = req.get('User-Agent') || '';
+    const deviceName = req.body?.deviceName || req.get('X-Device-Name');
+    
+    return {
+      deviceName: String(deviceName || this.getDeviceName(userAgent)).trim().substring(0, 100),
+      userAgent: userAgent.substring(0, 500),
+      ipAddress: req.ip
+    };
+  }
+  
   /**
    * Create password reset token with expiration
    * @param {String} userId - User ID
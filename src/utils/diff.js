@@ -0,0 +1,208 @@
+// Batas jumlah token kedua teks, diff kata artikel sangat panjang terlalu berat
+const DIFF_MAX_TOKENS = parseInt(process.env.DIFF_MAX_TOKENS || '20000', 10);
+
+/**
+ * Text diff utility functions (Myers diff algorithm)
+ */
+class DiffUtils {
+
+  /**
+   * Split text into tokens
+   * @param {String} text - Text to split
+   * @param {String} mode - Diff granularity (line, word)
+   * @returns {Array} Tokens
+   */
+  static tokenize(text, mode = 'line') {
+    if (!text) return [];
+
+    if (mode === 'word') {
+      // Keep whitespace as separate tokens so joined tokens reproduce the text
+      return text.split(/(\s+)/).filter(token => token.length > 0);
+    }
+
+    return text.split(/\r?\n/);
+  }
+
+  /**
+   * Compute shortest edit script between two token arrays
+   * Linear-space Myers (middle snake, divide and conquer): memori O(n + m)
+   * @param {Array} a - Old tokens
+   * @param {Array} b - New tokens
+   * @returns {Array} Edits ({ type, value })
+   */
+  static computeEdits(a, b) {
+    const edits = [];
+    this.diffRange(a, 0, a.length, b, 0, b.length, edits);
+    return edits;
+  }
+
+  /**
+   * Append edit script of a[aStart..aEnd) vs b[bStart..bEnd) to edits
+   * @param {Array} a - Old tokens
+   * @param {Number} aStart - Start index in a
+   * @param {Number} aEnd - End index in a (exclusive)
+   * @param {Array} b - New tokens
+   * @param {Number} bStart - Start index in b
+   * @param {Number} bEnd - End index in b (exclusive)
+   * @param {Array} edits - Output edits
+   */
+  static diffRange(a, aStart, aEnd, b, bStart, bEnd, edits) {
+    // Awalan dan akhiran yang sama tidak perlu dicari lewat snake
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      edits.push({ type: 'equal', value: a[aStart] });
+      aStart++;
+      bStart++;
+    }
+
+    let suffixEnd = aEnd;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+      aEnd--;
+      bEnd--;
+    }
+
+    if (aStart === aEnd) {
+      for (let y = bStart; y < bEnd; y++) {
+        edits.push({ type: 'insert', value: b[y] });
+      }
+    } else if (bStart === bEnd) {
+      for (let x = aStart; x < aEnd; x++) {
+        edits.push({ type: 'delete', value: a[x] });
+      }
+    } else {
+      const [x, y, u, v] = this.middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+
+      this.diffRange(a, aStart, x, b, bStart, y, edits);
+      for (let i = x; i < u; i++) {
+        edits.push({ type: 'equal', value: a[i] });
+      }
+      this.diffRange(a, u, aEnd, b, v, bEnd, edits);
+    }
+
+    for (let x = aEnd; x < suffixEnd; x++) {
+      edits.push({ type: 'equal', value: a[x] });
+    }
+  }
+
+  /**
+   * Find middle snake of optimal edit path (Myers 1986, section 4b)
+   * Pencarian maju dan mundur bertemu di tengah, hasilnya membagi dua masalah
+   * @param {Array} a - Old tokens
+   * @param {Number} aStart - Start index in a
+   * @param {Number} aEnd - End index in a (exclusive)
+   * @param {Array} b - New tokens
+   * @param {Number} bStart - Start index in b
+   * @param {Number} bEnd - End index in b (exclusive)
+   * @returns {Array} [x, y, u, v] snake dari (x, y) ke (u, v) dalam indeks absolut
+   */
+  static middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+
+    // forward[k]: x terjauh di diagonal k, backward[k]: jumlah token dari akhir
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+
+        forward[offset + k] = x;
+
+        const reverseK = delta - k;
+        if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+          return [aStart + startX, bStart + startY, aStart + x, bStart + y];
+        }
+      }
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+
+        while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+          x++;
+          y++;
+        }
+
+        backward[offset + k] = x;
+
+        const forwardK = delta - k;
+        if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+          return [aEnd - x, bEnd - y, aEnd - startX, bEnd - startY];
+        }
+      }
+    }
+
+    // Tidak tercapai: jalur optimal selalu bertemu paling lambat di d = max
+    return [aStart, bStart, aStart, bStart];
+  }
+
+  /**
+   * Diff two texts
+   * @param {String} oldText - Old text
+   * @param {String} newText - New text
+   * @param {String} mode - Diff granularity (line, word)
+   * @returns {Object} Diff chunks and statistics
+   * @throws {Error} DIFF_TOO_LARGE bila jumlah token melebihi DIFF_MAX_TOKENS
+   */
+  static diff(oldText = '', newText = '', mode = 'line') {
+    const oldTokens = this.tokenize(oldText, mode);
+    const newTokens = this.tokenize(newText, mode);
+
+    if (oldTokens.length + newTokens.length > DIFF_MAX_TOKENS) {
+      const error = new Error(`Teks terlalu panjang untuk dibandingkan (maksimal ${DIFF_MAX_TOKENS} token)`);
+      error.code = 'DIFF_TOO_LARGE';
+      error.statusCode = 413;
+      throw error;
+    }
+
+    const edits = this.computeEdits(oldTokens, newTokens);
+
+    // Merge consecutive edits of the same type
+    const separator = mode === 'line' ? '\n' : '';
+    const chunks = [];
+    const stats = { additions: 0, deletions: 0, unchanged: 0 };
+
+    for (const edit of edits) {
+      const isWhitespace = mode === 'word' && /^\s+$/.test(edit.value);
+
+      if (!isWhitespace) {
+        if (edit.type === 'insert') stats.additions += 1;
+        else if (edit.type === 'delete') stats.deletions += 1;
+        else stats.unchanged += 1;
+      }
+
+      const last = chunks[chunks.length - 1];
+      if (last && last.type === edit.type) {
+        last.value += separator + edit.value;
+      } else {
+        chunks.push({ type: edit.type, value: edit.value });
+      }
+    }
+
+    return {
+      mode,
+      chunks,
+      stats
+    };
+  }
+}
+
+module.exports = DiffUtils;
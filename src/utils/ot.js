@@ -0,0 +1,199 @@
+/**
+ * Operational transform utility functions untuk plain text
+ *
+ * Operasi berupa array komponen yang diterapkan berurutan:
+ * - { type: 'insert', position, text }
+ * - { type: 'delete', position, length }
+ */
+class OTUtils {
+
+  /**
+   * Validate operations against document length
+   * @param {Array} operations - Operations
+   * @param {Number} length - Document length before operations
+   * @param {Number} maxTextLength - Maximum inserted text per component
+   * @returns {String|null} Error message or null when valid
+   */
+  static validate(operations, length, maxTextLength = 10000) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return 'Operasi harus berupa array dan tidak boleh kosong';
+    }
+
+    let currentLength = length;
+
+    for (const op of operations) {
+      if (!op || !Number.isInteger(op.position) || op.position < 0 || op.position > currentLength) {
+        return 'Posisi operasi tidak valid';
+      }
+
+      if (op.type === 'insert') {
+        if (typeof op.text !== 'string' || op.text.length === 0 || op.text.length > maxTextLength) {
+          return 'Teks sisipan tidak valid';
+        }
+        currentLength += op.text.length;
+      } else if (op.type === 'delete') {
+        if (!Number.isInteger(op.length) || op.length <= 0 || op.position + op.length > currentLength) {
+          return 'Panjang penghapusan tidak valid';
+        }
+        currentLength -= op.length;
+      } else {
+        return 'Tipe operasi harus insert atau delete';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply operations to text
+   * @param {String} text - Document text
+   * @param {Array} operations - Validated operations
+   * @returns {String} New text
+   */
+  static apply(text, operations) {
+    return operations.reduce((result, op) => {
+      if (op.type === 'insert') {
+        return result.slice(0, op.position) + op.text + result.slice(op.position);
+      }
+      return result.slice(0, op.position) + result.slice(op.position + op.length);
+    }, text);
+  }
+
+  /**
+   * Transform two concurrent operation lists made on the same document
+   * Hasil: a' bisa diterapkan setelah b, dan b' setelah a, dengan hasil yang sama
+   * Sisipan di posisi yang sama: b (yang sudah diterapkan server) didahulukan
+   * @param {Array} a - Incoming operations
+   * @param {Array} b - Already applied operations
+   * @returns {Array} [a', b']
+   */
+  static transform(a, b) {
+    if (a.length === 0 || b.length === 0) {
+      return [a, b];
+    }
+
+    if (a.length > 1) {
+      const [firstA, b1] = OTUtils.transform([a[0]], b);
+      const [restA, b2] = OTUtils.transform(a.slice(1), b1);
+      return [[...firstA, ...restA], b2];
+    }
+
+    if (b.length > 1) {
+      const [a1, firstB] = OTUtils.transform(a, [b[0]]);
+      const [a2, restB] = OTUtils.transform(a1, b.slice(1));
+      return [a2, [...firstB, ...restB]];
+    }
+
+    return [
+      OTUtils.transformComponent(a[0], b[0], true),
+      OTUtils.transformComponent(b[0], a[0], false)
+    ];
+  }
+
+  /**
+   * Transform single component against another concurrent component
+   * @param {Object} op - Component to transform
+   * @param {Object} other - Concurrent component
+   * @param {Boolean} otherFirst - Other insert wins at the same position
+   * @returns {Array} Transformed components (bisa kosong atau terpecah dua)
+   */
+  static transformComponent(op, other, otherFirst) {
+    if (op.type === 'insert') {
+      if (other.type === 'insert') {
+        const shift = other.position < op.position || (other.position === op.position && otherFirst);
+        return [{ ...op, position: shift ? op.position + other.text.length : op.position }];
+      }
+
+      // other delete
+      if (op.position <= other.position) return [op];
+      if (op.position >= other.position + other.length) {
+        return [{ ...op, position: op.position - other.length }];
+      }
+      return [{ ...op, position: other.position }];
+    }
+
+    // op delete
+    if (other.type === 'insert') {
+      if (other.position <= op.position) {
+        return [{ ...op, position: op.position + other.text.length }];
+      }
+      if (other.position >= op.position + op.length) return [op];
+
+      // Sisipan di tengah range: hapus sekeliling teks sisipan, bukan teks sisipannya
+      const before = other.position - op.position;
+      return [
+        { type: 'delete', position: op.position, length: before },
+        { type: 'delete', position: op.position + other.text.length, length: op.length - before }
+      ];
+    }
+
+    // delete vs delete
+    const opEnd = op.position + op.length;
+    const otherEnd = other.position + other.length;
+
+    if (opEnd <= other.position) return [op];
+    if (op.position >= otherEnd) {
+      return [{ ...op, position: op.position - other.length }];
+    }
+
+    const overlap = Math.min(opEnd, otherEnd) - Math.max(op.position, other.position);
+    const remaining = op.length - overlap;
+
+    return remaining > 0
+      ? [{ type: 'delete', position: Math.min(op.position, other.position), length: remaining }]
+      : [];
+  }
+
+  /**
+   * Build operations turning one text into another
+   * Cukup satu range yang diganti (awalan dan akhiran yang sama dilewati)
+   * @param {String} from - Original text
+   * @param {String} to - New text
+   * @returns {Array} Operations (kosong bila teks sama)
+   */
+  static diff(from, to) {
+    if (from === to) return [];
+
+    let start = 0;
+    while (start < from.length && start < to.length && from[start] === to[start]) {
+      start++;
+    }
+
+    let end = 0;
+    while (end < from.length - start && end < to.length - start &&
+      from[from.length - 1 - end] === to[to.length - 1 - end]) {
+      end++;
+    }
+
+    const operations = [];
+    const deleted = from.length - start - end;
+    const inserted = to.slice(start, to.length - end);
+
+    if (deleted > 0) {
+      operations.push({ type: 'delete', position: start, length: deleted });
+    }
+    if (inserted.length > 0) {
+      operations.push({ type: 'insert', position: start, text: inserted });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Transform cursor position through operations
+   * @param {Number} position - Cursor position
+   * @param {Array} operations - Applied operations
+   * @returns {Number} New position
+   */
+  static transformPosition(position, operations) {
+    return operations.reduce((current, op) => {
+      if (op.type === 'insert') {
+        return op.position <= current ? current + op.text.length : current;
+      }
+      if (current <= op.position) return current;
+      return Math.max(op.position, current - op.length);
+    }, position);
+  }
+}
+
+module.exports = OTUtils;
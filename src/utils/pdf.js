@@ -0,0 +1,91 @@
+// Ukuran halaman A4 dalam point
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+/**
+ * Minimal single-page PDF writer (Helvetica, WinAnsi encoding)
+ * Cukup untuk dokumen teks sederhana seperti kwitansi
+ */
+class PdfUtils {
+
+  /**
+   * Escape text for PDF string literal
+   * @param {String} text - Text to escape
+   * @returns {String} Escaped text
+   */
+  static escapeText(text) {
+    return String(text)
+      // Karakter di luar Latin-1 tidak didukung font standar
+      .replace(/[^\x20-\xff]/g, '?')
+      .replace(/\\/g, '\\\\')
+      .replace(/\(/g, '\\(')
+      .replace(/\)/g, '\\)');
+  }
+
+  /**
+   * Approximate text width for Helvetica
+   * @param {String} text - Text
+   * @param {Number} size - Font size
+   * @returns {Number} Width in points
+   */
+  static textWidth(text, size) {
+    // Lebar rata-rata glyph Helvetica ~0.5em, angka tepat 0.556em
+    return String(text).split('').reduce((width, char) => {
+      if (/[0-9]/.test(char)) return width + 0.556;
+      if (/[.,:;il ]/.test(char)) return width + 0.278;
+      if (/[A-Z]/.test(char)) return width + 0.667;
+      return width + 0.5;
+    }, 0) * size;
+  }
+
+  /**
+   * Build PDF document
+   * @param {Array} items - Drawing items ({ type: 'text', x, y, text, size, bold, align } or { type: 'line', x1, y1, x2, y2 })
+   * @param {Object} options - Document options (title)
+   * @returns {Buffer} PDF file
+   */
+  static build(items, options = {}) {
+    const content = items.map(item => {
+      if (item.type === 'line') {
+        // y dihitung dari atas halaman agar mudah ditata
+        return `${item.width || 0.5} w ${item.x1} ${PAGE_HEIGHT - item.y1} m ${item.x2} ${PAGE_HEIGHT - item.y2} l S`;
+      }
+
+      const size = item.size || 10;
+      const x = item.align === 'right'
+        ? item.x - PdfUtils.textWidth(item.text, size)
+        : item.x;
+
+      return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${PAGE_HEIGHT - item.y} Td (${PdfUtils.escapeText(item.text)}) Tj ET`;
+    }).join('\n');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Title (${PdfUtils.escapeText(options.title || '')}) /Producer (${PdfUtils.escapeText(process.env.APP_NAME || 'Blog Platform')}) >>`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+
+    objects.forEach((object, index) => {
+      offsets.push(Buffer.byteLength(pdf, 'latin1'));
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+    pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+module.exports = PdfUtils;
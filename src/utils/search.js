@@ -0,0 +1,130 @@
+/**
+ * Search utility functions (normalisasi query dan toleransi typo)
+ */
+class SearchUtils {
+
+  /**
+   * Normalize search term: lowercase, trim and collapse whitespace
+   * @param {String} term - Raw search term
+   * @returns {String} Normalized term
+   */
+  static normalizeTerm(term) {
+    if (typeof term !== 'string') return '';
+
+    return term
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split term into words (huruf dan angka saja)
+   * @param {String} term - Search term
+   * @returns {Array} Words
+   */
+  static tokenize(term) {
+    return SearchUtils.normalizeTerm(term)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 0);
+  }
+
+  /**
+   * Escape string for use in RegExp / $regex
+   * @param {String} value - Value
+   * @returns {String} Escaped value
+   */
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Check if term looks like personal data (email, nomor telepon, NIK, nomor kartu)
+   * Query seperti ini tidak disimpan di log pencarian
+   * @param {String} term - Search term
+   * @returns {Boolean} Is sensitive
+   */
+  static isSensitiveTerm(term) {
+    if (/[^\s@]+@[^\s@]+\.[^\s@]+/.test(term)) return true;
+
+    const digits = term.replace(/[\s\-.()+]/g, '');
+    return /\d{8,}/.test(digits);
+  }
+
+  /**
+   * Edit distance (Damerau-Levenshtein, optimal string alignment)
+   * Perhitungan berhenti lebih awal bila jarak pasti melebihi maxDistance
+   * @param {String} a - First string
+   * @param {String} b - Second string
+   * @param {Number} maxDistance - Maximum distance of interest
+   * @returns {Number} Distance (maxDistance + 1 bila melebihi batas)
+   */
+  static editDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(
+          prev[j] + 1,
+          current[j - 1] + 1,
+          prev[j - 1] + cost
+        );
+
+        // Transposisi dua huruf bersebelahan ("javsacript")
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return Math.min(prev[b.length], maxDistance + 1);
+  }
+
+  /**
+   * Maximum typo distance allowed for word length
+   * @param {String} word - Word typed by user
+   * @returns {Number} Max distance
+   */
+  static maxTypoDistance(word) {
+    if (word.length < 4) return 0;
+    if (word.length < 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Distance between typed word and candidate, juga untuk kata yang belum selesai diketik
+   * ("javscr" cocok dengan awalan "javascript")
+   * @param {String} word - Typed word
+   * @param {String} candidate - Candidate word
+   * @param {Number} maxDistance - Maximum distance
+   * @returns {Number} Distance
+   */
+  static prefixDistance(word, candidate, maxDistance) {
+    let best = SearchUtils.editDistance(word, candidate, maxDistance);
+
+    for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+      if (length <= 0 || length >= candidate.length) continue;
+      best = Math.min(best, SearchUtils.editDistance(word, candidate.slice(0, length), maxDistance));
+    }
+
+    return best;
+  }
+}
+
+module.exports = SearchUtils;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+// Toleransi selisih jam antara server dan aplikasi authenticator (dalam step)
+const TOTP_WINDOW = 1;
+
+/**
+ * TOTP utility functions (RFC 6238) untuk two-factor authentication
+ */
+class TotpUtils {
+
+  /**
+   * Encode buffer to base32 (RFC 4648, tanpa padding)
+   * @param {Buffer} buffer - Buffer
+   * @returns {String} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode base32 string to buffer
+   * @param {String} input - Base32 string (spasi dan padding diabaikan)
+   * @returns {Buffer} Buffer
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Secret base32 tidak valid');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate random TOTP secret
+   * @param {Number} length - Secret length in bytes
+   * @returns {String} Base32 secret
+   */
+  static generateSecret(length = 20) {
+    return this.base32Encode(crypto.randomBytes(length));
+  }
+
+  /**
+   * Get time step counter
+   * @param {Number} timestamp - Timestamp in milliseconds
+   * @returns {Number} Counter
+   */
+  static getCounter(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+  }
+
+  /**
+   * Generate HOTP code for a counter (RFC 4226)
+   * @param {String} secret - Base32 secret
+   * @param {Number} counter - Counter
+   * @returns {String} Code
+   */
+  static generateHotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Generate TOTP code
+   * @param {String} secret - Base32 secret
+   * @param {Number} timestamp - Timestamp in milliseconds
+   * @returns {String} Code
+   */
+  static generateCode(secret, timestamp = Date.now()) {
+    return this.generateHotp(secret, this.getCounter(timestamp));
+  }
+
+  /**
+   * Verify TOTP code
+   * Mengembalikan counter yang cocok agar pemanggil bisa menolak kode yang sudah dipakai
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code from authenticator app
+   * @param {Object} options - { timestamp, window, afterCounter }
+   * @returns {Number|null} Matched counter, null jika tidak valid
+   */
+  static verifyCode(secret, code, options = {}) {
+    const {
+      timestamp = Date.now(),
+      window = TOTP_WINDOW,
+      afterCounter = -1
+    } = options;
+
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.getCounter(timestamp);
+
+    for (let counter = current - window; counter <= current + window; counter++) {
+      if (counter <= afterCounter) continue;
+
+      const expected = this.generateHotp(secret, counter);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build otpauth:// URI untuk QR code di aplikasi authenticator
+   * @param {String} secret - Base32 secret
+   * @param {String} accountName - Account label (email)
+   * @param {String} issuer - Issuer name
+   * @returns {String} Provisioning URI
+   */
+  static buildOtpauthUri(secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'Blog Platform') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate one-time recovery codes (format: xxxx-xxxx)
+   * @param {Number} count - Number of codes
+   * @returns {Array} Recovery codes
+   */
+  static generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+  }
+
+  /**
+   * Hash recovery code untuk disimpan
+   * @param {String} code - Recovery code
+   * @returns {String} Hash
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = TotpUtils;
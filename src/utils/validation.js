@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 // Validation rules untuk user registration
 const userRegistrationValidation = [
@@ -50,7 +50,13 @@ const userLoginValidation = [
 
   body('password')
     .notEmpty()
-    .withMessage('Password wajib diisi')
+    .withMessage('Password wajib diisi'),
+
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Nama perangkat maksimal 100 karakter')
 ];
 
 // Validation rules untuk update profile
@@ -128,6 +134,47 @@ const forgotPasswordValidation = [
     .normalizeEmail()
 ];
 
+// Validation rules untuk permintaan login tanpa password
+const passwordlessLoginRequestValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Format email tidak valid')
+    .normalizeEmail()
+];
+
+// Validation rules untuk login dengan magic link
+const magicLinkLoginValidation = [
+  body('token')
+    .trim()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Token login tidak valid'),
+
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('Remember me harus berupa boolean')
+];
+
+// Validation rules untuk login dengan kode OTP email
+const loginCodeValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Format email tidak valid')
+    .normalizeEmail(),
+
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Kode login harus 6 digit angka'),
+
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('Remember me harus berupa boolean')
+];
+
 // Validation rules untuk reset password
 const resetPasswordValidation = [
   body('token')
@@ -149,6 +196,56 @@ const resetPasswordValidation = [
     })
 ];
 
+// Validation rules untuk kode two-factor authentication
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Kode verifikasi harus 6 digit angka')
+];
+
+// Validation rules untuk langkah kedua login dan disable 2FA
+// Salah satu dari kode authenticator atau recovery code wajib diisi
+const twoFactorChallengeValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Kode verifikasi harus 6 digit angka'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-fA-F0-9]{4}-?[a-fA-F0-9]{4}$/)
+    .withMessage('Format recovery code tidak valid'),
+
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Kode verifikasi atau recovery code wajib diisi');
+      }
+      return true;
+    })
+];
+
+// Validation rules untuk verifikasi login 2FA
+const twoFactorLoginValidation = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token wajib diisi'),
+
+  ...twoFactorChallengeValidation
+];
+
+// Validation rules untuk menonaktifkan 2FA
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password wajib diisi'),
+
+  ...twoFactorChallengeValidation
+];
+
 // Middleware untuk handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -271,8 +368,8 @@ const articleCreationValidation = [
 
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived', 'scheduled'])
-    .withMessage('Status harus salah satu dari: draft, published, archived, scheduled'),
+    .isIn(['draft', 'review'])
+    .withMessage('Status harus salah satu dari: draft, review'),
 
   body('featured')
     .optional()
@@ -282,7 +379,12 @@ const articleCreationValidation = [
   body('premium')
     .optional()
     .isBoolean()
-    .withMessage('Premium harus berupa boolean')
+    .withMessage('Premium harus berupa boolean'),
+
+  body('thumbnailMedia')
+    .optional()
+    .isMongoId()
+    .withMessage('ID media thumbnail tidak valid')
 ];
 
 // Validation rules untuk article update
@@ -323,8 +425,8 @@ const articleUpdateValidation = [
 
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived', 'scheduled'])
-    .withMessage('Status harus salah satu dari: draft, published, archived, scheduled'),
+    .isIn(['draft', 'review', 'approved', 'published', 'archived', 'scheduled'])
+    .withMessage('Status harus salah satu dari: draft, review, approved, published, archived, scheduled'),
 
   body('scheduledAt')
     .optional()
@@ -335,7 +437,119 @@ const articleUpdateValidation = [
         throw new Error('Tanggal scheduled harus di masa depan');
       }
       return true;
-    })
+    }),
+
+  body('thumbnailMedia')
+    .optional()
+    .isMongoId()
+    .withMessage('ID media thumbnail tidak valid')
+];
+
+// Validation rules untuk autosave draft artikel
+// Draft boleh belum lengkap, panjang minimal baru dicek saat artikel disimpan
+const articleDraftValidation = [
+  body('judul')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Judul maksimal 200 karakter'),
+
+  body('konten')
+    .optional()
+    .isString()
+    .withMessage('Konten harus berupa string'),
+
+  body('ringkasan')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Ringkasan maksimal 500 karakter'),
+
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags harus berupa array'),
+
+  body('tags.*')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Setiap tag maksimal 50 karakter'),
+
+  body('baseVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Versi dasar draft tidak valid')
+    .toInt()
+];
+
+// Validation rules untuk link pratinjau artikel
+const previewLinkValidation = [
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: parseInt(process.env.PREVIEW_LINK_MAX_HOURS || '720', 10) })
+    .withMessage('Masa berlaku link pratinjau tidak valid')
+    .toInt(),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Catatan maksimal 100 karakter')
+];
+
+// Validation rules untuk undangan kolaborator artikel
+const collaboratorInviteValidation = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username wajib diisi'),
+
+  body('role')
+    .optional()
+    .isIn(['co-author', 'reviewer'])
+    .withMessage('Role harus co-author atau reviewer')
+];
+
+// Validation rules untuk urutan byline artikel
+const bylineValidation = [
+  body('authors')
+    .isArray({ min: 1 })
+    .withMessage('Authors harus berupa array dan tidak boleh kosong'),
+
+  body('authors.*')
+    .isMongoId()
+    .withMessage('ID penulis tidak valid')
+];
+
+// Validation rules untuk metadata media library
+const mediaUpdateValidation = [
+  body('altText')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Alt text maksimal 300 karakter'),
+
+  body('caption')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Caption maksimal 500 karakter'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags harus berupa array (maksimal 20)'),
+
+  body('tags.*')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Setiap tag 1-50 karakter')
 ];
 
 // Validation rules untuk SEO update
@@ -403,26 +617,6 @@ const socialMediaValidation = [
     .withMessage('Hashtag harus dimulai dengan # dan hanya mengandung huruf, angka, underscore')
 ];
 
-module.exports = {
-  userRegistrationValidation,
-  userLoginValidation,
-  userProfileUpdateValidation,
-  changePasswordValidation,
-  forgotPasswordValidation,
-  resetPasswordValidation,
-  articleCreationValidation,
-  articleUpdateValidation,
-  seoUpdateValidation,
-  socialMediaValidation,
-  categoryCreationValidation,
-  categoryUpdateValidation,
-  commentCreationValidation,
-  commentUpdateValidation,
-  commentModerationValidation,
-  handleValidationErrors,
-  customValidations
-};
-
 // Validation rules untuk category creation
 const categoryCreationValidation = [
   body('nama')
@@ -798,40 +992,20 @@ const socialMediaPostValidation = [
     .optional()
     .isMongoId()
     .withMessage('Article ID tidak valid')
-];m
-odule.exports = {
-  userRegistrationValidation,
-  userLoginValidation,
-  userProfileUpdateValidation,
-  changePasswordValidation,
-  forgotPasswordValidation,
-  resetPasswordValidation,
-  articleCreationValidation,
-  articleUpdateValidation,
-  seoUpdateValidation,
-  socialMediaValidation,
-  categoryCreationValidation,
-  categoryUpdateValidation,
-  commentCreationValidation,
-  commentUpdateValidation,
-  commentModerationValidation,
-  aiContentGenerationValidation,
-  aiContentImprovementValidation,
-  aiSeoValidation,
-  aiContentIdeasValidation,
-  aiImageGenerationValidation,
-  aiImagePromptValidation,
-  socialMediaPostValidation,
-  handleValidationErrors,
-  customValidations
-};// Valid
-ation rules untuk subscription upgrade
+];
+
+// Validation rules untuk subscription upgrade
 const subscriptionUpgradeValidation = [
   body('planId')
     .trim()
     .isIn(['free', 'premium', 'pro'])
     .withMessage('Plan ID harus salah satu dari: free, premium, pro'),
 
+  body('billingCycle')
+    .optional()
+    .isIn(['monthly', 'yearly', 'lifetime'])
+    .withMessage('Siklus tagihan harus salah satu dari: monthly, yearly, lifetime'),
+
   body('paymentMethod')
     .optional()
     .trim()
@@ -844,13 +1018,177 @@ const subscriptionUpgradeValidation = [
     .isLength({ min: 5, max: 100 })
     .withMessage('Transaction ID harus antara 5-100 karakter'),
 
+  body('couponCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Kode kupon harus antara 3-30 karakter'),
+
   body('autoRenew')
     .optional()
     .isBoolean()
     .withMessage('autoRenew harus berupa boolean')
 ];
-/
-/ Validation rules untuk subscription
+
+// Validation rules untuk cek kupon
+const couponValidateValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Kode kupon wajib diisi')
+    .isLength({ max: 30 })
+    .withMessage('Kode kupon maksimal 30 karakter'),
+
+  body('planId')
+    .trim()
+    .isIn(['free', 'premium', 'pro'])
+    .withMessage('Plan ID harus salah satu dari: free, premium, pro'),
+
+  body('billingCycle')
+    .optional()
+    .isIn(['monthly', 'yearly', 'lifetime'])
+    .withMessage('Siklus tagihan harus salah satu dari: monthly, yearly, lifetime')
+];
+
+// Validation rules untuk membuat/mengubah kupon (admin)
+const couponValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Kode kupon 3-30 karakter berisi huruf, angka, - dan _'),
+
+  body('type')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Tipe kupon harus percentage atau fixed'),
+
+  body('value')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Nilai kupon minimal 1'),
+
+  body('maxDiscount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Maksimal diskon tidak boleh negatif'),
+
+  body('plans')
+    .optional()
+    .isArray()
+    .withMessage('Plans harus berupa array'),
+
+  body('plans.*')
+    .isIn(['free', 'premium', 'pro'])
+    .withMessage('Plan harus salah satu dari: free, premium, pro'),
+
+  body('billingCycles')
+    .optional()
+    .isArray()
+    .withMessage('Billing cycles harus berupa array'),
+
+  body('billingCycles.*')
+    .isIn(['monthly', 'yearly', 'lifetime'])
+    .withMessage('Siklus tagihan harus salah satu dari: monthly, yearly, lifetime'),
+
+  body(['startsAt', 'expiresAt'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Tanggal kupon harus format ISO 8601'),
+
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Batas pemakaian minimal 1'),
+
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Batas pemakaian per user minimal 1'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive harus boolean')
+];
+
+// Validation rules untuk role staff
+// Permission dicek terhadap katalog di model Role
+const roleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Nama role hanya boleh huruf kecil, angka, - dan _ (2-30 karakter)'),
+
+  body('displayName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nama tampilan role 1-50 karakter'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Deskripsi maksimal 200 karakter'),
+
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions harus berupa array'),
+
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission harus berupa string')
+];
+
+// Validation rules untuk set role staff user
+const staffRolesValidation = [
+  body('staffRoles')
+    .isArray()
+    .withMessage('Staff roles harus berupa array'),
+
+  body('staffRoles.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .withMessage('Nama role harus berupa string')
+];
+
+// Validation rules untuk membuat API key
+const apiKeyCreationValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Nama API key wajib diisi')
+    .isLength({ max: 100 })
+    .withMessage('Nama API key maksimal 100 karakter'),
+
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes harus berupa array dan minimal satu scope'),
+
+  body('scopes.*')
+    .isIn(['articles:read', 'articles:write', 'analytics:read', 'comments:write'])
+    .withMessage('Scope harus salah satu dari: articles:read, articles:write, analytics:read, comments:write'),
+
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rate limit harus antara 1-1000 request per menit')
+    .toInt(),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Masa berlaku harus antara 1-365 hari')
+    .toInt()
+];
+
+// Validation rules untuk subscription
 const subscriptionValidation = [
   body('planId')
     .notEmpty()
@@ -893,13 +1231,84 @@ const paymentValidation = [
     .withMessage('Payment gateway tidak valid')
 ];
 
+// Validation rules untuk pagination (query string)
+const paginationQueryValidation = [
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page dan limit harus angka positif')
+];
+
+// Validation rules untuk filter audit log (query string)
+const auditLogQueryValidation = [
+  query(['actor', 'resourceId'])
+    .optional()
+    .isMongoId()
+    .withMessage('ID tidak valid'),
+
+  query(['action', 'category', 'resourceType', 'status', 'ipAddress'])
+    .optional()
+    .isString()
+    .withMessage('Filter harus berupa teks')
+    .isLength({ max: 100 })
+    .withMessage('Filter maksimal 100 karakter'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Tanggal harus dalam format ISO 8601'),
+
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page dan limit harus angka positif')
+];
+
 module.exports = {
   userRegistrationValidation,
   userLoginValidation,
-  articleValidation,
-  categoryValidation,
-  commentValidation,
+  userProfileUpdateValidation,
+  changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorChallengeValidation,
+  twoFactorLoginValidation,
+  twoFactorDisableValidation,
+  passwordlessLoginRequestValidation,
+  magicLinkLoginValidation,
+  loginCodeValidation,
+  articleCreationValidation,
+  articleUpdateValidation,
+  articleDraftValidation,
+  previewLinkValidation,
+  collaboratorInviteValidation,
+  bylineValidation,
+  mediaUpdateValidation,
+  seoUpdateValidation,
+  socialMediaValidation,
+  categoryCreationValidation,
+  categoryUpdateValidation,
+  commentCreationValidation,
+  commentUpdateValidation,
+  commentModerationValidation,
+  aiContentGenerationValidation,
+  aiContentImprovementValidation,
+  aiSeoValidation,
+  aiContentIdeasValidation,
+  aiImageGenerationValidation,
+  aiImagePromptValidation,
+  socialMediaPostValidation,
+  subscriptionUpgradeValidation,
   subscriptionValidation,
+  couponValidateValidation,
+  couponValidation,
+  roleValidation,
+  staffRolesValidation,
+  apiKeyCreationValidation,
   paymentValidation,
-  handleValidationErrors
+  paginationQueryValidation,
+  auditLogQueryValidation,
+  handleValidationErrors,
+  customValidations
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../server');
 const User = require('../../src/models/User');
+const TotpUtils = require('../../src/utils/totp');
+const PasswordlessLoginService = require('../../src/services/PasswordlessLoginService');
 const jwt = require('jsonwebtoken');
 
 describe('AuthController', () => {
@@ -186,6 +188,162 @@ describe('AuthController', () => {
     });
   });
 
+  describe('POST /api/auth/login/2fa', () => {
+    let secret;
+
+    beforeEach(async () => {
+      secret = TotpUtils.generateSecret();
+
+      await User.create({
+        username: 'mfauser',
+        email: 'mfa@example.com',
+        password: 'Password123',
+        profile: { nama: 'MFA User' },
+        isActive: true,
+        twoFactor: {
+          enabled: true,
+          secret,
+          recoveryCodes: [TotpUtils.hashRecoveryCode('abcd-1234')]
+        }
+      });
+    });
+
+    const loginStep = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: 'mfa@example.com', password: 'Password123' })
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    it('should require second factor before issuing tokens', async () => {
+      const data = await loginStep();
+
+      expect(data.mfaRequired).toBe(true);
+      expect(data.mfaToken).toBeDefined();
+      expect(data.tokens).toBeUndefined();
+    });
+
+    it('should login with valid TOTP code only once', async () => {
+      const { mfaToken } = await loginStep();
+      const code = TotpUtils.generateCode(secret);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken, code })
+        .expect(200);
+
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+
+      const replay = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken, code })
+        .expect(401);
+
+      expect(replay.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should accept recovery code only once', async () => {
+      const { mfaToken } = await loginStep();
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken, recoveryCode: 'ABCD-1234' })
+        .expect(200);
+
+      expect(response.body.data.remainingRecoveryCodes).toBe(0);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken, recoveryCode: 'abcd-1234' })
+        .expect(401);
+    });
+
+    it('should reject invalid mfa token', async () => {
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: 'invalid', code: '123456' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_MFA_TOKEN');
+    });
+  });
+
+  describe('Passwordless login', () => {
+    beforeEach(async () => {
+      await User.create({
+        username: 'magicuser',
+        email: 'magic@example.com',
+        password: 'Password123',
+        profile: { nama: 'Magic User' },
+        isActive: true
+      });
+    });
+
+    it('should not reveal whether email is registered', async () => {
+      const unknown = await request(app)
+        .post('/api/auth/login/passwordless')
+        .send({ email: 'unknown@example.com' })
+        .expect(200);
+
+      const known = await request(app)
+        .post('/api/auth/login/passwordless')
+        .send({ email: 'magic@example.com' })
+        .expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+
+      const user = await User.findOne({ email: 'magic@example.com' })
+        .select('+passwordlessLogin.tokenHash +passwordlessLogin.codeHash');
+      expect(user.passwordlessLogin.tokenHash).toBeDefined();
+      expect(user.passwordlessLogin.codeHash).toBeDefined();
+    });
+
+    it('should login with magic link only once', async () => {
+      const { token } = await PasswordlessLoginService.createChallenge('magic@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/login/magic-link')
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+      expect(response.body.data.tokens.refreshToken).toBeDefined();
+
+      const replay = await request(app)
+        .post('/api/auth/login/magic-link')
+        .send({ token })
+        .expect(401);
+
+      expect(replay.body.error.code).toBe('INVALID_LOGIN_LINK');
+    });
+
+    it('should login with emailed code and reject wrong or reused code', async () => {
+      const { code } = await PasswordlessLoginService.createChallenge('magic@example.com');
+      const wrongCode = code === '000000' ? '111111' : '000000';
+
+      const wrong = await request(app)
+        .post('/api/auth/login/code')
+        .send({ email: 'magic@example.com', code: wrongCode })
+        .expect(401);
+
+      expect(wrong.body.error.code).toBe('INVALID_LOGIN_CODE');
+
+      const response = await request(app)
+        .post('/api/auth/login/code')
+        .send({ email: 'magic@example.com', code })
+        .expect(200);
+
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/login/code')
+        .send({ email: 'magic@example.com', code })
+        .expect(401);
+    });
+  });
+
   describe('POST /api/auth/refresh', () => {
     let testUser;
     let refreshToken;
@@ -103,6 +103,39 @@ describe('Social Auth Controller', () => {
       expect(response.body.data.isNewUser).toBe(false);
     });
 
+    it('should require 2FA code for Google user with 2FA enabled', async () => {
+      await User.createUser({
+        username: 'testuser',
+        email: 'test@gmail.com',
+        password: 'Password123',
+        profile: { nama: 'Test User' },
+        twoFactor: { enabled: true },
+        socialAccounts: {
+          google: {
+            id: 'google123',
+            email: 'test@gmail.com',
+            name: 'Test User',
+            linkedAt: new Date()
+          }
+        }
+      });
+
+      axios.get.mockResolvedValue({
+        data: mockGoogleUser
+      });
+
+      const response = await request(app)
+        .post('/api/auth/social/google')
+        .send({
+          token: 'valid_google_token'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.tokens).toBeUndefined();
+      expect(JwtService.verifyMfaToken(response.body.data.mfaToken).method).toBe('google');
+    });
+
     it('should link Google account to existing email user', async () => {
       // Create existing user without Google account
       await User.createUser({
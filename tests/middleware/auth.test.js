@@ -1,17 +1,28 @@
 const request = require('supertest');
 const express = require('express');
 const mongoose = require('mongoose');
+const { EventEmitter } = require('events');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const User = require('../../src/models/User');
+const ApiKey = require('../../src/models/ApiKey');
+const Article = require('../../src/models/Article');
+const Subscription = require('../../src/models/Subscription');
+const Role = require('../../src/models/Role');
 const JwtService = require('../../src/services/JwtService');
+const PermissionService = require('../../src/services/PermissionService');
+const SubscriptionService = require('../../src/services/SubscriptionService');
 const {
   authenticate,
   optionalAuth,
   authorize,
+  requirePermission,
   requireEmailVerification,
   requireFeature,
   requireOwnership,
-  authGuard
+  authGuard,
+  authenticateApiKey,
+  requireApiScope,
+  enforceUsageLimit
 } = require('../../src/middleware/auth');
 
 describe('Authentication Middleware', () => {
@@ -63,7 +74,10 @@ describe('Authentication Middleware', () => {
         nama: 'Admin User'
       },
       role: 'admin',
-      emailVerified: true
+      emailVerified: true,
+      twoFactor: {
+        enabled: true
+      }
     });
     await adminUser.save();
 
@@ -114,6 +128,30 @@ describe('Authentication Middleware', () => {
       expect(response.body.error.code).toBe('INVALID_TOKEN');
     });
 
+    it('should reject access token of revoked session', async () => {
+      const tokens = JwtService.generateTokenPair(testUser);
+      await JwtService.storeRefreshToken(testUser._id, tokens.refreshToken);
+      await JwtService.revokeRefreshToken(tokens.refreshToken);
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${tokens.accessToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should reject mfa pending token as access token', async () => {
+      const mfaToken = JwtService.generateMfaToken(testUser._id);
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${mfaToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+    });
+
     it('should reject token for inactive user', async () => {
       testUser.isActive = false;
       await testUser.save();
@@ -236,6 +274,79 @@ describe('Authentication Middleware', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
     });
+
+    it('should require two-factor authentication for admin', async () => {
+      adminUser.twoFactor.enabled = false;
+      await adminUser.save();
+
+      const response = await request(app)
+        .get('/admin-only')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+  });
+
+  describe('requirePermission middleware', () => {
+    beforeEach(async () => {
+      await Role.deleteMany({});
+      PermissionService.invalidate();
+
+      await Role.create({
+        name: 'moderator',
+        displayName: 'Moderator',
+        permissions: ['comments.moderate']
+      });
+
+      app.get('/moderation', authenticate, requirePermission('comments.moderate'), (req, res) => {
+        res.json({ success: true, permissions: req.permissions });
+      });
+    });
+
+    it('should allow admin through wildcard permission', async () => {
+      const response = await request(app)
+        .get('/moderation')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.permissions).toEqual(['*']);
+    });
+
+    it('should deny user without permission', async () => {
+      const response = await request(app)
+        .get('/moderation')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should allow staff role with permission and two-factor enabled', async () => {
+      testUser.staffRoles = ['moderator'];
+      testUser.twoFactor.enabled = true;
+      await testUser.save();
+
+      const response = await request(app)
+        .get('/moderation')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.permissions).toContain('comments.moderate');
+    });
+
+    it('should require two-factor authentication for staff', async () => {
+      testUser.staffRoles = ['moderator'];
+      await testUser.save();
+
+      const response = await request(app)
+        .get('/moderation')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+    });
   });
 
   describe('requireEmailVerification middleware', () => {
@@ -272,8 +383,11 @@ describe('Authentication Middleware', () => {
   });
 
   describe('requireFeature middleware', () => {
-    beforeEach(() => {
-      app.get('/premium-feature', authenticate, requireFeature('ai_content'), (req, res) => {
+    beforeEach(async () => {
+      await Subscription.deleteMany({});
+      await Subscription.createDefaultPlans();
+
+      app.get('/premium-feature', authenticate, requireFeature('ai_content_generation'), (req, res) => {
         res.json({ success: true, message: 'Premium feature access granted' });
       });
     });
@@ -313,6 +427,58 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('enforceUsageLimit middleware', () => {
+    const reservation = { period: 'test', limitType: 'aiRequestsPerMonth', amount: 1 };
+
+    const runMiddleware = async () => {
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      res.writableFinished = false;
+      const next = jest.fn();
+
+      await enforceUsageLimit('aiRequestsPerMonth')({ user: testUser }, res, next);
+      expect(next).toHaveBeenCalled();
+
+      return res;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(SubscriptionService, 'reserveUsage').mockResolvedValue({ allowed: true, reservation });
+      jest.spyOn(SubscriptionService, 'releaseUsage').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep reservation of successful response', async () => {
+      const res = await runMiddleware();
+
+      res.writableFinished = true;
+      res.emit('close');
+
+      expect(SubscriptionService.releaseUsage).not.toHaveBeenCalled();
+    });
+
+    it('should release reservation of failed response', async () => {
+      const res = await runMiddleware();
+
+      res.statusCode = 500;
+      res.writableFinished = true;
+      res.emit('close');
+
+      expect(SubscriptionService.releaseUsage).toHaveBeenCalledWith(testUser, reservation);
+    });
+
+    it('should release reservation when client disconnects before response', async () => {
+      const res = await runMiddleware();
+
+      res.emit('close');
+
+      expect(SubscriptionService.releaseUsage).toHaveBeenCalledWith(testUser, reservation);
+    });
+  });
+
   describe('requireOwnership middleware', () => {
     beforeEach(() => {
       app.get('/user/:userId/profile', authenticate, requireOwnership('userId'), (req, res) => {
@@ -349,12 +515,62 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('requireOwnership middleware for articles', () => {
+    let article;
+
+    beforeEach(async () => {
+      await Article.deleteMany({});
+
+      article = await Article.create({
+        judul: 'Owned Article Title',
+        konten: 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.',
+        kategori: new mongoose.Types.ObjectId(),
+        penulis: adminUser._id,
+        collaborators: [{ user: testUser._id, role: 'reviewer', status: 'accepted' }]
+      });
+
+      app.get('/articles/:id/edit', authenticate, requireOwnership('id', { resource: 'article' }), (req, res) => {
+        res.json({ success: true, role: req.articleRole });
+      });
+      app.get('/articles/:id/review', authenticate, requireOwnership('id', { resource: 'article', roles: ['owner', 'reviewer'] }), (req, res) => {
+        res.json({ success: true, role: req.articleRole });
+      });
+    });
+
+    it('should allow collaborator with permitted role', async () => {
+      const response = await request(app)
+        .get(`/articles/${article._id}/review`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe('reviewer');
+    });
+
+    it('should deny collaborator without permitted role', async () => {
+      const response = await request(app)
+        .get(`/articles/${article._id}/edit`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should return 404 for unknown article', async () => {
+      const response = await request(app)
+        .get(`/articles/${new mongoose.Types.ObjectId()}/edit`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('ARTICLE_NOT_FOUND');
+    });
+  });
+
   describe('authGuard middleware', () => {
     beforeEach(() => {
       app.get('/complex-auth', ...authGuard({
         roles: ['admin', 'penulis'],
         requireVerification: true,
-        requireFeature: 'ai_content'
+        requireFeature: 'ai_content_generation'
       }), (req, res) => {
         res.json({ success: true, message: 'Complex auth passed' });
       });
@@ -402,4 +618,110 @@ describe('Authentication Middleware', () => {
       expect(response.body.authenticated).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('authenticateApiKey middleware', () => {
+    let apiKey;
+    let plainKey;
+
+    beforeEach(async () => {
+      await ApiKey.deleteMany({});
+      await Subscription.deleteMany({});
+      await Subscription.createDefaultPlans();
+
+      testUser.subscription.plan = 'pro';
+      await testUser.save();
+
+      const generated = ApiKey.generateKey();
+      plainKey = generated.key;
+      apiKey = await ApiKey.create({
+        user: testUser._id,
+        name: 'Integrasi CMS',
+        prefix: generated.prefix,
+        keyHash: generated.keyHash,
+        scopes: ['articles:read'],
+        rateLimit: 2
+      });
+
+      app.get('/api-key/articles', authenticateApiKey, requireApiScope('articles:read'), (req, res) => {
+        res.json({ success: true, username: req.user.username, authMethod: req.authMethod });
+      });
+
+      app.get('/api-key/analytics', authenticateApiKey, requireApiScope('analytics:read'), (req, res) => {
+        res.json({ success: true });
+      });
+    });
+
+    it('should store only hash and prefix of the key', async () => {
+      const stored = await ApiKey.findById(apiKey._id).select('+keyHash');
+
+      expect(stored.prefix).toBe(plainKey.substring(0, 12));
+      expect(stored.keyHash).toBe(ApiKey.hashKey(plainKey));
+      expect(stored.keyHash).not.toBe(plainKey);
+    });
+
+    it('should authenticate valid API key with scope', async () => {
+      const response = await request(app)
+        .get('/api-key/articles')
+        .set('X-API-Key', plainKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.username).toBe('testuser');
+      expect(response.body.authMethod).toBe('api_key');
+      expect(response.headers['x-ratelimit-limit']).toBe('2');
+    });
+
+    it('should reject API key without required scope', async () => {
+      const response = await request(app)
+        .get('/api-key/analytics')
+        .set('X-API-Key', plainKey);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_SCOPE');
+    });
+
+    it('should reject revoked and expired API keys', async () => {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      const revoked = await request(app)
+        .get('/api-key/articles')
+        .set('X-API-Key', plainKey);
+
+      apiKey.revokedAt = null;
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      await apiKey.save();
+
+      const expired = await request(app)
+        .get('/api-key/articles')
+        .set('X-API-Key', plainKey);
+
+      expect(revoked.status).toBe(401);
+      expect(revoked.body.error.code).toBe('INVALID_API_KEY');
+      expect(expired.status).toBe(401);
+    });
+
+    it('should reject API key when plan has no api_access', async () => {
+      testUser.subscription.plan = 'premium';
+      await testUser.save();
+
+      const response = await request(app)
+        .get('/api-key/articles')
+        .set('X-API-Key', plainKey);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FEATURE_NOT_AVAILABLE');
+    });
+
+    it('should enforce per-key rate limit', async () => {
+      await request(app).get('/api-key/articles').set('X-API-Key', plainKey);
+      await request(app).get('/api-key/articles').set('X-API-Key', plainKey);
+
+      const response = await request(app)
+        .get('/api-key/articles')
+        .set('X-API-Key', plainKey);
+
+      expect(response.status).toBe(429);
+      expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Analytics = require('../../src/models/Analytics');
+const AnalyticsDaily = require('../../src/models/AnalyticsDaily');
+
+describe('Analytics Model', () => {
+  let mongoServer;
+  let articleId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Analytics.deleteMany({});
+    await AnalyticsDaily.deleteMany({});
+
+    articleId = new mongoose.Types.ObjectId();
+  });
+
+  describe('track', () => {
+    it('should store raw event and daily rollup', async () => {
+      const event = await Analytics.track({
+        eventType: 'view',
+        entityType: 'article',
+        entityId: articleId,
+        ipAddress: '127.0.0.1',
+        userAgent: 'jest',
+        referrer: 'google.com',
+        country: 'id',
+        device: 'mobile'
+      });
+
+      expect(event.sessionId).toHaveLength(32);
+      expect(event.country).toBe('ID');
+
+      const [day] = await AnalyticsDaily.getSeries('article', articleId, new Date(Date.now() - 86400000), new Date());
+      expect(day.metrics.views).toBe(1);
+      expect(day.metrics.sessions).toBe(1);
+      expect(day.referrers['google.com']).toBe(1);
+      expect(day.countries.ID).toBe(1);
+      expect(day.devices.mobile).toBe(1);
+    });
+
+    it('should count repeated views in the same session once', async () => {
+      const visitor = { ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+      await Analytics.track({ eventType: 'view', entityId: articleId, ...visitor });
+      await Analytics.track({ eventType: 'view', entityId: articleId, ...visitor });
+      await Analytics.track({ eventType: 'view', entityId: articleId, ipAddress: '10.0.0.1', userAgent: 'jest' });
+
+      const day = await AnalyticsDaily.findOne({ entityId: articleId });
+      expect(day.metrics.views).toBe(3);
+      expect(day.metrics.sessions).toBe(2);
+    });
+
+    it('should roll up engagement events', async () => {
+      await Analytics.track({ eventType: 'like', entityId: articleId });
+      await Analytics.track({ eventType: 'share', entityId: articleId, value: 2 });
+
+      const day = await AnalyticsDaily.findOne({ entityId: articleId });
+      expect(day.metrics.likes).toBe(1);
+      expect(day.metrics.shares).toBe(2);
+      expect(day.metrics.views).toBe(0);
+    });
+
+    it('should not roll up login events', async () => {
+      await Analytics.track({ eventType: 'login', entityType: 'user', entityId: articleId });
+
+      expect(await Analytics.countDocuments({ eventType: 'login' })).toBe(1);
+      expect(await AnalyticsDaily.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Indexes', () => {
+    it('should expire raw events with TTL index', async () => {
+      await Analytics.init();
+      const indexes = await Analytics.collection.indexes();
+      const ttlIndex = indexes.find(index => index.expireAfterSeconds !== undefined);
+
+      expect(ttlIndex.key).toEqual({ createdAt: 1 });
+    });
+  });
+});
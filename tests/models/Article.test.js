@@ -253,6 +253,56 @@ describe('Article Model', () => {
       expect(article.previousVersions[0].updatedBy.toString()).toBe(testUser._id.toString());
     });
 
+    it('should snapshot given content when article was already changed', () => {
+      const originalContent = article.konten;
+      
+      article.judul = 'Judul Baru';
+      article.konten = 'Updated content with more than 100 characters to meet the minimum requirement for article content validation.';
+      article.createVersion(testUser._id, 'Article details updated', originalContent);
+      
+      expect(article.previousVersions[0].konten).toBe(originalContent);
+      expect(article.version).toBe(2);
+    });
+
+    it('should list revision history with author and change note', async () => {
+      const editor = new mongoose.Types.ObjectId();
+      
+      article.createVersion(editor, 'Perbaikan typo');
+      article.konten = 'Updated content with more than 100 characters to meet the minimum requirement for article content validation.';
+      await article.save();
+      
+      const history = article.getRevisionHistory();
+      
+      expect(history).toHaveLength(2);
+      expect(history[0].version).toBe(2);
+      expect(history[0].current).toBe(true);
+      expect(history[0].changeNote).toBe('Perbaikan typo');
+      expect(history[0].author.toString()).toBe(editor.toString());
+      expect(history[1].version).toBe(1);
+      expect(history[1].author.toString()).toBe(testUser._id.toString());
+    });
+
+    it('should restore older version as new version', async () => {
+      const originalContent = article.konten;
+      
+      article.createVersion(testUser._id, 'Updated content');
+      article.konten = 'Updated content with more than 100 characters to meet the minimum requirement for article content validation.';
+      await article.save();
+      
+      await article.restoreVersion(1, testUser._id, 'Rollback');
+      
+      expect(article.version).toBe(3);
+      expect(article.konten).toBe(originalContent);
+      expect(article.previousVersions).toHaveLength(2);
+      expect(article.getVersionSnapshot(2).konten).toContain('Updated content');
+      expect(article.getRevisionHistory()[0].changeNote).toBe('Rollback');
+    });
+
+    it('should not restore current or unknown version', async () => {
+      await expect(article.restoreVersion(1, testUser._id)).rejects.toThrow('Versi tersebut adalah versi aktif');
+      await expect(article.restoreVersion(5, testUser._id)).rejects.toThrow('Versi artikel tidak ditemukan');
+    });
+
     it('should publish article', async () => {
       expect(article.status).toBe('draft');
       expect(article.publishedAt).toBeNull();
@@ -443,4 +493,75 @@ describe('Article Model', () => {
       expect(results[0].judul).toContain('React');
     });
   });
-});
\ No newline at end of file
+
+  describe('Article Collaborators', () => {
+    let article;
+    let coAuthor;
+    let reviewer;
+
+    beforeEach(async () => {
+      coAuthor = await User.create({
+        username: 'coauthor',
+        email: 'coauthor@example.com',
+        password: 'Password123'
+      });
+      reviewer = await User.create({
+        username: 'reviewer',
+        email: 'reviewer@example.com',
+        password: 'Password123'
+      });
+
+      article = await Article.create({
+        judul: 'Collaborative Article Title',
+        konten: 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.',
+        kategori: testCategory,
+        penulis: testUser._id,
+        status: 'published',
+        publishedAt: new Date(),
+        collaborators: [
+          { user: coAuthor._id, role: 'co-author', status: 'accepted' },
+          { user: reviewer._id, role: 'reviewer', status: 'pending' }
+        ]
+      });
+    });
+
+    it('should start byline with owner', () => {
+      expect(article.byline.map(id => id.toString())).toEqual([testUser._id.toString()]);
+    });
+
+    it('should resolve collaborator role and access', () => {
+      expect(article.getCollaboratorRole(testUser)).toBe('owner');
+      expect(article.getCollaboratorRole(coAuthor)).toBe('co-author');
+      // Undangan yang belum diterima tidak memberi akses
+      expect(article.getCollaboratorRole(reviewer)).toBeNull();
+      expect(article.canEdit(coAuthor)).toBe(true);
+      expect(article.canView(reviewer)).toBe(false);
+    });
+
+    it('should give reviewer read-only access after accepting', () => {
+      article.collaborators[1].status = 'accepted';
+
+      expect(article.canView(reviewer)).toBe(true);
+      expect(article.canEdit(reviewer)).toBe(false);
+    });
+
+    it('should credit owner and accepted co-authors', async () => {
+      expect(article.getAuthorIds().map(id => id.toString()))
+        .toEqual([testUser._id.toString(), coAuthor._id.toString()]);
+
+      const coAuthored = await Article.find(Article.authorQuery(coAuthor._id));
+      const reviewed = await Article.find(Article.authorQuery(reviewer._id));
+      expect(coAuthored).toHaveLength(1);
+      expect(reviewed).toHaveLength(0);
+    });
+
+    it('should update stats of every credited author', async () => {
+      await User.updateStatsMany(article.getAuthorIds(), 'articlesPublished', 1);
+      await User.updateStatsMany([coAuthor._id], 'articlesPublished', -1);
+      await User.updateStatsMany([coAuthor._id], 'articlesPublished', -1);
+
+      expect((await User.findById(testUser._id)).stats.articlesPublished).toBe(1);
+      expect((await User.findById(coAuthor._id)).stats.articlesPublished).toBe(0);
+    });
+  });
+});
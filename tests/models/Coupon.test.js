@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Coupon = require('../../src/models/Coupon');
+
+describe('Coupon Model', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Coupon.deleteMany({});
+  });
+
+  describe('Validation', () => {
+    it('should normalize coupon code to uppercase', async () => {
+      const coupon = await Coupon.create({ code: 'hemat-10', type: 'percentage', value: 10 });
+
+      expect(coupon.code).toBe('HEMAT-10');
+      expect(await Coupon.findByCode(' hemat-10 ')).not.toBeNull();
+    });
+
+    it('should reject percentage above 100', async () => {
+      const coupon = new Coupon({ code: 'GRATIS', type: 'percentage', value: 150 });
+
+      await expect(coupon.save()).rejects.toThrow('Diskon persentase maksimal 100');
+    });
+  });
+
+  describe('Discount Calculation', () => {
+    it('should calculate percentage discount with cap', () => {
+      const coupon = new Coupon({ code: 'PERSEN', type: 'percentage', value: 50, maxDiscount: 40000 });
+
+      expect(coupon.calculateDiscount(50000)).toBe(25000);
+      expect(coupon.calculateDiscount(199000)).toBe(40000);
+    });
+
+    it('should not discount more than the amount', () => {
+      const coupon = new Coupon({ code: 'POTONG', type: 'fixed', value: 150000 });
+
+      expect(coupon.calculateDiscount(99000)).toBe(99000);
+    });
+  });
+
+  describe('Restrictions', () => {
+    it('should restrict by plan and billing cycle', () => {
+      const coupon = new Coupon({
+        code: 'PROONLY',
+        type: 'fixed',
+        value: 10000,
+        plans: ['pro'],
+        billingCycles: ['monthly']
+      });
+
+      expect(coupon.appliesTo('pro', 'monthly')).toBe(true);
+      expect(coupon.appliesTo('premium', 'monthly')).toBe(false);
+      expect(coupon.appliesTo('pro', 'yearly')).toBe(false);
+    });
+
+    it('should check validity period', () => {
+      const coupon = new Coupon({
+        code: 'PERIODE',
+        type: 'fixed',
+        value: 10000,
+        startsAt: new Date('2026-01-01'),
+        expiresAt: new Date('2026-02-01')
+      });
+
+      expect(coupon.isWithinPeriod(new Date('2025-12-31'))).toBe(false);
+      expect(coupon.isWithinPeriod(new Date('2026-01-15'))).toBe(true);
+      expect(coupon.isWithinPeriod(new Date('2026-02-01'))).toBe(false);
+    });
+  });
+
+  describe('Redemption', () => {
+    it('should stop redeeming when usage cap is reached', async () => {
+      const coupon = await Coupon.create({ code: 'TERBATAS', type: 'fixed', value: 10000, maxUses: 1 });
+
+      const first = await Coupon.redeem(coupon._id);
+      const second = await Coupon.redeem(coupon._id);
+
+      expect(first.usedCount).toBe(1);
+      expect(second).toBeNull();
+    });
+
+    it('should redeem unlimited coupons', async () => {
+      const coupon = await Coupon.create({ code: 'BEBAS', type: 'fixed', value: 10000 });
+
+      await Coupon.redeem(coupon._id);
+      const updated = await Coupon.redeem(coupon._id);
+
+      expect(updated.usedCount).toBe(2);
+      expect(updated.remainingUses).toBeNull();
+    });
+  });
+});
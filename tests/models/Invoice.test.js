@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Invoice = require('../../src/models/Invoice');
+const Counter = require('../../src/models/Counter');
+
+describe('Invoice Model', () => {
+  let mongoServer;
+
+  const createPaidSubscription = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: {
+      _id: new mongoose.Types.ObjectId(),
+      username: 'pelanggan',
+      email: 'pelanggan@example.com',
+      profile: { nama: 'Pelanggan Test' }
+    },
+    subscription: { name: 'Premium' },
+    billingCycle: 'monthly',
+    startDate: new Date('2026-01-10T00:00:00Z'),
+    endDate: new Date('2026-02-10T00:00:00Z'),
+    payment: {
+      amount: 99000,
+      currency: 'IDR',
+      gateway: 'midtrans',
+      transactionId: 'SUB-123',
+      paidAt: new Date('2026-01-10T00:00:00Z')
+    }
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Invoice.deleteMany({});
+    await Counter.deleteMany({});
+  });
+
+  describe('Tax Calculation', () => {
+    it('should split PPN out of tax-inclusive price', () => {
+      expect(Invoice.calculateTax(99000, 11, true)).toEqual({
+        subtotal: 89189,
+        taxAmount: 9811,
+        total: 99000
+      });
+    });
+
+    it('should add PPN on top of tax-exclusive price', () => {
+      expect(Invoice.calculateTax(100000, 11, false)).toEqual({
+        subtotal: 100000,
+        taxAmount: 11000,
+        total: 111000
+      });
+    });
+  });
+
+  describe('Invoice Numbers', () => {
+    it('should generate sequential numbers per year', async () => {
+      const first = await Invoice.nextInvoiceNumber(new Date('2026-03-01T00:00:00Z'));
+      const second = await Invoice.nextInvoiceNumber(new Date('2026-05-01T00:00:00Z'));
+      const nextYear = await Invoice.nextInvoiceNumber(new Date('2027-01-01T00:00:00Z'));
+
+      expect(first).toBe('INV/2026/000001');
+      expect(second).toBe('INV/2026/000002');
+      expect(nextYear).toBe('INV/2027/000001');
+    });
+  });
+
+  describe('createForSubscription', () => {
+    it('should create invoice from paid subscription', async () => {
+      const invoice = await Invoice.createForSubscription(createPaidSubscription());
+
+      expect(invoice.invoiceNumber).toBe('INV/2026/000001');
+      expect(invoice.customer.name).toBe('Pelanggan Test');
+      expect(invoice.items[0].description).toBe('Langganan Premium (monthly)');
+      expect(invoice.subtotal + invoice.tax.amount).toBe(invoice.total);
+      expect(invoice.total).toBe(99000);
+    });
+
+    it('should return existing invoice for the same subscription', async () => {
+      const userSubscription = createPaidSubscription();
+
+      const first = await Invoice.createForSubscription(userSubscription);
+      const second = await Invoice.createForSubscription(userSubscription);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(await Invoice.countDocuments()).toBe(1);
+    });
+  });
+});
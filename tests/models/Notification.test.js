@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Notification = require('../../src/models/Notification');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+describe('Notification Model', () => {
+  let mongoServer;
+  let recipient;
+  let otherUser;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Notification.deleteMany({});
+
+    recipient = new mongoose.Types.ObjectId();
+    otherUser = new mongoose.Types.ObjectId();
+  });
+
+  describe('Notification Creation', () => {
+    it('should create notification with title and message from template', async () => {
+      const notification = await Notification.createForUser(recipient, 'new-comment', {
+        articleId: new mongoose.Types.ObjectId(),
+        articleSlug: 'belajar-express-123456',
+        articleTitle: 'Belajar Express',
+        commenterName: 'Budi'
+      });
+
+      expect(notification._id).toBeDefined();
+      expect(notification.title).toBe('Komentar baru');
+      expect(notification.message).toContain('Budi');
+      expect(notification.message).toContain('Belajar Express');
+      expect(notification.link).toBe('/blog/belajar-express-123456');
+      expect(notification.isRead).toBe(false);
+      expect(notification.expiresAt).toBeInstanceOf(Date);
+    });
+
+    it('should fall back to type as title for unknown types', async () => {
+      const notification = await Notification.createForUser(recipient, 'custom-event', {});
+
+      expect(notification.title).toBe('custom-event');
+      expect(notification.message).toBe('');
+    });
+
+    it('should require recipient', async () => {
+      const notification = new Notification({ type: 'new-comment' });
+
+      await expect(notification.save()).rejects.toThrow('Penerima notifikasi wajib diisi');
+    });
+  });
+
+  describe('Inbox Queries', () => {
+    beforeEach(async () => {
+      await Notification.createForUser(recipient, 'article-like', { articleTitle: 'A' });
+      await Notification.createForUser(recipient, 'new-comment', { articleTitle: 'B' });
+      await Notification.createForUser(otherUser, 'new-comment', { articleTitle: 'C' });
+    });
+
+    it('should only return notifications of the recipient', async () => {
+      const inbox = await Notification.getInbox(recipient);
+
+      expect(inbox).toHaveLength(2);
+      inbox.forEach(notification => {
+        expect(notification.recipient.toString()).toBe(recipient.toString());
+      });
+    });
+
+    it('should count unread notifications', async () => {
+      expect(await Notification.countUnread(recipient)).toBe(2);
+    });
+
+    it('should mark single notification as read', async () => {
+      const [notification] = await Notification.getInbox(recipient);
+
+      const updated = await Notification.markAsRead(notification._id, recipient);
+
+      expect(updated.isRead).toBe(true);
+      expect(updated.readAt).toBeInstanceOf(Date);
+      expect(await Notification.countUnread(recipient)).toBe(1);
+    });
+
+    it('should not mark notification of another user', async () => {
+      const [notification] = await Notification.getInbox(otherUser);
+
+      const updated = await Notification.markAsRead(notification._id, recipient);
+
+      expect(updated).toBeNull();
+      expect(await Notification.countUnread(otherUser)).toBe(1);
+    });
+
+    it('should mark all notifications as read', async () => {
+      await Notification.markAllAsRead(recipient);
+
+      expect(await Notification.countUnread(recipient)).toBe(0);
+      expect(await Notification.countUnread(otherUser)).toBe(1);
+    });
+
+    it('should filter unread only', async () => {
+      const [notification] = await Notification.getInbox(recipient);
+      await Notification.markAsRead(notification._id, recipient);
+
+      const unread = await Notification.getInbox(recipient, { unreadOnly: true });
+
+      expect(unread).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Role = require('../../src/models/Role');
+
+describe('Role Model', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Role.deleteMany({});
+  });
+
+  it('should create role with known permissions', async () => {
+    const role = await Role.create({
+      name: 'Editor',
+      displayName: 'Editor',
+      permissions: ['categories.manage', 'comments.moderate', 'comments.moderate']
+    });
+
+    expect(role.name).toBe('editor');
+    expect(role.permissions).toEqual(['categories.manage', 'comments.moderate']);
+  });
+
+  it('should reject unknown permission', async () => {
+    const role = new Role({ name: 'analyst', displayName: 'Analyst', permissions: ['users.delete'] });
+
+    await expect(role.save()).rejects.toThrow('Permission tidak dikenal');
+  });
+
+  it('should reject system role names', async () => {
+    const role = new Role({ name: 'admin', displayName: 'Admin' });
+
+    await expect(role.save()).rejects.toThrow('Nama role tidak boleh sama dengan role sistem');
+  });
+
+  it('should not allow renaming role', async () => {
+    const role = await Role.create({ name: 'analyst', displayName: 'Analyst' });
+
+    role.name = 'analyst-2';
+    await role.save();
+
+    expect((await Role.findById(role._id)).name).toBe('analyst');
+  });
+
+  it('should expose permission catalog and system role permissions', () => {
+    const keys = Role.getPermissionCatalog().map(permission => permission.key);
+
+    expect(keys).toContain('analytics.view_all');
+    expect(Role.getSystemRolePermissions('admin')).toEqual(['*']);
+    expect(Role.getSystemRolePermissions('unknown')).toEqual([]);
+    expect(Role.isSystemRole('penulis')).toBe(true);
+  });
+
+  it('should list system roles granted a permission', () => {
+    expect(Role.getSystemRolesWithPermission('articles.review')).toEqual(['admin']);
+    expect(Role.getSystemRolesWithPermission('analytics.view_own')).toEqual(['admin', 'penulis']);
+  });
+});
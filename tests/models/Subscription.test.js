@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Subscription = require('../../src/models/Subscription');
+
+describe('Subscription Model', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Subscription.deleteMany({});
+  });
+
+  describe('Default Plans', () => {
+    it('should create default plan catalog once', async () => {
+      await Subscription.createDefaultPlans();
+      await Subscription.createDefaultPlans();
+
+      const plans = await Subscription.getCatalog();
+      expect(plans.map(plan => plan.slug)).toEqual(['free', 'premium', 'pro']);
+    });
+
+    it('should not overwrite edited plans', async () => {
+      await Subscription.createDefaultPlans();
+      await Subscription.updateOne({ slug: 'premium' }, { $set: { 'pricing.monthly': 120000 } });
+
+      await Subscription.createDefaultPlans();
+
+      const premium = await Subscription.findBySlug('premium');
+      expect(premium.getPrice('monthly')).toBe(120000);
+    });
+
+    it('should add new default features to existing plans', async () => {
+      await Subscription.createDefaultPlans();
+      await Subscription.updateOne(
+        { slug: 'premium' },
+        { $pull: { features: 'premium_content' }, $push: { features: 'custom_feature' } }
+      );
+
+      await Subscription.createDefaultPlans();
+
+      const premium = await Subscription.findBySlug('premium');
+      expect(premium.features).toContain('premium_content');
+      expect(premium.features).toContain('custom_feature');
+      expect(premium.features.filter(feature => feature === 'unlimited_articles')).toHaveLength(1);
+    });
+  });
+
+  describe('Plan Features', () => {
+    it('should serve features from cache until catalog changes', async () => {
+      await Subscription.createDefaultPlans();
+
+      expect(await Subscription.getPlanFeatures('pro')).toContain('api_access');
+      expect(await Subscription.getPlanFeatures('unknown')).toBeNull();
+
+      const findSpy = jest.spyOn(Subscription, 'find');
+      await Subscription.getPlanFeatures('pro');
+      expect(findSpy).not.toHaveBeenCalled();
+      findSpy.mockRestore();
+
+      await Subscription.updateOne({ slug: 'pro' }, { $pull: { features: 'api_access' } });
+      expect(await Subscription.getPlanFeatures('pro')).not.toContain('api_access');
+
+      await Subscription.updateOne({ slug: 'pro' }, { $set: { isActive: false } });
+      expect(await Subscription.getPlanFeatures('pro')).toBeNull();
+    });
+  });
+
+  describe('Pricing', () => {
+    it('should expose available billing cycles and prices', async () => {
+      await Subscription.createDefaultPlans();
+
+      const free = await Subscription.findBySlug('free');
+      const premium = await Subscription.findBySlug('premium');
+
+      expect(free.billingCycles).toEqual(['lifetime']);
+      expect(free.isFree).toBe(true);
+      expect(premium.billingCycles).toEqual(['monthly']);
+      expect(premium.price).toBe(99000);
+      expect(premium.getPrice('yearly')).toBeNull();
+    });
+  });
+
+  describe('Statistics', () => {
+    it('should increment plan statistics', async () => {
+      await Subscription.createDefaultPlans();
+      const premium = await Subscription.findBySlug('premium');
+
+      await premium.updateStats({
+        activeSubscribers: 1,
+        'revenue.monthly': 99000,
+        'revenue.total': 99000
+      });
+
+      const updated = await Subscription.findById(premium._id);
+      expect(updated.stats.activeSubscribers).toBe(1);
+      expect(updated.stats.revenue.monthly).toBe(99000);
+      expect(updated.stats.revenue.total).toBe(99000);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('../../src/models/User');
+const Subscription = require('../../src/models/Subscription');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 describe('User Model', () => {
@@ -266,21 +267,32 @@ describe('User Model', () => {
       expect(updatedUser.stats.totalViews).toBe(100);
     });
 
-    it('should check feature access correctly', () => {
+    it('should check feature access against plan catalog', async () => {
+      await Subscription.deleteMany({});
+      await Subscription.createDefaultPlans();
+
       // Free user should not have premium features
-      expect(user.hasFeature('ai_content')).toBe(false);
-      expect(user.hasFeature('social_posting')).toBe(false);
+      expect(await user.hasFeature('ai_content_generation')).toBe(false);
+      expect(await user.hasFeature('premium_content')).toBe(false);
 
       // Update to premium
       user.subscription.plan = 'premium';
-      expect(user.hasFeature('ai_content')).toBe(true);
-      expect(user.hasFeature('social_posting')).toBe(true);
-      expect(user.hasFeature('analytics')).toBe(false); // pro feature
+      expect(await user.hasFeature('ai_content_generation')).toBe(true);
+      expect(await user.hasFeature('premium_content')).toBe(true);
+      expect(await user.hasFeature('ai_image_generation')).toBe(false); // pro feature
 
       // Update to pro
       user.subscription.plan = 'pro';
-      expect(user.hasFeature('analytics')).toBe(true);
-      expect(user.hasFeature('unlimited_articles')).toBe(true);
+      expect(await user.hasFeature('ai_image_generation')).toBe(true);
+      expect(await user.hasFeature('api_access')).toBe(true);
+
+      // Fitur yang dihapus dari katalog tidak lagi tersedia
+      await Subscription.updateOne({ slug: 'pro' }, { $pull: { features: 'api_access' } });
+      expect(await user.hasFeature('api_access')).toBe(false);
+
+      // Admin selalu punya akses
+      user.role = 'admin';
+      expect(await user.hasFeature('api_access')).toBe(true);
     });
 
     it('should handle login attempts correctly', async () => {
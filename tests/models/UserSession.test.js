@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const UserSession = require('../../src/models/UserSession');
+
+describe('UserSession Model', () => {
+  let mongoServer;
+  const userId = new mongoose.Types.ObjectId();
+  const expiresAt = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await UserSession.deleteMany({});
+  });
+
+  describe('recordToken', () => {
+    it('should create session with device info', async () => {
+      const session = await UserSession.recordToken({
+        user: userId,
+        sessionId: 'session-1',
+        tokenId: 'token-1',
+        expiresAt: expiresAt(),
+        deviceName: 'Firefox di Linux',
+        ipAddress: '10.0.0.1'
+      });
+
+      expect(session.deviceName).toBe('Firefox di Linux');
+      expect(session.isActive).toBe(true);
+    });
+  });
+
+  describe('rotateToken', () => {
+    beforeEach(async () => {
+      await UserSession.recordToken({
+        user: userId,
+        sessionId: 'session-1',
+        tokenId: 'token-1',
+        expiresAt: expiresAt()
+      });
+    });
+
+    it('should rotate only from the current token', async () => {
+      const first = await UserSession.rotateToken('session-1', 'token-1', {
+        tokenId: 'token-2',
+        expiresAt: expiresAt()
+      });
+      const replay = await UserSession.rotateToken('session-1', 'token-1', {
+        tokenId: 'token-3',
+        expiresAt: expiresAt()
+      });
+
+      expect(first.rotationCount).toBe(1);
+      expect(replay).toBeNull();
+    });
+
+    it('should not rotate revoked session', async () => {
+      await UserSession.revoke({ sessionId: 'session-1' }, 'user_revoked');
+
+      const rotated = await UserSession.rotateToken('session-1', 'token-1', {
+        tokenId: 'token-2',
+        expiresAt: expiresAt()
+      });
+
+      expect(rotated).toBeNull();
+    });
+  });
+
+  describe('findActiveByUser', () => {
+    it('should exclude revoked and expired sessions', async () => {
+      await UserSession.recordToken({ user: userId, sessionId: 'active', tokenId: 'a', expiresAt: expiresAt() });
+      await UserSession.recordToken({ user: userId, sessionId: 'revoked', tokenId: 'b', expiresAt: expiresAt() });
+      await UserSession.recordToken({ user: userId, sessionId: 'expired', tokenId: 'c', expiresAt: new Date(Date.now() - 1000) });
+      await UserSession.revoke({ sessionId: 'revoked' }, 'logout');
+
+      const sessions = await UserSession.findActiveByUser(userId);
+
+      expect(sessions.map(session => session.sessionId)).toEqual(['active']);
+    });
+  });
+});
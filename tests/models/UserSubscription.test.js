@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const UserSubscription = require('../../src/models/UserSubscription');
+
+describe('UserSubscription Model', () => {
+  let mongoServer;
+  let userId;
+  let planId;
+
+  const createSubscription = (overrides = {}) => new UserSubscription({
+    user: userId,
+    subscription: planId,
+    billingCycle: 'monthly',
+    payment: { amount: 99000 },
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await UserSubscription.deleteMany({});
+
+    userId = new mongoose.Types.ObjectId();
+    planId = new mongoose.Types.ObjectId();
+  });
+
+  it('should start as pending and record status history', async () => {
+    const userSubscription = createSubscription();
+    await userSubscription.save();
+
+    expect(userSubscription.status).toBe('pending');
+    expect(userSubscription.statusHistory).toHaveLength(1);
+    expect(userSubscription.statusHistory[0].status).toBe('pending');
+  });
+
+  it('should activate with end date based on billing cycle', async () => {
+    const userSubscription = createSubscription({ billingCycle: 'yearly' });
+    userSubscription.activate();
+    await userSubscription.save();
+
+    const expectedEnd = new Date(userSubscription.startDate);
+    expectedEnd.setFullYear(expectedEnd.getFullYear() + 1);
+
+    expect(userSubscription.status).toBe('active');
+    expect(userSubscription.endDate.getTime()).toBe(expectedEnd.getTime());
+    expect(userSubscription.payment.paidAt).toBeDefined();
+    expect(userSubscription.statusHistory.map(entry => entry.status)).toEqual(['active']);
+  });
+
+  it('should start renewal after previous period ends', async () => {
+    const previousEnd = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+    const renewal = createSubscription();
+
+    renewal.activate(previousEnd);
+
+    expect(renewal.startDate.getTime()).toBe(previousEnd.getTime());
+  });
+
+  it('should keep lifetime subscriptions without end date', () => {
+    const userSubscription = createSubscription({ billingCycle: 'lifetime', payment: { amount: 0 } });
+    userSubscription.activate();
+
+    expect(userSubscription.endDate).toBeNull();
+    expect(userSubscription.daysRemaining).toBeNull();
+  });
+
+  it('should cancel but keep access until end date', async () => {
+    const userSubscription = createSubscription({ autoRenew: true });
+    userSubscription.activate();
+    await userSubscription.save();
+
+    userSubscription.cancel('Terlalu mahal');
+    await userSubscription.save();
+
+    const current = await UserSubscription.getCurrentForUser(userId);
+    expect(current._id.toString()).toBe(userSubscription._id.toString());
+    expect(current.status).toBe('cancelled');
+    expect(current.autoRenew).toBe(false);
+    expect(current.statusHistory.pop().reason).toBe('Terlalu mahal');
+  });
+
+  it('should not return expired periods as current', async () => {
+    const userSubscription = createSubscription({
+      status: 'active',
+      startDate: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000),
+      endDate: new Date(Date.now() - 24 * 60 * 60 * 1000)
+    });
+    await userSubscription.save();
+
+    const current = await UserSubscription.getCurrentForUser(userId);
+    expect(current).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const WebhookEvent = require('../../src/models/WebhookEvent');
+
+describe('WebhookEvent Model', () => {
+  let mongoServer;
+
+  const eventData = {
+    gateway: 'stripe',
+    eventId: 'evt_1',
+    eventType: 'payment_intent.succeeded',
+    reference: 'pi_1',
+    payload: { id: 'evt_1' }
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+    await WebhookEvent.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await WebhookEvent.deleteMany({});
+  });
+
+  it('should register new event as processing', async () => {
+    const { event, duplicate } = await WebhookEvent.register(eventData);
+
+    expect(duplicate).toBe(false);
+    expect(event.status).toBe('processing');
+    expect(event.signatureValid).toBe(true);
+    expect(event.attempts).toBe(1);
+  });
+
+  it('should reject duplicate delivery of processed event', async () => {
+    const { event } = await WebhookEvent.register(eventData);
+    event.markProcessed({ status: 'active' });
+    await event.save();
+
+    const second = await WebhookEvent.register(eventData);
+
+    expect(second.duplicate).toBe(true);
+    expect(second.event.duplicateCount).toBe(1);
+    expect(await WebhookEvent.countDocuments()).toBe(1);
+  });
+
+  it('should retry redelivery of failed event', async () => {
+    const { event } = await WebhookEvent.register(eventData);
+    event.markFailed(new Error('Subscription not found'));
+    await event.save();
+
+    const retry = await WebhookEvent.register(eventData);
+
+    expect(retry.duplicate).toBe(false);
+    expect(retry.event.status).toBe('processing');
+    expect(retry.event.attempts).toBe(2);
+  });
+
+  it('should retry event stuck in processing after timeout', async () => {
+    const { event } = await WebhookEvent.register(eventData);
+
+    expect((await WebhookEvent.register(eventData)).duplicate).toBe(true);
+
+    await WebhookEvent.collection.updateOne(
+      { _id: event._id },
+      { $set: { updatedAt: new Date(Date.now() - 60 * 60 * 1000) } }
+    );
+
+    const retry = await WebhookEvent.register(eventData);
+
+    expect(retry.duplicate).toBe(false);
+    expect(retry.event.attempts).toBe(2);
+  });
+
+  it('should store only hash and excerpt of rejected payload', async () => {
+    const rawBody = JSON.stringify({ id: 'evt_1', filler: 'x'.repeat(5000) });
+    const rejected = await WebhookEvent.recordRejected({
+      ...eventData,
+      eventId: 'e'.repeat(1000),
+      payload: JSON.parse(rawBody),
+      rawBody
+    }, 'Invalid Stripe signature');
+
+    expect(rejected.payload).toBeNull();
+    expect(rejected.rawBody).toBe(rawBody.slice(0, 1024));
+    expect(rejected.rawBodyTruncated).toBe(true);
+    expect(rejected.rawBodyHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(rejected.eventId).toHaveLength(200);
+  });
+
+  it('should not let rejected events block the genuine event', async () => {
+    await WebhookEvent.recordRejected(eventData, 'Invalid Stripe signature');
+
+    const { duplicate } = await WebhookEvent.register(eventData);
+
+    expect(duplicate).toBe(false);
+    expect(await WebhookEvent.countDocuments({ status: 'rejected' })).toBe(1);
+  });
+
+  it('should keep only audit headers', () => {
+    const headers = WebhookEvent.pickAuditHeaders({
+      'stripe-signature': 't=1,v1=abc',
+      'x-callback-token': 'secret',
+      'user-agent': 'Stripe/1.0'
+    });
+
+    expect(headers).toEqual({
+      'stripe-signature': 't=1,v1=abc',
+      'user-agent': 'Stripe/1.0'
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Article = require('../../src/models/Article');
+const Category = require('../../src/models/Category');
+const User = require('../../src/models/User');
+const ScheduledPost = require('../../src/models/ScheduledPost');
+const SeoService = require('../../src/services/SeoService');
+const ArticlePublisherService = require('../../src/services/ArticlePublisherService');
+
+describe('Article Publisher Service', () => {
+  let mongoServer;
+  let testUser;
+  let testCategory;
+
+  const createArticle = (overrides = {}) => Article.create({
+    judul: `Scheduled Article ${Math.random()}`,
+    konten: 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.',
+    kategori: testCategory._id,
+    penulis: testUser._id,
+    status: 'scheduled',
+    scheduledAt: new Date(Date.now() - 60000),
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Article.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+    await ScheduledPost.deleteMany({});
+
+    jest.spyOn(SeoService, 'saveSitemap').mockResolvedValue(true);
+
+    testUser = await User.create({
+      username: 'testauthor',
+      email: 'author@example.com',
+      password: 'Password123',
+      profile: {
+        nama: 'Test Author'
+      }
+    });
+
+    testCategory = await Category.create({ nama: 'Teknologi' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should publish due scheduled articles', async () => {
+    const article = await createArticle();
+
+    const publishedCount = await ArticlePublisherService._tick();
+
+    const updatedArticle = await Article.findById(article._id);
+    expect(publishedCount).toBe(1);
+    expect(updatedArticle.status).toBe('published');
+    expect(updatedArticle.publishedAt).toBeDefined();
+    expect(updatedArticle.workflow.history.pop().action).toBe('publish');
+    expect(SeoService.saveSitemap).toHaveBeenCalledTimes(1);
+
+    const updatedCategory = await Category.findById(testCategory._id);
+    expect(updatedCategory.stats.lastArticleAt).toBeDefined();
+  });
+
+  it('should leave future scheduled articles untouched', async () => {
+    const article = await createArticle({ scheduledAt: new Date(Date.now() + 3600000) });
+
+    const publishedCount = await ArticlePublisherService._tick();
+
+    const unchangedArticle = await Article.findById(article._id);
+    expect(publishedCount).toBe(0);
+    expect(unchangedArticle.status).toBe('scheduled');
+    expect(SeoService.saveSitemap).not.toHaveBeenCalled();
+  });
+
+  it('should put article back in schedule when publishing fails', async () => {
+    const article = await createArticle({
+      socialMedia: {
+        autoPost: true,
+        platforms: ['twitter']
+      }
+    });
+    jest.spyOn(ScheduledPost, 'create').mockRejectedValue(new Error('queue unavailable'));
+
+    const publishedCount = await ArticlePublisherService._tick();
+
+    const failedArticle = await Article.findById(article._id);
+    expect(publishedCount).toBe(0);
+    expect(ScheduledPost.create).toHaveBeenCalledTimes(1);
+    expect(failedArticle.status).toBe('scheduled');
+    expect(failedArticle.publishedAt).toBeNull();
+    expect(failedArticle.workflow.history.map(entry => entry.action)).not.toContain('publish');
+
+    ScheduledPost.create.mockRestore();
+
+    expect(await ArticlePublisherService._tick()).toBe(1);
+    expect(await ScheduledPost.countDocuments({ article: article._id })).toBe(1);
+  });
+
+  it('should queue social posts for auto-post articles', async () => {
+    const article = await createArticle({
+      socialMedia: {
+        autoPost: true,
+        platforms: ['twitter', 'facebook'],
+        customMessage: 'Artikel baru!'
+      }
+    });
+
+    await ArticlePublisherService._tick();
+
+    const job = await ScheduledPost.findOne({ article: article._id });
+    expect(job).toBeTruthy();
+    expect(job.platforms).toEqual(['twitter', 'facebook']);
+    expect(job.message).toBe('Artikel baru!');
+    expect(job.link).toContain(`/blog/${article.slug}`);
+  });
+});
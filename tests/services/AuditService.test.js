@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const AuditLog = require('../../src/models/AuditLog');
+const AuditService = require('../../src/services/AuditService');
+
+describe('Audit Service', () => {
+  let mongoServer;
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'admin',
+    email: 'admin@example.com',
+    role: 'admin'
+  };
+  const targetId = new mongoose.Types.ObjectId();
+  const req = {
+    ip: '10.0.0.1',
+    get: () => 'Mozilla/5.0'
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await AuditLog.deleteMany({});
+  });
+
+  describe('record', () => {
+    it('should store actor snapshot, changes and request info', async () => {
+      const log = await AuditService.record({
+        actor: admin,
+        action: 'user.role_changed',
+        category: 'admin',
+        resource: { type: 'user', id: targetId, label: 'writer' },
+        before: { role: 'user' },
+        after: { role: 'editor' },
+        req
+      });
+
+      expect(log.actor.toString()).toBe(admin._id.toString());
+      expect(log.actorSnapshot.username).toBe('admin');
+      expect(log.changes.after).toEqual({ role: 'editor' });
+      expect(log.ipAddress).toBe('10.0.0.1');
+      expect(log.userAgent).toBe('Mozilla/5.0');
+    });
+
+    it('should not throw on invalid entry', async () => {
+      const log = await AuditService.record({ action: 'user.deleted', category: 'unknown' });
+
+      expect(log).toBeNull();
+      expect(await AuditLog.countDocuments()).toBe(0);
+    });
+
+    it('should reject updates to stored logs', async () => {
+      const log = await AuditService.record({ action: 'auth.login', category: 'auth' });
+
+      await expect(
+        AuditLog.updateOne({ _id: log._id }, { $set: { action: 'auth.logout' } })
+      ).rejects.toThrow('Audit log tidak dapat diubah');
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(async () => {
+      await AuditService.recordMany({
+        actor: admin,
+        action: 'user.deactivate',
+        category: 'admin',
+        metadata: { bulk: true }
+      }, [
+        { type: 'user', id: targetId },
+        { type: 'user', id: new mongoose.Types.ObjectId() }
+      ]);
+      await AuditService.record({
+        action: 'auth.login_failed',
+        category: 'auth',
+        status: 'failure'
+      });
+    });
+
+    it('should filter by action prefix, resource and status', async () => {
+      expect((await AuditService.query({ action: 'user.' })).pagination.total).toBe(2);
+      expect((await AuditService.query({ resourceId: targetId.toString() })).logs).toHaveLength(1);
+      expect((await AuditService.query({ status: 'failure' })).logs[0].action).toBe('auth.login_failed');
+    });
+
+    it('should ignore non-string filters and invalid dates', () => {
+      const query = AuditService.buildQuery({
+        status: { $ne: 'success' },
+        action: ['user.', 'auth.'],
+        ipAddress: { $gt: '' },
+        startDate: 'bukan-tanggal',
+        endDate: '2026-01-31'
+      });
+
+      expect(query).toEqual({ createdAt: { $lte: new Date('2026-01-31') } });
+    });
+
+    it('should paginate and cap limit', async () => {
+      const result = await AuditService.query({}, { page: 1, limit: 2 });
+
+      expect(result.logs).toHaveLength(2);
+      expect(result.pagination.pages).toBe(2);
+      expect((await AuditService.query({}, { limit: 1000 })).pagination.limit).toBe(200);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should escape values and prevent formula injection', () => {
+      const csv = AuditService.toCSV([{
+        createdAt: new Date('2024-01-01T00:00:00Z'),
+        actor: admin._id,
+        actorSnapshot: { username: 'admin', role: 'admin' },
+        action: 'user.deleted',
+        category: 'admin',
+        status: 'success',
+        resource: { type: 'user', id: targetId, label: '=HYPERLINK("x")' },
+        changes: { before: { role: 'user' }, after: null },
+        metadata: {}
+      }]);
+
+      const [header, row] = csv.split('\n');
+      expect(header.startsWith('Time,Actor ID')).toBe(true);
+      expect(row).toContain(admin._id.toString());
+      expect(row).toContain('"\'=HYPERLINK(""x"")"');
+      expect(row).toContain('"{""role"":""user""}"');
+    });
+  });
+});
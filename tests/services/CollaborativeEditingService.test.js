@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Article = require('../../src/models/Article');
+const User = require('../../src/models/User');
+const CollaborativeEditingService = require('../../src/services/CollaborativeEditingService');
+
+describe('Collaborative Editing Service', () => {
+  let mongoServer;
+  let owner;
+  let coAuthor;
+  let reviewer;
+  let article;
+  let articleId;
+
+  const konten = 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.';
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Article.deleteMany({});
+    await User.deleteMany({});
+    CollaborativeEditingService.sessions.clear();
+
+    [owner, coAuthor, reviewer] = await User.create([
+      { username: 'owner', email: 'owner@example.com', password: 'Password123' },
+      { username: 'coauthor', email: 'coauthor@example.com', password: 'Password123' },
+      { username: 'reviewer', email: 'reviewer@example.com', password: 'Password123' }
+    ]);
+
+    article = await Article.create({
+      judul: 'Collaborative Editing Article',
+      konten,
+      kategori: new mongoose.Types.ObjectId(),
+      penulis: owner._id,
+      collaborators: [
+        { user: coAuthor._id, role: 'co-author', status: 'accepted' },
+        { user: reviewer._id, role: 'reviewer', status: 'accepted' }
+      ]
+    });
+    articleId = article._id.toString();
+  });
+
+  describe('join', () => {
+    it('should share session content and presence', async () => {
+      await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+      const session = await CollaborativeEditingService.join(articleId, 'socket-reviewer', reviewer);
+
+      expect(session.content).toBe(konten);
+      expect(session.revision).toBe(0);
+      expect(session.readOnly).toBe(true);
+      expect(session.participants.map(p => p.username)).toEqual(['owner', 'reviewer']);
+    });
+
+    it('should reject users without access', async () => {
+      const stranger = await User.create({ username: 'stranger', email: 'stranger@example.com', password: 'Password123' });
+
+      await expect(CollaborativeEditingService.join(articleId, 'socket-x', stranger))
+        .rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+    });
+  });
+
+  describe('submitOperations', () => {
+    beforeEach(async () => {
+      await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+      await CollaborativeEditingService.join(articleId, 'socket-coauthor', coAuthor);
+      await CollaborativeEditingService.join(articleId, 'socket-reviewer', reviewer);
+    });
+
+    it('should merge concurrent edits made on the same revision', async () => {
+      await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'insert', position: 0, text: 'Intro. ' }
+      ]);
+      const result = await CollaborativeEditingService.submitOperations(articleId, 'socket-coauthor', 0, [
+        { type: 'delete', position: 0, length: 5 }
+      ]);
+
+      expect(result.revision).toBe(2);
+      expect(result.operations).toEqual([{ type: 'delete', position: 7, length: 5 }]);
+      expect(CollaborativeEditingService.sessions.get(articleId).content)
+        .toBe(`Intro. ${konten.slice(5)}`);
+    });
+
+    it('should move cursors of other participants', async () => {
+      CollaborativeEditingService.updateCursor(articleId, 'socket-coauthor', { position: 10 });
+      await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'insert', position: 0, text: 'abc' }
+      ]);
+
+      const participant = CollaborativeEditingService.getParticipants(articleId)
+        .find(p => p.username === 'coauthor');
+      expect(participant.cursor).toEqual({ position: 13, selectionEnd: 13 });
+    });
+
+    it('should reject read-only participants and invalid revisions', async () => {
+      await expect(CollaborativeEditingService.submitOperations(articleId, 'socket-reviewer', 0, [
+        { type: 'insert', position: 0, text: 'x' }
+      ])).rejects.toMatchObject({ code: 'READ_ONLY' });
+
+      await expect(CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 5, [
+        { type: 'insert', position: 0, text: 'x' }
+      ])).rejects.toMatchObject({ code: 'REVISION_OUT_OF_RANGE' });
+
+      await expect(CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'delete', position: 0, length: konten.length + 1 }
+      ])).rejects.toMatchObject({ code: 'INVALID_OPERATION' });
+    });
+
+    it('should recheck access on every operation', async () => {
+      await Article.updateOne(
+        { _id: articleId, 'collaborators.user': coAuthor._id },
+        { $set: { 'collaborators.$.role': 'reviewer' } }
+      );
+
+      await expect(CollaborativeEditingService.submitOperations(articleId, 'socket-coauthor', 0, [
+        { type: 'insert', position: 0, text: 'x' }
+      ])).rejects.toMatchObject({ code: 'READ_ONLY' });
+
+      await Article.updateOne({ _id: articleId }, { $pull: { collaborators: { user: reviewer._id } } });
+
+      await expect(CollaborativeEditingService.submitOperations(articleId, 'socket-reviewer', 0, [
+        { type: 'insert', position: 0, text: 'x' }
+      ])).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+      expect(CollaborativeEditingService.getParticipants(articleId).map(p => p.username))
+        .toEqual(['owner', 'coauthor']);
+    });
+  });
+
+  describe('autosave', () => {
+    it('should save session content as new article version', async () => {
+      await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+      await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'insert', position: konten.length, text: ' Updated.' }
+      ]);
+
+      expect(await CollaborativeEditingService.flushAll()).toBe(1);
+      expect(await CollaborativeEditingService.flushAll()).toBe(0);
+
+      const saved = await Article.findById(articleId);
+      expect(saved.konten).toBe(`${konten} Updated.`);
+      expect(saved.version).toBe(article.version + 1);
+      expect(saved.previousVersions[0].konten).toBe(konten);
+      expect(saved.previousVersions[0].updatedBy.toString()).toBe(owner._id.toString());
+    });
+
+    it('should save and close session when last participant leaves', async () => {
+      await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+      await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'delete', position: 0, length: 5 }
+      ]);
+
+      await CollaborativeEditingService.leaveAll('socket-owner');
+
+      expect(CollaborativeEditingService.sessions.has(articleId)).toBe(false);
+      expect((await Article.findById(articleId)).konten).toBe(konten.slice(5));
+    });
+
+    it('should sanitize content before saving and send it to participants', async () => {
+      const operations = [];
+      const listener = event => operations.push(event);
+      CollaborativeEditingService.on('operation', listener);
+
+      try {
+        await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+        await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+          { type: 'insert', position: 0, text: '<script>alert(1)</script>' }
+        ]);
+
+        expect(await CollaborativeEditingService.flush(articleId)).toBe(true);
+      } finally {
+        CollaborativeEditingService.off('operation', listener);
+      }
+
+      const saved = await Article.findById(articleId);
+      expect(saved.konten).not.toContain('<script>');
+      expect(saved.konten).toBe(`&lt;script>alert(1)&lt;/script>${konten}`);
+      expect(CollaborativeEditingService.sessions.get(articleId).content).toBe(saved.konten);
+      expect(operations).toHaveLength(1);
+      expect(operations[0].revision).toBe(2);
+    });
+
+    it('should keep trailing whitespace typed before autosave', async () => {
+      const operations = [];
+      const listener = event => operations.push(event);
+      CollaborativeEditingService.on('operation', listener);
+
+      try {
+        await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+        await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+          { type: 'insert', position: konten.length, text: ' ' }
+        ]);
+
+        expect(await CollaborativeEditingService.flush(articleId)).toBe(true);
+      } finally {
+        CollaborativeEditingService.off('operation', listener);
+      }
+
+      expect(CollaborativeEditingService.sessions.get(articleId).content).toBe(`${konten} `);
+      expect(operations).toHaveLength(0);
+    });
+
+    it('should merge content updated through the API during the session', async () => {
+      await CollaborativeEditingService.join(articleId, 'socket-owner', owner);
+      await CollaborativeEditingService.submitOperations(articleId, 'socket-owner', 0, [
+        { type: 'insert', position: konten.length, text: ' Session.' }
+      ]);
+
+      const updated = await Article.findById(articleId);
+      updated.createVersion(coAuthor._id, 'Update lewat API');
+      updated.konten = `API. ${konten}`;
+      await updated.save();
+
+      expect(await CollaborativeEditingService.flush(articleId)).toBe(true);
+
+      const saved = await Article.findById(articleId);
+      expect(saved.konten).toBe(`API. ${konten} Session.`);
+      expect(saved.version).toBe(article.version + 2);
+      expect(saved.previousVersions.map(v => v.konten)).toEqual([konten, `API. ${konten}`]);
+    });
+  });
+});
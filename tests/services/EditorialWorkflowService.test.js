@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const EditorialWorkflowService = require('../../src/services/EditorialWorkflowService');
+const PermissionService = require('../../src/services/PermissionService');
+
+describe('Editorial Workflow Service', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  const author = { _id: authorId, role: 'penulis' };
+  const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const stranger = { _id: new mongoose.Types.ObjectId(), role: 'penulis' };
+  const editor = { _id: new mongoose.Types.ObjectId(), role: 'pembaca', staffRoles: ['editor'] };
+
+  const buildArticle = (status) => ({
+    status,
+    penulis: authorId,
+    scheduledAt: null,
+    workflow: { history: [] }
+  });
+
+  describe('validateTransition', () => {
+    it('should allow author to submit draft for review', async () => {
+      const result = await EditorialWorkflowService.validateTransition(buildArticle('draft'), author, 'submit');
+
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should reject publishing a draft directly', async () => {
+      const result = await EditorialWorkflowService.validateTransition(buildArticle('draft'), author, 'publish');
+
+      expect(result.allowed).toBe(false);
+      expect(result.status).toBe(409);
+      expect(result.code).toBe('INVALID_WORKFLOW_TRANSITION');
+    });
+
+    it('should only allow reviewers to approve', async () => {
+      const article = buildArticle('review');
+
+      expect((await EditorialWorkflowService.validateTransition(article, author, 'approve')).code)
+        .toBe('WORKFLOW_ACCESS_DENIED');
+      expect((await EditorialWorkflowService.validateTransition(article, reviewer, 'approve')).allowed)
+        .toBe(true);
+    });
+
+    it('should require comment when requesting changes', async () => {
+      const article = buildArticle('review');
+
+      expect((await EditorialWorkflowService.validateTransition(article, reviewer, 'request-changes')).code)
+        .toBe('WORKFLOW_COMMENT_REQUIRED');
+      expect((await EditorialWorkflowService.validateTransition(article, reviewer, 'request-changes', {
+        comment: 'Perbaiki pendahuluan'
+      })).allowed).toBe(true);
+    });
+
+    it('should require future date when scheduling', async () => {
+      const article = buildArticle('approved');
+      const past = new Date(Date.now() - 60000);
+      const future = new Date(Date.now() + 3600000);
+
+      expect((await EditorialWorkflowService.validateTransition(article, author, 'schedule', { scheduledAt: past })).code)
+        .toBe('INVALID_SCHEDULE_DATE');
+      expect((await EditorialWorkflowService.validateTransition(article, author, 'schedule', { scheduledAt: future })).allowed)
+        .toBe(true);
+    });
+
+    it('should reject unknown action', async () => {
+      const result = await EditorialWorkflowService.validateTransition(buildArticle('draft'), author, 'teleport');
+
+      expect(result.status).toBe(400);
+      expect(result.code).toBe('INVALID_WORKFLOW_ACTION');
+    });
+  });
+
+  describe('resolveTransition', () => {
+    it('should resolve target status to workflow action', async () => {
+      const { action, validation } = await EditorialWorkflowService.resolveTransition(
+        buildArticle('review'), reviewer, 'draft', { comment: 'Kurang sumber' }
+      );
+
+      expect(action).toBe('request-changes');
+      expect(validation.allowed).toBe(true);
+    });
+
+    it('should prefer action the user is allowed to perform', async () => {
+      const { action, validation } = await EditorialWorkflowService.resolveTransition(
+        buildArticle('review'), author, 'draft'
+      );
+
+      expect(action).toBe('withdraw');
+      expect(validation.allowed).toBe(true);
+    });
+  });
+
+  describe('isReviewer', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should allow staff role with articles.review permission to review', async () => {
+      jest.spyOn(PermissionService, 'getRolePermissions').mockResolvedValue(['articles.review']);
+
+      expect(await EditorialWorkflowService.isReviewer(editor)).toBe(true);
+      expect((await EditorialWorkflowService.validateTransition(buildArticle('review'), editor, 'approve')).allowed)
+        .toBe(true);
+    });
+
+    it('should deny staff role without articles.review permission', async () => {
+      jest.spyOn(PermissionService, 'getRolePermissions').mockResolvedValue(['comments.moderate']);
+
+      expect(await EditorialWorkflowService.isReviewer(editor)).toBe(false);
+      expect(await EditorialWorkflowService.isReviewer(author)).toBe(false);
+      expect(await EditorialWorkflowService.isReviewer(null)).toBe(false);
+    });
+  });
+
+  describe('getAvailableActions', () => {
+    it('should list actions for author and reviewer', async () => {
+      const article = buildArticle('review');
+
+      expect(await EditorialWorkflowService.getAvailableActions(article, author)).toEqual(['withdraw']);
+      expect(await EditorialWorkflowService.getAvailableActions(article, reviewer))
+        .toEqual(['approve', 'request-changes', 'withdraw']);
+      expect(await EditorialWorkflowService.getAvailableActions(article, stranger)).toEqual([]);
+    });
+  });
+
+  describe('revokeApprovalIfNeeded', () => {
+    it('should move approved article back to draft when author edits it', async () => {
+      const article = buildArticle('approved');
+
+      expect(await EditorialWorkflowService.revokeApprovalIfNeeded(article, author)).toBe(true);
+      expect(article.status).toBe('draft');
+      expect(article.workflow.history[0].action).toBe('approval-revoked');
+    });
+
+    it('should keep approval when reviewer edits the article', async () => {
+      const article = buildArticle('approved');
+
+      expect(await EditorialWorkflowService.revokeApprovalIfNeeded(article, reviewer)).toBe(false);
+      expect(article.status).toBe('approved');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Article = require('../../src/models/Article');
+const Category = require('../../src/models/Category');
+const User = require('../../src/models/User');
+const FeedService = require('../../src/services/FeedService');
+
+describe('Feed Service', () => {
+  let mongoServer;
+  let testUser;
+  let testCategory;
+
+  const konten = 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.';
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Article.deleteMany({});
+    await Category.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      username: 'testauthor',
+      email: 'author@example.com',
+      password: 'Password123',
+      profile: {
+        nama: 'Test Author'
+      }
+    });
+
+    testCategory = await Category.create({ nama: 'Teknologi' });
+
+    await Article.create([
+      {
+        judul: 'Free Article & Tips',
+        konten,
+        ringkasan: 'Free summary',
+        kategori: testCategory._id,
+        penulis: testUser._id,
+        status: 'published'
+      },
+      {
+        judul: 'Premium Article',
+        konten: `Premium secret. ${konten}`,
+        ringkasan: 'Premium summary',
+        kategori: testCategory._id,
+        penulis: testUser._id,
+        premium: true,
+        status: 'published'
+      },
+      {
+        judul: 'Draft Article',
+        konten,
+        kategori: testCategory._id,
+        penulis: testUser._id,
+        status: 'draft'
+      }
+    ]);
+  });
+
+  describe('resolveScope', () => {
+    it('should resolve category and author scopes', async () => {
+      const categoryScope = await FeedService.resolveScope('category', 'teknologi');
+      const authorScope = await FeedService.resolveScope('author', 'testauthor');
+
+      expect(categoryScope.query.kategori.toString()).toBe(testCategory._id.toString());
+      expect(authorScope.query.penulis.toString()).toBe(testUser._id.toString());
+    });
+
+    it('should return null for unknown category', async () => {
+      const scope = await FeedService.resolveScope('category', 'tidak-ada');
+
+      expect(scope).toBeNull();
+    });
+  });
+
+  describe('buildFeed', () => {
+    it('should include only published articles and hide premium content', async () => {
+      const scope = await FeedService.resolveScope();
+      const feed = await FeedService.buildFeed(scope);
+
+      expect(feed.items).toHaveLength(2);
+
+      const premiumItem = feed.items.find(item => item.premium);
+      expect(premiumItem.content).toBe('Premium summary');
+      expect(premiumItem.content).not.toContain('Premium secret');
+    });
+  });
+
+  describe('generateFeed', () => {
+    it('should generate escaped RSS 2.0 feed', async () => {
+      const scope = await FeedService.resolveScope();
+      const rss = await FeedService.generateFeed(scope, 'rss');
+
+      expect(rss).toContain('<rss version="2.0"');
+      expect(rss).toContain('<title>Free Article &amp; Tips</title>');
+      expect(rss).not.toContain('Draft Article');
+    });
+
+    it('should generate Atom and JSON feeds', async () => {
+      const scope = await FeedService.resolveScope('author', 'testauthor');
+      const atom = await FeedService.generateFeed(scope, 'atom');
+      const json = await FeedService.generateFeed(scope, 'json');
+
+      expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(json.feed_url).toContain('/author/testauthor/feed.json');
+      expect(json.items).toHaveLength(2);
+    });
+  });
+
+  describe('getValidators', () => {
+    it('should change ETag when articles are updated', async () => {
+      const scope = await FeedService.resolveScope();
+      const before = await FeedService.getValidators(scope, 'rss');
+
+      await Article.updateOne({ judul: 'Free Article & Tips' }, { $set: { ringkasan: 'Updated summary' } });
+
+      const after = await FeedService.getValidators(scope, 'rss');
+      expect(after.etag).not.toBe(before.etag);
+      expect(after.lastModified.getTime()).toBeGreaterThanOrEqual(before.lastModified.getTime());
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const InvoiceService = require('../../src/services/InvoiceService');
+
+describe('Invoice Service', () => {
+  const invoice = {
+    _id: 'invoice-id',
+    invoiceNumber: 'INV/2026/000042',
+    status: 'paid',
+    customer: { name: 'Budi <Admin>', email: 'budi@example.com' },
+    items: [{
+      description: 'Langganan Premium (monthly)',
+      quantity: 1,
+      unitPrice: 89189,
+      amount: 89189
+    }],
+    subtotal: 89189,
+    tax: { name: 'PPN', rate: 11, inclusive: true, amount: 9811 },
+    total: 99000,
+    billingPeriod: { start: new Date('2026-01-10'), end: new Date('2026-02-10') },
+    payment: { gateway: 'midtrans', transactionId: 'SUB-1', paidAt: new Date('2026-01-10') },
+    issuedAt: new Date('2026-01-10')
+  };
+
+  it('should format Rupiah amounts', () => {
+    expect(InvoiceService.formatCurrency(99000)).toBe('Rp 99.000');
+    expect(InvoiceService.formatCurrency(1234567)).toBe('Rp 1.234.567');
+    expect(InvoiceService.formatCurrency(0)).toBe('Rp 0');
+  });
+
+  it('should render escaped HTML receipt with tax line', () => {
+    const html = InvoiceService.generateHtml(invoice);
+
+    expect(html).toContain('INV/2026/000042');
+    expect(html).toContain('PPN 11% (termasuk)');
+    expect(html).toContain('Rp 99.000');
+    expect(html).toContain('Budi &lt;Admin&gt;');
+  });
+
+  it('should render PDF receipt', () => {
+    const pdf = InvoiceService.generatePdf(invoice);
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trim().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('(INV/2026/000042)');
+    expect(text).toContain('Budi <Admin>');
+  });
+
+  it('should build PDF attachment named after invoice number', () => {
+    const [attachment] = InvoiceService.getAttachments(invoice);
+
+    expect(attachment.filename).toBe('INV-2026-000042.pdf');
+    expect(attachment.contentType).toBe('application/pdf');
+  });
+});
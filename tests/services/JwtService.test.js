@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const User = require('../../src/models/User');
+const UserSession = require('../../src/models/UserSession');
 const JwtService = require('../../src/services/JwtService');
 
 describe('JWT Service', () => {
@@ -20,6 +21,7 @@ describe('JWT Service', () => {
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await UserSession.deleteMany({});
 
     testUser = new User({
       username: 'testuser',
@@ -163,8 +165,12 @@ describe('JWT Service', () => {
   describe('Token Refresh', () => {
     let refreshToken;
 
-    beforeEach(() => {
+    beforeEach(async () => {
       refreshToken = JwtService.generateRefreshToken(testUser);
+      await JwtService.storeRefreshToken(testUser._id, refreshToken, {
+        deviceName: 'Chrome di Windows',
+        ipAddress: '127.0.0.1'
+      });
     });
 
     it('should refresh access token with valid refresh token', async () => {
@@ -193,6 +199,32 @@ describe('JWT Service', () => {
       
       await expect(JwtService.refreshAccessToken(refreshToken)).rejects.toThrow('User not found or inactive');
     });
+
+    it('should rotate refresh token within the same session', async () => {
+      const newTokenPair = await JwtService.refreshAccessToken(refreshToken);
+
+      const oldPayload = JwtService.decodeToken(refreshToken);
+      const newPayload = JwtService.decodeToken(newTokenPair.refreshToken);
+      expect(newPayload.sessionId).toBe(oldPayload.sessionId);
+      expect(newPayload.tokenId).not.toBe(oldPayload.tokenId);
+
+      const session = await UserSession.findOne({ sessionId: oldPayload.sessionId }).select('+tokenId');
+      expect(session.tokenId).toBe(newPayload.tokenId);
+      expect(session.rotationCount).toBe(1);
+      expect(session.deviceName).toBe('Chrome di Windows');
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const newTokenPair = await JwtService.refreshAccessToken(refreshToken);
+
+      await expect(JwtService.refreshAccessToken(refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+      await expect(JwtService.refreshAccessToken(newTokenPair.refreshToken)).rejects.toThrow('Session has been revoked');
+
+      const session = await UserSession.findOne({ sessionId: JwtService.decodeToken(refreshToken).sessionId });
+      expect(session.revokedReason).toBe('token_reuse');
+    });
   });
 
   describe('Token Utilities', () => {
@@ -325,6 +357,28 @@ describe('JWT Service', () => {
     });
   });
 
+  describe('Preview Tokens', () => {
+    const articleId = new mongoose.Types.ObjectId();
+    const linkId = new mongoose.Types.ObjectId();
+
+    it('should sign preview token with link id and expiry', () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      const token = JwtService.generatePreviewToken(articleId, linkId, expiresAt);
+      const decoded = JwtService.verifyPreviewToken(token);
+
+      expect(decoded.articleId).toBe(articleId.toString());
+      expect(decoded.jti).toBe(linkId.toString());
+      expect(decoded.exp).toBe(Math.floor(expiresAt.getTime() / 1000));
+    });
+
+    it('should reject expired and non-preview tokens', () => {
+      const expired = JwtService.generatePreviewToken(articleId, linkId, new Date(Date.now() - 1000));
+
+      expect(() => JwtService.verifyPreviewToken(expired)).toThrow('Invalid preview token');
+      expect(() => JwtService.verifyPreviewToken(JwtService.generateAccessToken(testUser))).toThrow('Invalid preview token');
+    });
+  });
+
   describe('Token Cleanup', () => {
     it('should cleanup expired tokens', async () => {
       await expect(JwtService.cleanupExpiredTokens()).resolves.not.toThrow();
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Media = require('../../src/models/Media');
+const User = require('../../src/models/User');
+const Subscription = require('../../src/models/Subscription');
+const MediaService = require('../../src/services/MediaService');
+const StorageService = require('../../src/services/StorageService');
+const LocalStorageAdapter = require('../../src/services/storage/LocalStorageAdapter');
+
+describe('Media Service', () => {
+  let mongoServer;
+  const ownerId = new mongoose.Types.ObjectId();
+  const articleId = new mongoose.Types.ObjectId();
+  let tempDir;
+
+  const createUpload = async (name, width = 2000, height = 1000) => {
+    const filePath = path.join(tempDir, name);
+    const info = await sharp({
+      create: { width, height, channels: 3, background: '#336699' }
+    }).jpeg().toFile(filePath);
+
+    return {
+      fieldname: 'media',
+      path: filePath,
+      filename: name,
+      originalname: 'Foto Test.jpg',
+      mimetype: 'image/jpeg',
+      size: info.size
+    };
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+    StorageService.useAdapter(new LocalStorageAdapter({ root: path.join(tempDir, 'storage') }));
+  });
+
+  const removeAllMedia = async () => {
+    const media = await Media.find({});
+    for (const item of media) {
+      await MediaService.deleteMedia(item);
+    }
+  };
+
+  afterAll(async () => {
+    await removeAllMedia();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await removeAllMedia();
+  });
+
+  describe('registerUpload', () => {
+    it('should store metadata and generate responsive variants', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-register.jpg'), ownerId, {
+        altText: 'Langit biru',
+        tags: ['langit']
+      });
+
+      expect(media.type).toBe('image');
+      expect(media.url).toBe('/uploads/media/test-register.jpg');
+      expect(media.dimensions).toMatchObject({ width: 2000, height: 1000 });
+      expect(media.variants.map(v => v.name)).toEqual(['thumbnail', 'medium', 'large', 'webp']);
+
+      const thumbnail = media.variants.find(v => v.name === 'thumbnail');
+      expect(thumbnail).toMatchObject({ width: 150, height: 150 });
+      expect(media.variants.find(v => v.name === 'webp').mimeType).toBe('image/webp');
+
+      for (const variant of media.variants) {
+        expect(await StorageService.exists(variant.path)).toBe(true);
+      }
+      expect(fs.existsSync(path.join(tempDir, 'test-register.jpg'))).toBe(false);
+    });
+
+    it('should store premium media privately behind media file URLs', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-premium.jpg'), ownerId, {
+        premium: true
+      });
+
+      expect(media.path).toBe('private/media/test-premium.jpg');
+      expect(media.url).toBe(`/api/media/${media._id}/file`);
+      expect(media.getVariantUrl('medium')).toBe(`/api/media/${media._id}/file/medium`);
+      expect(await StorageService.exists(media.path)).toBe(true);
+    });
+
+    it('should allow premium media files only for plans with premium_content', async () => {
+      await Subscription.deleteMany({});
+      await Subscription.createDefaultPlans();
+
+      const media = await MediaService.registerUpload(await createUpload('test-premium-access.jpg'), ownerId, {
+        premium: true
+      });
+      const reader = new User({ username: 'pembaca', email: 'pembaca@example.com', subscription: { plan: 'free' } });
+      const subscriber = new User({ username: 'pelanggan', email: 'pelanggan@example.com', subscription: { plan: 'premium' } });
+
+      expect(await MediaService.canAccessFile(media, null)).toBe(false);
+      expect(await MediaService.canAccessFile(media, reader)).toBe(false);
+      expect(await MediaService.canAccessFile(media, subscriber)).toBe(true);
+    });
+
+    it('should not enlarge small images', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-small.jpg', 400, 300), ownerId);
+
+      expect(media.variants.find(v => v.name === 'large')).toMatchObject({ width: 400, height: 300 });
+    });
+  });
+
+  describe('article usage', () => {
+    it('should track references in thumbnail and content including variants', async () => {
+      const cover = await MediaService.registerUpload(await createUpload('test-cover.jpg'), ownerId);
+      const inline = await MediaService.registerUpload(await createUpload('test-inline.jpg'), ownerId);
+
+      await MediaService.syncArticleUsage({
+        _id: articleId,
+        thumbnail: cover.url,
+        konten: `<p>Teks</p><img src="${inline.getVariantUrl('medium')}">`
+      });
+
+      expect((await Media.findById(cover._id)).usage[0]).toMatchObject({ field: 'thumbnail' });
+      expect((await Media.findById(inline._id)).usage[0]).toMatchObject({ field: 'konten' });
+    });
+
+    it('should mark media orphaned when article stops referencing it', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-orphan.jpg'), ownerId);
+
+      await MediaService.syncArticleUsage({ _id: articleId, konten: `<img src="${media.url}">` });
+      await MediaService.syncArticleUsage({ _id: articleId, konten: '<p>Tanpa gambar</p>' });
+
+      const orphan = await Media.findById(media._id);
+      expect(orphan.usage).toHaveLength(0);
+      expect(orphan.orphanedAt).toBeInstanceOf(Date);
+
+      // Dipakai lagi sebelum dibersihkan
+      await MediaService.syncArticleUsage({ _id: articleId, konten: `<img src="${media.url}">` });
+      expect((await Media.findById(media._id)).orphanedAt).toBeNull();
+    });
+
+    it('should not mark media that was never used', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-unused.jpg'), ownerId);
+
+      await MediaService.releaseArticleUsage(articleId);
+
+      expect((await Media.findById(media._id)).orphanedAt).toBeNull();
+    });
+  });
+
+  describe('cleanupOrphans', () => {
+    it('should delete orphans past grace period with their files', async () => {
+      const media = await MediaService.registerUpload(await createUpload('test-cleanup.jpg'), ownerId);
+      const recent = await MediaService.registerUpload(await createUpload('test-recent.jpg'), ownerId);
+
+      await Media.updateOne({ _id: media._id }, { orphanedAt: new Date(Date.now() - 100 * 60 * 60 * 1000) });
+      await Media.updateOne({ _id: recent._id }, { orphanedAt: new Date() });
+
+      expect(await MediaService.cleanupOrphans()).toBe(1);
+      expect(await Media.findById(media._id)).toBeNull();
+      expect(await Media.findById(recent._id)).not.toBeNull();
+      expect(await StorageService.exists(media.path)).toBe(false);
+      for (const variant of media.variants) {
+        expect(await StorageService.exists(variant.path)).toBe(false);
+      }
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../../src/models/User');
+const PasswordlessLoginService = require('../../src/services/PasswordlessLoginService');
+
+describe('Passwordless Login Service', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    await User.create({
+      username: 'magicuser',
+      email: 'magic@example.com',
+      password: 'Password123',
+      profile: { nama: 'Magic User' }
+    });
+  });
+
+  const wrongCodeFor = (code) => (code === '000000' ? '111111' : '000000');
+
+  it('should not create challenge for unknown or inactive user', async () => {
+    await User.updateOne({ email: 'magic@example.com' }, { isActive: false });
+
+    expect(await PasswordlessLoginService.createChallenge('unknown@example.com')).toBeNull();
+    expect(await PasswordlessLoginService.createChallenge('magic@example.com')).toBeNull();
+  });
+
+  it('should store only hashes of token and code', async () => {
+    const { token, code } = await PasswordlessLoginService.createChallenge('magic@example.com');
+    const user = await User.findOne({ email: 'magic@example.com' })
+      .select('+passwordlessLogin.tokenHash +passwordlessLogin.codeHash');
+
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(code).toMatch(/^\d{6}$/);
+    expect(user.passwordlessLogin.tokenHash).not.toBe(token);
+    expect(user.passwordlessLogin.codeHash).not.toBe(code);
+  });
+
+  it('should invalidate link and code together after use', async () => {
+    const { token, code } = await PasswordlessLoginService.createChallenge('magic@example.com');
+
+    const user = await PasswordlessLoginService.consumeToken(token);
+    expect(user.email).toBe('magic@example.com');
+
+    await expect(PasswordlessLoginService.consumeCode('magic@example.com', code))
+      .rejects.toMatchObject({ code: 'INVALID_LOGIN_CODE' });
+  });
+
+  it('should reject expired challenge', async () => {
+    const { token } = await PasswordlessLoginService.createChallenge('magic@example.com');
+    await User.updateOne(
+      { email: 'magic@example.com' },
+      { $set: { 'passwordlessLogin.expiresAt': new Date(Date.now() - 1000) } }
+    );
+
+    await expect(PasswordlessLoginService.consumeToken(token))
+      .rejects.toMatchObject({ code: 'INVALID_LOGIN_LINK' });
+  });
+
+  it('should invalidate code after too many wrong attempts', async () => {
+    const { code } = await PasswordlessLoginService.createChallenge('magic@example.com');
+
+    for (let i = 0; i < 5; i++) {
+      await expect(PasswordlessLoginService.consumeCode('magic@example.com', wrongCodeFor(code)))
+        .rejects.toMatchObject({ code: 'INVALID_LOGIN_CODE' });
+    }
+
+    await expect(PasswordlessLoginService.consumeCode('magic@example.com', code))
+      .rejects.toMatchObject({ code: 'INVALID_LOGIN_CODE' });
+  });
+});
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Invoice = require('../../src/models/Invoice');
+const Subscription = require('../../src/models/Subscription');
+const User = require('../../src/models/User');
+const UserSubscription = require('../../src/models/UserSubscription');
+const PaymentService = require('../../src/services/PaymentService');
+const CouponService = require('../../src/services/CouponService');
+const NotificationService = require('../../src/services/NotificationService');
+
+describe('Payment Service webhooks', () => {
+  beforeEach(() => {
+    PaymentService.midtrans.serverKey = 'midtrans-server-key';
+    PaymentService.xendit.callbackToken = 'xendit-callback-token';
+    PaymentService.stripe.webhookSecret = 'whsec_test';
+    PaymentService.stripe.webhookTolerance = 300;
+  });
+
+  describe('verifyWebhookSignature', () => {
+    it('should accept valid Midtrans signature', () => {
+      const payload = {
+        order_id: 'SUB-1',
+        status_code: '200',
+        gross_amount: '99000.00'
+      };
+      payload.signature_key = crypto
+        .createHash('sha512')
+        .update('SUB-1' + '200' + '99000.00' + 'midtrans-server-key')
+        .digest('hex');
+
+      expect(PaymentService.verifyWebhookSignature('midtrans', payload)).toBe(true);
+    });
+
+    it('should reject tampered Midtrans payload', () => {
+      const payload = {
+        order_id: 'SUB-1',
+        status_code: '200',
+        gross_amount: '1.00',
+        signature_key: 'invalid'
+      };
+
+      expect(() => PaymentService.verifyWebhookSignature('midtrans', payload))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    });
+
+    it('should verify Xendit callback token', () => {
+      expect(PaymentService.verifyWebhookSignature('xendit', {}, {
+        'x-callback-token': 'xendit-callback-token'
+      })).toBe(true);
+
+      expect(() => PaymentService.verifyWebhookSignature('xendit', {}, {
+        'x-callback-token': 'wrong-token'
+      })).toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    });
+
+    it('should verify Stripe signature header against raw body', () => {
+      const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' }));
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = crypto
+        .createHmac('sha256', 'whsec_test')
+        .update(`${timestamp}.${rawBody.toString()}`)
+        .digest('hex');
+
+      expect(PaymentService.verifyWebhookSignature('stripe', {}, {
+        'stripe-signature': `t=${timestamp},v1=${signature}`
+      }, rawBody)).toBe(true);
+    });
+
+    it('should reject Stripe signature outside tolerance', () => {
+      const rawBody = Buffer.from('{}');
+      const timestamp = Math.floor(Date.now() / 1000) - 600;
+      const signature = crypto
+        .createHmac('sha256', 'whsec_test')
+        .update(`${timestamp}.{}`)
+        .digest('hex');
+
+      expect(() => PaymentService.verifyWebhookSignature('stripe', {}, {
+        'stripe-signature': `t=${timestamp},v1=${signature}`
+      }, rawBody)).toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    });
+
+    it('should fail when webhook secret is not configured', () => {
+      PaymentService.xendit.callbackToken = undefined;
+
+      expect(() => PaymentService.verifyWebhookSignature('xendit', {}, {
+        'x-callback-token': 'anything'
+      })).toThrow(expect.objectContaining({ code: 'WEBHOOK_NOT_CONFIGURED' }));
+    });
+  });
+
+  describe('getWebhookEventId', () => {
+    it('should use Stripe event ID', () => {
+      expect(PaymentService.getWebhookEventId('stripe', { id: 'evt_123' })).toBe('evt_123');
+    });
+
+    it('should prefer Xendit webhook-id header', () => {
+      expect(PaymentService.getWebhookEventId('xendit', { id: 'inv_1', status: 'PAID' }, {
+        'webhook-id': 'wh_1'
+      })).toBe('wh_1');
+      expect(PaymentService.getWebhookEventId('xendit', { id: 'inv_1', status: 'PAID' })).toBe('inv_1:PAID');
+    });
+
+    it('should key Midtrans events by transaction status change', () => {
+      const eventId = PaymentService.getWebhookEventId('midtrans', {
+        order_id: 'SUB-1',
+        transaction_id: 'trx-1',
+        transaction_status: 'capture',
+        fraud_status: 'accept'
+      });
+
+      expect(eventId).toBe('trx-1:capture:accept');
+    });
+  });
+});
+
+describe('Payment Service activation', () => {
+  let mongoServer;
+  let user;
+  let plan;
+
+  const loadSubscription = id => UserSubscription.findById(id).populate('user').populate('subscription');
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+    await Subscription.createDefaultPlans();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await UserSubscription.deleteMany({});
+    await Invoice.deleteMany({});
+    jest.restoreAllMocks();
+    jest.spyOn(NotificationService, 'sendSubscriptionConfirmation').mockResolvedValue(true);
+
+    plan = await Subscription.findBySlug('premium');
+    user = await User.create({
+      username: 'pelanggan',
+      email: 'pelanggan@example.com',
+      password: 'Password123'
+    });
+  });
+
+  it('should resume interrupted activation on retry without counting stats twice', async () => {
+    const pending = await UserSubscription.create({
+      user: user._id,
+      subscription: plan._id,
+      billingCycle: 'monthly',
+      payment: { amount: 99000, transactionId: 'SUB-RESUME' }
+    });
+    const statsBefore = plan.stats.activeSubscribers;
+
+    jest.spyOn(CouponService, 'recordRedemption').mockRejectedValueOnce(new Error('Coupon store down'));
+
+    await expect(PaymentService.applyPaymentOutcome(await loadSubscription(pending._id), 'paid'))
+      .rejects.toThrow('Coupon store down');
+
+    const interrupted = await loadSubscription(pending._id);
+    expect(interrupted.payment.paidAt).not.toBeNull();
+    expect(interrupted.activation.pending).toBe(true);
+
+    expect(await PaymentService.applyPaymentOutcome(interrupted, 'paid')).toBe(true);
+
+    const activated = await loadSubscription(pending._id);
+    expect(activated.status).toBe('active');
+    expect(activated.activation.pending).toBe(false);
+    expect(activated.activation.completedSteps).toEqual(['stats', 'coupon']);
+    expect((await User.findById(user._id)).subscription.plan).toBe('premium');
+    expect((await Subscription.findById(plan._id)).stats.activeSubscribers).toBe(statsBefore + 1);
+    expect(await Invoice.countDocuments({ userSubscription: pending._id })).toBe(1);
+
+    // Event berikutnya tidak mengubah langganan yang sudah aktif
+    expect(await PaymentService.applyPaymentOutcome(activated, 'paid')).toBe(false);
+  });
+});
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Article = require('../../src/models/Article');
+const Category = require('../../src/models/Category');
+const SearchQuery = require('../../src/models/SearchQuery');
+const SearchService = require('../../src/services/SearchService');
+
+// Tanpa Redis, cache selalu miss
+jest.mock('../../src/services/CacheService', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+describe('Search Service', () => {
+  let mongoServer;
+  let category;
+
+  const konten = 'This is a test article content with more than 100 characters to meet the minimum requirement for article content validation.';
+
+  const search = (term, resultsCount, sessionIndex, options = {}) => SearchService.logSearch(term, null, resultsCount, {
+    ipAddress: `10.0.0.${sessionIndex}`,
+    userAgent: 'jest',
+    ...options
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Article.deleteMany({});
+    await Category.deleteMany({});
+    await SearchQuery.deleteMany({});
+    SearchService.searchCache.clear();
+
+    category = await Category.create({ nama: 'Pemrograman' });
+
+    await Article.create([
+      {
+        judul: 'Belajar JavaScript untuk Pemula',
+        konten,
+        kategori: category._id,
+        penulis: new mongoose.Types.ObjectId(),
+        tags: ['javascript', 'frontend'],
+        status: 'published'
+      },
+      {
+        judul: 'Membangun REST API dengan Express',
+        konten,
+        kategori: category._id,
+        penulis: new mongoose.Types.ObjectId(),
+        tags: ['express', 'javascript'],
+        status: 'published'
+      }
+    ]);
+  });
+
+  describe('logSearch', () => {
+    it('should store normalized term without raw IP', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const log = await SearchService.logSearch('  Belajar   JavaScript ', userId, 3, {
+        source: 'global',
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest'
+      });
+
+      expect(log.term).toBe('belajar javascript');
+      expect(log.source).toBe('global');
+      expect(log.userId.toString()).toBe(userId.toString());
+      expect(log.sessionId).toMatch(/^[a-f0-9]{32}$/);
+      expect(JSON.stringify(log.toObject())).not.toContain('10.0.0.1');
+    });
+
+    it('should skip empty and personal data queries', async () => {
+      expect(await SearchService.logSearch('   ', null, 0)).toBeNull();
+      expect(await SearchService.logSearch('budi@example.com', null, 0)).toBeNull();
+      expect(await SearchService.logSearch('0812 3456 7890', null, 0)).toBeNull();
+      expect(await SearchQuery.countDocuments()).toBe(0);
+    });
+
+    it('should not link user when Do Not Track is set', async () => {
+      const log = await search('express', 1, 1, { doNotTrack: true });
+
+      expect(log.userId).toBeNull();
+      expect(log.sessionId).toBeNull();
+    });
+  });
+
+  describe('logClick', () => {
+    it('should record first clicked result only', async () => {
+      const log = await search('express', 1, 1);
+      const [first, second] = await Article.find().sort({ createdAt: 1 });
+
+      expect(await SearchService.logClick(log._id, { articleId: first._id, position: 1 })).toBe(true);
+      expect(await SearchService.logClick(log._id, { articleId: second._id, position: 2 })).toBe(false);
+      expect(await SearchService.logClick('invalid', { articleId: first._id })).toBe(false);
+
+      const updated = await SearchQuery.findById(log._id);
+      expect(updated.clickedResult.articleId.toString()).toBe(first._id.toString());
+      expect(updated.clickedResult.position).toBe(1);
+    });
+  });
+
+  describe('getSearchSuggestions', () => {
+    it('should suggest titles, tags and categories', async () => {
+      const suggestions = await SearchService.getSearchSuggestions('javascript', 10);
+
+      expect(suggestions.articles.map(item => item.title)).toEqual(['Belajar JavaScript untuk Pemula']);
+      expect(suggestions.tags[0]).toMatchObject({ title: 'javascript', count: 2 });
+      expect(suggestions.didYouMean).toBeNull();
+    });
+
+    it('should tolerate typos', async () => {
+      const suggestions = await SearchService.getSearchSuggestions('javsacript', 10);
+
+      expect(suggestions.didYouMean).toBe('javascript');
+      expect(suggestions.tags.map(item => item.title)).toContain('javascript');
+    });
+
+    it('should complete partially typed words with typo', async () => {
+      const suggestions = await SearchService.getSearchSuggestions('pemrogram', 10);
+      expect(suggestions.categories.map(item => item.title)).toEqual(['Pemrograman']);
+
+      const typo = await SearchService.getSearchSuggestions('pemorgr', 10);
+      expect(typo.didYouMean).toBe('pemrograman');
+      expect(typo.categories.map(item => item.title)).toEqual(['Pemrograman']);
+    });
+
+    it('should treat regex characters literally', async () => {
+      const suggestions = await SearchService.getSearchSuggestions('.*', 10);
+
+      expect(suggestions.articles).toEqual([]);
+    });
+  });
+
+  describe('reports', () => {
+    it('should only show popular terms searched by several visitors', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await search('javascript', 2, i);
+      }
+      for (let i = 0; i < 5; i++) {
+        await search('nama lengkap saya', 1, 9);
+      }
+      await search('golang', 0, 1);
+      await search('golang', 0, 2);
+      await search('golang', 0, 3);
+
+      const popular = await SearchService.getPopularSearchTerms(10);
+
+      expect(popular).toEqual([{ term: 'javascript', count: 3 }]);
+    });
+
+    it('should report zero-result terms and rates', async () => {
+      const log = await search('javascript', 2, 1);
+      await search('javascript', 2, 2);
+      await search('golang', 0, 1);
+      await search('golang', 0, 2);
+
+      await SearchService.logClick(log._id, { articleId: (await Article.findOne())._id, position: 1 });
+
+      const analytics = await SearchService.getSearchAnalytics();
+
+      expect(analytics).toMatchObject({
+        totalSearches: 4,
+        uniqueQueries: 2,
+        zeroResultSearches: 2,
+        zeroResultRate: 50,
+        clickThroughRate: 25
+      });
+      expect(analytics.popularTerms[0]).toMatchObject({ term: 'golang', count: 2, uniqueSearchers: 2 });
+      expect(analytics.noResultsQueries).toEqual([
+        expect.objectContaining({ term: 'golang', count: 2 })
+      ]);
+      expect(analytics.searchTrends).toHaveLength(1);
+      expect(analytics.searchTrends[0]).toMatchObject({ searches: 4, zeroResults: 2 });
+    });
+  });
+
+  describe('applyRetention', () => {
+    it('should remove user from old search logs', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const oldLog = await SearchService.logSearch('express', userId, 1);
+      const recentLog = await SearchService.logSearch('javascript', userId, 1);
+
+      await SearchQuery.collection.updateOne(
+        { _id: oldLog._id },
+        { $set: { createdAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) } }
+      );
+
+      expect(await SearchService.applyRetention()).toBe(1);
+      expect((await SearchQuery.findById(oldLog._id)).userId).toBeNull();
+      expect((await SearchQuery.findById(recentLog._id)).userId.toString()).toBe(userId.toString());
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Media = require('../../src/models/Media');
+const Subscription = require('../../src/models/Subscription');
+const UsageLedger = require('../../src/models/UsageLedger');
+const User = require('../../src/models/User');
+const UserSubscription = require('../../src/models/UserSubscription');
+const SubscriptionService = require('../../src/services/SubscriptionService');
+
+describe('Subscription Service', () => {
+  let mongoServer;
+  let user;
+
+  const GB = 1024 * 1024 * 1024;
+
+  const createMedia = (size, index) => Media.create({
+    owner: user._id,
+    filename: `file-${index}.jpg`,
+    originalName: `file-${index}.jpg`,
+    path: `media/file-${index}.jpg`,
+    url: `/uploads/media/file-${index}.jpg`,
+    mimeType: 'image/jpeg',
+    type: 'image',
+    size
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+    await Subscription.createDefaultPlans();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Media.deleteMany({});
+    await UsageLedger.deleteMany({});
+    await UserSubscription.deleteMany({});
+
+    user = await User.create({
+      username: 'uploader',
+      email: 'uploader@example.com',
+      password: 'Password123'
+    });
+  });
+
+  describe('Storage quota', () => {
+    it('should use storageGB limit of user plan', async () => {
+      expect(await SubscriptionService.getStorageLimitBytes(user)).toBe(GB);
+
+      user.subscription.plan = 'pro';
+      expect(await SubscriptionService.getStorageLimitBytes(user)).toBe(50 * GB);
+    });
+
+    it('should reserve storage until quota is reached', async () => {
+      const first = await SubscriptionService.reserveStorage(user, GB - 100);
+      expect(first).toMatchObject({ allowed: true, usedBytes: GB - 100, limitBytes: GB });
+
+      const denied = await SubscriptionService.reserveStorage(user, 200);
+      expect(denied).toMatchObject({ allowed: false, usedBytes: GB - 100, requestedBytes: 200 });
+
+      const exact = await SubscriptionService.reserveStorage(user, 100);
+      expect(exact).toMatchObject({ allowed: true, usedBytes: GB });
+    });
+
+    it('should reject upload larger than whole quota', async () => {
+      const result = await SubscriptionService.reserveStorage(user, GB + 1);
+
+      expect(result.allowed).toBe(false);
+      expect((await User.findById(user._id)).stats.storageBytes).toBe(0);
+    });
+
+    it('should recalculate usage from media library', async () => {
+      await createMedia(1000, 1);
+      await createMedia(500, 2);
+      await SubscriptionService.reserveStorage(user, 999999);
+
+      expect(await SubscriptionService.recalculateStorageUsage(user._id)).toBe(1500);
+      expect((await User.findById(user._id)).stats.storageBytes).toBe(1500);
+
+      await Media.deleteOne({ filename: 'file-1.jpg' });
+      expect(await SubscriptionService.recalculateStorageUsage(user._id)).toBe(500);
+    });
+
+    it('should summarize storage usage', async () => {
+      await createMedia(GB / 4, 1);
+      await SubscriptionService.recalculateStorageUsage(user._id);
+
+      const usage = await SubscriptionService.getStorageUsage(user);
+
+      expect(usage).toEqual({
+        usedBytes: GB / 4,
+        limitBytes: GB,
+        remainingBytes: (GB * 3) / 4,
+        percentUsed: 25,
+        mediaCount: 1
+      });
+    });
+
+    it('should keep in-flight reservations when reading usage', async () => {
+      await SubscriptionService.reserveStorage(user, 1000);
+
+      expect((await SubscriptionService.getStorageUsage(user)).usedBytes).toBe(1000);
+      expect((await User.findById(user._id)).stats.storageBytes).toBe(1000);
+    });
+  });
+
+  describe('Usage ledger', () => {
+    const subscribe = async (startDate) => {
+      const plan = await Subscription.findBySlug('premium');
+
+      user.subscription.plan = 'premium';
+      await user.save();
+
+      return UserSubscription.create({
+        user: user._id,
+        subscription: plan._id,
+        billingCycle: 'monthly',
+        status: 'active',
+        startDate,
+        endDate: new Date('2099-01-01'),
+        payment: { amount: plan.getPrice('monthly') }
+      });
+    };
+
+    it('should use calendar month for free plan', async () => {
+      const period = await SubscriptionService.getUsagePeriod(user, new Date('2026-03-15T08:00:00Z'));
+
+      expect(period.start).toEqual(new Date('2026-03-01T00:00:00Z'));
+      expect(period.end).toEqual(new Date('2026-04-01T00:00:00Z'));
+    });
+
+    it('should follow subscription start date for paid plan', async () => {
+      await subscribe(new Date('2026-01-31T10:00:00Z'));
+
+      const period = await SubscriptionService.getUsagePeriod(user, new Date('2026-03-05T00:00:00Z'));
+      expect(period.start).toEqual(new Date('2026-02-28T10:00:00Z'));
+      expect(period.end).toEqual(new Date('2026-03-31T10:00:00Z'));
+
+      const next = await SubscriptionService.getUsagePeriod(user, new Date('2026-03-31T10:00:00Z'));
+      expect(next.start).toEqual(new Date('2026-03-31T10:00:00Z'));
+    });
+
+    it('should count usage and enforce monthly limit', async () => {
+      for (let i = 0; i < 4; i++) {
+        await SubscriptionService.recordUsage(user, 'articlesPerMonth');
+      }
+
+      const beforeLimit = await SubscriptionService.checkUsageLimit(user, 'articlesPerMonth');
+      expect(beforeLimit).toMatchObject({ allowed: true, limit: 5, remaining: 1, usage: 4 });
+
+      expect(await SubscriptionService.recordUsage(user, 'articlesPerMonth')).toBe(5);
+
+      const atLimit = await SubscriptionService.checkUsageLimit(user, 'articlesPerMonth');
+      expect(atLimit).toMatchObject({ allowed: false, remaining: 0, usage: 5 });
+      expect(atLimit.resetAt).toBeInstanceOf(Date);
+    });
+
+    it('should reserve usage atomically up to the limit', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 8 }, () => SubscriptionService.reserveUsage(user, 'articlesPerMonth'))
+      );
+
+      expect(results.filter(result => result.allowed)).toHaveLength(5);
+      expect(results.find(result => !result.allowed)).toMatchObject({ limit: 5, usage: 5, reservation: null });
+      expect((await SubscriptionService.getMeteredUsage(user)).counters.articlesPerMonth).toBe(5);
+    });
+
+    it('should release reservation of failed action', async () => {
+      const { reservation } = await SubscriptionService.reserveUsage(user, 'articlesPerMonth');
+      await SubscriptionService.releaseUsage(user, reservation);
+      await SubscriptionService.releaseUsage(user, reservation);
+
+      expect((await SubscriptionService.getMeteredUsage(user)).counters.articlesPerMonth).toBe(0);
+    });
+
+    it('should deny plans without quota', async () => {
+      const result = await SubscriptionService.reserveUsage(user, 'aiRequestsPerMonth');
+
+      expect(result).toMatchObject({ allowed: false, limit: 0, usage: 0 });
+    });
+
+    it('should reset usage in new period', async () => {
+      const period = await SubscriptionService.getUsagePeriod(user);
+      await UsageLedger.create({
+        user: user._id,
+        periodStart: new Date(period.start.getTime() - 30 * 24 * 60 * 60 * 1000),
+        periodEnd: period.start,
+        counters: { articlesPerMonth: 5, aiRequestsPerMonth: 3 }
+      });
+
+      const usage = await SubscriptionService.getMeteredUsage(user);
+      expect(usage.counters).toEqual({ articlesPerMonth: 0, aiRequestsPerMonth: 0 });
+    });
+
+    it('should only meter monthly limits', async () => {
+      await expect(SubscriptionService.recordUsage(user, 'storageGB')).rejects.toThrow();
+    });
+
+    it('should summarize usage for dashboard', async () => {
+      await subscribe(new Date(Date.now() - 24 * 60 * 60 * 1000));
+      await SubscriptionService.recordUsage(user, 'aiRequestsPerMonth', 10);
+
+      const summary = await SubscriptionService.getUsageSummary(user);
+
+      expect(summary.current).toEqual({ articlesPerMonth: 0, aiRequestsPerMonth: 10, storageBytes: 0 });
+      expect(summary.limits.storageBytes).toBe(10 * GB);
+      expect(summary.percentages.aiRequestsPerMonth).toBe(
+        Math.round((10 / summary.limits.aiRequestsPerMonth) * 1000) / 10
+      );
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const DiffUtils = require('../../src/utils/diff');
+
+describe('DiffUtils', () => {
+  const rebuild = (edits, skipType) => edits
+    .filter(edit => edit.type !== skipType)
+    .map(edit => edit.value);
+
+  describe('computeEdits', () => {
+    it('should find shortest edit script', () => {
+      const a = 'ABCABBA'.split('');
+      const b = 'CBABAC'.split('');
+      const edits = DiffUtils.computeEdits(a, b);
+
+      expect(rebuild(edits, 'insert')).toEqual(a);
+      expect(rebuild(edits, 'delete')).toEqual(b);
+      expect(edits.filter(edit => edit.type !== 'equal')).toHaveLength(5);
+    });
+
+    it('should handle empty inputs', () => {
+      expect(DiffUtils.computeEdits([], [])).toEqual([]);
+      expect(DiffUtils.computeEdits(['a'], [])).toEqual([{ type: 'delete', value: 'a' }]);
+      expect(DiffUtils.computeEdits([], ['b'])).toEqual([{ type: 'insert', value: 'b' }]);
+    });
+  });
+
+  describe('diff', () => {
+    it('should merge word edits into chunks', () => {
+      const result = DiffUtils.diff('hello old world', 'hello new world', 'word');
+
+      expect(result.chunks).toEqual([
+        { type: 'equal', value: 'hello ' },
+        { type: 'delete', value: 'old' },
+        { type: 'insert', value: 'new' },
+        { type: 'equal', value: ' world' }
+      ]);
+      expect(result.stats).toEqual({ additions: 1, deletions: 1, unchanged: 2 });
+    });
+
+    it('should reject texts with too many tokens', () => {
+      const longText = 'kata '.repeat(15000);
+
+      expect(() => DiffUtils.diff(longText, `${longText}baru`, 'word'))
+        .toThrow(expect.objectContaining({ code: 'DIFF_TOO_LARGE', statusCode: 413 }));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const OTUtils = require('../../src/utils/ot');
+
+describe('OTUtils', () => {
+  const converge = (doc, a, b) => {
+    const [aPrime, bPrime] = OTUtils.transform(a, b);
+    return [
+      OTUtils.apply(OTUtils.apply(doc, b), aPrime),
+      OTUtils.apply(OTUtils.apply(doc, a), bPrime)
+    ];
+  };
+
+  describe('validate', () => {
+    it('should accept operations within document bounds', () => {
+      expect(OTUtils.validate([
+        { type: 'insert', position: 5, text: '!' },
+        { type: 'delete', position: 0, length: 6 }
+      ], 5)).toBeNull();
+    });
+
+    it('should reject invalid operations', () => {
+      expect(OTUtils.validate([], 5)).not.toBeNull();
+      expect(OTUtils.validate([{ type: 'insert', position: 6, text: 'x' }], 5)).toBe('Posisi operasi tidak valid');
+      expect(OTUtils.validate([{ type: 'delete', position: 3, length: 3 }], 5)).toBe('Panjang penghapusan tidak valid');
+      expect(OTUtils.validate([{ type: 'replace', position: 0 }], 5)).toBe('Tipe operasi harus insert atau delete');
+    });
+  });
+
+  describe('transform', () => {
+    it('should order concurrent inserts at the same position', () => {
+      const [left, right] = converge('Halo', [{ type: 'insert', position: 4, text: ' A' }], [{ type: 'insert', position: 4, text: ' B' }]);
+
+      expect(left).toBe('Halo B A');
+      expect(right).toBe(left);
+    });
+
+    it('should keep text inserted inside a concurrently deleted range', () => {
+      const [left, right] = converge(
+        'Hello world',
+        [{ type: 'delete', position: 2, length: 6 }],
+        [{ type: 'insert', position: 5, text: ',' }]
+      );
+
+      expect(left).toBe('He,rld');
+      expect(right).toBe(left);
+    });
+
+    it('should not delete the same text twice', () => {
+      const [left, right] = converge(
+        'abcdefgh',
+        [{ type: 'delete', position: 1, length: 4 }],
+        [{ type: 'delete', position: 3, length: 4 }]
+      );
+
+      expect(left).toBe('ah');
+      expect(right).toBe(left);
+    });
+
+    it('should converge for multi-component operations', () => {
+      const [left, right] = converge(
+        'The quick fox',
+        [{ type: 'insert', position: 4, text: 'very ' }, { type: 'delete', position: 14, length: 4 }],
+        [{ type: 'delete', position: 0, length: 4 }, { type: 'insert', position: 5, text: ' brown' }]
+      );
+
+      expect(right).toBe(left);
+    });
+  });
+
+  describe('diff', () => {
+    it('should replace only the changed range', () => {
+      const from = 'a <b> c';
+      const to = 'a &lt;b> c';
+      const operations = OTUtils.diff(from, to);
+
+      expect(operations).toEqual([
+        { type: 'delete', position: 2, length: 1 },
+        { type: 'insert', position: 2, text: '&lt;' }
+      ]);
+      expect(OTUtils.apply(from, operations)).toBe(to);
+      expect(OTUtils.diff(to, to)).toEqual([]);
+      expect(OTUtils.diff('aaa', 'aa')).toEqual([{ type: 'delete', position: 2, length: 1 }]);
+    });
+  });
+
+  describe('transformPosition', () => {
+    it('should move cursor with inserts and deletes before it', () => {
+      expect(OTUtils.transformPosition(5, [{ type: 'insert', position: 2, text: 'abc' }])).toBe(8);
+      expect(OTUtils.transformPosition(5, [{ type: 'delete', position: 1, length: 2 }])).toBe(3);
+      expect(OTUtils.transformPosition(5, [{ type: 'delete', position: 3, length: 5 }])).toBe(3);
+      expect(OTUtils.transformPosition(2, [{ type: 'insert', position: 4, text: 'x' }])).toBe(2);
+    });
+  });
+});
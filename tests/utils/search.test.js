@@ -0,0 +1,65 @@
+const SearchUtils = require('../../src/utils/search');
+
+describe('SearchUtils', () => {
+  describe('normalizeTerm', () => {
+    it('should lowercase and collapse whitespace', () => {
+      expect(SearchUtils.normalizeTerm('  Belajar   JavaScript \n')).toBe('belajar javascript');
+      expect(SearchUtils.normalizeTerm(null)).toBe('');
+    });
+
+    it('should tokenize into words', () => {
+      expect(SearchUtils.tokenize('Node.js & Express, 2024!')).toEqual(['node', 'js', 'express', '2024']);
+    });
+  });
+
+  describe('escapeRegex', () => {
+    it('should escape regex characters', () => {
+      const pattern = new RegExp(SearchUtils.escapeRegex('c++ (advanced)'));
+
+      expect(pattern.test('belajar c++ (advanced)')).toBe(true);
+      expect(pattern.test('belajar cc (advanced)')).toBe(false);
+    });
+  });
+
+  describe('isSensitiveTerm', () => {
+    it('should detect emails and long numbers', () => {
+      expect(SearchUtils.isSensitiveTerm('budi@example.com')).toBe(true);
+      expect(SearchUtils.isSensitiveTerm('0812-3456-7890')).toBe(true);
+      expect(SearchUtils.isSensitiveTerm('3174 0123 4567 0001')).toBe(true);
+    });
+
+    it('should allow regular queries', () => {
+      expect(SearchUtils.isSensitiveTerm('tutorial node 20')).toBe(false);
+      expect(SearchUtils.isSensitiveTerm('resep 2024')).toBe(false);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and transpositions', () => {
+      expect(SearchUtils.editDistance('kitten', 'sitting')).toBe(3);
+      expect(SearchUtils.editDistance('javascript', 'javscript')).toBe(1);
+      expect(SearchUtils.editDistance('javascript', 'javsacript')).toBe(1);
+      expect(SearchUtils.editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should stop early above max distance', () => {
+      expect(SearchUtils.editDistance('express', 'mongodb', 2)).toBe(3);
+      expect(SearchUtils.editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('prefixDistance', () => {
+    it('should match partially typed words', () => {
+      expect(SearchUtils.prefixDistance('javscr', 'javascript', 1)).toBe(1);
+      expect(SearchUtils.prefixDistance('expres', 'express', 1)).toBe(0);
+      expect(SearchUtils.prefixDistance('exrpe', 'express', 1)).toBe(1);
+      expect(SearchUtils.prefixDistance('pyhton', 'javascript', 1)).toBe(2);
+    });
+
+    it('should scale allowed typos with word length', () => {
+      expect(SearchUtils.maxTypoDistance('css')).toBe(0);
+      expect(SearchUtils.maxTypoDistance('react')).toBe(1);
+      expect(SearchUtils.maxTypoDistance('javascript')).toBe(2);
+    });
+  });
+});
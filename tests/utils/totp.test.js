@@ -0,0 +1,64 @@
+const TotpUtils = require('../../src/utils/totp');
+
+describe('TotpUtils', () => {
+  // Secret dari test vector RFC 6238 ("12345678901234567890")
+  const rfcSecret = TotpUtils.base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should encode and decode secrets', () => {
+      expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(TotpUtils.base32Decode(rfcSecret.toLowerCase()).toString()).toBe('12345678901234567890');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => TotpUtils.base32Decode('ABC1')).toThrow('Secret base32 tidak valid');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match RFC 6238 test vectors', () => {
+      expect(TotpUtils.generateCode(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(TotpUtils.generateCode(rfcSecret, 1111111109 * 1000)).toBe('081804');
+      expect(TotpUtils.generateCode(rfcSecret, 1234567890 * 1000)).toBe('005924');
+      expect(TotpUtils.generateCode(rfcSecret, 2000000000 * 1000)).toBe('279037');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1234567890 * 1000;
+
+    it('should accept code within the time window', () => {
+      const previous = TotpUtils.generateCode(rfcSecret, timestamp - 30 * 1000);
+
+      expect(TotpUtils.verifyCode(rfcSecret, '005924', { timestamp })).toBe(TotpUtils.getCounter(timestamp));
+      expect(TotpUtils.verifyCode(rfcSecret, previous, { timestamp })).toBe(TotpUtils.getCounter(timestamp) - 1);
+    });
+
+    it('should reject wrong, malformed and already used codes', () => {
+      expect(TotpUtils.verifyCode(rfcSecret, '000000', { timestamp })).toBeNull();
+      expect(TotpUtils.verifyCode(rfcSecret, '12ab56', { timestamp })).toBeNull();
+      expect(TotpUtils.verifyCode(rfcSecret, '005924', {
+        timestamp,
+        afterCounter: TotpUtils.getCounter(timestamp)
+      })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build provisioning URI', () => {
+      const uri = TotpUtils.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'user@example.com', 'Blog Express');
+
+      expect(uri).toBe('otpauth://totp/Blog%20Express%3Auser%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Blog+Express&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique codes and hash them case-insensitively', () => {
+      const codes = TotpUtils.generateRecoveryCodes(10);
+
+      expect(new Set(codes).size).toBe(10);
+      expect(codes[0]).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}$/);
+      expect(TotpUtils.hashRecoveryCode('ABCD-1234')).toBe(TotpUtils.hashRecoveryCode('abcd1234'));
+    });
+  });
+});